@@ -0,0 +1,47 @@
+// ecoregions/build-dataset.js
+// Prepare the bundled ecoregion dataset from RESOLVE Ecoregions 2017 or WWF
+// Terrestrial Ecoregions GeoJSON: keep only name/code/biome/realm, simplify the
+// polygons (Douglas-Peucker), round coordinates and gzip the result.
+//
+//   node ecoregions/build-dataset.js Ecoregions2017.geojson [tolerance-degrees]
+//
+// Shapefiles convert with: ogr2ogr -f GeoJSON Ecoregions2017.geojson Ecoregions2017.shp
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { EcoregionService } = require('../services/EcoregionService');
+const { simplifyGeometry, countPoints } = require('../utils/polygonIndex');
+
+const [input, toleranceArg] = process.argv.slice(2);
+const tolerance = parseFloat(toleranceArg) || 0.02; // ~2km; keeps the file to a few MB
+const output = path.join(__dirname, 'ecoregions.geojson.gz');
+
+if (!input) {
+  console.error('Usage: node ecoregions/build-dataset.js <ecoregions.geojson> [tolerance-degrees]');
+  process.exit(1);
+}
+
+function build() {
+  const ecoregions = new EcoregionService({ load: false });
+  const source = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const features = [];
+  let points = 0;
+
+  for (const feature of source.features || []) {
+    const properties = ecoregions.normalizeProperties(feature.properties || {});
+    const geometry = properties && simplifyGeometry(feature.geometry, tolerance);
+    if (!geometry) continue;
+
+    points += countPoints(geometry);
+    features.push({ type: 'Feature', properties, geometry });
+  }
+
+  const dataset = /2017|resolve/i.test(input) ? 'RESOLVE Ecoregions 2017' : path.basename(input, '.geojson');
+  const json = JSON.stringify({ type: 'FeatureCollection', dataset, features });
+  fs.writeFileSync(output, zlib.gzipSync(json, { level: 9 }));
+
+  console.log(`✅ ${features.length} ecoregions, ${points} points (tolerance ${tolerance}°)`);
+  console.log(`   ${path.relative(process.cwd(), output)}: ${(fs.statSync(output).size / 1024 / 1024).toFixed(1)} MB`);
+}
+
+build();
@@ -1,78 +1,58 @@
-// Check EcoregionSpeciesService cache for existing species data
-const EcoregionSpeciesService = require('./services/EcoregionSpeciesService');
+// Inspect the persisted species cache (data/species-cache.json or SPECIES_CACHE_PATH)
+//   node inspect-cache.js [class] [latitude longitude [radiusKm]]
+require('dotenv').config();
+const RobustSpeciesService = require('./services/RobustSpeciesService');
 
-function inspectCache() {
-  console.log('🔍 Inspecting EcoregionSpeciesService Cache');
-  console.log('📍 Looking for cached species data...\n');
+const [className, latitude, longitude, radiusKm] = process.argv.slice(2);
+
+async function inspectCache() {
+  console.log('🔍 Inspecting species cache');
   
-  try {
-    const ecoService = new EcoregionSpeciesService();
-    
-    // Check if cache has any data
-    console.log(`📊 Cache size: ${ecoService.speciesCache.size} entries`);
-    
-    if (ecoService.speciesCache.size === 0) {
-      console.log('❌ No cached data found');
-      console.log('💡 This means GBIF API calls haven\'t completed successfully yet');
-      return;
-    }
-    
-    // Show all cached locations
-    console.log('🗺️  CACHED LOCATIONS:');
-    for (const [locationKey, cacheEntry] of ecoService.speciesCache.entries()) {
-      const timestamp = new Date(cacheEntry.timestamp).toLocaleString();
-      const lat = cacheEntry.location.latitude;
-      const lng = cacheEntry.location.longitude;
-      
-      console.log(`\n📍 Location: ${locationKey} (${lat}, ${lng})`);
-      console.log(`⏰ Cached: ${timestamp}`);
-      console.log(`🌍 Ecoregion: ${cacheEntry.data.ecoregion?.name || 'Unknown'}`);
-      console.log(`📊 Total species: ${cacheEntry.data.summary.total}`);
-      
-      // Show species count by class
-      console.log('📋 Species by class:');
-      const classes = ['birds', 'mammals', 'insects', 'fish', 'reptiles', 'amphibians'];
-      classes.forEach(className => {
-        const count = cacheEntry.data.summary.byClass[className] || 0;
-        const icon = getIcon(className);
-        console.log(`  ${icon} ${className}: ${count}`);
-      });
-      
-      // Show 5 species from each class that has data
-      console.log('\n🔬 SAMPLE SPECIES (5 per class):');
-      classes.forEach(className => {
-        const species = cacheEntry.data.species[className] || [];
-        const icon = getIcon(className);
-        
-        if (species.length > 0) {
-          console.log(`\n${icon} ${className.toUpperCase()} (${species.length} total):`);
-          species.slice(0, 5).forEach((sp, i) => {
-            const name = sp.name || sp.scientificName || 'Unknown';
-            const scientific = sp.scientificName && sp.name !== sp.scientificName ? ` (${sp.scientificName})` : '';
-            console.log(`  ${i+1}. ${name}${scientific}`);
-            if (sp.habitat) console.log(`     Habitat: ${sp.habitat}`);
-          });
-        } else {
-          console.log(`\n${icon} ${className.toUpperCase()}: No species cached`);
-        }
-      });
-    }
-    
-  } catch (error) {
-    console.log(`❌ Error inspecting cache: ${error.message}`);
+  const speciesService = new RobustSpeciesService();
+  await speciesService.cacheReady;
+
+  const stats = speciesService.getCacheStats();
+  console.log(`📁 Snapshot: ${stats.store.filePath}${stats.store.enabled ? '' : ' (persistence disabled)'}`);
+  console.log(`📊 Cache size: ${stats.totalEntries} entries, ${stats.expiredEntries} expired`);
+  console.log(`⏳ TTL (hours): ${JSON.stringify(stats.ttlHours)}\n`);
+
+  const filter = {};
+  if (className && className !== 'all') filter.className = className;
+  if (latitude !== undefined && longitude !== undefined) {
+    filter.latitude = parseFloat(latitude);
+    filter.longitude = parseFloat(longitude);
+    if (radiusKm !== undefined) filter.radiusKm = parseFloat(radiusKm);
   }
-}
 
-function getIcon(category) {
-  const icons = {
-    birds: '🐦',
-    mammals: '🐾', 
-    insects: '🦋',
-    fish: '🐟',
-    reptiles: '🦎',
-    amphibians: '🐸'
-  };
-  return icons[category] || '🔬';
+  const entries = speciesService.listCacheEntries(filter);
+  if (entries.length === 0) {
+    console.log('❌ No cached data found');
+    console.log('💡 Pools are cached after the first session or species request for a location');
+    return;
+  }
+
+  for (const entry of entries) {
+    const { latitude: lat, longitude: lng } = entry.location || {};
+    console.log(`📍 ${entry.key} (${lat}, ${lng})`);
+    console.log(`   ⏰ Cached: ${new Date(entry.timestamp).toLocaleString()}${entry.expired ? ' — EXPIRED' : ''}`);
+    console.log(`   🔄 Expires: ${entry.expiresAt ? new Date(entry.expiresAt).toLocaleString() : 'n/a'}`);
+    console.log(`   📊 ${entry.count} species, sources ${JSON.stringify(entry.provenance)}`);
+    if (entry.lastUsed) console.log(`   🕒 Last used: ${new Date(entry.lastUsed).toLocaleString()}`);
+
+    // Most recently used first, then up to 5 more
+    const species = speciesService.cache.get(entry.key).species
+      .slice()
+      .sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0))
+      .slice(0, 5);
+    species.forEach((sp, i) => {
+      const scientific = sp.scientificName && sp.name !== sp.scientificName ? ` (${sp.scientificName})` : '';
+      const used = sp.lastUsed ? `, used ${new Date(sp.lastUsed).toLocaleDateString()}` : '';
+      console.log(`     ${i + 1}. ${sp.name}${scientific} [${(sp.sources || [sp.source]).join(', ')}${used}]`);
+    });
+    console.log('');
+  }
 }
 
-inspectCache();
\ No newline at end of file
+inspectCache().catch(error => {
+  console.log(`❌ Error inspecting cache: ${error.message}`);
+});
@@ -0,0 +1,97 @@
+// locales/de.js
+
+/**
+ * German (Germany)
+ */
+const timesOfDay = {
+  dawn: 'der Morgendämmerung',
+  morning: 'des Morgens',
+  afternoon: 'des Nachmittags',
+  evening: 'des Abends',
+  dusk: 'der Abenddämmerung',
+  night: 'der Nacht'
+};
+
+module.exports = {
+  code: 'de',
+  name: 'German',
+  nativeName: 'Deutsch',
+  ttsLanguageCode: 'de-DE',
+  voice: 'de-DE-Standard-B',
+  gbifLanguage: 'deu',
+  inaturalistLocale: 'de',
+
+  weather: {
+    clear: 'Der Himmel ist klar und weit, nichts versperrt den Blick nach oben',
+    clouds: 'Wolken ziehen über den Himmel, ein wechselndes Spiel aus Licht und Schatten',
+    rain: 'Der Regen fällt gleichmäßig, jeder Tropfen ein kleiner Schlag im Rhythmus der Natur',
+    drizzle: 'Ein feiner Nieselregen liegt in der Luft, sanft und beständig',
+    thunderstorm: 'In der Ferne rollt der Donner, das große Schlagwerk der Natur',
+    snow: 'Schnee fällt leise, jede Flocke ein einzigartiger Kristall',
+    mist: 'Dunst hängt in der Luft und macht die Ränder der Welt weich',
+    fog: 'Nebel legt sich über die Landschaft und schafft einen stillen, geborgenen Raum',
+    wind: 'Wind bewegt die Luft, unsichtbar und doch kraftvoll gegenwärtig',
+    unknown: 'Aktuelle Wetterbedingungen'
+  },
+
+  validation: {
+    forbiddenPhrases: [
+      'Diese bemerkenswerten Geschöpfe',
+      'Diese bemerkenswerten Kreaturen',
+      'Du musst deine Gedanken nicht kontrollieren',
+      'Verbinde dich mit deinem inneren'
+    ],
+    pauseWords: ['Pause'],
+    dayWords: ['Tag']
+  },
+
+  fallbackScript({ duration, timeOfDay, moon, temperature, weatherDescription, speciesName }) {
+    const timeDescription = duration < 300 ? 'kurzen' : duration < 600 ? 'sanften' : 'tiefen';
+    const when = timesOfDay[timeOfDay] || 'dieser Tageszeit';
+    let lunarText = '';
+    if (moon === 'rising') {
+      lunarText = ' Der Mond steigt am Himmel auf.';
+    } else if (moon === 'full') {
+      lunarText = ' Mondlicht dringt durch die Luft.';
+    }
+
+    return `Willkommen zu diesem ${timeDescription} Moment der Stille.
+
+Stell dir vor, du bist draußen in der Natur, zur Zeit ${when}, dort, wo ${speciesName || 'ein Vogel'} seinem eigenen Rhythmus folgt.${lunarText}
+
+Bemerke den Rhythmus deines Atems. Die Luft hat ${Math.round(temperature)} °C. ${weatherDescription}.
+
+Beobachte dieses Wesen, wie es sich zielstrebig bewegt und mit derselben Aufmerksamkeit auf seine Umgebung antwortet, die du in diesen Moment bringst.
+
+Jeder Atemzug verbindet dich mit diesem Ort, mit genau dieser Zeit.
+
+Nichts zu erreichen. Einfach da sein.
+
+Während diese Meditation endet, setzt die Natur um dich herum ihre uralten Kreisläufe fort.`;
+  },
+
+  sessionFallbackScript({ duration }) {
+    const timeDescription = duration < 300 ? 'kurzen' : duration < 600 ? 'sanften' : 'tiefen';
+
+    return `Willkommen zu diesem ${timeDescription} Moment der Stille.
+
+Finde eine bequeme Haltung und lass deine Aufmerksamkeit zur Ruhe kommen. Bemerke den Rhythmus deines Atems, ohne ihn zu erzwingen oder zu lenken, einfach beobachtend.
+
+In der Natur findet jedes Lebewesen seinen Rhythmus. Blätter, die sich langsam entfalten, Wasser, das geduldig über Stein fließt, der stetige Schlag von Flügeln im Flug. Auch du bist Teil dieses lebendigen Gewebes.
+
+Lass deine Gedanken wie Wolken über einen weiten Himmel ziehen. Manche dunkel, manche hell, alle vorübergehend. Jeder Atemzug verbindet dich mit den uralten Kreisläufen des Lebens, mit derselben Luft, die unzählige Generationen getragen hat.
+
+Es gibt keinen Ort, an dem du sein musst, nichts, was du tun musst. Nur diesen Moment, nur diesen Atemzug, nur dieses sanfte Gewahrsein, lebendig zu sein.
+
+Zum Abschluss nimm dieses Gefühl natürlichen Rhythmus mit dir. Du bist nicht getrennt von der Natur, du bist Natur, die sich selbst mit Staunen betrachtet.`;
+  },
+
+  // Spoken when testing a TTS engine from the admin dashboard
+  sampleSentence: 'Atme langsam ein und nimm die lebendige Welt um dich herum wahr.',
+
+  fallbackSession: {
+    speciesName: 'Natürliche Umgebung',
+    speciesDescription: 'Die lebendige Welt um dich herum',
+    weatherDescription: 'Aktuelle Bedingungen'
+  }
+};
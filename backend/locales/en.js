@@ -0,0 +1,97 @@
+// locales/en.js
+
+/**
+ * English - the default language
+ * Each locale supplies the TTS voice, GBIF/iNaturalist name lookups, weather
+ * enrichment text, fallback scripts and script validation rules for one language.
+ */
+module.exports = {
+  code: 'en',
+  name: 'English',
+  nativeName: 'English',
+  ttsLanguageCode: 'en-GB',
+  voice: 'en-GB-Standard-B', // Google Cloud male British voice
+  gbifLanguage: 'eng',
+  inaturalistLocale: 'en',
+
+  weather: {
+    clear: 'The sky is clear and open, with unobstructed views above',
+    clouds: 'Clouds drift across the sky, ever-changing patterns of light and shadow',
+    rain: 'Rain falls steadily, each drop a small percussion in nature\'s rhythm',
+    drizzle: 'A gentle drizzle mists the air, soft and persistent',
+    thunderstorm: 'Thunder rolls in the distance, nature\'s grand percussion',
+    snow: 'Snow falls quietly, each flake a unique crystalline creation',
+    mist: 'Mist hangs in the air, softening the edges of the world',
+    fog: 'Fog blankets the landscape, creating an intimate, enclosed space',
+    wind: 'Wind moves through the air, invisible but powerfully present',
+    unknown: 'Current weather conditions'
+  },
+
+  // Used by ScriptValidator; mirrors the FORBIDDEN sections of the prompt templates
+  validation: {
+    forbiddenPhrases: [
+      'These remarkable creatures',
+      'You need not control your thoughts',
+      'Let go of',
+      'Connect with your inner'
+    ],
+    pauseWords: ['pause'],
+    dayWords: ['day']
+  },
+
+  /**
+   * Fallback script when AI generation fails
+   * @param {Object} params - { duration, speciesName, behaviorText, timeOfDay, moon ('rising'|'full'|null), temperature, weatherDescription }
+   */
+  fallbackScript({ duration, speciesName, behaviorText, timeOfDay, moon, temperature, weatherDescription }) {
+    const timeDescription = duration < 300 ? 'brief' : duration < 600 ? 'gentle' : 'deep';
+    let lunarText = '';
+    if (moon === 'rising') {
+      lunarText = ` The moon is rising in the ${timeOfDay} sky.`;
+    } else if (moon === 'full') {
+      lunarText = ` Moonlight filters through the ${timeOfDay} air.`;
+    }
+
+    return `Welcome to this ${timeDescription} moment of stillness.
+
+Find yourself in nature during ${timeOfDay}, where ${speciesName || 'a bird'} is ${behaviorText || 'moving through its habitat'}.${lunarText}
+
+Notice the rhythm of your breath. The air is ${Math.round(temperature)}°C. ${weatherDescription}.
+
+Watch this creature moving with purpose, responding to its environment with the same awareness you bring to this moment.
+
+Each breath connects you here, to this particular place, this particular time.
+
+Nothing to achieve. Simply present.
+
+As this meditation closes, the natural world continues its ancient patterns around you.`;
+  },
+
+  /**
+   * Script for sessions where the whole pipeline failed (no species or weather)
+   */
+  sessionFallbackScript({ duration }) {
+    const timeDescription = duration < 300 ? 'brief' : duration < 600 ? 'gentle' : 'deep';
+
+    return `Welcome to this ${timeDescription} moment of stillness.
+
+Find yourself a comfortable position, and allow your awareness to settle. Notice the rhythm of your breath—neither forcing nor controlling, simply observing.
+
+In the natural world, every creature finds its rhythm. The slow unfurling of leaves, the patient flow of water over stone, the steady beat of wings in flight. You too are part of this living tapestry.
+
+Let your thoughts drift like clouds across an open sky. Some dark, some light, all passing. Each breath connects you to the ancient patterns of life—the same air that has sustained countless generations.
+
+There is nowhere you need to be, nothing you need to do. Just this moment, just this breath, just this gentle awareness of being alive.
+
+As we come to a close, carry this sense of natural rhythm with you. You are not separate from nature—you are nature, observing itself with wonder.`;
+  },
+
+  // Spoken when testing a TTS engine from the admin dashboard
+  sampleSentence: 'Take a slow breath, and notice the living world around you.',
+
+  fallbackSession: {
+    speciesName: 'Natural Surroundings',
+    speciesDescription: 'The living world around you',
+    weatherDescription: 'Current conditions'
+  }
+};
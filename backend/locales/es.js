@@ -0,0 +1,97 @@
+// locales/es.js
+
+/**
+ * Spanish (Spain)
+ */
+const timesOfDay = {
+  dawn: 'el amanecer',
+  morning: 'la mañana',
+  afternoon: 'la tarde',
+  evening: 'el atardecer',
+  dusk: 'el anochecer',
+  night: 'la noche'
+};
+
+module.exports = {
+  code: 'es',
+  name: 'Spanish',
+  nativeName: 'Español',
+  ttsLanguageCode: 'es-ES',
+  voice: 'es-ES-Standard-B',
+  gbifLanguage: 'spa',
+  inaturalistLocale: 'es',
+
+  weather: {
+    clear: 'El cielo está despejado y abierto, sin nada que interrumpa la vista',
+    clouds: 'Las nubes cruzan el cielo, en un juego cambiante de luz y sombra',
+    rain: 'La lluvia cae sin prisa, cada gota una pequeña percusión en el ritmo de la naturaleza',
+    drizzle: 'Una llovizna suave humedece el aire, ligera y persistente',
+    thunderstorm: 'El trueno retumba a lo lejos, la gran percusión de la naturaleza',
+    snow: 'La nieve cae en silencio, cada copo una creación cristalina única',
+    mist: 'La neblina flota en el aire y suaviza los contornos del mundo',
+    fog: 'La niebla cubre el paisaje y crea un espacio íntimo y recogido',
+    wind: 'El viento recorre el aire, invisible pero intensamente presente',
+    unknown: 'Condiciones meteorológicas actuales'
+  },
+
+  validation: {
+    forbiddenPhrases: [
+      'Estas criaturas extraordinarias',
+      'Estas criaturas notables',
+      'No necesitas controlar tus pensamientos',
+      'Conecta con tu interior'
+    ],
+    pauseWords: ['pausa'],
+    dayWords: ['día', 'dia']
+  },
+
+  fallbackScript({ duration, timeOfDay, moon, temperature, weatherDescription, speciesName }) {
+    const timeDescription = duration < 300 ? 'breve' : duration < 600 ? 'sereno' : 'profundo';
+    const when = timesOfDay[timeOfDay] || 'este momento del día';
+    let lunarText = '';
+    if (moon === 'rising') {
+      lunarText = ' La luna se eleva en el cielo.';
+    } else if (moon === 'full') {
+      lunarText = ' La luz de la luna se filtra en el aire.';
+    }
+
+    return `Bienvenido a este ${timeDescription} momento de quietud.
+
+Imagínate en plena naturaleza durante ${when}, donde ${speciesName || 'un ave'} sigue su propio ritmo.${lunarText}
+
+Observa el ritmo de tu respiración. El aire está a ${Math.round(temperature)} °C. ${weatherDescription}.
+
+Contempla a este ser que se mueve con propósito, atento a su entorno con la misma atención que tú traes a este instante.
+
+Cada respiración te une a este lugar, a este momento concreto.
+
+Nada que conseguir. Simplemente estar presente.
+
+Al cerrar esta meditación, el mundo natural continúa a tu alrededor con sus antiguos ciclos.`;
+  },
+
+  sessionFallbackScript({ duration }) {
+    const timeDescription = duration < 300 ? 'breve' : duration < 600 ? 'sereno' : 'profundo';
+
+    return `Bienvenido a este ${timeDescription} momento de quietud.
+
+Busca una postura cómoda y deja que tu atención se asiente. Observa el ritmo de tu respiración, sin forzarla ni controlarla, simplemente observando.
+
+En el mundo natural, cada criatura encuentra su ritmo. Las hojas que se despliegan despacio, el agua que fluye paciente sobre la piedra, el latido constante de unas alas en vuelo. Tú también formas parte de este tejido vivo.
+
+Deja que tus pensamientos pasen como nubes en un cielo abierto. Algunas oscuras, otras claras, todas de paso. Cada respiración te une a los antiguos ciclos de la vida, al mismo aire que ha sostenido a incontables generaciones.
+
+No hay ningún lugar al que debas ir, nada que debas hacer. Solo este momento, solo esta respiración, solo esta suave conciencia de estar vivo.
+
+Al llegar al final, lleva contigo esta sensación de ritmo natural. No estás separado de la naturaleza: eres naturaleza, observándose a sí misma con asombro.`;
+  },
+
+  // Spoken when testing a TTS engine from the admin dashboard
+  sampleSentence: 'Respira despacio y observa el mundo vivo que te rodea.',
+
+  fallbackSession: {
+    speciesName: 'Entorno natural',
+    speciesDescription: 'El mundo vivo que te rodea',
+    weatherDescription: 'Condiciones actuales'
+  }
+};
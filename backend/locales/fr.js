@@ -0,0 +1,96 @@
+// locales/fr.js
+
+/**
+ * French (France)
+ */
+const timesOfDay = {
+  dawn: "l'aube",
+  morning: 'la matinée',
+  afternoon: "l'après-midi",
+  evening: 'la soirée',
+  dusk: 'le crépuscule',
+  night: 'la nuit'
+};
+
+module.exports = {
+  code: 'fr',
+  name: 'French',
+  nativeName: 'Français',
+  ttsLanguageCode: 'fr-FR',
+  voice: 'fr-FR-Standard-B',
+  gbifLanguage: 'fra',
+  inaturalistLocale: 'fr',
+
+  weather: {
+    clear: 'Le ciel est dégagé et ouvert, rien ne limite le regard',
+    clouds: "Les nuages dérivent dans le ciel, jeux changeants d'ombre et de lumière",
+    rain: 'La pluie tombe régulièrement, chaque goutte une petite percussion dans le rythme de la nature',
+    drizzle: "Une bruine légère voile l'air, douce et persistante",
+    thunderstorm: 'Le tonnerre gronde au loin, grande percussion de la nature',
+    snow: 'La neige tombe en silence, chaque flocon une création cristalline unique',
+    mist: "La brume flotte dans l'air et adoucit les contours du monde",
+    fog: 'Le brouillard recouvre le paysage et crée un espace intime et enveloppant',
+    wind: "Le vent traverse l'air, invisible mais puissamment présent",
+    unknown: 'Conditions météorologiques actuelles'
+  },
+
+  validation: {
+    forbiddenPhrases: [
+      'Ces créatures remarquables',
+      'Vous n\'avez pas besoin de contrôler vos pensées',
+      'Connectez-vous à votre'
+    ],
+    pauseWords: ['pause'],
+    dayWords: ['jour']
+  },
+
+  fallbackScript({ duration, timeOfDay, moon, temperature, weatherDescription, speciesName }) {
+    const timeDescription = duration < 300 ? 'bref' : duration < 600 ? 'doux' : 'profond';
+    const when = timesOfDay[timeOfDay] || 'ce moment de la journée';
+    let lunarText = '';
+    if (moon === 'rising') {
+      lunarText = ' La lune se lève dans le ciel.';
+    } else if (moon === 'full') {
+      lunarText = " Le clair de lune filtre à travers l'air.";
+    }
+
+    return `Bienvenue dans ce ${timeDescription} moment de calme.
+
+Imaginez-vous dans la nature, pendant ${when}, là où ${speciesName || 'un oiseau'} suit son propre rythme.${lunarText}
+
+Remarquez le rythme de votre respiration. L'air est à ${Math.round(temperature)} °C. ${weatherDescription}.
+
+Observez cet être qui se déplace avec intention, attentif à son environnement avec la même présence que vous apportez à cet instant.
+
+Chaque respiration vous relie à ce lieu, à ce moment précis.
+
+Rien à accomplir. Simplement être là.
+
+Alors que cette méditation se termine, le monde naturel poursuit autour de vous ses cycles anciens.`;
+  },
+
+  sessionFallbackScript({ duration }) {
+    const timeDescription = duration < 300 ? 'bref' : duration < 600 ? 'doux' : 'profond';
+
+    return `Bienvenue dans ce ${timeDescription} moment de calme.
+
+Trouvez une position confortable et laissez votre attention se poser. Remarquez le rythme de votre respiration, sans la forcer ni la contrôler, simplement en l'observant.
+
+Dans le monde naturel, chaque être trouve son rythme. Les feuilles qui se déploient lentement, l'eau qui coule patiemment sur la pierre, le battement régulier des ailes en vol. Vous aussi faites partie de cette trame vivante.
+
+Laissez vos pensées passer comme des nuages dans un ciel ouvert. Certaines sombres, d'autres claires, toutes passagères. Chaque respiration vous relie aux cycles anciens de la vie, à ce même air qui a nourri d'innombrables générations.
+
+Nulle part où aller, rien à faire. Seulement cet instant, seulement cette respiration, seulement cette douce conscience d'être vivant.
+
+En arrivant à la fin, emportez avec vous ce sentiment de rythme naturel. Vous n'êtes pas séparé de la nature : vous êtes la nature, qui s'observe elle-même avec émerveillement.`;
+  },
+
+  // Spoken when testing a TTS engine from the admin dashboard
+  sampleSentence: 'Respirez lentement, et remarquez le monde vivant qui vous entoure.',
+
+  fallbackSession: {
+    speciesName: 'Environnement naturel',
+    speciesDescription: 'Le monde vivant qui vous entoure',
+    weatherDescription: 'Conditions actuelles'
+  }
+};
@@ -0,0 +1,20 @@
+// locales/index.js
+const en = require('./en');
+const es = require('./es');
+const fr = require('./fr');
+const de = require('./de');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const locales = { en, es, fr, de };
+
+/**
+ * Locale for a language code, falling back to English
+ * @param {string} code - e.g. 'es'
+ * @returns {Object}
+ */
+function getLocale(code) {
+  return locales[code] || locales[DEFAULT_LANGUAGE];
+}
+
+module.exports = { locales, DEFAULT_LANGUAGE, getLocale };
@@ -0,0 +1,55 @@
+// middleware/userAuth.js
+const { getInstance: getUserService } = require('../services/UserService');
+const logger = require('../utils/logger');
+
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.slice('Bearer '.length).trim() || null;
+}
+
+/**
+ * Attach req.user when a valid bearer token is present.
+ * Requests without a token continue anonymously; an invalid token is rejected.
+ */
+async function optionalUserAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const user = await getUserService().authenticate(token);
+
+    if (!user) {
+      logger.warn('Invalid user token', { ip: req.ip, path: req.path });
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication failed',
+        message: 'Your session token is invalid or has expired. Please log in again.'
+      });
+    }
+
+    req.user = user;
+    req.userToken = token;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a valid bearer token
+ */
+async function requireUserAuth(req, res, next) {
+  if (!getBearerToken(req)) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="Momentus"');
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'Please log in to access this resource.'
+    });
+  }
+
+  return optionalUserAuth(req, res, next);
+}
+
+module.exports = { optionalUserAuth, requireUserAuth };
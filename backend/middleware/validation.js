@@ -1,8 +1,10 @@
 // middleware/validation.js
+const { getInstance: getLanguageService } = require('../services/LanguageService');
+const { getInstance: getBreathPacerService } = require('../services/BreathPacerService');
 const logger = require('../utils/logger');
 
-function validateSessionRequest(req, res, next) {
-  const { latitude, longitude, preferences } = req.body;
+async function validateSessionRequest(req, res, next) {
+  const { latitude, longitude, preferences, previousLocation } = req.body;
 
   const errors = [];
 
@@ -18,6 +20,15 @@ function validateSessionRequest(req, res, next) {
     errors.push('longitude must be a number between -180 and 180');
   }
 
+  // Anonymous clients send the location they last loaded species for
+  if (previousLocation !== undefined && previousLocation !== null) {
+    if (typeof previousLocation !== 'object' ||
+        typeof previousLocation.latitude !== 'number' || previousLocation.latitude < -90 || previousLocation.latitude > 90 ||
+        typeof previousLocation.longitude !== 'number' || previousLocation.longitude < -180 || previousLocation.longitude > 180) {
+      errors.push('previousLocation must be { latitude, longitude } with valid coordinates');
+    }
+  }
+
   if (preferences !== undefined) {
     if (typeof preferences !== 'object' || Array.isArray(preferences)) {
       errors.push('preferences must be an object');
@@ -41,6 +52,16 @@ function validateSessionRequest(req, res, next) {
           errors.push(`preferences.speciesType must be one of: ${validTypes.join(', ')}`);
         }
       }
+
+      if (preferences.language !== undefined) {
+        const languageService = getLanguageService();
+        if (typeof preferences.language !== 'string' || !(await languageService.isSupported(preferences.language))) {
+          const supported = (await languageService.getSupportedLanguages()).map(language => language.code);
+          errors.push(`preferences.language must be one of: ${supported.join(', ')}`);
+        }
+      }
+
+      errors.push(...getBreathPacerService().validate(preferences.breathPacer));
     }
   }
 
@@ -57,4 +78,30 @@ function validateSessionRequest(req, res, next) {
   next();
 }
 
-module.exports = { validateSessionRequest };
\ No newline at end of file
+function validateCredentials(req, res, next) {
+  const { username, password } = req.body;
+
+  const errors = [];
+
+  if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(username.trim())) {
+    errors.push('username must be 3-32 characters of letters, numbers, dots, dashes or underscores');
+  }
+
+  if (typeof password !== 'string' || password.length < 8 || password.length > 128) {
+    errors.push('password must be between 8 and 128 characters');
+  }
+
+  if (errors.length > 0) {
+    logger.warn('Credentials validation failed', { errors, username: typeof username === 'string' ? username : undefined });
+
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+}
+
+module.exports = { validateSessionRequest, validateCredentials };
\ No newline at end of file
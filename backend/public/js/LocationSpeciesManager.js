@@ -21,9 +21,11 @@ class LocationSpeciesManager {
         headers: {
           'Content-Type': 'application/json'
         },
+        // The server compares against the location we last loaded species for
         body: JSON.stringify({
           latitude,
           longitude,
+          previousLocation: this.lastKnownLocation,
           userConfirmed: skipConfirmation
         })
       });
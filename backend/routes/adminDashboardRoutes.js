@@ -3,8 +3,13 @@ const express = require('express');
 const router = express.Router();
 const { getInstance: getAIProvider } = require('../services/AIProviderService');
 const { getInstance: getSessionManager } = require('../services/SessionManager');
+const { getInstance: getUsageLedger } = require('../services/UsageLedgerService');
+const { getInstance: getPromptTemplates } = require('../services/PromptTemplateService');
+const { getInstance: getLanguageService } = require('../services/LanguageService');
+const { getInstance: getTTSService } = require('../services/TTSService');
 const FeedbackAnalyzerService = require('../services/FeedbackAnalyzerService');
 const logger = require('../utils/logger');
+const { openEventStream } = require('../utils/sse');
 
 /**
  * Admin Dashboard Routes
@@ -29,24 +34,48 @@ router.get('/ai-config', async (req, res, next) => {
 // Update AI configuration
 router.post('/ai-config', async (req, res, next) => {
   try {
-    const { provider, model } = req.body;
+    const { provider, model, fallbackChain, local } = req.body;
 
-    if (!provider || !model) {
+    if ((!provider || !model) && fallbackChain === undefined && local === undefined) {
       return res.status(400).json({
         success: false,
-        error: 'Provider and model are required'
+        error: 'Provider and model (or fallbackChain / local settings) are required'
       });
     }
 
     const aiProvider = getAIProvider();
-    const updatedConfig = aiProvider.setConfig(provider, model);
 
-    logger.info('AI configuration updated via admin dashboard', { provider, model });
+    try {
+      // Local server settings first so a new local model can be selected in the same request
+      if (local !== undefined) {
+        aiProvider.configureLocalProvider(local || { baseUrl: null });
+      }
+      if (fallbackChain !== undefined) {
+        aiProvider.setFallbackChain(fallbackChain);
+      }
+      if (provider && model) {
+        aiProvider.setConfig(provider, model);
+      }
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    logger.info('AI configuration updated via admin dashboard', {
+      provider,
+      model,
+      fallbackChain,
+      localBaseUrl: local ? local.baseUrl : undefined
+    });
 
     res.json({
       success: true,
-      config: updatedConfig,
-      message: `AI provider set to ${provider} with model ${model}`
+      config: aiProvider.getConfig(),
+      message: provider && model
+        ? `AI provider set to ${provider} with model ${model}`
+        : 'AI provider settings updated'
     });
   } catch (error) {
     next(error);
@@ -77,6 +106,170 @@ router.post('/test-ai', async (req, res, next) => {
   }
 });
 
+// Get current TTS engine selection and what each engine can do
+router.get('/tts-config', async (req, res, next) => {
+  try {
+    const ttsService = getTTSService();
+    await ttsService.ready;
+
+    res.json({
+      success: true,
+      config: ttsService.getConfig()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Select the TTS engine
+router.post('/tts-config', async (req, res, next) => {
+  try {
+    const { engine } = req.body;
+
+    if (!engine) {
+      return res.status(400).json({
+        success: false,
+        error: 'Engine is required'
+      });
+    }
+
+    const ttsService = getTTSService();
+    await ttsService.ready;
+
+    let config;
+    try {
+      config = ttsService.setEngine(engine);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    logger.info('TTS engine updated via admin dashboard', { engine });
+
+    res.json({
+      success: true,
+      config,
+      message: `TTS engine set to ${engine}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Speak a sample sentence with a TTS engine
+router.post('/test-tts', async (req, res, next) => {
+  try {
+    const { engine, language } = req.body;
+    const ttsService = getTTSService();
+    await ttsService.ready;
+
+    if (!engine || !ttsService.engines[engine]) {
+      return res.status(400).json({
+        success: false,
+        error: `Engine must be one of: ${Object.keys(ttsService.engines).join(', ')}`
+      });
+    }
+
+    const testResult = await ttsService.testEngine(engine, language);
+
+    res.json({
+      success: testResult.success,
+      result: testResult
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// AI token usage and cost: today, this month, daily/monthly rollups and budgets
+router.get('/usage', async (req, res, next) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 30, 366);
+    const months = Math.min(parseInt(req.query.months, 10) || 12, 60);
+
+    const usage = await getUsageLedger().getUsage({ days, months });
+
+    res.json({
+      success: true,
+      usage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Script validation failures per rule, broken down by provider and model
+router.get('/script-validation', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    const stats = await getSessionManager().getScriptValidationStats({ from, to });
+
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update daily/monthly budgets (null clears a limit) and the over-budget mode
+router.post('/usage/budgets', async (req, res, next) => {
+  try {
+    const { dailyUsd, monthlyUsd, mode } = req.body;
+
+    let budgets;
+    try {
+      budgets = getUsageLedger().setBudgets({ dailyUsd, monthlyUsd, mode });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    logger.info('AI usage budgets updated via admin dashboard', budgets);
+
+    res.json({
+      success: true,
+      budgets: getUsageLedger().getBudgetStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set per-model prices in USD per 1M tokens: { prices: { model: { input, output } } }
+router.post('/usage/prices', async (req, res, next) => {
+  try {
+    let priceTable;
+    try {
+      priceTable = getUsageLedger().setPrices(req.body.prices);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      priceTable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Test species identification robustness for a location
 router.post('/test-species', async (req, res, next) => {
   try {
@@ -95,9 +288,11 @@ router.post('/test-species', async (req, res, next) => {
     const speciesService = sessionManager.speciesService;
 
     // Test RobustSpeciesService with comprehensive fallback system - request 50 species per class
-  const speciesResults = await speciesService.getSpeciesForMeditation(latitude, longitude, null, 50);
-  // If GBIF returned a diagnostic error (non-JSON or rate limit), include it for admin debugging
-  const gbifDiagnostic = speciesService.lastGBIFError || null;
+    const startedAt = new Date().toISOString();
+    const speciesResults = await speciesService.getSpeciesForMeditation(latitude, longitude, null, 50);
+    // If GBIF failed during this test (non-JSON or rate limit), include the error for admin debugging
+    const gbifError = speciesService.sourceStats.GBIF.lastError;
+    const gbifDiagnostic = gbifError && gbifError.at >= startedAt ? gbifError : null;
       
       let totalSpecies = 0;
       let sourceBreakdown = {};
@@ -108,7 +303,8 @@ router.post('/test-species', async (req, res, next) => {
         sourceBreakdown[categoryResult.type] = {
           count: categoryResult.count,
           source: categoryResult.source,
-          species: categoryResult.species.map(s => s.name)
+          species: categoryResult.species.map(s => s.name),
+          seasonal: await describeSeasonalWeights(speciesService, latitude, longitude, categoryResult.species)
         };
       }
 
@@ -139,7 +335,8 @@ router.post('/test-species', async (req, res, next) => {
           class: categoryData.displayName || categoryName.charAt(0).toUpperCase() + categoryName.slice(1),
           count: categoryData.count,
           species: categoryData.species,
-          sources: [categoryData.source]
+          sources: [categoryData.source],
+          seasonal: categoryData.seasonal
         });
       }
 
@@ -158,6 +355,10 @@ router.post('/test-species', async (req, res, next) => {
         results,
         categories,
         sourceBreakdown,
+        seasonalWeighting: {
+          date: new Date().toISOString().slice(0, 10),
+          phenology: speciesService.phenology.getStats()
+        },
         systemStatus: 'RobustSpeciesService with guaranteed fallbacks',
         timestamp: new Date().toISOString()
       };
@@ -229,7 +430,7 @@ router.get('/stats', async (req, res, next) => {
     const aiProvider = getAIProvider();
 
     const stats = {
-      session: sessionManager.getStats(),
+      session: await sessionManager.getStats(),
       ai: aiProvider.getStats(),
       timestamp: new Date().toISOString()
     };
@@ -297,6 +498,155 @@ router.post('/species-config', async (req, res, next) => {
   }
 });
 
+// A class's candidates with their seasonal weighting, most likely pick first, for test-species
+async function describeSeasonalWeights(speciesService, latitude, longitude, species) {
+  const weighted = await speciesService.seasonalWeights(latitude, longitude, species);
+  const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+
+  return weighted
+    .map(({ species: candidate, baseWeight, weight, ...seasonal }) => ({
+      name: candidate.name,
+      scientificName: candidate.scientificName || null,
+      sources: candidate.sources || [speciesService.sourceKey(candidate.source)],
+      ...seasonal,
+      baseWeight,
+      weight: Math.round(weight * 1000) / 1000,
+      pickChance: total > 0 ? Math.round(weight / total * 1000) / 1000 : 0
+    }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+// Species cache filter from query parameters: key, latitude + longitude (+ radiusKm), class
+function parseSpeciesCacheFilter(query, speciesService) {
+  const filter = {};
+  if (query.key) filter.key = String(query.key);
+
+  if (query.latitude !== undefined || query.longitude !== undefined) {
+    const latitude = Number(query.latitude);
+    const longitude = Number(query.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: 'latitude and longitude must be valid coordinates' };
+    }
+    filter.latitude = latitude;
+    filter.longitude = longitude;
+  }
+
+  if (query.radiusKm !== undefined) {
+    const radiusKm = Number(query.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm < 0 || filter.latitude === undefined) {
+      return { error: 'radiusKm must be a non-negative number and needs latitude and longitude' };
+    }
+    filter.radiusKm = radiusKm;
+  }
+
+  if (query.class) {
+    const classNames = speciesService.taxonomicClasses.map(cls => cls.name);
+    if (!classNames.includes(query.class)) {
+      return { error: `class must be one of: ${classNames.join(', ')}` };
+    }
+    filter.className = query.class;
+  }
+
+  return { filter };
+}
+
+// List species cache entries: ?latitude=&longitude=&radiusKm=&class=
+router.get('/species-cache', async (req, res, next) => {
+  try {
+    const speciesService = getSessionManager().speciesService;
+    const { filter, error } = parseSpeciesCacheFilter(req.query, speciesService);
+    if (error) return res.status(400).json({ success: false, error });
+
+    await speciesService.cacheReady;
+    const entries = speciesService.listCacheEntries(filter);
+    const { details, ...stats } = speciesService.getCacheStats();
+
+    res.json({
+      success: true,
+      entries,
+      stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download the whole species cache, lastUsed stamps included
+router.get('/species-cache/export', async (req, res, next) => {
+  try {
+    const speciesService = getSessionManager().speciesService;
+    await speciesService.cacheReady;
+
+    res.attachment(`species-cache-${new Date().toISOString().slice(0, 10)}.json`);
+    res.json(speciesService.exportCache());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get one species cache entry with its species list
+router.get('/species-cache/:key', async (req, res, next) => {
+  try {
+    const speciesService = getSessionManager().speciesService;
+    await speciesService.cacheReady;
+
+    const entry = speciesService.cache.get(req.params.key);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: `No species cache entry ${req.params.key}` });
+    }
+
+    res.json({
+      success: true,
+      entry: { ...speciesService.describeCacheEntry(req.params.key, entry), species: entry.species }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load an exported snapshot: body from /species-cache/export, ?replace=true drops the current cache first
+router.post('/species-cache/import', async (req, res, next) => {
+  try {
+    const speciesService = getSessionManager().speciesService;
+    await speciesService.cacheReady;
+
+    const result = speciesService.importCache(req.body, { replace: req.query.replace === 'true' });
+
+    res.json({
+      success: true,
+      ...result,
+      totalEntries: speciesService.cache.size
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Evict species cache entries: ?key=, ?latitude=&longitude=[&radiusKm=], ?class=, or ?all=true
+router.delete('/species-cache', async (req, res, next) => {
+  try {
+    const speciesService = getSessionManager().speciesService;
+    const { filter, error } = parseSpeciesCacheFilter(req.query, speciesService);
+    if (error) return res.status(400).json({ success: false, error });
+    if (Object.keys(filter).length === 0 && req.query.all !== 'true') {
+      return res.status(400).json({ success: false, error: 'Pass key, latitude and longitude, class, or all=true' });
+    }
+
+    await speciesService.cacheReady;
+    const evicted = speciesService.evictCache(filter);
+
+    res.json({
+      success: true,
+      evicted
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // (Developer only) Temporary test route removed
 
 // Test meditation generation with specific configuration
@@ -307,7 +657,8 @@ router.post('/test-meditation', async (req, res, next) => {
       longitude,
       provider,
       model,
-      preferences = {}
+      preferences = {},
+      stream = false
     } = req.body;
 
     if (!latitude || !longitude) {
@@ -317,6 +668,13 @@ router.post('/test-meditation', async (req, res, next) => {
       });
     }
 
+    if (preferences.language !== undefined && !(await getLanguageService().isSupported(preferences.language))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported language: ${preferences.language}`
+      });
+    }
+
     // Temporarily set AI config if provided
     const aiProvider = getAIProvider();
     const originalConfig = aiProvider.getConfig();
@@ -326,12 +684,39 @@ router.post('/test-meditation', async (req, res, next) => {
     }
 
     try {
-      // Generate meditation
       const sessionManager = getSessionManager();
+
+      // Stream pipeline progress and script tokens as Server-Sent Events
+      if (stream) {
+        const events = openEventStream(res);
+        try {
+          const session = await sessionManager.createSession({
+            latitude,
+            longitude,
+            preferences,
+            onProgress: (stage, data) => events.send(stage, data),
+            signal: events.signal,
+            caller: 'admin-test'
+          });
+          events.send('ai-config', aiProvider.getConfig());
+          logger.debug('Streamed test meditation', { sessionId: session.id });
+        } catch (error) {
+          if (!events.isClosed()) {
+            logger.error('Streamed test meditation failed', { error: error.message });
+            events.send('error', { message: error.message });
+          }
+        } finally {
+          events.end();
+        }
+        return;
+      }
+
+      // Generate meditation
       const session = await sessionManager.createSession({
         latitude,
         longitude,
-        preferences
+        preferences,
+        caller: 'admin-test'
       });
 
       res.json({
@@ -359,7 +744,9 @@ router.post('/generate-entrainment', async (req, res, next) => {
       intensity = 'moderate',
       latitude,
       longitude,
-      generateAudio = false
+      generateAudio = false,
+      toneMode = null,
+      stream = false
     } = req.body;
 
     if (!theme) {
@@ -369,10 +756,48 @@ router.post('/generate-entrainment', async (req, res, next) => {
       });
     }
 
+    if (toneMode && !['binaural', 'isochronic', 'none'].includes(toneMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'toneMode must be binaural, isochronic or none'
+      });
+    }
+
     // Get entrainment meditation service instance
     const { getInstance: getEntrainmentService } = require('../services/EntrainmentMeditationService');
     const entrainmentService = getEntrainmentService();
 
+    // Stream the script as it is written, then send the finished result
+    if (stream) {
+      const events = openEventStream(res);
+      try {
+        const result = await entrainmentService.generateMeditation({
+          theme,
+          duration,
+          intensity,
+          latitude,
+          longitude,
+          generateAudio,
+          toneMode,
+          onToken: chunk => events.send('text', { chunk }),
+          signal: events.signal
+        });
+        events.send('complete', {
+          meditation: result.meditation,
+          metadata: result.metadata,
+          audioUrl: result.audioUrl || null
+        });
+      } catch (error) {
+        if (!events.isClosed()) {
+          logger.error('Error streaming entrainment meditation', { error: error.message });
+          events.send('error', { message: error.message });
+        }
+      } finally {
+        events.end();
+      }
+      return;
+    }
+
     // Generate the meditation
     const result = await entrainmentService.generateMeditation({
       theme,
@@ -380,7 +805,8 @@ router.post('/generate-entrainment', async (req, res, next) => {
       intensity,
       latitude,
       longitude,
-      generateAudio
+      generateAudio,
+      toneMode
     });
 
     logger.info('Entrainment meditation generated via admin dashboard', { 
@@ -388,7 +814,8 @@ router.post('/generate-entrainment', async (req, res, next) => {
       duration, 
       intensity, 
       hasLocation: !!(latitude && longitude),
-      generateAudio 
+      generateAudio,
+      toneMode
     });
 
     res.json({
@@ -404,9 +831,98 @@ router.post('/generate-entrainment', async (req, res, next) => {
   }
 });
 
+// List prompt templates with their versions and which is active
+router.get('/prompts', async (req, res, next) => {
+  try {
+    const templates = await getPromptTemplates().listTemplates();
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the full body of one template version
+router.get('/prompts/:templateId/versions/:version', async (req, res, next) => {
+  try {
+    const template = await getPromptTemplates().getTemplate(req.params.templateId, req.params.version);
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Render a template version with sample variables: { variables }
+router.post('/prompts/:templateId/versions/:version/preview', async (req, res, next) => {
+  try {
+    const { templateId, version } = req.params;
+    const preview = await getPromptTemplates().render(templateId, req.body.variables || {}, version);
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Save a new template version: { body }
+router.post('/prompts/:templateId/versions', async (req, res, next) => {
+  try {
+    const template = await getPromptTemplates().createVersion(req.params.templateId, req.body.body);
+
+    logger.info('Prompt template version created via admin dashboard', { templateId: template.id, version: template.version });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Use a version for all new generations
+router.post('/prompts/:templateId/versions/:version/activate', async (req, res, next) => {
+  try {
+    const template = await getPromptTemplates().activateVersion(req.params.templateId, req.params.version);
+
+    logger.info('Prompt template version activated via admin dashboard', { templateId: template.id, version: template.version });
+
+    res.json({
+      success: true,
+      template,
+      message: `${template.id} v${template.version} is now active`
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
 // Get available API combinations
 router.get('/api-combinations', async (req, res, next) => {
   try {
+    const localProvider = getAIProvider().getLocalProviderInfo();
     const combinations = {
       aiProviders: {
         google: {
@@ -424,6 +940,11 @@ router.get('/api-combinations', async (req, res, next) => {
             { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet', speed: 'fast', quality: 'good' },
             { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku', speed: 'very fast', quality: 'fast' }
           ]
+        },
+        local: {
+          name: 'Local (OpenAI-compatible)',
+          baseUrl: localProvider.baseUrl,
+          models: localProvider.models.map(id => ({ id, name: id, speed: 'varies', quality: 'varies' }))
         }
       },
       speciesSources: {
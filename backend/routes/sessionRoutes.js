@@ -2,16 +2,23 @@
 const express = require('express');
 const router = express.Router();
 const { getInstance: getSessionManager } = require('../services/SessionManager');
+const { getInstance: getSessionJobService } = require('../services/SessionJobService');
+const { getInstance: getLanguageService } = require('../services/LanguageService');
 const { validateSessionRequest } = require('../middleware/validation');
+const { optionalUserAuth } = require('../middleware/userAuth');
 const logger = require('../utils/logger');
+const { openEventStream } = require('../utils/sse');
 
 // Check location change before session creation
-router.post('/check-location', validateSessionRequest, async (req, res, next) => {
+router.post('/check-location', optionalUserAuth, validateSessionRequest, async (req, res, next) => {
   try {
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, previousLocation = null } = req.body;
 
     const sessionManager = getSessionManager();
-    const locationStatus = await sessionManager.checkLocationChange(latitude, longitude);
+    const locationStatus = await sessionManager.checkLocationChange(latitude, longitude, {
+      userId: req.user ? req.user.id : null,
+      previousLocation
+    });
 
     res.json({
       success: true,
@@ -24,12 +31,16 @@ router.post('/check-location', validateSessionRequest, async (req, res, next) =>
 });
 
 // Confirm location change and update species data
-router.post('/confirm-location', validateSessionRequest, async (req, res, next) => {
+router.post('/confirm-location', optionalUserAuth, validateSessionRequest, async (req, res, next) => {
   try {
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, previousLocation = null } = req.body;
 
     const sessionManager = getSessionManager();
-    const updateResult = await sessionManager.confirmLocationChange(latitude, longitude);
+    // The seeded species lists are for /api/species/location; this response only reports the count
+    const { results, ...updateResult } = await sessionManager.confirmLocationChange(latitude, longitude, 5, {
+      userId: req.user ? req.user.id : null,
+      previousLocation
+    });
 
     res.json({
       success: true,
@@ -41,15 +52,16 @@ router.post('/confirm-location', validateSessionRequest, async (req, res, next)
   }
 });
 
-router.post('/', validateSessionRequest, async (req, res, next) => {
+router.post('/', optionalUserAuth, validateSessionRequest, async (req, res, next) => {
   try {
-    const { latitude, longitude, preferences = {}, skipLocationCheck = false } = req.body;
+    const { latitude, longitude, preferences = {}, skipLocationCheck = false, previousLocation = null } = req.body;
 
     logger.info('Session creation requested', { 
       latitude, 
       longitude, 
       preferences,
       skipLocationCheck,
+      userId: req.user ? req.user.id : null,
       ip: req.ip 
     });
 
@@ -57,7 +69,10 @@ router.post('/', validateSessionRequest, async (req, res, next) => {
 
     // Check for location changes unless explicitly skipped
     if (!skipLocationCheck) {
-      const locationStatus = await sessionManager.checkLocationChange(latitude, longitude);
+      const locationStatus = await sessionManager.checkLocationChange(latitude, longitude, {
+        userId: req.user ? req.user.id : null,
+        previousLocation
+      });
       
       if (locationStatus.requiresPrompt) {
         return res.json({
@@ -69,10 +84,31 @@ router.post('/', validateSessionRequest, async (req, res, next) => {
       }
     }
 
+    // Background generation: return a job id immediately and let the client poll
+    if (req.query.async === 'true') {
+      const job = getSessionJobService().createJob({
+        latitude,
+        longitude,
+        preferences,
+        userId: req.user ? req.user.id : null
+      });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job,
+        // Send back as X-Cancel-Token to DELETE an anonymous job
+        cancelToken: job.cancelToken,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        message: 'Session generation queued'
+      });
+    }
+
     const session = await sessionManager.createSession({
       latitude,
       longitude,
-      preferences
+      preferences,
+      userId: req.user ? req.user.id : null
     });
 
     res.status(201).json({
@@ -86,18 +122,195 @@ router.post('/', validateSessionRequest, async (req, res, next) => {
   }
 });
 
-router.get('/:sessionId', async (req, res, next) => {
+// Create a session and stream pipeline progress as Server-Sent Events
+router.post('/stream', optionalUserAuth, validateSessionRequest, async (req, res, next) => {
+  const { latitude, longitude, preferences = {}, skipLocationCheck = false, previousLocation = null } = req.body;
+  const sessionManager = getSessionManager();
+
+  let locationStatus = null;
+  try {
+    if (!skipLocationCheck) {
+      locationStatus = await sessionManager.checkLocationChange(latitude, longitude, {
+        userId: req.user ? req.user.id : null,
+        previousLocation
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  const stream = openEventStream(res);
+
+  if (locationStatus && locationStatus.requiresPrompt) {
+    stream.send('location-confirmation', {
+      requiresLocationConfirmation: true,
+      ...locationStatus,
+      message: 'Location change detected. Please confirm before creating session.'
+    });
+    return stream.end();
+  }
+
+  logger.info('Streaming session creation requested', {
+    latitude,
+    longitude,
+    preferences,
+    userId: req.user ? req.user.id : null,
+    ip: req.ip
+  });
+
+  try {
+    await sessionManager.createSession({
+      latitude,
+      longitude,
+      preferences,
+      userId: req.user ? req.user.id : null,
+      onProgress: (stage, data) => stream.send(stage, data),
+      // Stop generating (and paying for AI/TTS) once nobody is listening
+      signal: stream.signal
+    });
+  } catch (error) {
+    if (stream.isClosed()) {
+      logger.info('Streaming session cancelled by client disconnect');
+      return;
+    }
+    logger.error('Streaming session creation failed', { error: error.message });
+    stream.send('error', { message: 'We encountered a difficulty creating your meditation session. Please try again.' });
+  } finally {
+    stream.end();
+  }
+});
+
+// Poll a background session job
+router.get('/jobs/:jobId', optionalUserAuth, async (req, res, next) => {
+  try {
+    const job = getSessionJobService().getJob(req.params.jobId, req.user ? req.user.id : null);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The requested job does not exist or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a background session job
+router.delete('/jobs/:jobId', optionalUserAuth, async (req, res, next) => {
+  try {
+    const job = getSessionJobService().cancelJob(req.params.jobId, req.user ? req.user.id : null, req.get('X-Cancel-Token'));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The requested job does not exist or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+      message: job.status === 'cancelled' ? 'Job cancelled' : `Job already ${job.status}`
+    });
+
+  } catch (error) {
+    if (error.statusCode === 403) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Look up stored sessions by location and/or date range
+router.get('/', optionalUserAuth, async (req, res, next) => {
+  try {
+    const { latitude, longitude, radius, from, to, limit } = req.query;
+    const errors = [];
+
+    const lat = latitude !== undefined ? parseFloat(latitude) : undefined;
+    const lng = longitude !== undefined ? parseFloat(longitude) : undefined;
+
+    if ((lat === undefined) !== (lng === undefined)) {
+      errors.push('latitude and longitude must be provided together');
+    } else if (lat !== undefined && (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180)) {
+      errors.push('latitude must be between -90 and 90 and longitude between -180 and 180');
+    }
+
+    if (from !== undefined && isNaN(new Date(from).getTime())) {
+      errors.push('from must be a valid date');
+    }
+    if (to !== undefined && isNaN(new Date(to).getTime())) {
+      errors.push('to must be a valid date');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+
+    const sessionManager = getSessionManager();
+    const sessions = await sessionManager.findSessions({
+      latitude: lat,
+      longitude: lng,
+      radiusKm: parseFloat(radius) || 5,
+      from,
+      to,
+      limit: Math.min(parseInt(limit, 10) || 50, 500),
+      userId: req.user ? req.user.id : null
+    });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Languages accepted in preferences.language (prompt set and voice available)
+router.get('/languages', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      languages: await getLanguageService().getSupportedLanguages()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:sessionId', optionalUserAuth, async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     
     const sessionManager = getSessionManager();
-    const session = sessionManager.getSession(sessionId);
+    // Another user's session is reported as missing rather than forbidden
+    const session = await sessionManager.getSession(sessionId, req.user ? req.user.id : null);
 
     if (!session) {
       return res.status(404).json({
         success: false,
         error: 'Session not found',
-        message: 'The requested session does not exist or has expired'
+        message: 'The requested session does not exist or is past the retention period'
       });
     }
 
@@ -114,7 +327,7 @@ router.get('/:sessionId', async (req, res, next) => {
 router.get('/system/stats', async (req, res, next) => {
   try {
     const sessionManager = getSessionManager();
-    const stats = sessionManager.getStats();
+    const stats = await sessionManager.getStats();
 
     res.json({
       success: true,
@@ -0,0 +1,83 @@
+// routes/speciesRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getInstance: getSessionManager } = require('../services/SessionManager');
+const { validateSessionRequest } = require('../middleware/validation');
+const { optionalUserAuth } = require('../middleware/userAuth');
+const logger = require('../utils/logger');
+
+// Get species for a location grouped by taxonomic class
+router.post('/location', optionalUserAuth, validateSessionRequest, async (req, res, next) => {
+  try {
+    const { latitude, longitude, userConfirmed = false, count = 20, previousLocation = null } = req.body;
+
+    const sessionManager = getSessionManager();
+    const speciesService = sessionManager.speciesService;
+    const caller = { userId: req.user ? req.user.id : null, previousLocation };
+
+    // Same location-change confirmation flow as /api/sessions/check-location
+    const locationStatus = await sessionManager.checkLocationChange(latitude, longitude, caller);
+    const perClass = Math.min(Math.max(parseInt(count, 10) || 20, 1), 50);
+    let results = null;
+
+    if (locationStatus.requiresPrompt) {
+      if (!userConfirmed) {
+        return res.json({
+          success: false,
+          requiresConfirmation: true,
+          ...locationStatus,
+          message: 'Location change detected. Please confirm before loading species.'
+        });
+      }
+
+      // Confirming seeds every class; reuse those results rather than fetching again
+      const confirmation = await sessionManager.confirmLocationChange(latitude, longitude, perClass, caller);
+      if (Array.isArray(confirmation.results)) results = confirmation.results;
+    }
+
+    if (!results) {
+      results = await speciesService.getSpeciesForMeditation(latitude, longitude, null, perClass);
+    }
+
+    const species = {};
+    const byClass = {};
+    let total = 0;
+
+    for (const result of results) {
+      species[result.type] = result.species.map(s => ({
+        name: s.name,
+        scientificName: s.scientificName || null,
+        habitat: s.habitat || null,
+        source: s.source || result.source,
+        cacheStatus: result.cached ? 'hit' : 'miss',
+        distance: Number.isFinite(s.distance) ? s.distance : null
+      }));
+      byClass[result.type] = species[result.type].length;
+      total += species[result.type].length;
+    }
+
+    // Fallback when no observation source (GBIF, iNaturalist, eBird) contributed anything
+    const fallback = results.every(r => r.species.every(s => speciesService.sourceKey(s.source) === 'fallback'));
+
+    logger.info('Species for location retrieved', { latitude, longitude, total, fallback });
+
+    res.json({
+      success: true,
+      location: { latitude, longitude },
+      ecoregion: speciesService.getEcoregionFromCoordinates(latitude, longitude),
+      summary: {
+        total,
+        byClass
+      },
+      species,
+      cached: results.every(r => r.cached),
+      fallback,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
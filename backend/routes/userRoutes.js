@@ -0,0 +1,126 @@
+// routes/userRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getInstance: getUserService } = require('../services/UserService');
+const { getInstance: getSessionManager } = require('../services/SessionManager');
+const FeedbackAnalyzerService = require('../services/FeedbackAnalyzerService');
+const { validateCredentials } = require('../middleware/validation');
+const { requireUserAuth } = require('../middleware/userAuth');
+const logger = require('../utils/logger');
+
+// Create a local account
+router.post('/register', validateCredentials, async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+    const result = await getUserService().register(username, password);
+
+    res.status(201).json({
+      success: true,
+      ...result,
+      message: 'Account created successfully'
+    });
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// Exchange credentials for a bearer token
+router.post('/login', validateCredentials, async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+    const result = await getUserService().login(username, password);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+router.post('/logout', requireUserAuth, async (req, res, next) => {
+  try {
+    await getUserService().revokeToken(req.userToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/me', requireUserAuth, async (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+// Meditation history for the signed-in user
+router.get('/me/sessions', requireUserAuth, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const sessionManager = getSessionManager();
+    const sessions = await sessionManager.getUserSessions(req.user.id, limit);
+
+    // Attach any feedback submitted for these sessions
+    const feedbackAnalyzer = new FeedbackAnalyzerService();
+    const feedback = await feedbackAnalyzer.getFeedbackData();
+    const feedbackBySession = new Map();
+    for (const entry of feedback) {
+      if (!entry.sessionId) continue;
+      if (!feedbackBySession.has(entry.sessionId)) feedbackBySession.set(entry.sessionId, []);
+      feedbackBySession.get(entry.sessionId).push({
+        timestamp: entry.timestamp,
+        ratings: entry.ratings,
+        comments: entry.comments || ''
+      });
+    }
+
+    const history = sessions.map(session => ({
+      id: session.id,
+      createdAt: session.createdAt,
+      timestamp: session.timestamp,
+      location: session.location,
+      species: session.species,
+      behavior: session.behavior || null,
+      lunarDay: session.lunar ? session.lunar.day : null,
+      lunarPhase: session.lunar ? session.lunar.phase : null,
+      duration: session.content ? session.content.duration : null,
+      audio: session.audio ? {
+        url: session.audio.url || (session.audio.filename ? `/audio/${session.audio.filename}` : null),
+        duration: session.audio.duration,
+        captions: session.audio.captions || null,
+        breathPacer: session.audio.breathPacer || null
+      } : null,
+      isFallback: !!session.isFallback,
+      feedback: feedbackBySession.get(session.id) || []
+    }));
+
+    logger.debug('User session history retrieved', { userId: req.user.id, count: history.length });
+
+    res.json({
+      success: true,
+      count: history.length,
+      sessions: history
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
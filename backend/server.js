@@ -6,13 +6,18 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const sessionRoutes = require('./routes/sessionRoutes');
+const speciesRoutes = require('./routes/speciesRoutes');
+const userRoutes = require('./routes/userRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const adminDashboardRoutes = require('./routes/adminDashboardRoutes');
 const { errorHandler } = require('./middleware/errorHandler');
+const { getInstance: getAudioAssets } = require('./services/AudioAssetService');
+const { getInstance: getSessionManager } = require('./services/SessionManager');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const audioAssets = getAudioAssets();
 
 app.use(helmet({
   contentSecurityPolicy: {
@@ -22,6 +27,8 @@ app.use(helmet({
       scriptSrcAttr: ["'self'", "'unsafe-inline'", "'unsafe-hashes'"],
       styleSrc: ["'self'", "'unsafe-inline'"],
       imgSrc: ["'self'", "data:", "https:"],
+      // Audio may be redirected to the asset storage (e.g. a presigned S3 URL)
+      mediaSrc: ["'self'", ...audioAssets.mediaOrigins()],
       connectSrc: ["'self'"]
     }
   }
@@ -47,6 +54,8 @@ if (process.env.NODE_ENV === 'development' || process.env.DISABLE_RATE_LIMIT ===
   app.use('/api/', limiter);
 }
 
+// Species cache snapshots are larger than the default 100kb body limit
+app.use('/api/admin/species-cache/import', express.json({ limit: '25mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -83,10 +92,9 @@ app.get('/debug/files', (req, res) => {
 
 // Serve static files first - use absolute paths
 const publicPath = path.join(__dirname, 'public');
-const audioPath = path.join(__dirname, 'audio');
-logger.info('Static file paths configured', { publicPath, audioPath });
+logger.info('Static file paths configured', { publicPath, audioStorage: audioAssets.storage.getStats() });
 app.use(express.static(publicPath));
-app.use('/audio', express.static(audioPath));  // Serve audio files
+app.use('/audio', audioAssets.middleware());  // Serve audio files from the asset storage
 
 // Serve the main user interface at root (this will be handled by static middleware now)
 // app.get('/', (req, res) => {
@@ -94,6 +102,8 @@ app.use('/audio', express.static(audioPath));  // Serve audio files
 // });
 
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/species', speciesRoutes);
+app.use('/api/users', userRoutes);
 app.use('/admin', adminRoutes);
 app.use('/api/admin', adminDashboardRoutes);
 
@@ -112,19 +122,23 @@ app.use((req, res) => {
 
 app.use(errorHandler);
 
+// Write the species cache snapshot (lastUsed stamps are saved on a debounce) before exiting
+const flushAndExit = () => getSessionManager().speciesService.flushCache().finally(() => process.exit(0));
+
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  flushAndExit();
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  flushAndExit();
 });
 
 app.listen(PORT, () => {
   logger.info(`Momentus backend running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  audioAssets.scheduleSweeps();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,23 +1,41 @@
 // services/AIProviderService.js
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Anthropic = require('@anthropic-ai/sdk');
+const axios = require('axios');
+const { getInstance: getUsageLedger } = require('./UsageLedgerService');
 const logger = require('../utils/logger');
 
 /**
  * AIProviderService - Multi-provider AI content generation
- * Supports: Google Gemini, Anthropic Claude
+ * Supports: Google Gemini, Anthropic Claude, and a local/self-hosted model
+ * behind an OpenAI-compatible /v1/chat/completions endpoint (llama.cpp, Ollama, vLLM)
  */
 class AIProviderService {
   constructor() {
     this.providers = {
       google: null,
-      anthropic: null
+      anthropic: null,
+      local: null
     };
 
+    // Local model names depend on what the server has loaded
+    const localModels = (process.env.LOCAL_LLM_MODELS || process.env.LOCAL_LLM_MODEL || '')
+      .split(',')
+      .map(m => m.trim())
+      .filter(Boolean);
+
     // Available models (using correct model IDs)
     this.availableModels = {
       google: ['gemini-2.0-flash-exp', 'gemini-1.5-flash', 'gemini-1.5-pro'],
-      anthropic: ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307']
+      anthropic: ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307'],
+      local: localModels
+    };
+
+    // Model used when a provider appears in the fallback chain without one
+    this.defaultModels = {
+      google: 'gemini-2.0-flash-exp',
+      anthropic: 'claude-3-haiku-20240307',
+      local: localModels[0]
     };
 
     // Current configuration (can be changed via admin dashboard)
@@ -26,6 +44,30 @@ class AIProviderService {
       model: process.env.AI_MODEL || 'gemini-2.0-flash-exp'
     };
 
+    // Providers tried in order after the configured one fails or is unavailable
+    this.fallbackChain = this.parseFallbackChain(process.env.AI_FALLBACK_CHAIN);
+
+    // Per-attempt timeout before moving to the next provider
+    this.timeoutMs = parseInt(process.env.AI_PROVIDER_TIMEOUT_MS || '', 10) || 60000;
+
+    // Per-provider circuit breakers, shaped like RobustSpeciesService.gbifCircuit plus a
+    // half-open state: once the open period ends one probe request decides whether it closes
+    this.circuitFailureThreshold = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '', 10) || 3;
+    this.circuitOpenMs = parseInt(process.env.AI_CIRCUIT_OPEN_MS || '', 10) || 2 * 60 * 1000;
+    this.circuits = {};
+    for (const provider of Object.keys(this.providers)) {
+      this.circuits[provider] = {
+        open: false,
+        openUntil: 0,
+        lastOpenedReason: null,
+        consecutiveFailures: 0,
+        halfOpen: false,
+        probeUntil: 0
+      };
+    }
+
+    this.usageLedger = getUsageLedger();
+
     this.initializeProviders();
   }
 
@@ -53,37 +95,446 @@ class AIProviderService {
     } catch (error) {
       logger.error('Failed to initialize Anthropic', { error: error.message });
     }
+
+    // Initialize local OpenAI-compatible server
+    try {
+      if (process.env.LOCAL_LLM_BASE_URL) {
+        this.configureLocalProvider({
+          baseUrl: process.env.LOCAL_LLM_BASE_URL,
+          apiKey: process.env.LOCAL_LLM_API_KEY || null
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to initialize local LLM provider', { error: error.message });
+    }
+  }
+
+  /**
+   * Point the local provider at an OpenAI-compatible server
+   * Omitted fields keep their current value; baseUrl: null disables the provider.
+   * @param {Object} settings - { baseUrl, apiKey, models }
+   * @returns {Object} Public view of the local provider settings
+   */
+  configureLocalProvider({ baseUrl, apiKey, models } = {}) {
+    if (models !== undefined) {
+      if (!Array.isArray(models) || models.some(m => typeof m !== 'string' || !m.trim())) {
+        throw new Error('Local models must be an array of model names');
+      }
+      this.availableModels.local = models.map(m => m.trim());
+      this.defaultModels.local = this.availableModels.local[0];
+    }
+
+    if (baseUrl === null || baseUrl === '') {
+      this.providers.local = null;
+      logger.info('Local LLM provider disabled');
+      return this.getLocalProviderInfo();
+    }
+
+    const current = this.providers.local;
+    const resolvedBaseUrl = baseUrl !== undefined ? baseUrl : current && current.baseUrl;
+    if (!resolvedBaseUrl) {
+      throw new Error('Local LLM base URL is required');
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(resolvedBaseUrl);
+    } catch (error) {
+      throw new Error(`Invalid local LLM base URL: ${resolvedBaseUrl}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Local LLM base URL must use http or https');
+    }
+
+    const resolvedApiKey = apiKey !== undefined ? apiKey : current && current.apiKey;
+    const normalizedBaseUrl = resolvedBaseUrl.replace(/\/+$/, '');
+
+    this.providers.local = {
+      baseUrl: normalizedBaseUrl,
+      apiKey: resolvedApiKey || null,
+      client: axios.create({
+        baseURL: normalizedBaseUrl,
+        headers: resolvedApiKey ? { Authorization: `Bearer ${resolvedApiKey}` } : {}
+      })
+    };
+
+    logger.info('Local LLM provider initialized', {
+      baseUrl: normalizedBaseUrl,
+      models: this.availableModels.local
+    });
+
+    return this.getLocalProviderInfo();
+  }
+
+  getLocalProviderInfo() {
+    return {
+      baseUrl: this.providers.local ? this.providers.local.baseUrl : null,
+      authConfigured: !!(this.providers.local && this.providers.local.apiKey),
+      models: this.availableModels.local
+    };
   }
 
   /**
-   * Generate content using configured provider
+   * Generate content, falling back through the provider chain on failure
+   * An explicit options.provider targets that provider only (no fallback,
+   * circuit breaker ignored) - used when testing a specific model.
+   * @param {string} prompt
+   * @param {Object} options - { provider, model, signal, caller, sessionId } where signal is an
+   *   AbortSignal for cancellation and caller/sessionId label the call in the usage ledger
+   * @returns {Promise<Object>} { text, provider, model, usage, cost, skipped } where skipped lists
+   *   the providers tried or passed over before the one that served the request
    */
   async generateContent(prompt, options = {}) {
-    const provider = options.provider || this.config.provider;
-    const model = options.model || this.config.model;
+    const { signal } = options;
+    const explicit = !!options.provider;
+    const skipped = [];
+    let lastError = null;
+
+    await this.assertWithinBudget();
+
+    for (const entry of this.resolveChain(options)) {
+      const unavailable = this.getUnavailableReason(entry, explicit);
+      if (unavailable) {
+        skipped.push({ provider: entry.provider, model: entry.model, reason: unavailable });
+        continue;
+      }
+
+      logger.info('Generating content', { provider: entry.provider, model: entry.model });
+
+      const attempt = this.createAttemptSignal(entry, signal);
+      try {
+        const result = await this.raceAbort(
+          this.callProvider(entry.provider, prompt, entry.model, attempt.signal),
+          attempt.signal
+        );
+        this.recordSuccess(entry.provider);
+        const usageEntry = this.recordUsage(result, options);
+        return { ...result, cost: usageEntry.cost, skipped };
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+
+        lastError = error;
+        const reason = this.recordFailure(entry.provider, error, attempt.signal);
+        skipped.push({ provider: entry.provider, model: entry.model, reason });
+        logger.warn('AI provider failed, trying next in chain', { provider: entry.provider, model: entry.model, reason });
+      } finally {
+        attempt.clear();
+      }
+    }
+
+    throw this.createChainError(skipped, lastError, explicit);
+  }
+
+  /**
+   * Stream content from the provider chain as it is generated
+   * Yields { type: 'token', text } for each chunk, then a final
+   * { type: 'done', text, provider, model, usage, skipped } matching generateContent().
+   * Falls back to the next provider only if the failing one had not streamed any text yet.
+   * @param {string} prompt
+   * @param {Object} options - { provider, model, signal, caller, sessionId }
+   */
+  async *generateContentStream(prompt, options = {}) {
+    const { signal } = options;
+    const explicit = !!options.provider;
+    const skipped = [];
+    let lastError = null;
+
+    await this.assertWithinBudget();
+
+    for (const entry of this.resolveChain(options)) {
+      const unavailable = this.getUnavailableReason(entry, explicit);
+      if (unavailable) {
+        skipped.push({ provider: entry.provider, model: entry.model, reason: unavailable });
+        continue;
+      }
+
+      logger.info('Streaming content', { provider: entry.provider, model: entry.model });
+
+      const attempt = this.createAttemptSignal(entry, signal);
+      let streamedText = false;
+      try {
+        for await (const event of this.streamProvider(entry.provider, prompt, entry.model, attempt.signal)) {
+          if (event.type === 'done') {
+            this.recordSuccess(entry.provider);
+            const usageEntry = this.recordUsage(event, options);
+            yield { ...event, cost: usageEntry.cost, skipped };
+            return;
+          }
+          streamedText = true;
+          yield event;
+        }
+        throw new Error('Stream ended without a final response');
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+
+        lastError = error;
+        const reason = this.recordFailure(entry.provider, error, attempt.signal);
+        skipped.push({ provider: entry.provider, model: entry.model, reason });
+
+        // Text already reached the caller - switching providers mid-script would garble it
+        if (streamedText) {
+          throw this.createChainError(skipped, error, true);
+        }
+        logger.warn('AI provider stream failed, trying next in chain', { provider: entry.provider, model: entry.model, reason });
+      } finally {
+        attempt.clear();
+      }
+    }
+
+    throw this.createChainError(skipped, lastError, explicit);
+  }
 
-    logger.info('Generating content', { provider, model });
+  callProvider(provider, prompt, model, signal) {
+    switch (provider) {
+      case 'google':
+        return this.generateWithGoogle(prompt, model, { signal });
+      case 'anthropic':
+        return this.generateWithClaude(prompt, model, { signal });
+      case 'local':
+        return this.generateWithLocal(prompt, model, { signal });
+      default:
+        throw new Error(`Unknown provider: ${provider}`);
+    }
+  }
 
+  streamProvider(provider, prompt, model, signal) {
     switch (provider) {
       case 'google':
-        return await this.generateWithGoogle(prompt, model);
+        return this.streamWithGoogle(prompt, model, { signal });
       case 'anthropic':
-        return await this.generateWithClaude(prompt, model);
+        return this.streamWithClaude(prompt, model, { signal });
+      case 'local':
+        return this.streamWithLocal(prompt, model, { signal });
       default:
         throw new Error(`Unknown provider: ${provider}`);
     }
   }
 
+  /**
+   * Ordered list of { provider, model, timeoutMs } to try for a request
+   */
+  resolveChain(options = {}) {
+    if (options.provider) {
+      return [{
+        provider: options.provider,
+        model: options.model || this.defaultModels[options.provider] || this.config.model,
+        timeoutMs: options.timeoutMs || this.timeoutMs
+      }];
+    }
+
+    const chain = [];
+    const seen = new Set();
+    for (const entry of [this.config, ...this.fallbackChain]) {
+      const key = `${entry.provider}:${entry.model}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      chain.push({
+        provider: entry.provider,
+        model: entry.model,
+        timeoutMs: entry.timeoutMs || options.timeoutMs || this.timeoutMs
+      });
+    }
+    return chain;
+  }
+
+  /**
+   * Parse AI_FALLBACK_CHAIN ("provider:model,provider:model").
+   * Defaults to every other provider's default model.
+   */
+  parseFallbackChain(value) {
+    if (!value) {
+      return Object.keys(this.defaultModels)
+        .filter(provider => this.defaultModels[provider])
+        .map(provider => ({
+          provider,
+          model: this.defaultModels[provider]
+        }));
+    }
+
+    return value.split(',')
+      .map(item => item.trim())
+      .filter(Boolean)
+      .map(item => {
+        const [provider, ...modelParts] = item.split(':');
+        return {
+          provider: provider.trim(),
+          model: modelParts.join(':').trim() || this.defaultModels[provider.trim()]
+        };
+      });
+  }
+
+  /**
+   * Reason a chain entry can't be tried right now, or null if it can
+   * @param {Object} entry - { provider, model, timeoutMs } from resolveChain
+   */
+  getUnavailableReason(entry, ignoreCircuit = false) {
+    const { provider, model } = entry;
+    if (!(provider in this.providers)) {
+      return `unknown provider: ${provider}`;
+    }
+    if (!this.providers[provider]) {
+      return provider === 'local'
+        ? 'not configured (missing base URL)'
+        : 'not initialized (missing API key)';
+    }
+
+    // Over budget: only free (unpriced) models such as local ones stay available
+    const overBudget = this.usageLedger.checkBudget(model);
+    if (overBudget) return overBudget;
+
+    if (ignoreCircuit) return null;
+
+    const circuit = this.circuits[provider];
+    const now = Date.now();
+    if (circuit.open && circuit.openUntil > now) {
+      return `circuit open until ${new Date(circuit.openUntil).toISOString()} (${circuit.lastOpenedReason})`;
+    } else if (circuit.open) {
+      circuit.open = false;
+      circuit.halfOpen = true;
+      circuit.probeUntil = 0;
+      logger.info(`AI provider circuit half-open for ${provider}, probing recovery`);
+    }
+
+    if (circuit.halfOpen) {
+      // Let one request through to probe recovery; its success or failure settles the circuit
+      if (circuit.probeUntil > now) return 'circuit half-open, waiting on a recovery probe';
+      // A probe that never reports back (cancelled by its caller) frees up after the attempt timeout
+      circuit.probeUntil = now + (entry.timeoutMs || this.timeoutMs);
+    }
+    return null;
+  }
+
+  /**
+   * In "refuse" budget mode nothing is generated once a budget is exceeded.
+   * Waits for the ledger to load, so requests right after startup see the spend
+   * so far; getUnavailableReason's per-model check relies on this having run.
+   */
+  async assertWithinBudget() {
+    await this.usageLedger.ready;
+    const budget = this.usageLedger.getBudgetStatus();
+    if (budget.exceeded && budget.mode === 'refuse') {
+      const error = new Error(`AI generation refused: ${budget.exceeded}`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.statusCode = 429;
+      throw error;
+    }
+  }
+
+  recordUsage(result, options = {}) {
+    return this.usageLedger.record({
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      sessionId: options.sessionId || null,
+      caller: options.caller || 'unknown'
+    });
+  }
+
+  recordSuccess(provider) {
+    const circuit = this.circuits[provider];
+    if (!circuit) return;
+
+    circuit.consecutiveFailures = 0;
+    if (circuit.halfOpen) {
+      circuit.halfOpen = false;
+      circuit.probeUntil = 0;
+      circuit.lastOpenedReason = null;
+      logger.info(`AI provider circuit closed for ${provider}, resuming requests`);
+    }
+  }
+
+  /**
+   * Count a failure against the provider's circuit and describe it
+   * @returns {string} Human-readable failure reason
+   */
+  recordFailure(provider, error, attemptSignal) {
+    // Our own timeout aborts the attempt with a descriptive reason
+    const reason = attemptSignal && attemptSignal.aborted && attemptSignal.reason instanceof Error
+      ? attemptSignal.reason.message
+      : error.message;
+
+    const circuit = this.circuits[provider];
+    if (!circuit) return reason;
+
+    circuit.consecutiveFailures += 1;
+
+    // Rate limits and failed recovery probes open the circuit immediately; other errors after repeated failures
+    if (error.status === 429 || circuit.halfOpen || circuit.consecutiveFailures >= this.circuitFailureThreshold) {
+      circuit.open = true;
+      circuit.openUntil = Date.now() + this.circuitOpenMs;
+      circuit.lastOpenedReason = error.status === 429
+        ? '429 rate limit'
+        : circuit.halfOpen
+          ? `recovery probe failed: ${reason}`
+          : `${circuit.consecutiveFailures} consecutive failures: ${reason}`;
+      circuit.halfOpen = false;
+      circuit.probeUntil = 0;
+      logger.warn(`Opening AI provider circuit for ${provider}`, {
+        openUntil: new Date(circuit.openUntil).toISOString(),
+        reason: circuit.lastOpenedReason
+      });
+    }
+
+    return reason;
+  }
+
+  /**
+   * Abort signal for one provider attempt: fires on caller cancellation or timeout
+   */
+  createAttemptSignal(entry, parentSignal) {
+    const controller = new AbortController();
+
+    const timer = setTimeout(() => {
+      const error = new Error(`timed out after ${entry.timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      controller.abort(error);
+    }, entry.timeoutMs);
+
+    const onParentAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal) {
+      if (parentSignal.aborted) onParentAbort();
+      else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      clear: () => {
+        clearTimeout(timer);
+        if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+      }
+    };
+  }
+
+  // Don't wait on a provider call that ignores its abort signal
+  raceAbort(promise, signal) {
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      })
+    ]);
+  }
+
+  createChainError(skipped, lastError, single) {
+    // A single targeted provider keeps its original error message
+    const error = single && lastError
+      ? lastError
+      : new Error(`All AI providers failed: ${skipped.map(s => `${s.provider}/${s.model} (${s.reason})`).join('; ')}`);
+    error.skipped = skipped;
+    return error;
+  }
+
   /**
    * Generate with Google Gemini
    */
-  async generateWithGoogle(prompt, model) {
+  async generateWithGoogle(prompt, model, { signal } = {}) {
     if (!this.providers.google) {
       throw new Error('Google AI not initialized');
     }
 
     const geminiModel = this.providers.google.getGenerativeModel({ model });
-    const result = await geminiModel.generateContent(prompt);
+    const result = await geminiModel.generateContent(prompt, signal ? { signal } : undefined);
     const response = await result.response;
 
     return {
@@ -98,10 +549,45 @@ class AIProviderService {
     };
   }
 
+  /**
+   * Stream with Google Gemini
+   */
+  async *streamWithGoogle(prompt, model, { signal } = {}) {
+    if (!this.providers.google) {
+      throw new Error('Google AI not initialized');
+    }
+
+    const geminiModel = this.providers.google.getGenerativeModel({ model });
+    const result = await geminiModel.generateContentStream(prompt, signal ? { signal } : undefined);
+
+    let text = '';
+    for await (const chunk of result.stream) {
+      const chunkText = chunk.text();
+      if (!chunkText) continue;
+      text += chunkText;
+      yield { type: 'token', text: chunkText };
+    }
+
+    // The aggregated response carries the final usage metadata
+    const response = await result.response;
+
+    yield {
+      type: 'done',
+      text,
+      provider: 'google',
+      model: model,
+      usage: {
+        promptTokens: response.usageMetadata?.promptTokenCount || 0,
+        completionTokens: response.usageMetadata?.candidatesTokenCount || 0,
+        totalTokens: response.usageMetadata?.totalTokenCount || 0
+      }
+    };
+  }
+
   /**
    * Generate with Anthropic Claude
    */
-  async generateWithClaude(prompt, model) {
+  async generateWithClaude(prompt, model, { signal } = {}) {
     if (!this.providers.anthropic) {
       throw new Error('Anthropic not initialized');
     }
@@ -115,7 +601,7 @@ class AIProviderService {
           content: prompt
         }
       ]
-    });
+    }, signal ? { signal } : undefined);
 
     return {
       text: response.content[0].text,
@@ -129,6 +615,195 @@ class AIProviderService {
     };
   }
 
+  /**
+   * Stream with Anthropic Claude
+   */
+  async *streamWithClaude(prompt, model, { signal } = {}) {
+    if (!this.providers.anthropic) {
+      throw new Error('Anthropic not initialized');
+    }
+
+    const stream = this.providers.anthropic.messages.stream({
+      model: model,
+      max_tokens: 2048,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    }, signal ? { signal } : undefined);
+
+    let text = '';
+    for await (const event of stream) {
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        text += event.delta.text;
+        yield { type: 'token', text: event.delta.text };
+      }
+    }
+
+    const message = await stream.finalMessage();
+
+    yield {
+      type: 'done',
+      text,
+      provider: 'anthropic',
+      model: model,
+      usage: {
+        promptTokens: message.usage.input_tokens,
+        completionTokens: message.usage.output_tokens,
+        totalTokens: message.usage.input_tokens + message.usage.output_tokens
+      }
+    };
+  }
+
+  /**
+   * Generate with a local OpenAI-compatible server
+   */
+  async generateWithLocal(prompt, model, { signal } = {}) {
+    if (!this.providers.local) {
+      throw new Error('Local LLM not configured');
+    }
+
+    let response;
+    try {
+      response = await this.providers.local.client.post('/chat/completions', {
+        model: model,
+        max_tokens: 2048,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      }, { signal });
+    } catch (error) {
+      throw this.toLocalError(error);
+    }
+
+    const data = response.data || {};
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Local LLM response did not include message content');
+    }
+
+    return {
+      text,
+      provider: 'local',
+      model: model,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Stream with a local OpenAI-compatible server (SSE "data:" chunks)
+   */
+  async *streamWithLocal(prompt, model, { signal } = {}) {
+    if (!this.providers.local) {
+      throw new Error('Local LLM not configured');
+    }
+
+    let response;
+    try {
+      response = await this.providers.local.client.post('/chat/completions', {
+        model: model,
+        max_tokens: 2048,
+        stream: true,
+        // Ask for a final usage chunk; servers that don't support it just omit usage
+        stream_options: { include_usage: true },
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      }, { signal, responseType: 'stream' });
+    } catch (error) {
+      throw this.toLocalError(error);
+    }
+
+    let text = '';
+    let usage = null;
+    let buffer = '';
+
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') continue;
+
+        // One malformed chunk shouldn't cost the whole script
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch (error) {
+          logger.warn('Skipping malformed stream chunk from local LLM', { model, payload: payload.slice(0, 200), error: error.message });
+          continue;
+        }
+        if (event.usage) usage = event.usage;
+
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          yield { type: 'token', text: delta };
+        }
+      }
+    }
+
+    yield {
+      type: 'done',
+      text,
+      provider: 'local',
+      model: model,
+      usage: {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || 0
+      }
+    };
+  }
+
+  // Surface the server's status and message instead of axios' generic error
+  toLocalError(error) {
+    if (!error.response) return error;
+
+    const status = error.response.status;
+    const body = error.response.data;
+    const detail = body && typeof body === 'object' && !body.pipe
+      ? (body.error && (body.error.message || body.error)) || body.message
+      : null;
+
+    const wrapped = new Error(`Local LLM request failed with status ${status}${detail ? `: ${detail}` : ''}`);
+    wrapped.status = status;
+    return wrapped;
+  }
+
+  /**
+   * Consume generateContentStream(), passing each chunk to onToken
+   * @returns {Promise<Object>} Same shape as generateContent()
+   */
+  async generateContentStreamed(prompt, { onToken, ...options } = {}) {
+    for await (const event of this.generateContentStream(prompt, options)) {
+      if (event.type === 'token') {
+        if (onToken) onToken(event.text);
+      } else if (event.type === 'done') {
+        const { type, ...result } = event;
+        return result;
+      }
+    }
+    throw new Error('Stream ended without a final response');
+  }
+
   /**
    * Set configuration (called from admin dashboard)
    */
@@ -147,17 +822,64 @@ class AIProviderService {
     return this.config;
   }
 
+  /**
+   * Replace the fallback chain (called from admin dashboard)
+   * @param {Array<{provider, model, timeoutMs}>} chain
+   */
+  setFallbackChain(chain) {
+    if (!Array.isArray(chain)) {
+      throw new Error('Fallback chain must be an array');
+    }
+
+    for (const entry of chain) {
+      if (!this.availableModels[entry.provider]) {
+        throw new Error(`Invalid provider: ${entry.provider}`);
+      }
+      if (!this.availableModels[entry.provider].includes(entry.model)) {
+        throw new Error(`Invalid model ${entry.model} for provider ${entry.provider}`);
+      }
+      if (entry.timeoutMs !== undefined && !(Number.isFinite(entry.timeoutMs) && entry.timeoutMs > 0)) {
+        throw new Error(`Invalid timeout for ${entry.provider}/${entry.model}`);
+      }
+    }
+
+    this.fallbackChain = chain.map(({ provider, model, timeoutMs }) => (
+      timeoutMs ? { provider, model, timeoutMs } : { provider, model }
+    ));
+    logger.info('AI fallback chain updated', { chain: this.fallbackChain });
+
+    return this.fallbackChain;
+  }
+
+  getCircuitStatus() {
+    const status = {};
+    for (const [provider, circuit] of Object.entries(this.circuits)) {
+      status[provider] = {
+        open: circuit.open && circuit.openUntil > Date.now(),
+        halfOpen: circuit.halfOpen,
+        openUntil: circuit.openUntil,
+        lastOpenedReason: circuit.lastOpenedReason,
+        consecutiveFailures: circuit.consecutiveFailures
+      };
+    }
+    return status;
+  }
+
   /**
    * Get current configuration
    */
   getConfig() {
     return {
       ...this.config,
+      fallbackChain: this.fallbackChain,
+      timeoutMs: this.timeoutMs,
       availableProviders: Object.keys(this.providers).filter(p => this.providers[p] !== null),
       availableModels: this.availableModels,
+      local: this.getLocalProviderInfo(),
       providersInitialized: {
         google: !!this.providers.google,
-        anthropic: !!this.providers.anthropic
+        anthropic: !!this.providers.anthropic,
+        local: !!this.providers.local
       }
     };
   }
@@ -168,7 +890,7 @@ class AIProviderService {
   async testProvider(provider, model) {
     try {
       const testPrompt = 'Generate a single sentence about mindfulness in nature.';
-      const result = await this.generateContent(testPrompt, { provider, model });
+      const result = await this.generateContent(testPrompt, { provider, model, caller: 'admin-test' });
 
       return {
         success: true,
@@ -176,6 +898,8 @@ class AIProviderService {
         model,
         responseLength: result.text.length,
         usage: result.usage,
+        cost: result.cost,
+        servedBy: { provider: result.provider, model: result.model },
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -195,6 +919,8 @@ class AIProviderService {
   getStats() {
     return {
       currentConfig: this.config,
+      fallbackChain: this.fallbackChain,
+      circuits: this.getCircuitStatus(),
       providers: {
         google: {
           initialized: !!this.providers.google,
@@ -203,6 +929,11 @@ class AIProviderService {
         anthropic: {
           initialized: !!this.providers.anthropic,
           models: this.availableModels.anthropic
+        },
+        local: {
+          initialized: !!this.providers.local,
+          baseUrl: this.providers.local ? this.providers.local.baseUrl : null,
+          models: this.availableModels.local
         }
       },
       timestamp: new Date().toISOString()
@@ -79,7 +79,10 @@ class APIService {
         .catch(error => {
           queue.active--;
           
-          if (task.attempts < task.config.retryAttempts) {
+          // Cancelled tasks are never retried
+          const aborted = task.config.signal && task.config.signal.aborted;
+
+          if (!aborted && task.attempts < task.config.retryAttempts) {
             task.attempts++;
             logger.warn(`Retrying request in queue ${queueName}, attempt ${task.attempts}`, {
               error: error.message
@@ -91,9 +94,13 @@ class APIService {
             }, task.config.retryDelay * task.attempts);
           } else {
             queue.stats.failed++;
-            logger.error(`Request failed in queue ${queueName} after ${task.attempts} attempts`, {
-              error: error.message
-            });
+            if (aborted) {
+              logger.info(`Request cancelled in queue ${queueName}`);
+            } else {
+              logger.error(`Request failed in queue ${queueName} after ${task.attempts} attempts`, {
+                error: error.message
+              });
+            }
             task.reject(error);
             this.processQueue(queueName);
           }
@@ -103,6 +110,11 @@ class APIService {
 
   async executeTask(queueName, task) {
     const { requestFn, config } = task;
+
+    // Skip tasks that were cancelled while waiting in the queue
+    if (config.signal && config.signal.aborted) {
+      throw this.createAbortError(config.signal);
+    }
     
     // ============================================================
     // ENFORCE API REQUEST DELAY
@@ -122,12 +134,38 @@ class APIService {
     this.lastRequestTime = Date.now();
     // ============================================================
     
-    return Promise.race([
+    let timer = null;
+    let onAbort = null;
+    const racers = [
       requestFn(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Request timeout')), config.timeout)
-      )
-    ]);
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Request timeout')), config.timeout);
+      })
+    ];
+
+    // Free the queue slot as soon as the caller cancels
+    if (config.signal) {
+      racers.push(new Promise((_, reject) => {
+        if (config.signal.aborted) return reject(this.createAbortError(config.signal));
+        onAbort = () => reject(this.createAbortError(config.signal));
+        config.signal.addEventListener('abort', onAbort, { once: true });
+      }));
+    }
+
+    // Retries run executeTask again, so each attempt cleans up its own timer and listener
+    try {
+      return await Promise.race(racers);
+    } finally {
+      clearTimeout(timer);
+      if (onAbort) config.signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  createAbortError(signal) {
+    if (signal && signal.reason instanceof Error) return signal.reason;
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    return error;
   }
 
   // ============================================================
@@ -0,0 +1,390 @@
+// services/AudioAssetService.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createAudioStorage } = require('./AudioStorage');
+const logger = require('../utils/logger');
+
+/**
+ * AudioAssetService - Lifecycle of generated audio and its sidecar files
+ *
+ * Services write audio into the working directory (backend/audio) and then
+ * publish it here, which copies it to the configured storage (AUDIO_STORAGE,
+ * see AudioStorage.js) and records it in an index (data/audio-assets.json)
+ * with its type, content hash and metadata.
+ *
+ * - Retention is per asset type (AUDIO_RETENTION, hours since last use); a
+ *   sweeper deletes expired assets every AUDIO_SWEEP_INTERVAL_MS, including
+ *   files that were never indexed (typed by their name, aged by mtime)
+ * - Narration is keyed by a hash of the script and voice settings, so an
+ *   identical script is served from storage instead of being synthesized again
+ * - /audio/<key> is served through middleware(): straight from disk when the
+ *   file is local, otherwise by redirect to the storage's URL
+ *
+ * With a remote storage the working directory only holds copies in use by the
+ * pipeline; published copies are evicted after AUDIO_WORKING_COPY_HOURS.
+ */
+class AudioAssetService {
+  constructor(options = {}) {
+    this.workDir = options.workDir || path.join(__dirname, '../audio');
+    this.storage = options.storage || createAudioStorage(process.env.AUDIO_STORAGE || 'local', { root: this.workDir });
+    this.indexPath = options.indexPath || process.env.AUDIO_ASSET_INDEX_PATH || path.join(__dirname, '../data/audio-assets.json');
+
+    const sessionDays = parseInt(process.env.SESSION_RETENTION_DAYS || '', 10);
+    const sessionHours = (Number.isFinite(sessionDays) && sessionDays > 0 ? sessionDays : 30) * 24;
+    // Hours an asset is kept after it was last used; override with AUDIO_RETENTION, e.g. {"mock": 6}
+    this.retentionHours = {
+      narration: sessionHours,   // Voice-only TTS output, reused for identical scripts
+      session: sessionHours,     // Session audio with a soundscape mixed in
+      entrainment: sessionHours, // Entrainment meditations with tones mixed in
+      captions: sessionHours,    // WebVTT / SRT / timeline sidecars
+      pacer: sessionHours,       // Breath pacer tracks and their timing files
+      mock: 24,                  // Placeholder audio and scripts from mock TTS
+      test: 1,                   // Admin TTS engine test clips
+      ...this.parseRetention(process.env.AUDIO_RETENTION)
+    };
+    this.workingCopyHours = parseFloat(process.env.AUDIO_WORKING_COPY_HOURS || '') || 1;
+
+    this.assets = new Map(); // key -> { key, type, hash, size, createdAt, lastUsedAt, meta }
+    this.writeChain = Promise.resolve();
+    // Serving an asset marks it used; those updates reach the index at most this often
+    this.touchWriteDelayMs = options.touchWriteDelayMs ?? 60 * 1000;
+    this.touchTimer = null;
+    this.sweeping = null;
+    this.ready = this.load();
+  }
+
+  parseRetention(value) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      const retention = {};
+      for (const [type, hours] of Object.entries(parsed)) {
+        if (Number.isFinite(hours) && hours > 0) retention[type] = hours;
+      }
+      return retention;
+    } catch (error) {
+      logger.error('Invalid AUDIO_RETENTION, using default retention', { error: error.message });
+      return {};
+    }
+  }
+
+  async load() {
+    try {
+      await fs.mkdir(this.workDir, { recursive: true });
+      await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+      const index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      for (const asset of index.assets || []) {
+        if (asset && asset.key) this.assets.set(asset.key, asset);
+      }
+      logger.info('Audio asset index loaded', { storage: this.storage.name, assets: this.assets.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load audio asset index', { indexPath: this.indexPath, error: error.message });
+      }
+    }
+  }
+
+  // Rewrite the whole index; writes are serialized so they never interleave
+  persist() {
+    const next = this.writeChain.then(async () => {
+      const tmpPath = `${this.indexPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ assets: Array.from(this.assets.values()) }), 'utf8');
+      await fs.rename(tmpPath, this.indexPath);
+    });
+    this.writeChain = next.catch(error => {
+      logger.error('Audio asset index write failed', { indexPath: this.indexPath, error: error.message });
+    });
+    return this.writeChain;
+  }
+
+  /**
+   * Content hash identifying a synthesized script
+   * @param {Object} parts - Everything that affects the audio (input text/SSML, engine, voice, speed, ...)
+   */
+  hashScript(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  workPath(key) {
+    return path.join(this.workDir, key);
+  }
+
+  /**
+   * Store a file from the working directory and index it
+   * @param {string} key - File name in the working directory, also its /audio/ path
+   * @param {Object} options - { type, hash, meta }
+   * @returns {Promise<Object>} The index record
+   */
+  async publish(key, { type, hash = null, meta = {} } = {}) {
+    await this.ready;
+    const { size } = await fs.stat(this.workPath(key));
+    await this.storage.put(key, this.workPath(key));
+
+    const now = Date.now();
+    const existing = this.assets.get(key);
+    const asset = {
+      key,
+      type: type || this.inferType(key),
+      hash,
+      size,
+      createdAt: existing ? existing.createdAt : now,
+      lastUsedAt: now,
+      meta
+    };
+    this.assets.set(key, asset);
+    await this.persist();
+
+    logger.debug('Audio asset published', { key, type: asset.type, size, storage: this.storage.name });
+    return asset;
+  }
+
+  /**
+   * Publish several files of one type, e.g. caption sidecars
+   */
+  async publishAll(keys, options) {
+    return Promise.all(keys.map(key => this.publish(key, options)));
+  }
+
+  /**
+   * A stored asset with this content hash, or null
+   * Records whose file has gone missing from storage are dropped.
+   */
+  async findByHash(hash) {
+    await this.ready;
+    const asset = Array.from(this.assets.values()).find(a => a.hash === hash);
+    if (!asset) return null;
+
+    if (!(await this.storage.stat(asset.key))) {
+      this.assets.delete(asset.key);
+      await this.persist();
+      return null;
+    }
+    return asset;
+  }
+
+  /**
+   * Make sure an asset is in the working directory (fetching it from storage
+   * if needed) and mark it as used
+   * @returns {Promise<string>} Path of the working copy
+   */
+  async checkout(asset) {
+    const filepath = this.workPath(asset.key);
+    const present = await fs.access(filepath).then(() => true, () => false);
+    if (!present) await this.storage.fetch(asset.key, filepath);
+
+    asset.lastUsedAt = Date.now();
+    await this.persist();
+    return filepath;
+  }
+
+  /**
+   * Mark an indexed asset as used because it was served. Playing one file can
+   * take many range requests, so the index write is deferred and shared.
+   */
+  touch(key) {
+    const asset = this.assets.get(key);
+    if (!asset) return;
+
+    asset.lastUsedAt = Date.now();
+    if (this.touchTimer) return;
+    this.touchTimer = setTimeout(() => {
+      this.touchTimer = null;
+      this.persist();
+    }, this.touchWriteDelayMs);
+    if (this.touchTimer.unref) this.touchTimer.unref();
+  }
+
+  /**
+   * Asset type of a file that isn't in the index, from its name
+   */
+  inferType(key) {
+    if (key.startsWith('tts-test_')) return 'test';
+    if (key.endsWith('.txt')) return 'mock';
+    if (/\.pacer\.(wav|json)$/.test(key)) return 'pacer';
+    if (/\.(vtt|srt|timeline\.json)$/.test(key)) return 'captions';
+    if (/_(binaural|isochronic)\.(wav|mp3)$/.test(key)) return 'entrainment';
+    if (/^meditation_[0-9a-f]{16}\.(wav|mp3)$/.test(key)) return 'narration';
+    return 'session';
+  }
+
+  isExpired(type, lastUsedAt, now) {
+    const hours = this.retentionHours[type] || this.retentionHours.session;
+    return now - lastUsedAt > hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Delete expired assets from storage and stale working copies
+   * @returns {Promise<Object>} { removed, evicted }
+   */
+  async sweep() {
+    // One sweep at a time; a second call waits for the one in progress
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  async runSweep() {
+    await this.ready;
+    const now = Date.now();
+    const removed = [];
+
+    const remove = async key => {
+      await this.storage.delete(key);
+      await fs.unlink(this.workPath(key)).catch(() => {});
+      this.assets.delete(key);
+      removed.push(key);
+    };
+
+    for (const asset of Array.from(this.assets.values())) {
+      if (this.isExpired(asset.type, asset.lastUsedAt, now)) {
+        await remove(asset.key).catch(error => {
+          logger.warn('Failed to delete expired audio asset', { key: asset.key, error: error.message });
+        });
+      }
+    }
+
+    // Files nobody indexed: output from before the index existed, or from runs that died mid-pipeline
+    for (const object of await this.storage.list()) {
+      if (this.assets.has(object.key)) continue;
+      if (this.isExpired(this.inferType(object.key), object.modifiedAt, now)) {
+        await remove(object.key).catch(error => {
+          logger.warn('Failed to delete expired audio file', { key: object.key, error: error.message });
+        });
+      }
+    }
+
+    const evicted = await this.evictWorkingCopies(now);
+
+    if (removed.length > 0) await this.persist();
+    if (removed.length > 0 || evicted > 0) {
+      logger.info('Audio assets swept', { removed: removed.length, evicted, remaining: this.assets.size });
+    }
+    return { removed: removed.length, evicted };
+  }
+
+  /**
+   * With storage outside the working directory, drop local copies of published
+   * assets once the pipeline is done with them
+   */
+  async evictWorkingCopies(now) {
+    if (this.storesInWorkDir()) return 0;
+
+    let evicted = 0;
+    const files = await fs.readdir(this.workDir).catch(() => []);
+    for (const file of files) {
+      if (!this.storage.isValidKey(file)) continue;
+      const filepath = this.workPath(file);
+      const stats = await fs.stat(filepath).catch(() => null);
+      if (!stats || !stats.isFile()) continue;
+
+      const age = now - stats.mtimeMs;
+      const stale = this.assets.has(file)
+        ? age > this.workingCopyHours * 60 * 60 * 1000
+        : this.isExpired(this.inferType(file), stats.mtimeMs, now);
+      if (stale) {
+        await fs.unlink(filepath).catch(() => {});
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  // Local storage rooted at the working directory (the default) has no separate copies
+  storesInWorkDir() {
+    return !!this.storage.root && path.resolve(this.storage.root) === path.resolve(this.workDir);
+  }
+
+  /**
+   * Run the sweeper periodically (AUDIO_SWEEP_INTERVAL_MS, default hourly)
+   */
+  scheduleSweeps() {
+    const intervalMs = parseInt(process.env.AUDIO_SWEEP_INTERVAL_MS || '', 10) || 60 * 60 * 1000;
+    const timer = setInterval(() => {
+      this.sweep().catch(error => {
+        logger.error('Audio sweep failed', { error: error.message });
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for sweeping
+    if (timer.unref) timer.unref();
+    return timer;
+  }
+
+  /**
+   * Express handler for /audio/<key>
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+      let key;
+      try {
+        key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+      } catch (error) {
+        return next();
+      }
+      if (!this.storage.isValidKey(key)) return next();
+
+      try {
+        const candidates = [this.storage.localPath(key), this.workPath(key)].filter(Boolean);
+        for (const filepath of candidates) {
+          if (await fs.access(filepath).then(() => true, () => false)) {
+            return res.sendFile(path.resolve(filepath), error => {
+              if (!error) return this.touch(key);
+              // As Express does without a callback: a client that went away isn't an error
+              if (error.code !== 'ECONNABORTED' && error.syscall !== 'write') next(error);
+            });
+          }
+        }
+
+        const url = this.storage.getUrl(key);
+        if (url && (this.assets.has(key) || await this.storage.stat(key))) {
+          this.touch(key);
+          return res.redirect(302, url);
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Origins audio may be served from besides this server, for the CSP
+   */
+  mediaOrigins() {
+    const origin = this.storage.origin();
+    return origin ? [origin] : [];
+  }
+
+  getStats() {
+    const byType = {};
+    for (const asset of this.assets.values()) {
+      const entry = byType[asset.type] || (byType[asset.type] = { count: 0, bytes: 0 });
+      entry.count++;
+      entry.bytes += asset.size || 0;
+    }
+    return {
+      ...this.storage.getStats(),
+      indexPath: this.indexPath,
+      retentionHours: this.retentionHours,
+      assets: this.assets.size,
+      byType
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new AudioAssetService();
+    }
+    return instance;
+  },
+  AudioAssetService
+};
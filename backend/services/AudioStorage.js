@@ -0,0 +1,337 @@
+// services/AudioStorage.js
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { signRequest, presignUrl } = require('../utils/awsSigV4');
+
+/**
+ * AudioStorage - Pluggable object storage for generated audio assets
+ * Implementations: LocalAudioStorage (default, a directory on disk),
+ * S3AudioStorage (any S3-compatible store: AWS S3, MinIO, R2, ...)
+ *
+ * Keys are flat file names (the part after /audio/ in URLs). Every storage
+ * implements:
+ *   put(key, sourcePath), fetch(key, destPath), stat(key), delete(key), list()
+ * and optionally localPath(key) (a file that can be served directly) or
+ * getUrl(key) (a URL clients can be redirected to).
+ */
+class AudioStorage {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async put(key, sourcePath) {
+    throw new Error(`${this.constructor.name} does not implement put()`);
+  }
+
+  async fetch(key, destPath) {
+    throw new Error(`${this.constructor.name} does not implement fetch()`);
+  }
+
+  async stat(key) {
+    throw new Error(`${this.constructor.name} does not implement stat()`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  localPath(key) {
+    return null;
+  }
+
+  getUrl(key) {
+    return null;
+  }
+
+  // Origin of the URLs getUrl() hands out, if any
+  origin() {
+    return null;
+  }
+
+  /**
+   * Keys must be plain file names so they can't escape the storage root
+   */
+  isValidKey(key) {
+    return typeof key === 'string' && /^[\w][\w.-]*$/.test(key) && !key.includes('..');
+  }
+
+  assertKey(key) {
+    if (!this.isValidKey(key)) throw new Error(`Invalid audio asset key: ${key}`);
+  }
+
+  contentType(key) {
+    const types = {
+      '.mp3': 'audio/mpeg',
+      '.wav': 'audio/wav',
+      '.vtt': 'text/vtt',
+      '.srt': 'application/x-subrip',
+      '.json': 'application/json',
+      '.txt': 'text/plain; charset=utf-8'
+    };
+    return types[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+
+  getStats() {
+    return { storage: this.name };
+  }
+}
+
+class LocalAudioStorage extends AudioStorage {
+  constructor(options = {}) {
+    super('local');
+    this.root = path.resolve(options.root || process.env.AUDIO_STORAGE_PATH || path.join(__dirname, '../audio'));
+  }
+
+  localPath(key) {
+    this.assertKey(key);
+    return path.join(this.root, key);
+  }
+
+  async put(key, sourcePath) {
+    const target = this.localPath(key);
+    // Files written straight into the storage directory are already in place
+    if (path.resolve(sourcePath) !== target) {
+      await fsp.mkdir(this.root, { recursive: true });
+      await fsp.copyFile(sourcePath, target);
+    }
+  }
+
+  async fetch(key, destPath) {
+    const source = this.localPath(key);
+    if (path.resolve(destPath) !== source) {
+      await fsp.copyFile(source, destPath);
+    }
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fsp.stat(this.localPath(key));
+      return { size: stats.size, modifiedAt: stats.mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fsp.unlink(this.localPath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || !this.isValidKey(entry.name)) continue;
+      const stats = await this.stat(entry.name);
+      if (stats) objects.push({ key: entry.name, ...stats });
+    }
+    return objects;
+  }
+
+  getStats() {
+    return { ...super.getStats(), root: this.root };
+  }
+}
+
+class S3AudioStorage extends AudioStorage {
+  constructor(options = {}) {
+    super('s3');
+    this.region = options.region || process.env.AUDIO_S3_REGION || 'us-east-1';
+    this.endpoint = (options.endpoint || process.env.AUDIO_S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.bucket = options.bucket || process.env.AUDIO_S3_BUCKET;
+    this.prefix = options.prefix != null ? options.prefix : (process.env.AUDIO_S3_PREFIX || 'audio/');
+    this.accessKeyId = options.accessKeyId || process.env.AUDIO_S3_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.AUDIO_S3_SECRET_ACCESS_KEY;
+    // MinIO and most self-hosted stores need path-style URLs (endpoint/bucket/key)
+    this.pathStyle = options.pathStyle != null ? options.pathStyle : process.env.AUDIO_S3_PATH_STYLE !== 'false';
+    // Served files redirect here instead of to a presigned URL when the bucket is public
+    this.publicUrl = (options.publicUrl || process.env.AUDIO_S3_PUBLIC_URL || '').replace(/\/+$/, '');
+    this.urlExpiresSeconds = options.urlExpiresSeconds || parseInt(process.env.AUDIO_S3_URL_EXPIRES_SECONDS || '', 10) || 3600;
+    this.timeoutMs = options.timeoutMs || 60000;
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 audio storage needs AUDIO_S3_BUCKET, AUDIO_S3_ACCESS_KEY_ID and AUDIO_S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  bucketUrl() {
+    if (this.pathStyle) return `${this.endpoint}/${this.bucket}`;
+    const endpoint = new URL(this.endpoint);
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}`;
+  }
+
+  objectUrl(key) {
+    this.assertKey(key);
+    return `${this.bucketUrl()}/${this.prefix}${key}`;
+  }
+
+  async request(method, url, { headers = {}, data, responseType = 'json', validateStatus } = {}) {
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    try {
+      return await axios({
+        method,
+        url,
+        headers: signedHeaders,
+        data,
+        responseType,
+        timeout: this.timeoutMs,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        validateStatus: validateStatus || (status => status >= 200 && status < 300)
+      });
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      throw new Error(`S3 ${method} ${url} failed${status ? ` with status ${status}` : `: ${error.message}`}`);
+    }
+  }
+
+  async put(key, sourcePath) {
+    const { size } = await fsp.stat(sourcePath);
+    await this.request('PUT', this.objectUrl(key), {
+      headers: { 'content-type': this.contentType(key), 'content-length': size },
+      data: fs.createReadStream(sourcePath)
+    });
+  }
+
+  async fetch(key, destPath) {
+    const response = await this.request('GET', this.objectUrl(key), { responseType: 'stream' });
+    const partialPath = `${destPath}.part`;
+    try {
+      await pipeline(response.data, fs.createWriteStream(partialPath));
+      await fsp.rename(partialPath, destPath);
+    } catch (error) {
+      await fsp.unlink(partialPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    const response = await this.request('HEAD', this.objectUrl(key), {
+      validateStatus: status => (status >= 200 && status < 300) || status === 404
+    });
+    if (response.status === 404) return null;
+    return {
+      size: parseInt(response.headers['content-length'], 10) || 0,
+      modifiedAt: Date.parse(response.headers['last-modified']) || Date.now()
+    };
+  }
+
+  async delete(key) {
+    // S3 answers 204 whether or not the object existed
+    await this.request('DELETE', this.objectUrl(key));
+  }
+
+  /**
+   * Every object under the prefix (ListObjectsV2, following continuation tokens)
+   */
+  async list() {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const params = new URLSearchParams({ 'list-type': '2', prefix: this.prefix });
+      if (continuationToken) params.set('continuation-token', continuationToken);
+      const response = await this.request('GET', `${this.bucketUrl()}/?${params}`, { responseType: 'text' });
+      const xml = response.data;
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const field = name => {
+          const match = contents.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+          return match ? decodeXml(match[1]) : null;
+        };
+        const key = field('Key').slice(this.prefix.length);
+        if (!this.isValidKey(key)) continue;
+        objects.push({
+          key,
+          size: parseInt(field('Size'), 10) || 0,
+          modifiedAt: Date.parse(field('LastModified')) || 0
+        });
+      }
+
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      const token = xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/);
+      continuationToken = truncated && token ? decodeXml(token[1]) : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  getUrl(key) {
+    if (this.publicUrl) return `${this.publicUrl}/${this.prefix}${key}`;
+    return presignUrl({
+      url: this.objectUrl(key),
+      expiresSeconds: this.urlExpiresSeconds,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+  }
+
+  origin() {
+    return new URL(this.publicUrl || this.bucketUrl()).origin;
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      endpoint: this.endpoint,
+      bucket: this.bucket,
+      prefix: this.prefix,
+      pathStyle: this.pathStyle
+    };
+  }
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Create the storage selected by AUDIO_STORAGE (local | s3)
+ */
+function createAudioStorage(type = process.env.AUDIO_STORAGE || 'local', options = {}) {
+  switch (type) {
+    case 'local':
+      return new LocalAudioStorage(options);
+    case 's3':
+      return new S3AudioStorage(options);
+    default:
+      throw new Error(`Unknown audio storage: ${type}`);
+  }
+}
+
+module.exports = {
+  AudioStorage,
+  LocalAudioStorage,
+  S3AudioStorage,
+  createAudioStorage
+};
@@ -0,0 +1,299 @@
+// services/BreathPacerService.js
+const fs = require('fs').promises;
+const path = require('path');
+const { createWavHeader } = require('../utils/wav');
+const { getInstance: getAudioAssets } = require('./AudioAssetService');
+const logger = require('../utils/logger');
+
+/**
+ * BreathPacerService - Paced-breathing track to play alongside session audio
+ *
+ * Requested with preferences.breathPacer (true, or an object overriding the
+ * defaults below). Breaths run at targetBpm breaths per minute; with a
+ * startBpm (e.g. the rate measured by a heart rate strap) the pace slows
+ * linearly from it to the target over rampSeconds, then holds.
+ *
+ * - tones: a soft tone swells and rises in pitch through each inhale, then
+ *   falls away through the exhale
+ * - chime: a bell at the start of each inhale, a lower one at each exhale
+ *
+ * The track is a separate WAV the same length as the session audio, starting
+ * at its t=0, so listeners can mute it independently. The breath timings are
+ * written next to it as JSON for the UI's pacer animation.
+ */
+class BreathPacerService {
+  constructor() {
+    this.enabled = process.env.BREATH_PACER_ENABLED !== 'false';
+    this.audioDir = path.join(__dirname, '../audio');
+    this.audioAssets = getAudioAssets();
+    this.styles = ['tones', 'chime'];
+
+    // What preferences.breathPacer may override
+    this.defaults = {
+      targetBpm: 6,       // Resonance breathing for most adults is 5.5-7 breaths per minute
+      startBpm: null,     // Defaults to the target (no slowdown)
+      rampSeconds: 180,
+      inhaleRatio: 0.4,   // Share of each breath spent breathing in; longer exhales are calming
+      style: 'tones'
+    };
+    this.limits = {
+      targetBpm: [3, 20],
+      startBpm: [3, 30],
+      rampSeconds: [0, 3600],
+      inhaleRatio: [0.2, 0.8]
+    };
+
+    // Override any of these with BREATH_PACER_SETTINGS, e.g. {"gain": 0.1, "chimeHz": 528}
+    this.sound = {
+      gain: 0.15,
+      sampleRate: 22050,
+      toneLowHz: 196,      // Start of the inhale swell / end of the exhale
+      toneHighHz: 294,     // Top of the inhale
+      chimeHz: 660,        // Inhale chime; the exhale chime is a fifth lower
+      chimeDecaySeconds: 1.2,
+      ...this.parseSettings(process.env.BREATH_PACER_SETTINGS)
+    };
+    this.blockFrames = 22050 * 10;
+  }
+
+  parseSettings(value) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      const settings = {};
+      for (const [key, number] of Object.entries(parsed)) {
+        if (Number.isFinite(number) && number > 0) settings[key] = number;
+      }
+      return settings;
+    } catch (error) {
+      logger.error('Invalid BREATH_PACER_SETTINGS, using default pacer sound', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Problems with a preferences.breathPacer value, for request validation
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  validate(preference) {
+    if (preference === undefined || typeof preference === 'boolean') return [];
+    if (!preference || typeof preference !== 'object' || Array.isArray(preference)) {
+      return ['preferences.breathPacer must be true, false or an object'];
+    }
+
+    const errors = [];
+    for (const [key, [min, max]] of Object.entries(this.limits)) {
+      const value = preference[key];
+      if (value !== undefined && value !== null && (typeof value !== 'number' || value < min || value > max)) {
+        errors.push(`preferences.breathPacer.${key} must be a number between ${min} and ${max}`);
+      }
+    }
+    if (preference.style !== undefined && !this.styles.includes(preference.style)) {
+      errors.push(`preferences.breathPacer.style must be one of: ${this.styles.join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Pacer options for a session, or null when no pacer was asked for
+   */
+  resolveOptions(preference) {
+    if (!this.enabled || !preference) return null;
+    const options = { ...this.defaults };
+    if (typeof preference === 'object') {
+      for (const key of Object.keys(this.defaults)) {
+        if (preference[key] !== undefined && preference[key] !== null) options[key] = preference[key];
+      }
+    }
+    if (!options.startBpm) options.startBpm = options.targetBpm;
+    if (options.startBpm === options.targetBpm) options.rampSeconds = 0;
+    return options;
+  }
+
+  /**
+   * Breath timings over a session
+   * @returns {Array<Object>} [{ start, inhale, exhale, bpm }] in seconds
+   */
+  schedule(options, durationSeconds) {
+    const { startBpm, targetBpm, rampSeconds, inhaleRatio } = options;
+    const breaths = [];
+    let time = 0;
+
+    while (time < durationSeconds) {
+      const progress = rampSeconds > 0 ? Math.min(1, time / rampSeconds) : 1;
+      const bpm = startBpm + (targetBpm - startBpm) * progress;
+      const period = 60 / bpm;
+      // A breath cut off by the end of the audio would leave the listener holding an inhale
+      if (time + period > durationSeconds + 0.5) break;
+
+      breaths.push({
+        start: this.round(time),
+        inhale: this.round(period * inhaleRatio),
+        exhale: this.round(period * (1 - inhaleRatio)),
+        bpm: Math.round(bpm * 100) / 100
+      });
+      time += period;
+    }
+    return breaths;
+  }
+
+  round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+
+  /**
+   * Render the pacer track and timing file for a session's audio
+   * @param {Object} audio - Final session audio info (duration in seconds)
+   * @param {Object} options - From resolveOptions()
+   * @param {Object} context - { name (file name base, e.g. the session ID), signal }
+   * @returns {Promise<Object>} { track, timing (URLs), style, startBpm, targetBpm, breaths }
+   */
+  async createTrack(audio, options, { name, signal = null }) {
+    const startTime = Date.now();
+    const duration = audio.duration;
+    const breaths = this.schedule(options, duration);
+
+    const files = {
+      track: `${name}.pacer.wav`,
+      timing: `${name}.pacer.json`
+    };
+    await this.renderTrack(path.join(this.audioDir, files.track), breaths, options.style, duration, signal);
+
+    const timing = {
+      version: 1,
+      style: options.style,
+      duration,
+      startBpm: options.startBpm,
+      targetBpm: options.targetBpm,
+      rampSeconds: options.rampSeconds,
+      inhaleRatio: options.inhaleRatio,
+      breaths
+    };
+    await fs.writeFile(path.join(this.audioDir, files.timing), JSON.stringify(timing), 'utf8');
+    await this.audioAssets.publishAll(Object.values(files), { type: 'pacer' });
+
+    logger.info('Breath pacer track created', {
+      track: files.track,
+      style: options.style,
+      startBpm: options.startBpm,
+      targetBpm: options.targetBpm,
+      breaths: breaths.length,
+      elapsedMs: Date.now() - startTime
+    });
+
+    return {
+      track: `/audio/${files.track}`,
+      timing: `/audio/${files.timing}`,
+      style: options.style,
+      startBpm: options.startBpm,
+      targetBpm: options.targetBpm,
+      breaths: breaths.length
+    };
+  }
+
+  /**
+   * Write the pacer as mono 16-bit WAV, block by block
+   */
+  async renderTrack(filepath, breaths, style, durationSeconds, signal) {
+    const rate = this.sound.sampleRate;
+    const totalFrames = Math.round(durationSeconds * rate);
+    const amplitude = this.sound.gain * 32767;
+    const { toneLowHz, toneHighHz, chimeHz, chimeDecaySeconds } = this.sound;
+    const twoPi = 2 * Math.PI;
+
+    let breathIndex = 0;
+    let phase = 0;
+
+    // Chimes are rendered once and looked up; inharmonic partials give them a
+    // bell colour, and the higher ones die away faster
+    const partials = [[1, 1, 1], [2.76, 0.35, 0.6], [5.4, 0.15, 0.35]];
+    const renderChime = hz => {
+      const samples = new Float32Array(Math.round(chimeDecaySeconds * 6 * rate));
+      for (let i = 0; i < samples.length; i++) {
+        const elapsed = i / rate;
+        let sum = 0;
+        for (const [ratio, level, decay] of partials) {
+          sum += Math.sin(twoPi * hz * ratio * elapsed) * level * Math.exp(-elapsed / (chimeDecaySeconds * decay));
+        }
+        samples[i] = sum * Math.min(1, elapsed / 0.005) * 0.6;
+      }
+      return samples;
+    };
+    const inhaleChime = style === 'chime' ? renderChime(chimeHz) : null;
+    const exhaleChime = style === 'chime' ? renderChime(chimeHz * 2 / 3) : null; // A fifth lower
+    const chime = (samples, elapsed) => {
+      const index = Math.round(elapsed * rate);
+      return index >= 0 && index < samples.length ? samples[index] : 0;
+    };
+
+    const handle = await fs.open(filepath, 'w');
+    try {
+      await handle.write(createWavHeader({ sampleRate: rate, channels: 1, dataLength: totalFrames * 2 }));
+
+      for (let blockStart = 0; blockStart < totalFrames; blockStart += this.blockFrames) {
+        if (signal && signal.aborted) throw signal.reason || new Error('Breath pacer rendering cancelled');
+
+        const blockEnd = Math.min(blockStart + this.blockFrames, totalFrames);
+        const block = Buffer.alloc((blockEnd - blockStart) * 2);
+
+        for (let frame = blockStart; frame < blockEnd; frame++) {
+          const time = frame / rate;
+          while (breathIndex < breaths.length - 1 && time >= breaths[breathIndex + 1].start) breathIndex++;
+          const breath = breaths[breathIndex];
+
+          let sample = 0;
+          if (breath && time >= breath.start && time < breath.start + breath.inhale + breath.exhale) {
+            const local = time - breath.start;
+            const inhaling = local < breath.inhale;
+
+            if (style === 'chime') {
+              const previous = breaths[breathIndex - 1];
+              sample = chime(inhaleChime, local) +
+                chime(exhaleChime, local - breath.inhale) +
+                (previous ? chime(exhaleChime, time - previous.start - previous.inhale) : 0);
+            } else {
+              // Rise through the inhale, fall back through the exhale; each phase swells and fades
+              const progress = inhaling ? local / breath.inhale : (local - breath.inhale) / breath.exhale;
+              const hz = inhaling
+                ? toneLowHz + (toneHighHz - toneLowHz) * progress
+                : toneHighHz - (toneHighHz - toneLowHz) * progress;
+              const envelope = Math.sin(Math.PI * progress) ** 2 * (inhaling ? 1 : 0.7);
+              sample = (Math.sin(phase) + 0.25 * Math.sin(phase / 2)) * envelope * 0.8;
+              phase = (phase + twoPi * hz / rate) % (4 * Math.PI); // Half-frequency partial needs two cycles
+            }
+          }
+
+          block.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample * amplitude))), (frame - blockStart) * 2);
+        }
+
+        await handle.write(block);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    } catch (error) {
+      await handle.close();
+      await fs.unlink(filepath).catch(() => {});
+      throw error;
+    }
+    await handle.close();
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      defaults: this.defaults,
+      sound: this.sound
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new BreathPacerService();
+    }
+    return instance;
+  },
+  BreathPacerService
+};
@@ -0,0 +1,383 @@
+// services/CaptionService.js
+const fs = require('fs').promises;
+const path = require('path');
+const { getInstance: getSSMLRenderer } = require('./SSMLRenderer');
+const { getInstance: getScriptSegmentParser } = require('./ScriptSegmentParser');
+const { getInstance: getAudioAssets } = require('./AudioAssetService');
+const { parseWav, pcmSamples } = require('../utils/wav');
+const logger = require('../utils/logger');
+
+/**
+ * CaptionService - Word timings for meditation audio, written as captions
+ *
+ * Timings come from the best source available for the narration:
+ *   tts-marks  - the engine reported when each SSML <mark> was spoken (Google)
+ *   alignment  - speech found in the WAV narration: segment pauses are the
+ *                longest silences, words spread over each segment's speech
+ *   estimate   - the script's own timing estimate, stretched to the audio length
+ * The timeline is written next to the audio as WebVTT (with per-word
+ * timestamps for read-along players), SRT and JSON.
+ */
+class CaptionService {
+  constructor() {
+    this.enabled = process.env.CAPTIONS_ENABLED !== 'false';
+    this.audioDir = path.join(__dirname, '../audio');
+    this.audioAssets = getAudioAssets();
+    this.ssmlRenderer = getSSMLRenderer();
+    this.segmentParser = getScriptSegmentParser();
+
+    this.maxCueChars = 84;      // Two lines of 42
+    this.maxLineChars = 42;
+    this.maxCueSeconds = 6;
+    this.secondsPerChar = 0.075; // Length of a word that has no following word to end it
+
+    // Alignment: 20ms windows, speech above a fraction of the loudest window
+    this.windowSeconds = 0.02;
+    this.speechFraction = 0.06;
+    this.minGapSeconds = 0.25;   // Shorter silences are inside a phrase
+    this.minSpeechSeconds = 0.08;
+  }
+
+  /**
+   * Time every word of the script against the narration
+   * @param {Array<Object>} segments - Script segments (paragraphs of text are used when empty)
+   * @param {Object} narration - TTSService.generateAudio result, before any soundscape mixing
+   * @param {Object} options - { text }
+   * @returns {Promise<Object>} { version, source, duration, segments: [{ index, type, text, start, end, words }] }
+   */
+  async buildTimeline(segments, narration, { text = '' } = {}) {
+    const scriptSegments = segments && segments.length > 0
+      ? segments
+      : this.segmentParser.segmentsFromParagraphs(text);
+    const segmentWords = scriptSegments.map(segment => this.ssmlRenderer.words(segment.text));
+
+    let source = null;
+    let timings = null;
+
+    if (narration.timepoints) {
+      timings = this.fromTimepoints(segmentWords, narration.timepoints);
+      if (timings) source = 'tts-marks';
+    }
+    if (!timings && narration.filename && narration.filename.endsWith('.wav')) {
+      try {
+        timings = this.align(await fs.readFile(narration.filepath), segmentWords);
+        if (timings) source = 'alignment';
+      } catch (error) {
+        logger.warn('Caption alignment failed, using estimated timings', { error: error.message });
+      }
+    }
+    if (!timings) {
+      timings = this.estimate(scriptSegments, segmentWords, narration.duration);
+      source = 'estimate';
+    }
+
+    const timelineSegments = scriptSegments.map((segment, index) => {
+      const words = timings[index];
+      return {
+        index,
+        type: segment.type,
+        text: segment.text,
+        start: words.length > 0 ? words[0].start : null,
+        end: words.length > 0 ? words[words.length - 1].end : null,
+        words
+      };
+    });
+
+    return {
+      version: 1,
+      source,
+      duration: narration.duration,
+      segments: timelineSegments
+    };
+  }
+
+  /**
+   * Word timings from <mark name="wN"/> timepoints; null when marks are missing
+   */
+  fromTimepoints(segmentWords, timepoints) {
+    const marks = new Map(timepoints.map(point => [point.name, point.seconds]));
+    const total = segmentWords.reduce((sum, words) => sum + words.length, 0);
+    if (total === 0 || marks.size < total * 0.9) return null;
+
+    // Starts in script order; a missing mark borrows the previous word's start
+    const starts = [];
+    let previous = 0;
+    for (let n = 0; n < total; n++) {
+      const seconds = marks.get(`w${n}`);
+      previous = Number.isFinite(seconds) ? Math.max(seconds, previous) : previous;
+      starts.push(previous);
+    }
+
+    let n = 0;
+    return segmentWords.map(words => {
+      const firstIndex = n;
+      n += words.length;
+      return words.map((word, i) => {
+        const index = firstIndex + i;
+        const spokenEnd = starts[index] + this.wordSeconds(word);
+        // Within a segment a word ends where the next begins; the last one gets its own length
+        const end = i < words.length - 1 ? starts[index + 1] : spokenEnd;
+        const nextStart = index + 1 < total ? starts[index + 1] : Infinity;
+        return this.timedWord(word, starts[index], Math.min(end, nextStart));
+      });
+    });
+  }
+
+  /**
+   * Word timings from the narration WAV; null when the speech can't be matched to the segments
+   */
+  align(buffer, segmentWords) {
+    const wav = parseWav(buffer);
+    const samples = pcmSamples(buffer, wav);
+    const windowFrames = Math.max(1, Math.round(wav.sampleRate * this.windowSeconds));
+    const windowCount = Math.floor(wav.frames / windowFrames);
+
+    const levels = new Float64Array(windowCount);
+    let peak = 0;
+    for (let w = 0; w < windowCount; w++) {
+      let sum = 0;
+      for (let f = w * windowFrames; f < (w + 1) * windowFrames; f++) {
+        for (let c = 0; c < wav.channels; c++) {
+          const sample = samples[f * wav.channels + c];
+          sum += sample * sample;
+        }
+      }
+      levels[w] = Math.sqrt(sum / (windowFrames * wav.channels));
+      if (levels[w] > peak) peak = levels[w];
+    }
+    if (peak < 32) return null; // Silent placeholder audio
+
+    // Speech regions, joining short gaps and dropping clicks
+    const threshold = peak * this.speechFraction;
+    const windowSeconds = windowFrames / wav.sampleRate;
+    const regions = [];
+    for (let w = 0; w < windowCount; w++) {
+      if (levels[w] < threshold) continue;
+      const start = w * windowSeconds;
+      const last = regions[regions.length - 1];
+      if (last && start - last.end < this.minGapSeconds) {
+        last.end = start + windowSeconds;
+      } else {
+        regions.push({ start, end: start + windowSeconds });
+      }
+    }
+    const phrases = regions.filter(region => region.end - region.start >= this.minSpeechSeconds);
+
+    const spokenSegments = segmentWords.filter(words => words.length > 0).length;
+    if (phrases.length < spokenSegments) return null;
+
+    // Segment pauses are the longest silences
+    const gaps = phrases.slice(1).map((phrase, i) => ({ after: i, length: phrase.start - phrases[i].end }));
+    const boundaries = new Set(gaps
+      .sort((a, b) => b.length - a.length)
+      .slice(0, spokenSegments - 1)
+      .map(gap => gap.after));
+
+    const groups = [[]];
+    phrases.forEach((phrase, i) => {
+      groups[groups.length - 1].push(phrase);
+      if (boundaries.has(i)) groups.push([]);
+    });
+
+    let group = 0;
+    return segmentWords.map(words => (
+      words.length > 0 ? this.spreadWords(words, groups[group++]) : []
+    ));
+  }
+
+  // Place words over a segment's speech in proportion to their length, skipping the silences
+  spreadWords(words, phrases) {
+    const weights = words.map(word => word.length + 1);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const speech = phrases.reduce((sum, phrase) => sum + (phrase.end - phrase.start), 0);
+
+    const timeAt = (fraction, atEnd) => {
+      let remaining = fraction * speech;
+      for (let i = 0; i < phrases.length; i++) {
+        const length = phrases[i].end - phrases[i].start;
+        const isLast = i === phrases.length - 1;
+        if (remaining < length || (atEnd && remaining <= length) || isLast) {
+          return phrases[i].start + Math.min(remaining, length);
+        }
+        remaining -= length;
+      }
+      return phrases[phrases.length - 1].end;
+    };
+
+    let before = 0;
+    return words.map((word, i) => {
+      const start = timeAt(before / totalWeight, false);
+      before += weights[i];
+      return this.timedWord(word, start, timeAt(before / totalWeight, true));
+    });
+  }
+
+  /**
+   * Word timings from the script's estimated segment timings, scaled to the audio length
+   */
+  estimate(segments, segmentWords, audioDuration) {
+    const timed = segments.every(segment => Number.isFinite(segment.estimatedStart))
+      ? segments
+      : this.segmentParser.withTimings(segments.map(segment => ({
+        ...segment,
+        pauseAfterSeconds: Number.isFinite(segment.pauseAfterSeconds) ? segment.pauseAfterSeconds : this.segmentParser.defaultPauseSeconds
+      })));
+
+    const last = timed[timed.length - 1];
+    const estimatedTotal = last ? last.estimatedStart + last.estimatedDuration : 0;
+    const scale = audioDuration > 0 && estimatedTotal > 0 ? audioDuration / estimatedTotal : 1;
+
+    return segmentWords.map((words, index) => {
+      const segment = timed[index];
+      const start = segment.estimatedStart * scale;
+      const phrase = { start, end: start + Math.max(segment.estimatedDuration * scale, 0.1) };
+      return words.length > 0 ? this.spreadWords(words, [phrase]) : [];
+    });
+  }
+
+  wordSeconds(word) {
+    return Math.min(Math.max(word.length * this.secondsPerChar, 0.25), 1.2);
+  }
+
+  timedWord(text, start, end) {
+    return { text, start: this.round(start), end: this.round(Math.max(end, start)) };
+  }
+
+  round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+
+  /**
+   * Write WebVTT, SRT and JSON timeline files next to the audio
+   * @param {Object} audio - Final audio file info (voiceOffset is set when a soundscape lead-in was added)
+   * @param {Object} timeline - From buildTimeline()
+   * @returns {Promise<Object>} URLs { vtt, srt, timeline } and the timing source
+   */
+  async writeCaptions(audio, timeline) {
+    const shifted = this.shift(timeline, audio.voiceOffset || 0, audio.duration);
+    const cues = this.buildCues(shifted);
+    const baseName = path.parse(audio.filename).name;
+
+    const files = {
+      vtt: `${baseName}.vtt`,
+      srt: `${baseName}.srt`,
+      timeline: `${baseName}.timeline.json`
+    };
+    await Promise.all([
+      fs.writeFile(path.join(this.audioDir, files.vtt), this.toVtt(cues), 'utf8'),
+      fs.writeFile(path.join(this.audioDir, files.srt), this.toSrt(cues), 'utf8'),
+      fs.writeFile(path.join(this.audioDir, files.timeline), JSON.stringify(shifted, null, 2), 'utf8')
+    ]);
+    await this.audioAssets.publishAll(Object.values(files), { type: 'captions' });
+
+    logger.debug('Captions written', { audio: audio.filename, source: timeline.source, cues: cues.length });
+
+    return {
+      vtt: `/audio/${files.vtt}`,
+      srt: `/audio/${files.srt}`,
+      timeline: `/audio/${files.timeline}`,
+      source: timeline.source
+    };
+  }
+
+  shift(timeline, offset, duration) {
+    const move = seconds => (seconds === null ? null : this.round(seconds + offset));
+    return {
+      ...timeline,
+      duration: duration || timeline.duration,
+      voiceOffset: offset,
+      segments: timeline.segments.map(segment => ({
+        ...segment,
+        start: move(segment.start),
+        end: move(segment.end),
+        words: segment.words.map(word => ({ ...word, start: move(word.start), end: move(word.end) }))
+      }))
+    };
+  }
+
+  /**
+   * Group words into cues: never across segments, broken after sentences and
+   * when a cue would outgrow two lines or the time limit
+   */
+  buildCues(timeline) {
+    const cues = [];
+    for (const segment of timeline.segments) {
+      let cue = null;
+      for (const word of segment.words) {
+        const length = cue ? cue.words.map(w => w.text).join(' ').length + 1 + word.text.length : word.text.length;
+        if (cue && (length > this.maxCueChars || word.end - cue.start > this.maxCueSeconds)) {
+          cues.push(cue);
+          cue = null;
+        }
+        if (!cue) cue = { start: word.start, end: word.end, words: [] };
+        cue.words.push(word);
+        cue.end = word.end;
+
+        if (/[.!?…]["'”’)\]]*$/.test(word.text)) {
+          cues.push(cue);
+          cue = null;
+        }
+      }
+      if (cue) cues.push(cue);
+    }
+    return cues;
+  }
+
+  // Split a cue's words into lines of at most maxLineChars
+  lines(words) {
+    const lines = [[]];
+    let length = 0;
+    for (const word of words) {
+      const current = lines[lines.length - 1];
+      if (current.length > 0 && length + 1 + word.text.length > this.maxLineChars) {
+        lines.push([word]);
+        length = word.text.length;
+      } else {
+        current.push(word);
+        length += (current.length > 1 ? 1 : 0) + word.text.length;
+      }
+    }
+    return lines;
+  }
+
+  toVtt(cues) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const body = cues.map(cue => {
+      // Inline timestamps before every word after the first drive read-along highlighting
+      const text = this.lines(cue.words).map(line => line.map(word => (
+        word === cue.words[0] ? escape(word.text) : `<${this.formatTime(word.start, '.')}>${escape(word.text)}`
+      )).join(' ')).join('\n');
+      return `${this.formatTime(cue.start, '.')} --> ${this.formatTime(cue.end, '.')}\n${text}`;
+    });
+    return `WEBVTT\n\n${body.join('\n\n')}\n`;
+  }
+
+  toSrt(cues) {
+    return cues.map((cue, i) => {
+      const text = this.lines(cue.words).map(line => line.map(word => word.text).join(' ')).join('\n');
+      return `${i + 1}\n${this.formatTime(cue.start, ',')} --> ${this.formatTime(cue.end, ',')}\n${text}`;
+    }).join('\n\n') + '\n';
+  }
+
+  // hh:mm:ss.mmm (WebVTT) or hh:mm:ss,mmm (SRT)
+  formatTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new CaptionService();
+    }
+    return instance;
+  },
+  CaptionService
+};
@@ -3,6 +3,13 @@ const { getInstance: getAIProvider } = require('./AIProviderService');
 const APIService = require('./APIService');
 const LunarService = require('./LunarService');
 const FeedbackAnalyzerService = require('./FeedbackAnalyzerService');
+const { getInstance: getPromptTemplates } = require('./PromptTemplateService');
+const { getInstance: getScriptValidator } = require('./ScriptValidator');
+const { getInstance: getSegmentParser } = require('./ScriptSegmentParser');
+const { getInstance: getSSMLRenderer } = require('./SSMLRenderer');
+const { getInstance: getCaptionService } = require('./CaptionService');
+const { getLocale, DEFAULT_LANGUAGE } = require('../locales');
+const moment = require('moment-timezone');
 const logger = require('../utils/logger');
 
 class ContentGenerationService {
@@ -11,53 +18,183 @@ class ContentGenerationService {
     this.lunarService = new LunarService();
     this.aiProvider = getAIProvider();
     this.feedbackAnalyzer = new FeedbackAnalyzerService();
+    this.promptTemplates = getPromptTemplates();
+    this.scriptValidator = getScriptValidator();
+
+    // Extra attempts with corrective feedback when a script breaks the prompt rules
+    const maxRegenerations = parseInt(process.env.SCRIPT_MAX_REGENERATIONS, 10);
+    this.maxRegenerations = Number.isInteger(maxRegenerations) && maxRegenerations >= 0 ? maxRegenerations : 2;
+
+    // 'segments': ask for schema-checked JSON segments; 'text': plain script
+    this.segmentParser = getSegmentParser();
+    this.ssmlRenderer = getSSMLRenderer();
+    this.captionService = getCaptionService();
+    this.outputFormat = process.env.SCRIPT_OUTPUT_FORMAT === 'text' ? 'text' : 'segments';
   }
 
-  async generateContent({ weather, species, preferences, sessionId, lunar, behavior, datetime, timeOfDay, location, moonriseInfo, specialDayGuidance }) {
+  /**
+   * Generate meditation content for a session
+   * @param {Object} params - Session context
+   * @param {string} [params.timezone] - Listener's IANA timezone, for the local hour, moon visibility and prompt date
+   * @param {Function} [params.onToken] - Receives script text chunks as they are generated;
+   *   called as onToken(text, { replace: true }) when earlier chunks should be discarded
+   * @param {AbortSignal} [params.signal] - Cancels the in-flight AI request
+   * @param {string} [params.caller] - Usage ledger label for the AI call
+   * @returns {Promise<Object>} Parsed content object
+   */
+  async generateContent({ weather, species, preferences, sessionId, lunar, behavior, datetime, timezone = null, timeOfDay, location, moonriseInfo, specialDayGuidance, onToken = null, signal = null, caller = 'meditation' }) {
+    await this.promptTemplates.ready;
     const cacheKey = this.generateCacheKey({ weather, species, preferences, lunar, behavior });
     if (this.cache.has(cacheKey)) {
       logger.debug(`Using cached content for session ${sessionId}`);
-      return this.cache.get(cacheKey);
+      const cached = this.cache.get(cacheKey);
+      if (onToken) onToken(cached.text);
+      return cached;
     }
 
+    let streamed = false;
     try {
-      const prompt = await this.buildPrompt({
+      const { prompt, template, constraints } = await this.buildPrompt({
         weather,
         species,
         preferences,
         lunar,
         behavior,
         datetime,
+        timezone,
         timeOfDay,
         moonriseInfo,
-        specialDayGuidance
+        specialDayGuidance,
+        ecoregion: location?.ecoregion || null
       });
 
-      // Use AIProviderService instead of direct Google AI
-      const result = await this.aiProvider.generateContent(prompt);
-      const generatedText = result.text;
+      // Regenerate with corrective feedback until the script passes validation,
+      // keeping the best-scoring attempt if none do
+      const history = [];
+      let best = null;
+      let attemptPrompt = prompt;
+
+      for (let attempt = 1; attempt <= this.maxRegenerations + 1; attempt++) {
+        let attemptText = '';
+        const emit = chunk => {
+          // A regenerated script replaces the rejected one listeners already received
+          onToken(chunk, { replace: streamed && !attemptText });
+          attemptText += chunk;
+          streamed = true;
+        };
+        // Listeners get the spoken text, not the segment JSON around it
+        const streamChunk = this.outputFormat === 'segments' ? this.segmentParser.createTextStream(emit) : emit;
+
+        // Stream the script to listeners when someone is waiting on it
+        const result = onToken
+          ? await this.aiProvider.generateContentStreamed(attemptPrompt, {
+            signal,
+            caller,
+            sessionId,
+            onToken: streamChunk
+          })
+          : await this.aiProvider.generateContent(attemptPrompt, { signal, caller, sessionId });
+
+        const structure = this.outputFormat === 'segments' ? this.segmentParser.parse(result.text) : null;
+        const scriptText = structure ? structure.text : result.text;
+        // Plain-text fallback streams nothing through the extractor; send the final text
+        if (onToken && attemptText.trim() !== scriptText.trim()) {
+          onToken(scriptText, { replace: streamed });
+          attemptText = scriptText;
+          streamed = true;
+        }
+
+        const validation = this.scriptValidator.validate(scriptText, {
+          ...constraints,
+          language: preferences.language || DEFAULT_LANGUAGE,
+          schemaErrors: structure ? structure.errors : []
+        });
+        history.push({
+          attempt,
+          provider: result.provider,
+          model: result.model,
+          score: validation.score,
+          wordCount: validation.wordCount,
+          violations: validation.violations.map(v => v.rule)
+        });
+
+        const isBest = !best || validation.score > best.validation.score;
+        if (isBest) best = { result, structure, scriptText, validation };
+        if (validation.valid) break;
+
+        logger.warn(`Generated script failed validation for session ${sessionId}`, {
+          attempt,
+          provider: result.provider,
+          model: result.model,
+          violations: validation.violations.map(v => v.message)
+        });
+
+        if (attempt <= this.maxRegenerations) {
+          attemptPrompt = this.scriptValidator.buildCorrectionPrompt(prompt, validation);
+        } else if (onToken && !isBest) {
+          // Listeners hold the last attempt; swap in the better-scoring one
+          onToken(best.scriptText, { replace: true });
+        }
+      }
 
-      const content = this.parseGeneratedContent(generatedText, preferences);
+      const { result, structure, scriptText, validation } = best;
+      const content = this.parseGeneratedContent(scriptText, preferences, structure);
+      // Which provider served the script, and why any earlier ones in the chain were passed over
+      content.generation = {
+        provider: result.provider,
+        model: result.model,
+        template,
+        outputFormat: structure ? structure.format : 'text',
+        skipped: result.skipped || []
+      };
+      content.validation = {
+        valid: validation.valid,
+        score: validation.score,
+        attempts: history.length,
+        violations: validation.violations,
+        history
+      };
 
       this.cache.set(cacheKey, content);
       this.scheduleCacheCleanup(cacheKey);
 
       logger.info(`Content generated successfully for session ${sessionId}`, {
         provider: result.provider,
-        model: result.model
+        model: result.model,
+        skipped: content.generation.skipped.length,
+        attempts: history.length,
+        valid: validation.valid
       });
       return content;
 
     } catch (error) {
+      // Cancellation is not a generation failure - don't mask it with fallback text
+      if (signal && signal.aborted) throw error;
+
       logger.error(`Content generation failed for session ${sessionId}`, {
-        error: error.message
+        error: error.message,
+        skipped: error.skipped
       });
 
-      return this.getFallbackContent({ weather, species, preferences, lunar, behavior, timeOfDay, moonriseInfo });
+      const fallback = this.getFallbackContent({ weather, species, preferences, lunar, behavior, timeOfDay, moonriseInfo });
+      fallback.generation = {
+        provider: null,
+        model: null,
+        fallbackReason: error.message,
+        skipped: error.skipped || []
+      };
+      // Partial streamed text (if any) is superseded by the fallback script
+      if (onToken) onToken(fallback.text, { replace: streamed });
+      return fallback;
     }
   }
 
-  async buildPrompt({ weather, species, preferences, lunar, behavior, datetime, timeOfDay, moonriseInfo, specialDayGuidance }) {
+  /**
+   * Render the meditation prompt from the active template version, followed by
+   * the language block and (when structured output is on) the segment format
+   * @returns {Promise<Object>} { prompt, template: { id, version, language, format }, constraints: { minWords, maxWords } }
+   */
+  async buildPrompt({ weather, species, preferences, lunar, behavior, datetime, timezone = null, timeOfDay, moonriseInfo, specialDayGuidance, ecoregion = null }) {
     const duration = preferences.duration || 300;
     const mood = preferences.mood || 'calm';
     const durationMinutes = Math.floor(duration / 60);
@@ -82,8 +219,10 @@ class ContentGenerationService {
     const instructionGuidance = this.getInstructionGuidance(instructionDepth);
     const philosophicalGuidance = this.getPhilosophicalGuidance(philosophicalDepth);
 
-    // Determine time context
-    const hour = datetime ? datetime.getHours() : new Date().getHours();
+    // Determine time context in the listener's timezone (the server's when unknown)
+    const now = datetime || new Date();
+    const toLocal = date => (timezone ? moment.tz(date, timezone) : moment(date));
+    const localTime = toLocal(now).format('h:mm A [on] MMMM D, YYYY');
 
     // NEW LUNAR RULES:
     // Only mention moon if:
@@ -91,7 +230,7 @@ class ContentGenerationService {
     // 2. Moon is astronomically visible based on phase and time
     // 3. Always note time of day when mentioning moon
     const nearMoonrise = moonriseInfo && moonriseInfo.near;
-    const moonVisible = lunar ? this.lunarService.isMoonVisible(datetime || new Date(), lunar) : false;
+    const moonVisible = lunar ? this.lunarService.isMoonVisible(now, lunar, timezone) : false;
     const includeLunar = lunar && (nearMoonrise || moonVisible);
 
     // Get lunar context formatting
@@ -104,7 +243,7 @@ class ContentGenerationService {
     // Build moonrise context if applicable
     let moonriseContext = '';
     if (nearMoonrise && moonriseInfo.moonrise) {
-      const moonriseTime = moonriseInfo.moonrise.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+      const moonriseTime = toLocal(moonriseInfo.moonrise).format('h:mm A');
       if (moonriseInfo.isPast) {
         moonriseContext = `The moon has just risen at ${moonriseTime}, now visible in the ${timeOfDay} sky. `;
       } else {
@@ -138,132 +277,81 @@ SPECIAL LUNAR DAY CONTEXT (Day 25 - Receptivity):
       }
     }
 
+    // Variables shared by both meditation templates
+    const variables = {
+      speciesName: species.name,
+      scientificName: species.scientificName,
+      behaviorText,
+      behaviorLine: `${behaviorText}${behaviorDescription ? ` — ${behaviorDescription}` : ''}`,
+      timeOfDay,
+      localTime,
+      moonriseLine: moonriseContext ? `- Moonrise: ${moonriseContext}` : '',
+      lunarPhaseLine: includeLunar && !nearMoonrise ? `- Lunar phase: ${lunarContext} (visible in ${timeOfDay} sky)` : '',
+      lunarIntegration: nearMoonrise
+        ? `IMPORTANT: Skillfully integrate the moonrise (${moonriseContext.trim()}) as a special moment`
+        : includeLunar
+          ? `Subtly mention the moon as visible in the ${timeOfDay} sky - "${lunarContext}"`
+          : 'Do NOT mention the moon (not astronomically visible at this time)',
+      weatherDescription: weather.description,
+      temperature: weather.temperature,
+      ecoregionLine: this.formatEcoregionLine(ecoregion),
+      specialDayContext,
+      feedbackInstructions: this.getFeedbackInstructions(feedbackAdjustments),
+      minWords,
+      maxWords,
+      durationMinutes
+    };
+
     // Real observation handling
     const isRealObservation = species.observedAt && species.location;
 
+    let rendered;
     if (isRealObservation) {
-      const timeAgo = this.getTimeAgo(species.observedAt);
       const observerNote = species.description || behaviorDescription || '';
       const locationName = species.location.place || species.location.locality || 'this location';
 
-      return `You are generating a 3-5 minute guided nature meditation in a minimal contemplative style, blending soft nature-documentary narration with meditative awareness.
-
-REAL-TIME ENVIRONMENTAL CONTEXT (DO NOT INVENT):
-- Species: ${species.name} (${species.scientificName})
-- Behavior: ${behaviorText}${behaviorDescription ? ` — ${behaviorDescription}` : ''}
-- Recently observed: ${timeAgo} in ${locationName}
-- Observer: ${species.observedBy || 'local naturalist'}
-${observerNote ? `- Notes: "${observerNote.substring(0, 250)}"` : ''}
-- Current time: ${timeOfDay} ${datetime ? `on ${datetime.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}` : ''}
-${moonriseContext ? `- Moonrise: ${moonriseContext}` : ''}
-${includeLunar && !nearMoonrise ? `- Lunar phase: ${lunarContext} (visible in ${timeOfDay} sky)` : ''}
-- Weather: ${weather.description}, ${weather.temperature}°C
-- Location: ${locationName}
-${specialDayContext}
-
-MEDITATION REQUIREMENTS:
-1. **Perspective**: Second-person ("You notice...", "Your breath...", "Watch as...")
-2. **Sensory Details**: Integrate sight, sound, temperature, touch, breath${this.getFeedbackInstructions(feedbackAdjustments)}
-3. **Lunar Integration**: ${nearMoonrise ? `IMPORTANT: Skillfully integrate the moonrise (${moonriseContext.trim()}) as a special moment` : includeLunar ? `Subtly mention the moon as visible in the ${timeOfDay} sky - "${lunarContext}"` : 'Do NOT mention the moon (not astronomically visible at this time)'}
-4. **Behavior Focus**: Center on the specific behavior: ${behaviorText}
-5. **Tone**: Minimal, contemplative, observational — NO affirmations, metaphysics, or life lessons
-6. **Audio Formatting**: Use ellipses (...) between short paragraphs for natural pauses (1-2 breath cycles). Do NOT insert the literal word "pause" or leave blank lines between paragraphs.
-
-FORBIDDEN PHRASES:
-- "These remarkable creatures..."
-- "You need not control your thoughts..."
-- "Let go of..."
-- "Connect with your inner..."
-- "Day 14", "Day 15", or any lunar day references
-- Any exaggeration or motivational language
-
-IMPORTANT ANTI-PATTERN RULES:
-- DO NOT alternate predictably between nature paragraphs and meditation paragraphs
-- VARY the length and rhythm of sections unpredictably
-- Sometimes linger on the animal for 3-4 paragraphs before any breath mention
-- Sometimes weave breath and observation together in the same moment
-- Occasionally skip breath entirely for extended periods
-- Let the animal's behavior dictate the flow, not a formula
-- Use surprising transitions and unexpected connections
-- Mix micro-observations (a wing twitch) with macro-context (weather shifting) irregularly
-
-STRUCTURAL VARIATION (${minWords}-${maxWords} words total for ${durationMinutes} minutes):
-Choose ONE of these organic structures randomly (do NOT follow a predictable pattern):
-
-Option A - "Slow Zoom": Start very wide (landscape, weather), gradually narrow to tiny details of ${species.name}, then suddenly shift to breath at unexpected moment
-Option B - "Behavior Immersion": Stay with ${species.name}'s ${behaviorText} for majority of meditation, only briefly touching on listener's body sensations
-Option C - "Rhythmic Weaving": Alternate between animal and breath in irregular intervals (2 paragraphs animal, 1 breath, 4 paragraphs animal, 2 breath, etc.)
-Option D - "Parallel Experience": Describe animal and listener's sensations simultaneously, blending them in the same sentences
-Option E - "Cinematic": Follow the animal like a nature documentary, with listener as quiet observer who only occasionally notes their own breath
-
-FORMAT FOR TTS:
-- Short paragraphs (2-3 sentences max)
-- Empty line between paragraphs = natural pause
-- No stage directions like "pause here" or "breathe"
-
-CRITICAL: This MUST be a full ${durationMinutes}-minute meditation with ${minWords}-${maxWords} words. Break predictable patterns. Make it feel spontaneous and alive, not structured.
-
-Write the complete ${durationMinutes}-minute meditation script NOW:`;
-
+      rendered = await this.promptTemplates.render('meditation-observation', {
+        ...variables,
+        timeAgo: this.getTimeAgo(species.observedAt),
+        locationName,
+        observer: species.observedBy || 'local naturalist',
+        observerNoteLine: observerNote ? `- Notes: "${observerNote.substring(0, 250)}"` : '',
+        currentTime: `${timeOfDay}, ${localTime}`
+      });
     } else {
       // Generic/database species
-      return `You are generating a 3-5 minute guided nature meditation in a minimal contemplative style, blending soft nature-documentary narration with meditative awareness.
-
-ENVIRONMENTAL CONTEXT:
-- Species: ${species.name} (${species.scientificName})
-- Behavior: ${behaviorText}${behaviorDescription ? ` — ${behaviorDescription}` : ''}
-- Habitat: ${species.habitat}
-- Time: ${timeOfDay}
-${moonriseContext ? `- Moonrise: ${moonriseContext}` : ''}
-${includeLunar && !nearMoonrise ? `- Lunar phase: ${lunarContext} (visible in ${timeOfDay} sky)` : ''}
-- Weather: ${weather.description}, ${weather.temperature}°C
-${specialDayContext}
-
-MEDITATION REQUIREMENTS:
-1. **Style**: ${styleGuidance}
-2. **Content Balance**: ${balanceGuidance}
-3. **Instruction Level**: ${instructionGuidance}
-4. **Philosophical Approach**: ${philosophicalGuidance}
-5. **Perspective**: Second-person ("You notice...", "Your breath...", "Watch as...")
-6. **Sensory Details**: Sight, sound, temperature, touch, breath${this.getFeedbackInstructions(feedbackAdjustments)}
-7. **Lunar Integration**: ${nearMoonrise ? `IMPORTANT: Skillfully integrate the moonrise (${moonriseContext.trim()}) as a special moment` : includeLunar ? `Subtly mention the moon as visible in the ${timeOfDay} sky - "${lunarContext}"` : 'Do NOT mention the moon (not astronomically visible at this time)'}
-8. **Behavior Focus**: ${behaviorText}
-9. **Audio Formatting**: Use ellipses (...) between short paragraphs. Do NOT include blank lines between paragraphs or the word "pause".
-
-FORBIDDEN:
-- Generic wisdom or life lessons
-- "These remarkable creatures..."
-- "Let go of..." or similar clichés
-- "Day 14", "Day 15", or any lunar day references
-
-IMPORTANT ANTI-PATTERN RULES:
-- DO NOT alternate predictably between nature paragraphs and meditation paragraphs
-- VARY the length and rhythm of sections unpredictably
-- Sometimes linger on the animal for 3-4 paragraphs before any breath mention
-- Sometimes weave breath and observation together in the same moment
-- Occasionally skip breath entirely for extended periods
-- Let the animal's behavior dictate the flow, not a formula
-- Use surprising transitions and unexpected connections
-- Mix micro-observations (a wing twitch) with macro-context (weather shifting) irregularly
-
-STRUCTURAL VARIATION (${minWords}-${maxWords} words total for ${durationMinutes} minutes):
-Choose ONE of these organic structures randomly (do NOT follow a predictable pattern):
-
-Option A - "Slow Zoom": Start very wide (landscape, weather), gradually narrow to tiny details of ${species.name}, then suddenly shift to breath at unexpected moment
-Option B - "Behavior Immersion": Stay with ${species.name}'s ${behaviorText} for majority of meditation, only briefly touching on listener's body sensations
-Option C - "Rhythmic Weaving": Alternate between animal and breath in irregular intervals (2 paragraphs animal, 1 breath, 4 paragraphs animal, 2 breath, etc.)
-Option D - "Parallel Experience": Describe animal and listener's sensations simultaneously, blending them in the same sentences
-Option E - "Cinematic": Follow the animal like a nature documentary, with listener as quiet observer who only occasionally notes their own breath
-
-FORMAT FOR TTS:
-- Short paragraphs
-- Empty lines = pauses
-- No explicit pause instructions
-
-CRITICAL: This MUST be a full ${durationMinutes}-minute meditation with ${minWords}-${maxWords} words. Break predictable patterns. Make it feel spontaneous and alive, not structured.
-
-Write the complete ${durationMinutes}-minute meditation:`;
+      rendered = await this.promptTemplates.render('meditation-species', {
+        ...variables,
+        habitat: species.habitat,
+        styleGuidance,
+        balanceGuidance,
+        instructionGuidance,
+        philosophicalGuidance
+      });
     }
+
+    const languageRendered = await this.promptTemplates.render(`language-${preferences.language || DEFAULT_LANGUAGE}`, {
+      speciesName: species.name
+    });
+    let prompt = `${rendered.text}\n\n${languageRendered.text}`;
+    const language = { id: languageRendered.templateId, version: languageRendered.version };
+
+    let format = null;
+    if (this.outputFormat === 'segments') {
+      const formatRendered = await this.promptTemplates.render('script-segments', {
+        minWords,
+        maxWords,
+        maxPauseSeconds: this.segmentParser.maxPauseSeconds
+      });
+      prompt += `\n\n${formatRendered.text}`;
+      format = { id: formatRendered.templateId, version: formatRendered.version };
+    }
+
+    return {
+      prompt,
+      template: { id: rendered.templateId, version: rendered.version, language, format },
+      constraints: { minWords, maxWords }
+    };
   }
 
 /**
@@ -311,36 +399,28 @@ Write the complete ${durationMinutes}-minute meditation:`;
 
   /**
    * Parse generated meditation content
-   * @param {string} text - Raw generated text
+   * @param {string} text - Script text (segment texts joined by blank lines for structured output)
    * @param {Object} preferences - User preferences
+   * @param {Object} [structure] - ScriptSegmentParser result; paragraphs become segments without it
    * @returns {Object} Parsed content object
    */
-  parseGeneratedContent(text, preferences) {
+  parseGeneratedContent(text, preferences, structure = null) {
     if (!text) {
       return {
         text: '',
         estimatedDuration: preferences.duration || 300,
-        sections: []
+        sections: [],
+        segments: [],
+        ssml: ''
       };
     }
 
     // Format for TTS
     const ttsText = this.formatForTTS(text);
 
-    // Split into sections (rough estimation)
-    const paragraphs = text.split('\n\n').filter(p => p.trim().length > 0);
-    const totalParagraphs = paragraphs.length;
-
-    const sections = [];
-    if (totalParagraphs > 0) {
-      sections.push('introduction');
-    }
-    if (totalParagraphs > 1) {
-      sections.push('body');
-    }
-    if (totalParagraphs > 2) {
-      sections.push('closing');
-    }
+    const segments = structure ? structure.segments : this.segmentParser.segmentsFromParagraphs(text);
+    // Segment types in order of first appearance
+    const sections = [...new Set(segments.map(segment => segment.type))];
 
     // Estimate duration based on word count (average speech: 150 words/min)
     const wordCount = text.split(/\s+/).length;
@@ -352,14 +432,32 @@ Write the complete ${durationMinutes}-minute meditation:`;
       estimatedDuration: estimatedDuration,
       wordCount: wordCount,
       sections: sections,
-      paragraphCount: totalParagraphs
+      segments: segments,
+      // SSML rendering for engines that support it; text stays the plain-text path.
+      // Word marks let the engine report timings for captions
+      ssml: this.ssmlRenderer.render(segments, { marks: this.captionService.enabled }),
+      paragraphCount: segments.length
     };
   }
 
   generateCacheKey({ weather, species, preferences, lunar, behavior }) {
     const lunarKey = lunar ? `${lunar.day}_${lunar.phase}` : 'none';
     const behaviorKey = behavior ? behavior.behavior.replace(/\s+/g, '_') : 'default';
-    return `${weather.condition}_${species.name}_${behaviorKey}_${lunarKey}_${preferences.duration || 300}`;
+    return `${weather.condition}_${species.name}_${behaviorKey}_${lunarKey}_${preferences.duration || 300}_${preferences.language || DEFAULT_LANGUAGE}_${this.templateKey(species, preferences)}`;
+  }
+
+  // Active versions of the templates buildPrompt would use, so scripts from an
+  // earlier version aren't served once a new one is activated
+  templateKey(species, preferences) {
+    const templateIds = [
+      species.observedAt && species.location ? 'meditation-observation' : 'meditation-species',
+      `language-${preferences.language || DEFAULT_LANGUAGE}`
+    ];
+    if (this.outputFormat === 'segments') templateIds.push('script-segments');
+
+    return templateIds
+      .map(templateId => `${templateId}@${this.promptTemplates.hasTemplate(templateId) ? this.promptTemplates.getActiveVersion(templateId) : 0}`)
+      .join('+');
   }
 
   scheduleCacheCleanup(cacheKey) {
@@ -369,6 +467,16 @@ Write the complete ${durationMinutes}-minute meditation:`;
     }, 1800000);
   }
 
+  /**
+   * Prompt line placing the session in its ecoregion, e.g.
+   * "- Ecoregion: Appalachian-Blue Ridge forests (Temperate Broadleaf & Mixed Forests, Nearctic)"
+   */
+  formatEcoregionLine(ecoregion) {
+    if (!ecoregion || !ecoregion.name || ecoregion.name === 'Unknown') return '';
+    const context = [ecoregion.biome, ecoregion.realm].filter(Boolean).join(', ');
+    return `- Ecoregion: ${ecoregion.name}${context ? ` (${context})` : ''}`;
+  }
+
   getTimeAgo(observedAt) {
     const observed = new Date(observedAt);
     const now = new Date();
@@ -390,34 +498,24 @@ Write the complete ${durationMinutes}-minute meditation:`;
    * @returns {Object} Fallback content
    */
   getFallbackContent({ weather, species, preferences, lunar, behavior, timeOfDay, moonriseInfo }) {
-    const duration = preferences.duration || 300;
-    const timeDescription = duration < 300 ? 'brief' : duration < 600 ? 'gentle' : 'deep';
-    const speciesName = species.name || 'a bird';
-    const behaviorText = behavior ? behavior.behavior : 'moving through its habitat';
-
     // Apply lunar rules: only mention moon at night or near moonrise
     const isNight = timeOfDay === 'night' || timeOfDay === 'dusk';
-    const nearMoonrise = moonriseInfo && moonriseInfo.near;
-    let lunarText = '';
-    if (nearMoonrise) {
-      lunarText = ` The moon is rising in the ${timeOfDay} sky.`;
+    let moon = null;
+    if (moonriseInfo && moonriseInfo.near) {
+      moon = 'rising';
     } else if (isNight && lunar && lunar.isFull) {
-      lunarText = ` Moonlight filters through the ${timeOfDay} air.`;
+      moon = 'full';
     }
 
-    const fallbackText = `Welcome to this ${timeDescription} moment of stillness.
-
-Find yourself in nature during ${timeOfDay}, where ${speciesName} is ${behaviorText}.${lunarText}
-
-Notice the rhythm of your breath. The air is ${Math.round(weather.temperature)}°C. ${weather.description}.
-
-Watch this creature moving with purpose, responding to its environment with the same awareness you bring to this moment.
-
-Each breath connects you here, to this particular place, this particular time.
-
-Nothing to achieve. Simply present.
-
-As this meditation closes, the natural world continues its ancient patterns around you.`;
+    const fallbackText = getLocale(preferences.language).fallbackScript({
+      duration: preferences.duration || 300,
+      speciesName: species.name,
+      behaviorText: behavior ? behavior.behavior : null,
+      timeOfDay,
+      moon,
+      temperature: weather.temperature,
+      weatherDescription: weather.description
+    });
 
     return this.parseGeneratedContent(fallbackText, preferences);
   }
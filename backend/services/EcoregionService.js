@@ -0,0 +1,219 @@
+// services/EcoregionService.js
+const path = require('path');
+const logger = require('../utils/logger');
+const { PolygonIndex, readGeoJSON } = require('../utils/polygonIndex');
+
+/**
+ * EcoregionService - Offline ecoregion lookup by point-in-polygon
+ *
+ * Loads a simplified terrestrial ecoregion dataset (RESOLVE Ecoregions 2017 or
+ * WWF Terrestrial Ecoregions, prepared with ecoregions/build-dataset.js) into a
+ * grid-indexed PolygonIndex (utils/polygonIndex), so a lookup only tests the
+ * handful of polygons whose bounding box covers the point's cell.
+ *
+ * Points just off a simplified coastline are snapped to the nearest ecoregion
+ * within snapKm. Without the dataset, lookups fall back to a coarse North
+ * American approximation (marked approximate: true).
+ */
+class EcoregionService {
+  constructor(options = {}) {
+    this.dataPath = options.dataPath || process.env.ECOREGION_DATA_PATH ||
+      path.join(__dirname, '../ecoregions/ecoregions.geojson.gz');
+    const envSnapKm = parseFloat(process.env.ECOREGION_SNAP_KM || '');
+    this.snapKm = Number.isFinite(envSnapKm) && envSnapKm >= 0 ? envSnapKm : 25;
+
+    // RESOLVE and WWF share the biome numbering; WWF stores realms as two-letter codes
+    this.biomeNames = {
+      1: 'Tropical & Subtropical Moist Broadleaf Forests',
+      2: 'Tropical & Subtropical Dry Broadleaf Forests',
+      3: 'Tropical & Subtropical Coniferous Forests',
+      4: 'Temperate Broadleaf & Mixed Forests',
+      5: 'Temperate Conifer Forests',
+      6: 'Boreal Forests/Taiga',
+      7: 'Tropical & Subtropical Grasslands, Savannas & Shrublands',
+      8: 'Temperate Grasslands, Savannas & Shrublands',
+      9: 'Flooded Grasslands & Savannas',
+      10: 'Montane Grasslands & Shrublands',
+      11: 'Tundra',
+      12: 'Mediterranean Forests, Woodlands & Scrub',
+      13: 'Deserts & Xeric Shrublands',
+      14: 'Mangroves'
+    };
+    this.realmNames = {
+      NA: 'Nearctic',
+      PA: 'Palearctic',
+      NT: 'Neotropic',
+      AT: 'Afrotropic',
+      IM: 'Indomalayan',
+      AA: 'Australasia',
+      OC: 'Oceania',
+      AN: 'Antarctica'
+    };
+
+    this.regions = new PolygonIndex({ cellDegrees: 2 }); // values are { name, code, biome, realm }
+    this.dataset = null;
+    this.lookups = { polygon: 0, snapped: 0, approximate: 0, unknown: 0 };
+    // load: false gives just the property normalization (used by the dataset build script)
+    this.ready = options.load === false ? Promise.resolve() : this.load();
+  }
+
+  async load() {
+    let collection;
+    try {
+      collection = await readGeoJSON(this.dataPath);
+      this.index(collection);
+    } catch (error) {
+      this.regions.clear();
+      if (error.code === 'ENOENT') {
+        logger.warn('Ecoregion dataset not found, using approximate North American ecoregions', { path: this.dataPath });
+      } else {
+        logger.error('Invalid ecoregion dataset, using approximate North American ecoregions', { path: this.dataPath, error: error.message });
+      }
+      return;
+    }
+
+    this.dataset = collection.dataset || path.basename(this.dataPath);
+    logger.info('Ecoregion dataset loaded', {
+      dataset: this.dataset,
+      ecoregions: this.regions.size,
+      cells: this.regions.grid.size
+    });
+  }
+
+  /**
+   * Index the ecoregions of a GeoJSON FeatureCollection
+   */
+  index(collection) {
+    for (const feature of collection.features || []) {
+      const properties = this.normalizeProperties(feature.properties || {});
+      if (properties) this.regions.add(feature.geometry, properties);
+    }
+  }
+
+  /**
+   * Ecoregion fields from RESOLVE, WWF or already-normalized properties
+   * @returns {Object|null} { name, code, biome, realm }, or null for rock, ice and lakes
+   */
+  normalizeProperties(properties) {
+    const name = properties.name || properties.ECO_NAME;
+    if (!name || /^(rock and ice|lake|n\/a)$/i.test(name)) return null;
+
+    const biomeNumber = parseInt(properties.BIOME_NUM ?? properties.BIOME, 10);
+    const realm = properties.realm || properties.REALM || properties.realm_code;
+    return {
+      name,
+      code: String(properties.code ?? properties.ECO_ID ?? properties.eco_code ?? properties.ECO_CODE ?? ''),
+      biome: properties.biome || properties.BIOME_NAME || this.biomeNames[biomeNumber] || null,
+      realm: this.realmNames[realm] || realm || null
+    };
+  }
+
+  /**
+   * Ecoregion containing a point
+   * @returns {Object} { name, code, biome, realm, source } plus distanceKm when snapped
+   * to a nearby coastline, or approximate: true without the dataset
+   */
+  lookup(latitude, longitude) {
+    if (this.regions.size === 0) {
+      const approximate = this.approximate(latitude, longitude);
+      this.lookups[approximate.code === '00' ? 'unknown' : 'approximate']++;
+      return approximate;
+    }
+
+    const region = this.regions.find(latitude, longitude);
+    if (region) {
+      this.lookups.polygon++;
+      return this.describe(region);
+    }
+
+    const nearest = this.regions.nearest(latitude, longitude, this.snapKm);
+    if (nearest) {
+      this.lookups.snapped++;
+      return { ...this.describe(nearest.value), distanceKm: Math.round(nearest.distanceKm * 10) / 10 };
+    }
+
+    this.lookups.unknown++;
+    return { name: 'Unknown', code: '00', biome: null, realm: null, source: this.dataset };
+  }
+
+  describe(region) {
+    return {
+      name: region.name,
+      code: region.code,
+      biome: region.biome,
+      realm: region.realm,
+      source: this.dataset
+    };
+  }
+
+  /**
+   * Coarse EPA Level II-style regions for the continental US, used until the
+   * dataset is installed. Boxes are checked in order, so the first match wins:
+   * central California is cut into latitude bands whose Coast Range, Central
+   * Valley and Sierra Nevada boxes don't overlap, and elsewhere the narrower
+   * box comes before the broader one it overlaps.
+   */
+  approximate(latitude, longitude) {
+    const sierra = ['Sierra Nevada', '5', 'Temperate Conifer Forests'];
+    const foothills = ['Central California Foothills', '6', 'Mediterranean Forests, Woodlands & Scrub'];
+    const valley = ['Central California Valley', '7', 'Mediterranean Forests, Woodlands & Scrub'];
+    const boxes = [
+      // [minLat, maxLat, minLon, maxLon, name, code, biome]
+      [40.5, 49.5, -124.7, -122, 'Marine West Coast Forest', '1', 'Temperate Conifer Forests'],
+      [40, 49, -122, -120, 'Cascades', '9', 'Temperate Conifer Forests'],
+      [38.5, 40, -122.5, -121.3, ...valley],
+      [38.5, 40, -121.3, -119.8, ...sierra],
+      [37.5, 38.5, -123, -121.6, ...foothills],
+      [37.5, 38.5, -121.6, -120.6, ...valley],
+      [37.5, 38.5, -120.6, -118.3, ...sierra],
+      [36.5, 37.5, -123, -120.8, ...foothills],
+      [36.5, 37.5, -120.8, -119.4, ...valley],
+      [36.5, 37.5, -119.4, -118.0, ...sierra],
+      [35, 36.5, -122, -119.8, ...foothills],
+      [35, 36.5, -119.8, -118.8, ...valley],
+      [35, 36.5, -118.8, -118.0, ...sierra],
+      [34, 35, -121, -119, ...foothills],
+      [32.5, 35.5, -119, -116, 'Southern California Mountains', '8', 'Mediterranean Forests, Woodlands & Scrub'],
+      [33.5, 38, -118, -114, 'Mojave Basin and Range', '14', 'Deserts & Xeric Shrublands'],
+      [36, 49, -104, -96, 'Great Plains', '92', 'Temperate Grasslands, Savannas & Shrublands'],
+      [40, 43.5, -96, -90, 'Western Corn Belt Plains', '93', 'Temperate Grasslands, Savannas & Shrublands'],
+      [28.5, 33.5, -97.5, -95.5, 'Texas Blackland Prairies', '94', 'Temperate Grasslands, Savannas & Shrublands'],
+      [30, 35, -98, -92, 'South Central Plains', '95', 'Temperate Conifer Forests'],
+      [30, 37, -92, -82, 'Southeastern Plains', '96', 'Temperate Conifer Forests'],
+      [43.5, 47.5, -71, -67, 'Northern Appalachian/Boreal Forest', '98', 'Temperate Broadleaf & Mixed Forests'],
+      [40, 45, -80, -73, 'Mixed Wood Plains', '99', 'Temperate Broadleaf & Mixed Forests'],
+      [35, 40, -80, -74, 'Middle Atlantic Coastal Plain', '97', 'Temperate Broadleaf & Mixed Forests']
+    ];
+
+    for (const [minLat, maxLat, minLon, maxLon, name, code, biome] of boxes) {
+      if (latitude >= minLat && latitude <= maxLat && longitude >= minLon && longitude <= maxLon) {
+        return { name, code, biome, realm: 'Nearctic', source: null, approximate: true };
+      }
+    }
+    return { name: 'Unknown', code: '00', biome: null, realm: null, source: null, approximate: true };
+  }
+
+  getStats() {
+    return {
+      dataset: this.dataset,
+      dataPath: this.dataPath,
+      ecoregions: this.regions.size,
+      indexCells: this.regions.grid.size,
+      cellDegrees: this.regions.cellDegrees,
+      snapKm: this.snapKm,
+      lookups: { ...this.lookups }
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new EcoregionService();
+    }
+    return instance;
+  },
+  EcoregionService
+};
@@ -1,12 +1,16 @@
 // services/EntrainmentMeditationService.js
 const { getInstance: getAIProvider } = require('./AIProviderService');
 const { getInstance: getTTSService } = require('./TTSService');
+const { getInstance: getEntrainmentTones } = require('./EntrainmentToneService');
+const { getInstance: getPromptTemplates } = require('./PromptTemplateService');
 const logger = require('../utils/logger');
 
 class EntrainmentMeditationService {
   constructor() {
     this.aiProvider = getAIProvider();
     this.ttsService = getTTSService();
+    this.toneService = getEntrainmentTones();
+    this.promptTemplates = getPromptTemplates();
     
     // Theme-specific content databases
     this.themePatterns = {
@@ -174,7 +178,13 @@ class EntrainmentMeditationService {
     };
   }
 
-  async generateMeditation({ theme, duration, intensity, latitude, longitude, generateAudio = false }) {
+  /**
+   * Generate an entrainment meditation
+   * @param {Function} [params.onToken] - Receives script text chunks as they are generated
+   * @param {string} [params.toneMode] - 'binaural', 'isochronic' or 'none'; defaults to ENTRAINMENT_TONE_MODE
+   * @param {AbortSignal} [params.signal] - Cancels the in-flight AI request and audio generation
+   */
+  async generateMeditation({ theme, duration, intensity, latitude, longitude, generateAudio = false, toneMode = null, onToken = null, signal = null }) {
     try {
       logger.info('Generating entrainment meditation', { theme, duration, intensity });
 
@@ -182,10 +192,13 @@ class EntrainmentMeditationService {
       const themeData = this.themePatterns[theme] || this.createMixedTheme();
       
       // Build meditation prompt
-      const meditationPrompt = this.buildMeditationPrompt(themeData, theme, duration, intensity, latitude, longitude);
+      const rendered = await this.buildMeditationPrompt(themeData, theme, duration, intensity, latitude, longitude);
+      const meditationPrompt = rendered.text;
       
       // Generate meditation content using AI
-      const aiResponse = await this.aiProvider.generateContent(meditationPrompt);
+      const aiResponse = onToken
+        ? await this.aiProvider.generateContentStreamed(meditationPrompt, { onToken, signal, caller: 'entrainment' })
+        : await this.aiProvider.generateContent(meditationPrompt, { signal, caller: 'entrainment' });
       const meditationText = aiResponse.text || aiResponse;
 
       // Create metadata
@@ -198,6 +211,7 @@ class EntrainmentMeditationService {
         organisms: themeData.organisms.slice(0, 3), // Top 3 organism examples
         generatedAt: new Date().toISOString(),
         aiProvider: aiResponse.provider || 'unknown',
+        promptTemplate: { id: rendered.templateId, version: rendered.version },
         hasLocation: !!(latitude && longitude)
       };
 
@@ -206,11 +220,11 @@ class EntrainmentMeditationService {
       // Generate audio if requested
       if (generateAudio) {
         try {
-          const audioResult = await this.ttsService.generateAudio(meditationText, `entrainment-${theme}-${Date.now()}`);
-          if (audioResult && audioResult.url) {
-            audioUrl = audioResult.url;
-          }
+          const audioResult = await this.generateAudio(meditationText, { theme, duration, intensity, toneMode, signal });
+          audioUrl = audioResult.url || `/audio/${audioResult.filename}`;
+          metadata.entrainment = audioResult.entrainment || null;
         } catch (audioError) {
+          if (signal && signal.aborted) throw audioError;
           logger.warn('Failed to generate audio for entrainment meditation', { error: audioError.message });
         }
       }
@@ -231,7 +245,42 @@ class EntrainmentMeditationService {
     }
   }
 
-  buildMeditationPrompt(themeData, theme, duration, intensity, latitude, longitude) {
+  /**
+   * Narrate the meditation and mix entrainment tones under it
+   * Narration is requested as WAV when tones will be mixed; if mixing fails
+   * the voice-only file is returned.
+   * @returns {Promise<Object>} TTSService.generateAudio result, with `entrainment` when tones were mixed
+   */
+  async generateAudio(text, { theme, duration, intensity, toneMode, signal }) {
+    const mode = this.toneService.resolveMode(toneMode);
+    const sessionId = `entrainment-${theme}-${Date.now()}`;
+    const narration = await this.ttsService.generateAudio(text, {
+      sessionId,
+      outputFormat: mode ? 'LINEAR16' : 'MP3',
+      signal
+    });
+    if (!mode || !narration.filename.endsWith('.wav')) return narration;
+
+    try {
+      return await this.toneService.mixUnderNarration(narration, {
+        mode,
+        intensity,
+        durationSeconds: duration,
+        signal,
+        name: sessionId
+      });
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      logger.warn('Entrainment tone mixing failed, using voice only', { mode, error: error.message });
+      return narration;
+    }
+  }
+
+  /**
+   * Render the entrainment prompt from the active template version
+   * @returns {Promise<Object>} { text, templateId, version }
+   */
+  async buildMeditationPrompt(themeData, theme, duration, intensity, latitude, longitude) {
     const minutes = Math.floor(duration / 60);
     const intensityDescriptions = {
       gentle: 'accessible to beginners with gentle scientific metaphors',
@@ -242,38 +291,23 @@ class EntrainmentMeditationService {
     const locationContext = (latitude && longitude) ? 
       `\nThe meditation will be experienced at coordinates ${latitude}, ${longitude}. Consider local environmental context if relevant to the theme.` : '';
 
-    const basePrompt = `Create a ${minutes}-minute guided meditation focused on natural entrainment and synchronization patterns, specifically: ${theme.toUpperCase()} RHYTHMS.
-
-SCIENTIFIC FOUNDATION:
-Theme: ${theme}
-Key Concepts: ${themeData.concepts.join(', ')}
-Organism Examples: ${themeData.organisms.join('; ')}
-Focus Techniques: ${themeData.focusPatterns.join(', ')}
-
-MEDITATION REQUIREMENTS:
-- Duration: ${minutes} minutes (${duration} seconds)
-- Style: ${intensityDescriptions[intensity]}
-- Structure: Opening (1-2 min) → Core Practice (${minutes-3} min) → Integration (1-2 min)
-- Scientific Integration: Weave entrainment science naturally into mindfulness guidance
-- Core Principle: Coupled oscillators with feedback mechanisms naturally synchronize when coupling strength exceeds threshold${locationContext}
-
-SPECIFIC FOCUS - ${theme.toUpperCase()}:
-${this.getThemeSpecificGuidance(theme, themeData)}
-
-MEDITATION STRUCTURE:
-1. OPENING: Ground the participant in their body and breath, introduce the concept of natural synchronization
-2. CORE PRACTICE: Guide awareness to ${themeData.focusPatterns[0]}, using ${themeData.organisms[0]} as a central metaphor
-3. DEEPENING: Expand awareness to include ${themeData.concepts.slice(0, 3).join(', ')}
-4. INTEGRATION: Connect personal rhythms to universal entrainment patterns
-5. CLOSING: Carry synchronized awareness into daily life
-
-TONE: Contemplative, scientifically grounded, inspiring connection to natural world
-LANGUAGE: Poetic yet precise, accessible scientific concepts, emphasize interconnection
-LENGTH: Approximately ${Math.floor(duration/4)} words for natural pacing
-
-Generate a complete guided meditation script that helps practitioners experience entrainment through direct awareness and scientific understanding.`;
-
-    return basePrompt;
+    return this.promptTemplates.render('entrainment', {
+      minutes,
+      theme,
+      themeName: theme.toUpperCase(),
+      concepts: themeData.concepts.join(', '),
+      organisms: themeData.organisms.join('; '),
+      focusPatterns: themeData.focusPatterns.join(', '),
+      duration,
+      intensityDescription: intensityDescriptions[intensity],
+      coreMinutes: minutes - 3,
+      locationContext,
+      themeGuidance: this.getThemeSpecificGuidance(theme, themeData),
+      primaryFocusPattern: themeData.focusPatterns[0],
+      primaryOrganism: themeData.organisms[0],
+      deepeningConcepts: themeData.concepts.slice(0, 3).join(', '),
+      wordCount: Math.floor(duration / 4)
+    });
   }
 
   getThemeSpecificGuidance(theme, themeData) {
@@ -0,0 +1,318 @@
+// services/EntrainmentToneService.js
+const fs = require('fs').promises;
+const path = require('path');
+const { parseWav, createWavHeader, pcmSamples } = require('../utils/wav');
+const { encodeMp3 } = require('../utils/ffmpeg');
+const { getInstance: getAudioAssets } = require('./AudioAssetService');
+const logger = require('../utils/logger');
+
+/**
+ * EntrainmentToneService - Synthesizes binaural beats or isochronic pulses
+ * under entrainment meditation narration
+ *
+ * The beat frequency follows a program picked by the meditation's intensity:
+ * it settles in alpha, then ramps down through the bands (theta for moderate,
+ * on to delta for deep) and back up before the end so the listener isn't left
+ * drowsy. Ramps glide the frequency with continuous phase, so there are no
+ * clicks at the changes.
+ *
+ * - binaural: a pure carrier in each ear, offset by the beat frequency
+ *   (needs headphones; the beat is heard only when the ears are separated)
+ * - isochronic: one carrier switched on and off at the beat frequency with
+ *   softened edges (works on speakers)
+ *
+ * The tones run for the whole session length, starting before the voice and
+ * continuing after it, at a steady level under the narration. Output is WAV,
+ * or MP3 with ENTRAINMENT_OUTPUT_FORMAT=mp3 (ffmpeg; the WAV is kept if
+ * encoding fails). The mix is streamed to disk so long sessions don't have to
+ * fit in memory.
+ */
+class EntrainmentToneService {
+  constructor() {
+    this.enabled = process.env.ENTRAINMENT_TONES_ENABLED !== 'false';
+    this.audioDir = path.join(__dirname, '../audio');
+    this.audioAssets = getAudioAssets();
+    this.modes = ['binaural', 'isochronic'];
+    this.defaultMode = this.modes.includes(process.env.ENTRAINMENT_TONE_MODE) ? process.env.ENTRAINMENT_TONE_MODE : 'binaural';
+    this.outputFormat = process.env.ENTRAINMENT_OUTPUT_FORMAT === 'mp3' ? 'mp3' : 'wav';
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+
+    // Override any of these with ENTRAINMENT_TONE_SETTINGS, e.g. {"carrierHz": 180, "gain": 0.08}
+    this.settings = {
+      carrierHz: 200,       // Pitch of the tone the beat rides on
+      gain: 0.12,           // Tone level as a fraction of full scale
+      fadeInSeconds: 10,
+      fadeOutSeconds: 15,
+      leadSeconds: 20,      // Tones alone before the voice starts
+      tailSeconds: 30,      // Minimum tones alone after the voice ends
+      ...this.parseSettings(process.env.ENTRAINMENT_TONE_SETTINGS)
+    };
+
+    // Beat frequency ranges in Hz; a band's `hz` is the frequency programs aim for
+    this.bands = {
+      delta: { min: 0.5, max: 4, hz: 2.5 },
+      theta: { min: 4, max: 8, hz: 6 },
+      alpha: { min: 8, max: 13, hz: 10 }
+    };
+
+    // Beat frequency keyframes; `at` is the fraction of the session, with linear ramps between
+    const { alpha, theta, delta } = this.bands;
+    this.programs = {
+      gentle: [
+        { at: 0, hz: alpha.hz },
+        { at: 0.2, hz: alpha.hz },
+        { at: 0.45, hz: alpha.min + 0.5 },
+        { at: 0.85, hz: alpha.min + 0.5 },
+        { at: 1, hz: alpha.hz }
+      ],
+      moderate: [
+        { at: 0, hz: alpha.hz },
+        { at: 0.15, hz: alpha.hz },
+        { at: 0.4, hz: theta.hz },
+        { at: 0.8, hz: theta.hz },
+        { at: 1, hz: alpha.hz }
+      ],
+      deep: [
+        { at: 0, hz: alpha.hz },
+        { at: 0.1, hz: alpha.hz },
+        { at: 0.3, hz: theta.hz },
+        { at: 0.5, hz: delta.hz },
+        { at: 0.75, hz: delta.hz },
+        { at: 0.9, hz: theta.hz },
+        { at: 1, hz: alpha.min + 0.5 }
+      ]
+    };
+
+    // Frames rendered between yields to the event loop (and cancellation checks)
+    this.blockFrames = 48000 * 5;
+  }
+
+  parseSettings(value) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      const settings = {};
+      for (const [key, number] of Object.entries(parsed)) {
+        if (Number.isFinite(number) && number >= 0) settings[key] = number;
+      }
+      return settings;
+    } catch (error) {
+      logger.error('Invalid ENTRAINMENT_TONE_SETTINGS, using default tone settings', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Tone mode for a request: 'none' turns tones off, anything unset uses the default
+   * @returns {string|null} 'binaural', 'isochronic', or null for no tones
+   */
+  resolveMode(mode) {
+    if (!this.enabled || mode === 'none') return null;
+    return this.modes.includes(mode) ? mode : this.defaultMode;
+  }
+
+  bandFor(hz) {
+    const entry = Object.entries(this.bands).find(([, band]) => hz >= band.min && hz < band.max);
+    return entry ? entry[0] : (hz < this.bands.delta.min ? 'delta' : 'alpha');
+  }
+
+  getProgram(intensity) {
+    return this.programs[intensity] || this.programs.moderate;
+  }
+
+  /**
+   * Beat frequency at a point in the program
+   * @param {Array} program - Keyframes from getProgram()
+   * @param {number} fraction - Position in the session, 0-1
+   */
+  beatFrequencyAt(program, fraction) {
+    if (fraction <= program[0].at) return program[0].hz;
+    for (let i = 1; i < program.length; i++) {
+      const from = program[i - 1];
+      const to = program[i];
+      if (fraction <= to.at) {
+        const span = to.at - from.at;
+        return span > 0 ? from.hz + (to.hz - from.hz) * (fraction - from.at) / span : to.hz;
+      }
+    }
+    return program[program.length - 1].hz;
+  }
+
+  /**
+   * The program laid out over a session, for metadata and the UI
+   * @returns {Array<Object>} [{ at (seconds), hz, band }]
+   */
+  describeProgram(intensity, totalSeconds) {
+    return this.getProgram(intensity).map(({ at, hz }) => ({
+      at: Math.round(at * totalSeconds),
+      hz,
+      band: this.bandFor(hz)
+    }));
+  }
+
+  /**
+   * Mix entrainment tones under generated narration into a new file
+   * @param {Object} narration - TTSService.generateAudio result (must be WAV)
+   * @param {Object} options - { mode, intensity, durationSeconds (session length), signal, name }
+   * @returns {Promise<Object>} Audio file info for the mixed file, with an `entrainment` description
+   */
+  async mixUnderNarration(narration, { mode = this.defaultMode, intensity = 'moderate', durationSeconds = 0, signal = null, name = null } = {}) {
+    const startTime = Date.now();
+    const voiceBuffer = await fs.readFile(narration.filepath);
+
+    // The mode suffix is how the audio store recognises these files
+    const baseName = `${name || path.parse(narration.filename).name}_${mode}`;
+    let filename = `${baseName}.wav`;
+    let filepath = path.join(this.audioDir, filename);
+
+    const { duration } = await this.renderMix(voiceBuffer, filepath, { mode, intensity, durationSeconds, signal });
+
+    if (this.outputFormat === 'mp3') {
+      const mp3Filename = `${baseName}.mp3`;
+      const mp3Path = path.join(this.audioDir, mp3Filename);
+      try {
+        await encodeMp3(filepath, mp3Path, { ffmpegPath: this.ffmpegPath, signal });
+        filename = mp3Filename;
+        filepath = mp3Path;
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        logger.warn('MP3 encoding of entrainment mix failed, keeping WAV', { ffmpeg: this.ffmpegPath, error: error.message });
+      }
+    }
+
+    const { size } = await this.audioAssets.publish(filename, { type: 'entrainment' });
+
+    logger.info('Entrainment tones mixed under narration', {
+      mode,
+      intensity,
+      filename,
+      duration,
+      elapsedMs: Date.now() - startTime
+    });
+
+    return {
+      ...narration,
+      filename,
+      filepath,
+      url: `/audio/${filename}`,
+      size,
+      duration,
+      voiceOffset: this.settings.leadSeconds, // Where the narration starts in the mix
+      entrainment: {
+        mode,
+        intensity,
+        carrierHz: this.settings.carrierHz,
+        headphones: mode === 'binaural',
+        program: this.describeProgram(intensity, duration)
+      }
+    };
+  }
+
+  /**
+   * Render tones plus voice into a WAV file, block by block
+   * Output has the voice's sample rate; binaural is always stereo.
+   * @returns {Promise<Object>} { duration (seconds) }
+   */
+  async renderMix(voiceBuffer, filepath, { mode, intensity, durationSeconds, signal }) {
+    const voiceWav = parseWav(voiceBuffer);
+    const voice = pcmSamples(voiceBuffer, voiceWav);
+    const rate = voiceWav.sampleRate;
+    const voiceChannels = voiceWav.channels;
+    const channels = mode === 'binaural' ? 2 : Math.min(voiceChannels, 2);
+
+    const leadFrames = Math.round(this.settings.leadSeconds * rate);
+    const totalFrames = Math.max(
+      Math.round(durationSeconds * rate),
+      leadFrames + voiceWav.frames + Math.round(this.settings.tailSeconds * rate)
+    );
+    const fadeInFrames = Math.max(1, Math.round(this.settings.fadeInSeconds * rate));
+    const fadeOutFrames = Math.max(1, Math.round(this.settings.fadeOutSeconds * rate));
+    const program = this.getProgram(intensity);
+    const amplitude = this.settings.gain * 32767;
+    const carrier = this.settings.carrierHz;
+    const twoPi = 2 * Math.PI;
+
+    // Phases are accumulated per sample so frequency ramps stay continuous
+    let leftPhase = 0;
+    let rightPhase = 0;
+    let pulsePhase = 0;
+
+    const dataLength = totalFrames * channels * 2;
+    const handle = await fs.open(filepath, 'w');
+    try {
+      await handle.write(createWavHeader({ sampleRate: rate, channels, dataLength }));
+
+      for (let blockStart = 0; blockStart < totalFrames; blockStart += this.blockFrames) {
+        if (signal && signal.aborted) throw signal.reason || new Error('Entrainment tone mixing cancelled');
+
+        const blockEnd = Math.min(blockStart + this.blockFrames, totalFrames);
+        const block = Buffer.alloc((blockEnd - blockStart) * channels * 2);
+        const out = new Int16Array(block.buffer, block.byteOffset, (blockEnd - blockStart) * channels);
+
+        for (let frame = blockStart; frame < blockEnd; frame++) {
+          const beat = this.beatFrequencyAt(program, frame / totalFrames);
+          const fade = Math.min(1, frame / fadeInFrames, (totalFrames - frame) / fadeOutFrames);
+          const level = amplitude * fade;
+
+          let left;
+          let right;
+          if (mode === 'binaural') {
+            left = Math.sin(leftPhase) * level;
+            right = Math.sin(rightPhase) * level;
+            leftPhase = (leftPhase + twoPi * (carrier - beat / 2) / rate) % twoPi;
+            rightPhase = (rightPhase + twoPi * (carrier + beat / 2) / rate) % twoPi;
+          } else {
+            // Near-square gate with soft edges, so the pulses don't click
+            const gate = 0.5 + 0.5 * Math.tanh(6 * Math.sin(twoPi * pulsePhase));
+            left = right = Math.sin(leftPhase) * level * gate;
+            leftPhase = (leftPhase + twoPi * carrier / rate) % twoPi;
+            pulsePhase = (pulsePhase + beat / rate) % 1;
+          }
+
+          const voiceFrame = frame - leadFrames;
+          const speaking = voiceFrame >= 0 && voiceFrame < voiceWav.frames;
+          const offset = (frame - blockStart) * channels;
+          for (let c = 0; c < channels; c++) {
+            let sample = c === 0 ? left : right;
+            if (speaking) sample += voice[voiceFrame * voiceChannels + Math.min(c, voiceChannels - 1)];
+            out[offset + c] = Math.max(-32768, Math.min(32767, Math.round(sample)));
+          }
+        }
+
+        await handle.write(block);
+        // Let other requests run between blocks of a long mix
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    } catch (error) {
+      await handle.close();
+      await fs.unlink(filepath).catch(() => {});
+      throw error;
+    }
+    await handle.close();
+
+    return { duration: Math.round(totalFrames / rate) };
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      defaultMode: this.defaultMode,
+      outputFormat: this.outputFormat,
+      settings: this.settings,
+      bands: this.bands,
+      programs: this.programs
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new EntrainmentToneService();
+    }
+    return instance;
+  },
+  EntrainmentToneService
+};
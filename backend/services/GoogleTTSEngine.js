@@ -0,0 +1,180 @@
+// services/GoogleTTSEngine.js
+const textToSpeech = require('@google-cloud/text-to-speech');
+const { wavDuration } = require('../utils/wav');
+const { splitSSML, splitText, joinSpeech } = require('../utils/speechChunks');
+const logger = require('../utils/logger');
+
+/**
+ * GoogleTTSEngine - Google Cloud Text-to-Speech behind the TTSService engine interface
+ *
+ * Engine interface (shared with LocalTTSEngine):
+ *   name, label, supportsSSML
+ *   initialize()                 -> Promise, never rejects; sets availability
+ *   isAvailable()                -> boolean
+ *   hasVoice(voice)              -> boolean, voice as named in locales/<code>.js
+ *   listVoices(languageCode)     -> Promise<Array<{ name, languageCode }>>
+ *   synthesize(request)          -> Promise<{ audio: Buffer, extension, duration?, timepoints? }>
+ *   getInfo()                    -> public status for the admin dashboard
+ */
+class GoogleTTSEngine {
+  constructor() {
+    this.name = 'google';
+    this.label = 'Google Cloud Text-to-Speech';
+    this.supportsSSML = true;
+    this.client = null;
+    this.voiceNames = null; // Voices the client offers, once listed
+    this.lastError = null;
+    // Google rejects text or SSML input over 5,000 bytes
+    this.maxInputBytes = 5000;
+  }
+
+  async initialize() {
+    try {
+      // v1beta1 is v1 plus timepointing, which reports when each SSML <mark> is spoken
+      this.client = new textToSpeech.v1beta1.TextToSpeechClient();
+      // Resolve credentials up front: the client's own lazy initialization rethrows
+      // a missing-credentials error as an unhandled rejection, which ends the process
+      await this.client.initialize();
+
+      // Test the client with a simple request to verify credentials; the voice list
+      // also tells LanguageService which languages can be voiced
+      const [result] = await this.client.listVoices({});
+      this.voiceNames = new Set((result.voices || []).map(voice => voice.name));
+      this.lastError = null;
+
+      logger.info('Google Cloud TTS engine initialized', { voices: this.voiceNames.size });
+    } catch (error) {
+      logger.warn('Google Cloud TTS credentials not configured', { error: error.message });
+      this.client = null;
+      this.voiceNames = null;
+      this.lastError = error.message;
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  hasVoice(voice) {
+    return !!this.voiceNames && this.voiceNames.has(voice);
+  }
+
+  async listVoices(languageCode) {
+    const [result] = await this.client.listVoices({ languageCode });
+    return (result.voices || [])
+      .filter(voice => voice.ssmlGender === 'MALE')
+      .map(voice => ({
+        name: voice.name,
+        languageCode: voice.languageCodes[0],
+        naturalSampleRateHertz: voice.naturalSampleRateHertz
+      }));
+  }
+
+  /**
+   * Synthesize speech
+   * Scripts over the per-request input limit are sent in chunks (see
+   * utils/speechChunks) and the audio joined, with timepoints shifted to match.
+   * @param {Object} request - { text, ssml, voice, languageCode, speed, pitch, outputFormat, signal }
+   * @returns {Promise<Object>} { audio, extension, duration (WAV only), timepoints }
+   *   timepoints: [{ name, seconds }] for each <mark> in the SSML
+   */
+  async synthesize({ text, ssml, voice, languageCode, speed, pitch, outputFormat = 'MP3', signal }) {
+    const inputs = ssml
+      ? splitSSML(ssml, this.maxInputBytes).map(chunk => ({ ssml: chunk }))
+      : splitText(text, this.maxInputBytes).map(chunk => ({ text: chunk }));
+    const extension = outputFormat === 'LINEAR16' ? 'wav' : outputFormat === 'OGG_OPUS' ? 'ogg' : 'mp3';
+
+    if (inputs.length === 1) {
+      const { audio, timepoints } = await this.synthesizeChunk(inputs[0], { voice, languageCode, speed, pitch, outputFormat, signal });
+      // LINEAR16 comes with a WAV header, so its real length is known
+      return outputFormat === 'LINEAR16'
+        ? { audio, extension, duration: wavDuration(audio), timepoints }
+        : { audio, extension, timepoints };
+    }
+
+    if (outputFormat !== 'LINEAR16' && outputFormat !== 'MP3') {
+      throw new Error(`Script is too long for one request and ${outputFormat} audio can't be joined`);
+    }
+    logger.debug('Synthesizing in chunks', { chunks: inputs.length, bytes: Buffer.byteLength(ssml || text) });
+
+    const parts = [];
+    for (const input of inputs) {
+      if (signal && signal.aborted) {
+        throw signal.reason || new Error('Audio generation cancelled');
+      }
+      parts.push(await this.synthesizeChunk(input, { voice, languageCode, speed, pitch, outputFormat, signal }));
+    }
+
+    const { audio, seconds, timepoints } = joinSpeech(parts, outputFormat);
+    return outputFormat === 'LINEAR16'
+      ? { audio, extension, duration: Math.round(seconds), timepoints }
+      : { audio, extension, timepoints };
+  }
+
+  /**
+   * One synthesizeSpeech request
+   * @param {Object} input - { ssml } or { text }, within maxInputBytes
+   * @returns {Promise<Object>} { audio, timepoints }
+   */
+  async synthesizeChunk(input, { voice, languageCode, speed, pitch, outputFormat, signal }) {
+    const request = {
+      input,
+      voice: {
+        languageCode,
+        name: voice,
+        ssmlGender: 'MALE'
+      },
+      audioConfig: {
+        audioEncoding: outputFormat,
+        speakingRate: speed,
+        pitch: pitch
+      }
+    };
+    if (input.ssml && input.ssml.includes('<mark ')) {
+      request.enableTimePointing = ['SSML_MARK'];
+    }
+
+    const [response] = await this.synthesizeWithSignal(request, signal);
+    return {
+      audio: Buffer.from(response.audioContent),
+      timepoints: (response.timepoints || []).map(point => ({
+        name: point.markName,
+        seconds: point.timeSeconds
+      }))
+    };
+  }
+
+  /**
+   * Call synthesizeSpeech, cancelling the underlying gRPC call if the signal aborts
+   * @param {Object} request - Google Cloud TTS request
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Array>} synthesizeSpeech response tuple
+   */
+  synthesizeWithSignal(request, signal) {
+    const call = this.client.synthesizeSpeech(request);
+    if (!signal) return call;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (typeof call.cancel === 'function') call.cancel();
+        reject(signal.reason || new Error('Audio generation cancelled'));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      call.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  getInfo() {
+    return {
+      name: this.name,
+      label: this.label,
+      available: this.isAvailable(),
+      supportsSSML: this.supportsSSML,
+      voices: this.voiceNames ? this.voiceNames.size : 0,
+      error: this.lastError
+    };
+  }
+}
+
+module.exports = GoogleTTSEngine;
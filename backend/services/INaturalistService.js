@@ -17,13 +17,21 @@ class INaturalistService {
     this.maxResults = parseInt(process.env.INATURALIST_MAX_RESULTS) || 10;
   }
 
-  async cascadingRadiusSearch(latitude, longitude) {
-    logger.info('Starting cascading radius search', { latitude, longitude });
+  /**
+   * Observations near a location, widening the radius until enough are found
+   * @param {Object} options - { iconicTaxa } to limit results to e.g. 'Aves';
+   *   { throwOnError } to reject when a request fails rather than return [] (for circuit breakers)
+   */
+  async cascadingRadiusSearch(latitude, longitude, options = {}) {
+    const { iconicTaxa = null, throwOnError = false } = options;
+    logger.info('Starting cascading radius search', { latitude, longitude, iconicTaxa });
 
     try {
       let observations = await this.getObservations(latitude, longitude, {
         radius: this.radiusStart,
-        minResults: 3
+        minResults: 3,
+        iconicTaxa,
+        throwOnError
       });
 
       if (observations.length >= 3) {
@@ -36,7 +44,9 @@ class INaturalistService {
       logger.info('Expanding search to 5 miles');
       observations = await this.getObservations(latitude, longitude, {
         radius: this.radiusMid,
-        minResults: 3
+        minResults: 3,
+        iconicTaxa,
+        throwOnError
       });
 
       if (observations.length >= 3) {
@@ -49,7 +59,9 @@ class INaturalistService {
       logger.info('Expanding search to 20 miles');
       observations = await this.getObservations(latitude, longitude, {
         radius: this.radiusMax,
-        minResults: 3
+        minResults: 3,
+        iconicTaxa,
+        throwOnError
       });
 
       logger.info('Final observation count', {
@@ -65,6 +77,7 @@ class INaturalistService {
         latitude,
         longitude 
       });
+      if (throwOnError) throw error;
       return [];
     }
   }
@@ -72,10 +85,12 @@ class INaturalistService {
   async getObservations(latitude, longitude, options = {}) {
     const {
       radius = this.radiusStart,
-      minResults = 3
+      minResults = 3,
+      iconicTaxa = null,
+      throwOnError = false
     } = options;
 
-    const cacheKey = this.generateCacheKey(latitude, longitude, radius);
+    const cacheKey = this.generateCacheKey(latitude, longitude, radius, iconicTaxa);
     if (this.cache.has(cacheKey)) {
       const cached = this.cache.get(cacheKey);
       if (Date.now() - cached.timestamp < this.cacheDuration) {
@@ -98,6 +113,7 @@ class INaturalistService {
               quality_grade: this.minQuality,
               per_page: this.maxResults,
               taxon_id: 1,
+              ...(iconicTaxa ? { iconic_taxa: iconicTaxa } : {}),
               photos: true,
               verifiable: true,
               locale: 'en'
@@ -133,6 +149,7 @@ class INaturalistService {
         longitude,
         radius
       });
+      if (throwOnError) throw error;
       return [];
     }
   }
@@ -234,10 +251,42 @@ class INaturalistService {
       .slice(0, this.maxResults);
   }
 
-  generateCacheKey(latitude, longitude, radius) {
+  generateCacheKey(latitude, longitude, radius, iconicTaxa = null) {
     const lat = latitude.toFixed(2);
     const lon = longitude.toFixed(2);
-    return `${lat}_${lon}_${radius}`;
+    return `${lat}_${lon}_${radius}${iconicTaxa ? `_${iconicTaxa}` : ''}`;
+  }
+
+  /**
+   * Localized common name for a species
+   * @param {string} scientificName - Binomial, e.g. 'Ardea herodias'
+   * @param {string} locale - iNaturalist locale, e.g. 'es'
+   * @returns {Promise<string|null>} preferred_common_name in that locale, or null
+   */
+  async getCommonName(scientificName, locale) {
+    try {
+      const data = await APIService.queueRequest(
+        'inaturalist',
+        async () => {
+          const response = await axios.get(`${this.baseUrl}/taxa`, {
+            params: {
+              q: scientificName,
+              rank: 'species,subspecies',
+              per_page: 5,
+              locale
+            },
+            timeout: 10000
+          });
+          return response.data;
+        }
+      );
+
+      const taxon = (data.results || []).find(t => t.name && t.name.toLowerCase() === scientificName.toLowerCase());
+      return taxon && taxon.preferred_common_name ? taxon.preferred_common_name : null;
+    } catch (error) {
+      logger.warn('Failed to get iNaturalist common name', { error: error.message, scientificName, locale });
+      return null;
+    }
   }
 
   async getObservationById(id) {
@@ -0,0 +1,90 @@
+// services/LanguageService.js
+const { locales, DEFAULT_LANGUAGE, getLocale } = require('../locales');
+const { getInstance: getPromptTemplates } = require('./PromptTemplateService');
+const { getInstance: getTTSService } = require('./TTSService');
+const logger = require('../utils/logger');
+
+/**
+ * LanguageService - Registry of meditation languages
+ *
+ * Locale definitions live in locales/<code>.js. A language is offered to users
+ * only when it also has a prompt set (the language-<code> template) and its
+ * TTS voice is available. Voices can be overridden per language with
+ * TTS_VOICES, e.g. {"es": "es-ES-Neural2-B"}.
+ */
+class LanguageService {
+  constructor() {
+    this.defaultLanguage = DEFAULT_LANGUAGE;
+    this.promptTemplates = getPromptTemplates();
+    this.ttsService = getTTSService();
+    this.locales = locales;
+
+    const voiceOverrides = this.parseVoiceOverrides(process.env.TTS_VOICES);
+    for (const [code, voice] of Object.entries(voiceOverrides)) {
+      if (this.locales[code]) this.locales[code].voice = voice;
+    }
+  }
+
+  parseVoiceOverrides(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.error('Invalid TTS_VOICES, using default voices', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Locale for a language code, falling back to English
+   */
+  get(code) {
+    return getLocale(code);
+  }
+
+  promptTemplateId(code) {
+    return `language-${code}`;
+  }
+
+  /**
+   * Whether users may request this language right now
+   * Waits for the prompt templates to load, so requests just after startup aren't rejected.
+   * @returns {Promise<boolean>}
+   */
+  async isSupported(code) {
+    const locale = this.locales[code];
+    if (!locale) return false;
+    await this.promptTemplates.ready;
+    return this.promptTemplates.hasTemplate(this.promptTemplateId(code)) &&
+      this.ttsService.hasVoice(locale.voice);
+  }
+
+  /**
+   * Supported languages with their voice, for validation messages and the API
+   * @returns {Promise<Array>}
+   */
+  async getSupportedLanguages() {
+    await this.promptTemplates.ready;
+    return Object.values(this.locales)
+      .filter(locale => this.promptTemplates.hasTemplate(this.promptTemplateId(locale.code)) &&
+        this.ttsService.hasVoice(locale.voice))
+      .map(locale => ({
+        code: locale.code,
+        name: locale.name,
+        nativeName: locale.nativeName,
+        voice: locale.voice
+      }));
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new LanguageService();
+    }
+    return instance;
+  },
+  LanguageService
+};
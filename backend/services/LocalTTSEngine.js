@@ -0,0 +1,167 @@
+// services/LocalTTSEngine.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { wavDuration } = require('../utils/wav');
+const { runCommand } = require('../utils/subprocess');
+const logger = require('../utils/logger');
+
+/**
+ * LocalTTSEngine - Offline speech through eSpeak NG or Piper run as a subprocess
+ *
+ * Same interface as GoogleTTSEngine. TTS_LOCAL_ENGINE picks the program
+ * ('espeak', the default, or 'piper') and TTS_LOCAL_COMMAND its path.
+ * eSpeak NG ships voices for most languages and understands SSML breaks and
+ * prosody; Piper sounds far better but needs a model per language, given as
+ * TTS_PIPER_MODELS, e.g. {"en": "/models/en_GB-alan-medium.onnx"}.
+ * Both write WAV.
+ */
+class LocalTTSEngine {
+  constructor() {
+    this.name = 'local';
+    this.program = process.env.TTS_LOCAL_ENGINE === 'piper' ? 'piper' : 'espeak';
+    this.command = process.env.TTS_LOCAL_COMMAND || (this.program === 'piper' ? 'piper' : 'espeak-ng');
+    this.label = this.program === 'piper' ? 'Piper (local)' : 'eSpeak NG (local)';
+    this.supportsSSML = this.program === 'espeak';
+    this.piperModels = this.parseModels(process.env.TTS_PIPER_MODELS);
+    this.timeoutMs = parseInt(process.env.TTS_LOCAL_TIMEOUT_MS || '', 10) || 120000;
+
+    this.available = false;
+    this.languages = new Set(); // Lowercase language codes the program can speak
+    this.lastError = null;
+  }
+
+  parseModels(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.error('Invalid TTS_PIPER_MODELS, no Piper models configured', { error: error.message });
+      return {};
+    }
+  }
+
+  async initialize() {
+    try {
+      if (this.program === 'piper') {
+        await this.run(['--help']);
+        this.languages = new Set(Object.keys(this.piperModels).map(code => code.toLowerCase()));
+      } else {
+        const { stdout } = await this.run(['--voices']);
+        this.languages = this.parseEspeakVoices(stdout);
+      }
+
+      this.available = this.languages.size > 0;
+      this.lastError = this.available ? null : `${this.command} has no voices configured`;
+      logger.info('Local TTS engine initialized', {
+        program: this.program,
+        command: this.command,
+        languages: this.languages.size
+      });
+    } catch (error) {
+      this.available = false;
+      this.lastError = error.message;
+      logger.info('Local TTS engine not available', { command: this.command, error: error.message });
+    }
+  }
+
+  // `espeak-ng --voices` prints a header, then one voice per line with its language second
+  parseEspeakVoices(output) {
+    const languages = new Set();
+    for (const line of output.split('\n').slice(1)) {
+      const columns = line.trim().split(/\s+/);
+      if (columns.length > 1) languages.add(columns[1].toLowerCase());
+    }
+    return languages;
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  /**
+   * Language the program will use for a BCP-47 code ('en-GB' -> 'en-gb', 'es-ES' -> 'es'), or null
+   */
+  resolveLanguage(languageCode) {
+    if (!languageCode) return null;
+    const full = languageCode.toLowerCase();
+    const primary = full.split('-')[0];
+    if (this.languages.has(full)) return full;
+    if (this.languages.has(primary)) return primary;
+    return null;
+  }
+
+  // Locale voices are Google names ('es-ES-Standard-B'); the language prefix is what matters here
+  hasVoice(voice) {
+    const match = /^([a-z]{2,3}-[A-Z]{2})/.exec(voice || '');
+    return this.resolveLanguage(match ? match[1] : voice) !== null;
+  }
+
+  async listVoices(languageCode) {
+    const language = this.resolveLanguage(languageCode);
+    if (!language) return [];
+    return [{
+      name: this.program === 'piper' ? path.basename(this.piperModel(language)) : language,
+      languageCode
+    }];
+  }
+
+  piperModel(language) {
+    const key = Object.keys(this.piperModels).find(code => code.toLowerCase() === language);
+    return key ? this.piperModels[key] : null;
+  }
+
+  /**
+   * Synthesize speech
+   * @param {Object} request - { text, ssml, languageCode, speed, pitch, signal }
+   * @returns {Promise<Object>} { audio, extension, duration }
+   */
+  async synthesize({ text, ssml, languageCode, speed = 1, pitch = 0, signal }) {
+    const language = this.resolveLanguage(languageCode);
+    if (!language) {
+      throw new Error(`${this.label} has no voice for ${languageCode}`);
+    }
+
+    const outputPath = path.join(os.tmpdir(), `momentus-tts-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.wav`);
+    const args = this.program === 'piper'
+      ? ['--model', this.piperModel(language), '--output_file', outputPath, '--length_scale', (1 / speed).toFixed(2)]
+      : [
+        '-v', language,
+        '-s', String(Math.round(175 * speed)), // eSpeak's default is 175 words per minute
+        '-p', String(Math.min(Math.max(Math.round(50 + pitch * 2.5), 0), 99)), // Semitones onto 0-99
+        '-w', outputPath,
+        ...(ssml ? ['-m'] : []),
+        '--stdin'
+      ];
+
+    try {
+      await this.run(args, { input: ssml || text, signal });
+      const audio = await fs.readFile(outputPath);
+      return { audio, extension: 'wav', duration: wavDuration(audio) };
+    } finally {
+      await fs.unlink(outputPath).catch(() => {});
+    }
+  }
+
+  run(args, { input = null, signal = null } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason || new Error('Audio generation cancelled'));
+    }
+    return runCommand(this.command, args, { input, signal, timeoutMs: this.timeoutMs });
+  }
+
+  getInfo() {
+    return {
+      name: this.name,
+      label: this.label,
+      available: this.isAvailable(),
+      supportsSSML: this.supportsSSML,
+      program: this.program,
+      command: this.command,
+      languages: Array.from(this.languages).sort(),
+      error: this.lastError
+    };
+  }
+}
+
+module.exports = LocalTTSEngine;
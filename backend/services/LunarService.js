@@ -1,6 +1,7 @@
 // services/LunarService.js
 const logger = require('../utils/logger');
 const SunCalc = require('suncalc');
+const moment = require('moment-timezone');
 
 /**
  * LunarService - Calculates lunar phases and days for meditation context
@@ -189,15 +190,21 @@ class LunarService {
    * @param {number} latitude - Observer latitude
    * @param {number} longitude - Observer longitude
    * @param {Date} date - Date to calculate for
+   * @param {string} [timezone] - Observer's IANA timezone; without it the day
+   *   runs from the server's local midnight
    * @returns {Object} Moonrise and moonset times
    */
-  getMoonTimes(latitude, longitude, date = new Date()) {
+  getMoonTimes(latitude, longitude, date = new Date(), timezone = null) {
     if (!this.moonRiseSetEnabled) {
       logger.warn('Moon rise/set calculations not enabled');
       return null;
     }
 
     try {
+      if (timezone) {
+        return this.getLocalMoonTimes(latitude, longitude, date, timezone);
+      }
+
       const moonTimes = SunCalc.getMoonTimes(date, latitude, longitude);
       return {
         rise: moonTimes.rise,
@@ -211,15 +218,50 @@ class LunarService {
     }
   }
 
+  /**
+   * Moonrise and moonset within the observer's local calendar day.
+   * SunCalc works in whole UTC days, so search each UTC day the local day
+   * overlaps and keep the events that fall inside it.
+   */
+  getLocalMoonTimes(latitude, longitude, date, timezone) {
+    const dayStart = moment.tz(date, timezone).startOf('day');
+    const start = dayStart.valueOf();
+    // Not start + 24h: DST change days are 23 or 25 hours long
+    const end = dayStart.clone().add(1, 'day').valueOf();
+
+    const result = { rise: undefined, set: undefined, alwaysUp: undefined, alwaysDown: undefined };
+    const days = [];
+    for (let utcDay = moment.utc(start).startOf('day'); utcDay.valueOf() < end; utcDay.add(1, 'day')) {
+      days.push(SunCalc.getMoonTimes(utcDay.toDate(), latitude, longitude, true));
+    }
+
+    for (const moonTimes of days) {
+      for (const event of ['rise', 'set']) {
+        const time = moonTimes[event];
+        if (!result[event] && time && time.getTime() >= start && time.getTime() < end) {
+          result[event] = time;
+        }
+      }
+    }
+
+    // No events at all: the moon stayed up (or down) through the whole day
+    if (!result.rise && !result.set) {
+      if (days.every(moonTimes => moonTimes.alwaysUp)) result.alwaysUp = true;
+      if (days.every(moonTimes => moonTimes.alwaysDown)) result.alwaysDown = true;
+    }
+    return result;
+  }
+
   /**
    * Check if current time is within 10 minutes of moonrise
    * @param {number} latitude - Observer latitude
    * @param {number} longitude - Observer longitude
    * @param {Date} date - Current date/time
+   * @param {string} [timezone] - Observer's IANA timezone
    * @returns {Object} Information about proximity to moonrise
    */
-  isNearMoonrise(latitude, longitude, date = new Date()) {
-    const moonTimes = this.getMoonTimes(latitude, longitude, date);
+  isNearMoonrise(latitude, longitude, date = new Date(), timezone = null) {
+    const moonTimes = this.getMoonTimes(latitude, longitude, date, timezone);
 
     if (!moonTimes || !moonTimes.rise) {
       return { near: false, moonrise: null, minutesUntil: null };
@@ -244,10 +286,11 @@ class LunarService {
    * Check if moon is currently visible (simple day/night heuristic)
    * @param {Date} date - Current date/time
    * @param {Object} lunarInfo - Lunar data from calculateLunarDay()
+   * @param {string} [timezone] - Observer's IANA timezone, for the local hour
    * @returns {boolean} True if moon is likely visible
    */
-  isMoonVisible(date = new Date(), lunarInfo = null) {
-    const hour = date.getHours();
+  isMoonVisible(date = new Date(), lunarInfo = null, timezone = null) {
+    const hour = timezone ? moment.tz(date, timezone).hour() : date.getHours();
 
     // Simple heuristic: Moon often visible at night
     const isNightTime = hour >= 20 || hour <= 5;
@@ -0,0 +1,334 @@
+// services/PhenologyService.js
+const path = require('path');
+const logger = require('../utils/logger');
+const { SpeciesCacheStore } = require('./SpeciesCacheStore');
+
+const GBIF_OCCURRENCE_URL = 'https://api.gbif.org/v1/occurrence/search';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * PhenologyService - How likely a species is to be around this week
+ *
+ * Keeps a month histogram of GBIF occurrences for each species near a location
+ * (one facet=month request per species and 0.5° cell, counting records within
+ * radiusKm of the cell centre over the last `years` years). A species' presence
+ * on a date is its smoothed histogram interpolated between the neighbouring
+ * months, relative to its peak month: migrants score near zero out of season,
+ * hibernating reptiles drop off in winter and year-round residents stay high.
+ * An iNaturalist or eBird sighting from the last recentDays means the animal is
+ * here now and scores 1, whatever the histogram says.
+ *
+ * Histograms change slowly, so they are kept for ttlDays and snapshotted to
+ * data/phenology-cache.json (PHENOLOGY_CACHE_PATH) like the species cache.
+ * Lookups for missing histograms go through one queue, at most `concurrency`
+ * GBIF requests at a time however many selections ask; a selection waits for
+ * them at most waitMs and weights with what is cached, the rest land for later.
+ */
+class PhenologyService {
+  constructor(options = {}) {
+    this.cellDegrees = 0.5;
+    this.radiusKm = envNumber('PHENOLOGY_RADIUS_KM', 50);
+    this.years = envNumber('PHENOLOGY_YEARS', 10);
+    this.ttlMs = envNumber('PHENOLOGY_TTL_DAYS', 30) * DAY_MS;
+    this.recentDays = envNumber('PHENOLOGY_RECENT_DAYS', 30);
+    // Fewer records than this say more about who went looking than about the season
+    this.minOccurrences = envNumber('PHENOLOGY_MIN_OCCURRENCES', 12);
+    // Presence for species without a usable histogram (fallback lists, too few records)
+    this.defaultPresence = Math.min(1, envNumber('PHENOLOGY_DEFAULT_PRESENCE', 0.5));
+    // Histograms fetched per selection; the rest are filled in by later sessions
+    this.maxLookups = envNumber('PHENOLOGY_MAX_LOOKUPS', 20);
+    // How long a selection waits for its lookups before weighting with what is cached
+    this.waitMs = envNumber('PHENOLOGY_WAIT_MS', 1000);
+    this.concurrency = 4;
+    this.maxQueued = 200;
+    this.maxEntries = 20000;
+    this.requestTimeoutMs = 10000;
+
+    this.histograms = new Map(); // 'lat_lon|scientific name' -> { months: [12 counts], total, fetchedAt }
+    this.inFlight = new Map();
+    this.queue = [];             // Lookups waiting for one of the `concurrency` slots
+    this.active = 0;
+    this.blockedUntil = 0;       // GBIF asked us to back off (Retry-After)
+    this.stats = { lookups: 0, failures: 0, rateLimited: 0, warmLoaded: 0 };
+
+    this.store = new SpeciesCacheStore({
+      filePath: options.filePath || process.env.PHENOLOGY_CACHE_PATH || path.join(__dirname, '../data/phenology-cache.json'),
+      enabled: options.persist,
+      label: 'phenology cache'
+    });
+    this.ready = this.load();
+  }
+
+  async load() {
+    const entries = await this.store.load();
+    const now = Date.now();
+    for (const { key, ...histogram } of entries) {
+      if (Array.isArray(histogram.months) && histogram.months.length === 12 && !this.histograms.has(key) &&
+          now - histogram.fetchedAt < this.ttlMs) {
+        this.histograms.set(key, histogram);
+        this.stats.warmLoaded++;
+      }
+    }
+    if (this.stats.warmLoaded > 0) {
+      logger.info('Phenology histograms warm-loaded', { histograms: this.stats.warmLoaded, filePath: this.store.filePath });
+    }
+  }
+
+  persist() {
+    this.store.schedule(() => Array.from(this.histograms, ([key, histogram]) => ({ key, ...histogram })));
+  }
+
+  /**
+   * Write any pending snapshot now (on shutdown)
+   */
+  flush() {
+    return this.store.flush();
+  }
+
+  /**
+   * Centre and key of the cell a point falls in; histograms are shared per cell
+   */
+  cellOf(latitude, longitude) {
+    const centre = degrees => (Math.floor(degrees / this.cellDegrees) + 0.5) * this.cellDegrees;
+    const cell = { latitude: centre(latitude), longitude: centre(longitude) };
+    cell.key = `${cell.latitude}_${cell.longitude}`;
+    return cell;
+  }
+
+  histogramKey(cell, scientificName) {
+    return `${cell.key}|${String(scientificName).toLowerCase()}`;
+  }
+
+  getHistogram(latitude, longitude, scientificName) {
+    if (!scientificName) return null;
+    return this.histograms.get(this.histogramKey(this.cellOf(latitude, longitude), scientificName)) || null;
+  }
+
+  isRecentSighting(observedAt, date = new Date()) {
+    const time = observedAt ? new Date(observedAt).getTime() : NaN;
+    return Number.isFinite(time) && date.getTime() - time <= this.recentDays * DAY_MS;
+  }
+
+  isBlocked() {
+    return this.blockedUntil > Date.now();
+  }
+
+  /**
+   * Fetch missing or expired histograms for candidates, at most maxLookups of them
+   * Recently sighted candidates are skipped: they score 1 without one.
+   * @param {Array} candidates - [{ scientificName, observedAt }]
+   * @returns {Promise<number>} histograms requested, once they have all been fetched (see waitFor)
+   */
+  async prepare(latitude, longitude, candidates, date = new Date()) {
+    await this.ready;
+    if (this.isBlocked()) return 0;
+
+    const cell = this.cellOf(latitude, longitude);
+    const now = Date.now();
+    const names = new Set();
+    for (const candidate of candidates) {
+      if (!candidate.scientificName || this.isRecentSighting(candidate.observedAt, date)) continue;
+      const histogram = this.histograms.get(this.histogramKey(cell, candidate.scientificName));
+      if (!histogram || now - histogram.fetchedAt >= this.ttlMs) names.add(candidate.scientificName);
+    }
+    const missing = [...names].slice(0, this.maxLookups);
+
+    await Promise.all(missing.map(scientificName => this.lookup(cell, scientificName)));
+    return missing.length;
+  }
+
+  /**
+   * Wait for a prepare() for at most ms; lookups still queued or running carry
+   * on and are used by later selections
+   */
+  async waitFor(preparing, ms = this.waitMs) {
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(resolve, ms);
+    });
+    try {
+      await Promise.race([preparing, deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // One histogram request per key at a time, however many selections want it
+  lookup(cell, scientificName) {
+    const key = this.histogramKey(cell, scientificName);
+    if (!this.inFlight.has(key)) {
+      if (this.queue.length >= this.maxQueued) return Promise.resolve();
+      const request = this.schedule(() => this.fetchHistogram(cell, scientificName))
+        .then(histogram => {
+          if (!histogram) return;
+          this.histograms.delete(key);
+          this.histograms.set(key, histogram);
+          if (this.histograms.size > this.maxEntries) {
+            this.histograms.delete(this.histograms.keys().next().value);
+          }
+          this.persist();
+        })
+        .catch(error => {
+          this.stats.failures++;
+          logger.warn('Phenology histogram lookup failed', { scientificName, cell: cell.key, error: error.message });
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, request);
+    }
+    return this.inFlight.get(key);
+  }
+
+  // Run a request when a slot is free; queued requests are dropped while GBIF has us blocked
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+      (this.isBlocked() ? Promise.resolve(null) : task())
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Occurrences per month for a species around a cell centre
+   * @returns {Promise<Object|null>} { months, total, fetchedAt }, or null when rate limited
+   */
+  async fetchHistogram(cell, scientificName) {
+    const year = new Date().getFullYear();
+    const params = new URLSearchParams({
+      scientificName,
+      geoDistance: `${cell.latitude},${cell.longitude},${this.radiusKm}km`,
+      hasCoordinate: 'true',
+      hasGeospatialIssue: 'false',
+      occurrenceStatus: 'PRESENT',
+      year: `${year - this.years},${year}`,
+      facet: 'month',
+      facetLimit: '12',
+      limit: '0'
+    });
+
+    this.stats.lookups++;
+    const response = await fetch(`${GBIF_OCCURRENCE_URL}?${params}`, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'Momentus-Meditation-App/1.0'
+      },
+      signal: AbortSignal.timeout(this.requestTimeoutMs)
+    });
+
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get('retry-after') || '', 10);
+      this.blockedUntil = Date.now() + (Number.isFinite(retryAfter) ? retryAfter * 1000 : 60 * 1000);
+      this.stats.rateLimited++;
+      logger.warn('GBIF rate limited phenology lookups', { retryAfter: response.headers.get('retry-after') });
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`GBIF API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const months = new Array(12).fill(0);
+    const facet = (data.facets || []).find(f => String(f.field).toUpperCase() === 'MONTH');
+    for (const { name, count } of facet?.counts || []) {
+      const month = parseInt(name, 10);
+      if (month >= 1 && month <= 12 && Number.isFinite(count)) months[month - 1] = count;
+    }
+
+    return { months, total: months.reduce((sum, count) => sum + count, 0), fetchedAt: Date.now() };
+  }
+
+  /**
+   * Presence (0-1) of a candidate near a point on a date
+   * @param {Object} candidate - { scientificName, observedAt }
+   * @returns {Object} { presence, basis, ... } where basis is 'recent-sighting' (plus
+   * observedAt), 'histogram' or 'too-few-records' (plus occurrences and months) or 'no-histogram'
+   */
+  assess(latitude, longitude, candidate, date = new Date()) {
+    if (this.isRecentSighting(candidate.observedAt, date)) {
+      return { presence: 1, basis: 'recent-sighting', observedAt: candidate.observedAt };
+    }
+
+    const histogram = this.getHistogram(latitude, longitude, candidate.scientificName);
+    if (!histogram) {
+      return { presence: this.defaultPresence, basis: 'no-histogram' };
+    }
+    if (histogram.total < this.minOccurrences) {
+      return { presence: this.defaultPresence, basis: 'too-few-records', occurrences: histogram.total, months: histogram.months };
+    }
+    return {
+      presence: Math.round(this.seasonalPresence(histogram.months, date) * 1000) / 1000,
+      basis: 'histogram',
+      occurrences: histogram.total,
+      months: histogram.months
+    };
+  }
+
+  /**
+   * Histogram value for a date relative to the peak month. Months are smoothed
+   * 1-2-1 with their neighbours (wrapping round the year) so a single quiet month
+   * in a sparse record doesn't read as absence, then interpolated between month
+   * midpoints so presence changes week by week rather than on the 1st.
+   */
+  seasonalPresence(months, date = new Date()) {
+    const smoothed = months.map((count, i) => (months[(i + 11) % 12] + 2 * count + months[(i + 1) % 12]) / 4);
+    const peak = Math.max(...smoothed);
+    if (peak <= 0) return 0;
+
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    // Months since the middle of January
+    const position = date.getUTCMonth() + (date.getUTCDate() - 0.5) / daysInMonth - 0.5;
+    const before = Math.floor(position);
+    const t = position - before;
+    const value = smoothed[(before + 12) % 12] * (1 - t) + smoothed[(before + 13) % 12] * t;
+    return value / peak;
+  }
+
+  getStats() {
+    return {
+      histograms: this.histograms.size,
+      cellDegrees: this.cellDegrees,
+      radiusKm: this.radiusKm,
+      years: this.years,
+      ttlDays: this.ttlMs / DAY_MS,
+      recentDays: this.recentDays,
+      minOccurrences: this.minOccurrences,
+      defaultPresence: this.defaultPresence,
+      maxLookups: this.maxLookups,
+      waitMs: this.waitMs,
+      queued: this.queue.length,
+      active: this.active,
+      ...this.stats,
+      rateLimitedUntil: this.isBlocked() ? new Date(this.blockedUntil).toISOString() : null,
+      store: this.store.getStats()
+    };
+  }
+}
+
+// Non-negative number from an env var, or the default
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name] || '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new PhenologyService();
+    }
+    return instance;
+  },
+  PhenologyService
+};
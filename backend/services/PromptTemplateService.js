@@ -0,0 +1,279 @@
+// services/PromptTemplateService.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Custom versions are numbered above this so they never clash with shipped ones
+const CUSTOM_VERSION_BASE = 100;
+
+/**
+ * PromptTemplateService - Versioned prompt templates with named variables
+ *
+ * Templates live in prompts/<templateId>/v<version>.txt and use {{variable}}
+ * placeholders. Versions created from the admin dashboard are written to the
+ * custom directory (PROMPT_TEMPLATES_PATH, default data/prompts) so they
+ * survive deploys, numbered from 101 up; a custom file whose number clashes
+ * with a shipped version is not loaded.
+ *
+ * The active version is always explicit: an admin activation (active.json in
+ * the custom directory), else the default in prompts/active.json. Shipping a
+ * new version changes nothing until one of those points at it. A template in
+ * neither uses its first version.
+ */
+class PromptTemplateService {
+  constructor(options = {}) {
+    this.builtinDir = options.builtinDir || path.join(__dirname, '../prompts');
+    this.customDir = options.customDir || process.env.PROMPT_TEMPLATES_PATH || path.join(__dirname, '../data/prompts');
+    this.activationsPath = path.join(this.customDir, 'active.json');
+    this.defaultsPath = path.join(this.builtinDir, 'active.json');
+
+    this.templates = new Map(); // templateId -> Map(version -> { version, body, source, file })
+    this.activeVersions = {};   // Admin activations
+    this.defaultVersions = {};  // Shipped defaults
+    this.ready = this.load();
+  }
+
+  async load() {
+    this.templates = new Map();
+    await this.loadDirectory(this.builtinDir, 'builtin');
+    await this.loadDirectory(this.customDir, 'custom');
+
+    this.defaultVersions = await this.readVersions(this.defaultsPath, 'defaults');
+    this.activeVersions = await this.readVersions(this.activationsPath, 'activations');
+    for (const [templateId, version] of Object.entries(this.defaultVersions)) {
+      if (!this.templates.get(templateId)?.has(version)) {
+        logger.warn('Default prompt template version not found', { templateId, version });
+      }
+    }
+
+    logger.info('Prompt templates loaded', {
+      templates: Array.from(this.templates.keys()),
+      active: Object.fromEntries(Array.from(this.templates.keys()).map(id => [id, this.getActiveVersion(id)]))
+    });
+  }
+
+  async readVersions(filePath, label) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read prompt template ${label}`, { filePath, error: error.message });
+      }
+      return {};
+    }
+  }
+
+  async loadDirectory(dir, source) {
+    let templateIds;
+    try {
+      templateIds = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read prompt template directory', { dir, error: error.message });
+      }
+      return;
+    }
+
+    for (const entry of templateIds) {
+      if (!entry.isDirectory()) continue;
+
+      const files = await fs.readdir(path.join(dir, entry.name));
+      for (const file of files) {
+        const match = file.match(/^v(\d+)\.txt$/);
+        if (!match) continue;
+
+        const filePath = path.join(dir, entry.name, file);
+        const version = parseInt(match[1], 10);
+        const clash = this.templates.get(entry.name)?.get(version);
+        if (clash) {
+          logger.error('Prompt template version clashes with a shipped version, not loaded', {
+            templateId: entry.name,
+            version,
+            file: filePath,
+            shipped: clash.file
+          });
+          continue;
+        }
+
+        const body = await fs.readFile(filePath, 'utf8');
+        if (!this.templates.has(entry.name)) this.templates.set(entry.name, new Map());
+        this.templates.get(entry.name).set(version, { version, body, source, file: filePath });
+      }
+    }
+  }
+
+  /**
+   * Render the active version of a template
+   * @param {string} templateId
+   * @param {Object} variables - Values for {{name}} placeholders
+   * @returns {Promise<Object>} { text, templateId, version, missing }
+   */
+  async render(templateId, variables = {}, version = null) {
+    await this.ready;
+    const template = this.getVersion(templateId, version || this.getActiveVersion(templateId));
+    const { text, missing } = this.interpolate(template.body, variables);
+
+    if (missing.length > 0) {
+      logger.warn('Prompt template variables missing', { templateId, version: template.version, missing });
+    }
+
+    return { text, templateId, version: template.version, missing };
+  }
+
+  interpolate(body, variables) {
+    const missing = new Set();
+    const text = body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+      if (variables[name] === undefined || variables[name] === null) {
+        missing.add(name);
+        return '';
+      }
+      return String(variables[name]);
+    });
+    return { text, missing: Array.from(missing) };
+  }
+
+  extractVariables(body) {
+    const names = new Set();
+    for (const match of body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+      names.add(match[1]);
+    }
+    return Array.from(names);
+  }
+
+  // Synchronous check for callers that can't await (false until templates load)
+  hasTemplate(templateId) {
+    const versions = this.templates.get(templateId);
+    return !!versions && versions.size > 0;
+  }
+
+  getActiveVersion(templateId) {
+    const versions = this.templates.get(templateId);
+    if (!versions || versions.size === 0) {
+      throw this.notFound(`Unknown prompt template: ${templateId}`);
+    }
+
+    const active = [this.activeVersions[templateId], this.defaultVersions[templateId]]
+      .find(version => version && versions.has(version));
+    return active || Math.min(...versions.keys());
+  }
+
+  getVersion(templateId, version) {
+    const versions = this.templates.get(templateId);
+    if (!versions) {
+      throw this.notFound(`Unknown prompt template: ${templateId}`);
+    }
+    const template = versions.get(parseInt(version, 10));
+    if (!template) {
+      throw this.notFound(`Prompt template ${templateId} has no version ${version}`);
+    }
+    return template;
+  }
+
+  /**
+   * All templates with their versions and which one is active
+   */
+  async listTemplates() {
+    await this.ready;
+    return Array.from(this.templates.entries()).map(([templateId, versions]) => {
+      const activeVersion = this.getActiveVersion(templateId);
+      return {
+        id: templateId,
+        activeVersion,
+        versions: Array.from(versions.values())
+          .sort((a, b) => a.version - b.version)
+          .map(v => ({
+            version: v.version,
+            source: v.source,
+            active: v.version === activeVersion,
+            variables: this.extractVariables(v.body),
+            length: v.body.length
+          }))
+      };
+    });
+  }
+
+  async getTemplate(templateId, version) {
+    await this.ready;
+    const template = this.getVersion(templateId, version);
+    return {
+      id: templateId,
+      version: template.version,
+      source: template.source,
+      active: template.version === this.getActiveVersion(templateId),
+      variables: this.extractVariables(template.body),
+      body: template.body
+    };
+  }
+
+  /**
+   * Make a version the one used for new generations
+   */
+  async activateVersion(templateId, version) {
+    await this.ready;
+    const template = this.getVersion(templateId, version);
+
+    this.activeVersions[templateId] = template.version;
+    await this.saveActivations();
+
+    logger.info('Prompt template version activated', { templateId, version: template.version });
+    return this.getTemplate(templateId, template.version);
+  }
+
+  /**
+   * Save a new version (not activated until activateVersion is called)
+   */
+  async createVersion(templateId, body) {
+    await this.ready;
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(templateId)) {
+      throw this.invalid('Template id may only contain lowercase letters, digits and dashes');
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+      throw this.invalid('Template body is required');
+    }
+
+    const versions = this.templates.get(templateId);
+    const version = Math.max(CUSTOM_VERSION_BASE, ...(versions ? versions.keys() : [])) + 1;
+    const dir = path.join(this.customDir, templateId);
+    const filePath = path.join(dir, `v${version}.txt`);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath, body, 'utf8');
+
+    if (!this.templates.has(templateId)) this.templates.set(templateId, new Map());
+    this.templates.get(templateId).set(version, { version, body, source: 'custom', file: filePath });
+
+    logger.info('Prompt template version created', { templateId, version });
+    return this.getTemplate(templateId, version);
+  }
+
+  async saveActivations() {
+    await fs.mkdir(this.customDir, { recursive: true });
+    const tmpPath = `${this.activationsPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.activeVersions, null, 2), 'utf8');
+    await fs.rename(tmpPath, this.activationsPath);
+  }
+
+  notFound(message) {
+    const error = new Error(message);
+    error.statusCode = 404;
+    return error;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new PromptTemplateService();
+    }
+    return instance;
+  },
+  PromptTemplateService
+};
@@ -1,25 +1,34 @@
 // services/RobustSpeciesService.js
+const INaturalistService = require('./INaturalistService');
+const eBirdService = require('./eBirdService');
+const { getInstance: getEcoregionService } = require('./EcoregionService');
+const { SpeciesCacheStore } = require('./SpeciesCacheStore');
+const { getInstance: getPhenologyService } = require('./PhenologyService');
+const { getLocale, DEFAULT_LANGUAGE } = require('../locales');
 const logger = require('../utils/logger');
 
 class RobustSpeciesService {
   constructor() {
-    // Taxonomic classes with their GBIF keys (insects excluded)
+    // Taxonomic classes with their GBIF keys and iNaturalist iconic taxa (insects excluded)
     this.taxonomicClasses = [
-      { name: 'birds', key: 212, displayName: 'Birds' },
-      { name: 'mammals', key: 359, displayName: 'Mammals' },
-      { name: 'fish', key: 204, displayName: 'Fish' },
-      { name: 'reptiles', key: 358, displayName: 'Reptiles' },
-      { name: 'amphibians', key: 131, displayName: 'Amphibians' }
+      { name: 'birds', key: 212, iconicTaxon: 'Aves', displayName: 'Birds' },
+      { name: 'mammals', key: 359, iconicTaxon: 'Mammalia', displayName: 'Mammals' },
+      { name: 'fish', key: 204, iconicTaxon: 'Actinopterygii', displayName: 'Fish' },
+      { name: 'reptiles', key: 358, iconicTaxon: 'Reptilia', displayName: 'Reptiles' },
+      { name: 'amphibians', key: 131, iconicTaxon: 'Amphibia', displayName: 'Amphibians' }
     ];
 
-    // Location-based cache with 200 entries per species class
-    this.cache = new Map(); // Key: locationKey, Value: { species data, timestamp }
+    // Location-based cache with 200 entries per species class, snapshotted to disk
+    this.cache = new Map(); // Key: locationKey, Value: { species, timestamp, expiresAt, location, className, seededByGBIF }
     this.maxCacheSize = 200;
     this.locationChangeThreshold = 0.01; // ~1km threshold for cache invalidation
     this.cacheStats = {
       hits: 0,
       misses: 0,
-      evictions: 0
+      evictions: 0,
+      expired: 0,
+      staleServed: 0,
+      warmLoaded: 0
     };
 
     // Global fallback species - guaranteed to always return something (insects excluded)
@@ -74,7 +83,8 @@ class RobustSpeciesService {
       'Salmo trutta': 'Brown Trout'
     };
 
-    // Regional species for major North American ecoregions
+    // Regional species, chosen by the location's ecoregion (see getFallbackRegion):
+    // three North American biome groups, then one list per biogeographic realm
     this.regionalFallbacks = {
       // California/Southwest
       'california': {
@@ -93,19 +103,131 @@ class RobustSpeciesService {
         birds: ['Blue Jay', 'Cardinal', 'Wood Thrush', 'Pileated Woodpecker'],
         mammals: ['Eastern Gray Squirrel', 'White-tailed Deer', 'Black Bear', 'Raccoon'],
         amphibians: ['Wood Frog', 'Spring Peeper', 'Red-backed Salamander', 'American Toad']
+      },
+      'palearctic': {
+        birds: ['Common Blackbird', 'European Robin', 'Great Tit', 'Common Chaffinch'],
+        mammals: ['Red Fox', 'European Hedgehog', 'Roe Deer', 'Eurasian Red Squirrel'],
+        fish: ['Brown Trout', 'Northern Pike', 'European Perch', 'Common Carp'],
+        reptiles: ['Sand Lizard', 'Grass Snake', 'Common Wall Lizard', 'Slow Worm'],
+        amphibians: ['Common Frog', 'Common Toad', 'Smooth Newt', 'Fire Salamander']
+      },
+      'neotropic': {
+        birds: ['Great Kiskadee', 'Rufous Hornero', 'Blue-gray Tanager', 'Black Vulture'],
+        mammals: ['South American Coati', 'Brown-throated Sloth', 'Capybara', 'Mantled Howler'],
+        fish: ['Red-bellied Piranha', 'Oscar', 'Arapaima', 'Neon Tetra'],
+        reptiles: ['Green Iguana', 'Spectacled Caiman', 'Boa Constrictor', 'Common Basilisk'],
+        amphibians: ['Cane Toad', 'Red-eyed Tree Frog', 'Strawberry Poison Frog', 'Smoky Jungle Frog']
+      },
+      'afrotropic': {
+        birds: ['African Fish Eagle', 'Superb Starling', 'Hadada Ibis', 'Pied Crow'],
+        mammals: ['African Bush Elephant', 'Plains Zebra', 'Impala', 'Vervet Monkey'],
+        fish: ['Nile Tilapia', 'African Tigerfish', 'Nile Perch', 'African Sharptooth Catfish'],
+        reptiles: ['Nile Crocodile', 'Nile Monitor', 'Leopard Tortoise', 'Red-headed Rock Agama'],
+        amphibians: ['Guttural Toad', 'African Clawed Frog', 'African Bullfrog', 'Common River Frog']
+      },
+      'indomalayan': {
+        birds: ['Common Myna', 'Red-vented Bulbul', 'Oriental Magpie-Robin', 'Indian Peafowl'],
+        mammals: ['Rhesus Macaque', 'Indian Palm Squirrel', 'Chital', 'Asian Elephant'],
+        fish: ['Rohu', 'Climbing Perch', 'Striped Snakehead', 'Giant Gourami'],
+        reptiles: ['Asian Water Monitor', 'Tokay Gecko', 'Oriental Garden Lizard', 'Indian Rock Python'],
+        amphibians: ['Asian Common Toad', 'Indian Bullfrog', 'Banded Bullfrog', 'Four-lined Tree Frog']
+      },
+      'australasia': {
+        birds: ['Australian Magpie', 'Laughing Kookaburra', 'Rainbow Lorikeet', 'Sulphur-crested Cockatoo'],
+        mammals: ['Eastern Grey Kangaroo', 'Common Brushtail Possum', 'Koala', 'Short-beaked Echidna'],
+        fish: ['Murray Cod', 'Australian Bass', 'Golden Perch', 'Barramundi'],
+        reptiles: ['Eastern Blue-tongued Lizard', 'Lace Monitor', 'Eastern Water Dragon', 'Red-bellied Black Snake'],
+        amphibians: ['Australian Green Tree Frog', 'Striped Marsh Frog', 'Common Eastern Froglet', 'Peron\'s Tree Frog']
       }
     };
     
-    // GBIF circuit breaker state to avoid repeated rate-limited calls
-    this.gbifCircuit = {
-      open: false,
-      openUntil: 0,
-      lastOpenedReason: null,
-      consecutiveFailures: 0
+    // Observation sources merged into each class's candidate pool (eBird for birds only).
+    // Selection weight is the sum of the weights of every source reporting a species, so
+    // corroborated sightings win; override with SPECIES_SOURCE_WEIGHTS, e.g. {"eBird": 3}
+    this.sources = ['GBIF', 'iNaturalist', 'eBird'];
+    this.sourceWeights = {
+      GBIF: 1,
+      iNaturalist: 2,     // Research-grade, recent and usually close by
+      eBird: 2,           // Checklists from the last couple of weeks
+      fallback: 0.5,      // Regional and global fallback lists
+      ...this.parseSourceMap(process.env.SPECIES_SOURCE_WEIGHTS, 'SPECIES_SOURCE_WEIGHTS')
     };
+    this.inaturalist = new INaturalistService();
+    this.ebird = new eBirdService();
+
+    // Per-source circuit breakers to avoid repeated calls to a failing or rate-limited API
+    this.sourceFailureThreshold = parseInt(process.env.SPECIES_CIRCUIT_FAILURE_THRESHOLD || '', 10) || 3;
+    this.sourceCircuitOpenMs = parseInt(process.env.SPECIES_CIRCUIT_OPEN_MS || '', 10) || 2 * 60 * 1000;
+    this.circuits = {};
+    this.sourceStats = {};
+    for (const source of this.sources) {
+      this.circuits[source] = {
+        open: false,
+        openUntil: 0,
+        lastOpenedReason: null,
+        consecutiveFailures: 0
+      };
+      this.sourceStats[source] = {
+        requests: 0,
+        skipped: 0,
+        failures: 0,
+        speciesReturned: 0,
+        lastSuccessAt: null,
+        lastError: null
+      };
+    }
+    // fetchFromGBIF manages this one itself (Retry-After, repeated 5xx)
+    this.gbifCircuit = this.circuits.GBIF;
+
     // Configurable no-repeat window (days) for species selection
     const envDays = parseInt(process.env.SPECIES_NO_REPEAT_DAYS || '', 10);
     this.noRepeatDays = Number.isFinite(envDays) && envDays > 0 ? envDays : 2;
+
+    // Hours a cached pool stays fresh, by the sources that reported its species (the
+    // shortest applies); pools of only fallback species expire soon so the APIs are retried.
+    // Override with SPECIES_CACHE_TTL, e.g. {"eBird": 12}
+    this.cacheTtlHours = {
+      eBird: 24,       // Sightings from the last EBIRD_DAYS_BACK days
+      iNaturalist: 72,
+      GBIF: 168,
+      fallback: 6,
+      ...this.parseSourceMap(process.env.SPECIES_CACHE_TTL, 'SPECIES_CACHE_TTL')
+    };
+    this.cacheStore = new SpeciesCacheStore();
+    this.cacheReady = this.loadCache();
+
+    // Month histograms that weight candidates by how likely they are to be around this week.
+    // Pools stay date-independent in the cache; the weighting is applied when picking
+    this.phenology = getPhenologyService();
+    this.minPresence = 0.05; // out-of-season species stay possible, just rare
+
+    // Point-in-polygon ecoregion lookup for regional fallbacks and prompts
+    this.ecoregions = getEcoregionService();
+
+    // Distance (km) from the caller's last confirmed location that triggers a confirmation prompt
+    const envPromptKm = parseFloat(process.env.LOCATION_PROMPT_DISTANCE_KM || '');
+    this.locationPromptDistanceKm = Number.isFinite(envPromptKm) && envPromptKm > 0 ? envPromptKm : 50;
+
+    // Localized common names: 'scientificName|language' -> name (null when none exists)
+    this.localizedNames = new Map();
+  }
+
+  /**
+   * Per-source numbers from a JSON env var, e.g. {"GBIF": 1, "eBird": 2}
+   */
+  parseSourceMap(value, envName) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      const values = {};
+      for (const [source, number] of Object.entries(parsed)) {
+        if (Number.isFinite(number) && number >= 0) values[source] = number;
+      }
+      return values;
+    } catch (error) {
+      logger.error(`Invalid ${envName}, using defaults`, { error: error.message });
+      return {};
+    }
   }
 
   /**
@@ -296,8 +418,7 @@ class RobustSpeciesService {
    * Get species from cache or return null if not cached
    */
   getCachedSpecies(latitude, longitude, taxonomicClass) {
-    const cacheKey = this.generateLocationKey(latitude, longitude, taxonomicClass);
-    const cached = this.cache.get(cacheKey);
+    const cached = this.getCachedEntry(latitude, longitude, taxonomicClass);
     
     if (cached) {
       this.cacheStats.hits++;
@@ -309,28 +430,61 @@ class RobustSpeciesService {
   }
 
   /**
-   * Return full cache entry (species array + metadata) for read/write operations
+   * Return full cache entry (species array + metadata) for read/write operations;
+   * null when there is none or it has expired
    */
   getCachedEntry(latitude, longitude, taxonomicClass) {
     const cacheKey = this.generateLocationKey(latitude, longitude, taxonomicClass);
-    return this.cache.get(cacheKey) || null;
+    const entry = this.cache.get(cacheKey);
+    return entry && !this.isCacheEntryExpired(entry) ? entry : null;
+  }
+
+  isCacheEntryExpired(entry, now = Date.now()) {
+    const expiresAt = entry.expiresAt ?? (entry.timestamp || 0) + this.cacheTtlMs(entry.species || []);
+    return expiresAt <= now;
+  }
+
+  /**
+   * Freshness of a pool: the shortest TTL among the observation sources in it,
+   * or the fallback TTL when it only holds fallback species
+   */
+  cacheTtlMs(species) {
+    const sources = Object.keys(this.countProvenance(species)).filter(source => source !== 'fallback');
+    const hours = sources.length > 0
+      ? Math.min(...sources.map(source => this.cacheTtlHours[source] ?? this.cacheTtlHours.fallback))
+      : this.cacheTtlHours.fallback;
+    return hours * 60 * 60 * 1000;
+  }
+
+  hasObservations(species) {
+    return species.some(candidate => this.sourceKey(candidate.source) !== 'fallback');
   }
 
   /**
    * Cache species data with LRU eviction when limit reached
+   * @returns {Object} The stored cache entry
    */
   cacheSpecies(latitude, longitude, taxonomicClass, species) {
     const cacheKey = this.generateLocationKey(latitude, longitude, taxonomicClass);
+    const previous = this.cache.get(cacheKey);
     
     // Check if we need to evict entries for this species class
-    const classKeys = Array.from(this.cache.keys()).filter(key => key.endsWith(`_${taxonomicClass.name}`));
-    
-    if (classKeys.length >= this.maxCacheSize) {
-      // Remove oldest entry (first in insertion order)
-      const oldestKey = classKeys[0];
-      this.cache.delete(oldestKey);
-      this.cacheStats.evictions++;
-      logger.debug(`Evicted cache entry: ${oldestKey}`);
+    if (!previous) {
+      const classKeys = Array.from(this.cache.keys()).filter(key => key.endsWith(`_${taxonomicClass.name}`));
+      
+      if (classKeys.length >= this.maxCacheSize) {
+        // Remove oldest entry (first in insertion order)
+        const oldestKey = classKeys[0];
+        this.cache.delete(oldestKey);
+        this.cacheStats.evictions++;
+        logger.debug(`Evicted cache entry: ${oldestKey}`);
+      }
+    }
+
+    // A refreshed pool keeps the no-repeat stamps of the species it still contains
+    const previousLastUsed = new Map();
+    for (const s of previous?.species || []) {
+      if (s.lastUsed) previousLastUsed.set(String(s.scientificName || s.name).toLowerCase(), s.lastUsed);
     }
     
     // Normalize species entries: sanitize display names, ensure scientific binomial, and types
@@ -348,29 +502,193 @@ class RobustSpeciesService {
       src.scientificName = this.extractBinomial(src.scientificName || src.species || '') || src.scientificName || '';
       // Ensure type is singular and valid
       src.type = src.type ? this.singularize(src.type) : this.singularize(taxonomicClass.name);
-      src.lastUsed = src.lastUsed || 0;
+      src.lastUsed = src.lastUsed || previousLastUsed.get(String(src.scientificName || src.name).toLowerCase()) || 0;
       return src;
     });
 
     // Determine whether this cache was seeded by GBIF results
     const seededByGBIF = normalized.some(s => s.source && String(s.source).toLowerCase().startsWith('gbif'));
 
-    // Cache the new data
-    this.cache.set(cacheKey, {
+    // Cache the new data (re-inserted so refreshed pools are evicted last)
+    const now = Date.now();
+    const entry = {
       species: normalized,
-      timestamp: Date.now(),
+      timestamp: now,
+      expiresAt: now + this.cacheTtlMs(normalized),
       location: { latitude, longitude },
+      className: taxonomicClass.name,
       seededByGBIF
-    });
+    };
+    this.cache.delete(cacheKey);
+    this.cache.set(cacheKey, entry);
+    this.persistCache();
     
     logger.debug(`Cached ${species.length} species for ${taxonomicClass.name} at ${latitude}, ${longitude}`);
+    return entry;
+  }
+
+  /**
+   * Warm-load the last disk snapshot; entries cached since startup win
+   */
+  async loadCache() {
+    const entries = await this.cacheStore.load();
+    for (const { key, ...entry } of entries) {
+      if (Array.isArray(entry.species) && !this.cache.has(key)) this.cache.set(key, entry);
+    }
+    this.cacheStats.warmLoaded = entries.length;
+    if (entries.length > 0) {
+      const now = Date.now();
+      logger.info('Species cache warm-loaded', {
+        entries: entries.length,
+        expired: entries.filter(entry => this.isCacheEntryExpired(entry, now)).length,
+        filePath: this.cacheStore.filePath
+      });
+    }
+  }
+
+  persistCache() {
+    this.cacheStore.schedule(() => this.exportCache().entries);
+  }
+
+  /**
+   * Write any pending snapshots now (on shutdown)
+   */
+  flushCache() {
+    return Promise.all([this.cacheStore.flush(), this.phenology.flush()]);
+  }
+
+  /**
+   * Whole cache as a snapshot, in eviction order
+   */
+  exportCache() {
+    return {
+      exportedAt: new Date().toISOString(),
+      entries: Array.from(this.cache, ([key, entry]) => ({ key, ...entry }))
+    };
+  }
+
+  /**
+   * Load entries from an exported snapshot
+   * @param {Object} snapshot - { entries: [{ key, species, ... }] } as returned by exportCache()
+   * @param {Object} options - { replace: true } drops the current cache first
+   * @returns {Object} { imported, skipped, evicted }
+   */
+  importCache(snapshot, { replace = false } = {}) {
+    if (!snapshot || !Array.isArray(snapshot.entries)) {
+      const error = new Error('Snapshot must have an entries array');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (replace) this.cache.clear();
+    let imported = 0;
+    let skipped = 0;
+    for (const { key, ...entry } of snapshot.entries) {
+      const className = entry.className || this.cacheEntryClass(key);
+      if (typeof key !== 'string' || !Array.isArray(entry.species) || !this.taxonomicClasses.some(cls => cls.name === className)) {
+        skipped++;
+        continue;
+      }
+      this.cache.delete(key);
+      this.cache.set(key, { ...entry, className, timestamp: entry.timestamp || Date.now() });
+      imported++;
+    }
+
+    // Keep maxCacheSize per class, dropping the oldest
+    let evicted = 0;
+    for (const taxonomicClass of this.taxonomicClasses) {
+      const classKeys = Array.from(this.cache.keys()).filter(key => this.cacheEntryClass(key) === taxonomicClass.name);
+      for (const key of classKeys.slice(0, Math.max(0, classKeys.length - this.maxCacheSize))) {
+        this.cache.delete(key);
+        evicted++;
+      }
+    }
+    this.cacheStats.evictions += evicted;
+    this.persistCache();
+
+    logger.info('Species cache imported', { imported, skipped, evicted, replace });
+    return { imported, skipped, evicted };
+  }
+
+  /**
+   * Remove cache entries matching a filter
+   * @param {Object} filter - { key } | { latitude, longitude, radiusKm } | { className }; location
+   *   and class combine. Without radiusKm a location matches its own cluster only.
+   * @returns {string[]} Evicted keys
+   */
+  evictCache(filter) {
+    const keys = this.findCacheKeys(filter);
+    for (const key of keys) this.cache.delete(key);
+    if (keys.length > 0) {
+      this.cacheStats.evictions += keys.length;
+      this.persistCache();
+      logger.info('Species cache entries evicted', { ...filter, evicted: keys.length });
+    }
+    return keys;
+  }
+
+  findCacheKeys({ key = null, latitude = null, longitude = null, radiusKm = null, className = null } = {}) {
+    if (key) return this.cache.has(key) ? [key] : [];
+
+    const hasLocation = Number.isFinite(latitude) && Number.isFinite(longitude);
+    const cluster = hasLocation ? this.generateLocationKey(latitude, longitude, { name: '' }) : null;
+    const keys = [];
+    for (const [cacheKey, entry] of this.cache) {
+      const entryClass = entry.className || this.cacheEntryClass(cacheKey);
+      if (className && entryClass !== className) continue;
+      if (hasLocation) {
+        const matches = Number.isFinite(radiusKm) && entry.location
+          ? this.calculateDistance(latitude, longitude, entry.location.latitude, entry.location.longitude) <= radiusKm
+          : cacheKey === `${cluster}${entryClass}`;
+        if (!matches) continue;
+      }
+      keys.push(cacheKey);
+    }
+    return keys;
+  }
+
+  // Keys are '<lat>_<lng>_<class>'
+  cacheEntryClass(key) {
+    return String(key).split('_').pop();
+  }
+
+  /**
+   * Summary of a cache entry for listings (no species list)
+   */
+  describeCacheEntry(key, entry, now = Date.now()) {
+    const species = entry.species || [];
+    const lastUsed = Math.max(0, ...species.map(s => s.lastUsed || 0));
+    return {
+      key,
+      className: entry.className || this.cacheEntryClass(key),
+      location: entry.location || null,
+      count: species.length,
+      seededByGBIF: !!entry.seededByGBIF,
+      provenance: this.countProvenance(species),
+      timestamp: entry.timestamp,
+      expiresAt: entry.expiresAt ?? null,
+      expired: this.isCacheEntryExpired(entry, now),
+      lastUsed: lastUsed || null
+    };
+  }
+
+  /**
+   * Cache entry summaries matching a filter (see findCacheKeys)
+   */
+  listCacheEntries(filter = {}) {
+    const now = Date.now();
+    return this.findCacheKeys(filter).map(key => this.describeCacheEntry(key, this.cache.get(key), now));
   }
 
   /**
    * SessionManager compatibility method - matches original SpeciesService interface
+   * When usageHistory (Map of lowercased name -> last used ms) is provided, the no-repeat
+   * window is applied to that history instead of the shared cache entry's lastUsed stamps.
    */
-  async selectSpecies({ latitude, longitude, weather, preferences }) {
+  async selectSpecies({ latitude, longitude, weather, preferences, usageHistory = null }) {
     try {
+      await this.cacheReady;
+
       // Determine preferred species type from preferences
       const animalType = preferences?.speciesType;
 
@@ -418,29 +736,35 @@ class RobustSpeciesService {
       const now = Date.now();
 
       let candidate = null;
+      let seasonal = null;
 
       if (cacheEntry && Array.isArray(cacheEntry.species) && cacheEntry.species.length > 0) {
-        // Prefer species not used in the last 2 days
-        const unused = cacheEntry.species.filter(s => !s.lastUsed || (now - s.lastUsed) >= twoDaysMs);
+        const lastUsedOf = usageHistory
+          ? s => usageHistory.get(String(s.name).toLowerCase()) || 0
+          : s => s.lastUsed || 0;
+
+        // Prefer species not used in the last 2 days, weighted towards those several sources report
+        const unused = cacheEntry.species.filter(s => !lastUsedOf(s) || (now - lastUsedOf(s)) >= twoDaysMs);
 
         if (unused.length > 0) {
-          candidate = unused[Math.floor(Math.random() * unused.length)];
+          seasonal = await this.seasonalWeights(latitude, longitude, unused);
+          candidate = this.weightedPick(unused, seasonal.map(entry => entry.weight));
         } else {
           // All have been used recently — pick the least-recently-used
-          const lru = cacheEntry.species.slice().sort((a, b) => (a.lastUsed || 0) - (b.lastUsed || 0));
+          const lru = cacheEntry.species.slice().sort((a, b) => lastUsedOf(a) - lastUsedOf(b));
           candidate = lru[0];
         }
 
-        // Update lastUsed timestamp in cache for the selected species
+        // Update lastUsed timestamp in cache for the selected species (per-user history lives in the session store)
         const foundIdx = cacheEntry.species.findIndex(s => String(s.name).toLowerCase() === String(candidate.name).toLowerCase());
-        if (foundIdx >= 0) {
+        if (foundIdx >= 0 && !usageHistory) {
           cacheEntry.species[foundIdx].lastUsed = now;
-          // Re-set the entry to update insertion order / metadata
-          this.cache.set(this.generateLocationKey(latitude, longitude, targetClass), cacheEntry);
+          this.persistCache();
         }
       } else {
         // No cache entry found (shouldn't happen often) — pick randomly from returned list and populate cache via cacheSpecies
-        candidate = speciesList[Math.floor(Math.random() * speciesList.length)];
+        seasonal = await this.seasonalWeights(latitude, longitude, speciesList);
+        candidate = this.weightedPick(speciesList, seasonal.map(entry => entry.weight));
         // Ensure we cache this result so subsequent calls use cache
         try {
           this.cacheSpecies(latitude, longitude, targetClass, speciesList);
@@ -477,13 +801,29 @@ class RobustSpeciesService {
       const formattedSpecies = {
         name: displaySanitized,
         scientificName: scientificSanitized || 'Unknown',
-        type: expectedType
+        type: expectedType,
+        habitat: candidate.habitat,
+        sources: candidate.sources || [this.sourceKey(candidate.source)]
       };
+      // A real sighting lets the prompt say when and where the animal was seen
+      if (candidate.observedAt && candidate.location) {
+        Object.assign(formattedSpecies, {
+          observedAt: candidate.observedAt,
+          observedBy: candidate.observedBy,
+          location: candidate.location,
+          description: candidate.description
+        });
+      }
       
+      const chosen = seasonal?.find(entry => entry.species === candidate);
       logger.info('Species selected for meditation', {
         species: formattedSpecies.name,
         type: formattedSpecies.type,
-        class: targetClass.name
+        class: targetClass.name,
+        sources: formattedSpecies.sources,
+        observedAt: formattedSpecies.observedAt,
+        presence: chosen?.presence,
+        presenceBasis: chosen?.basis
       });
       
       return formattedSpecies;
@@ -494,6 +834,79 @@ class RobustSpeciesService {
     }
   }
 
+  /**
+   * Species with its common name in the requested language
+   * GBIF vernacular names are tried first, then iNaturalist; the English name
+   * is kept as defaultName (per-user no-repeat history is keyed on it).
+   * @param {Object} species - Result of selectSpecies
+   * @param {string} language - Locale code
+   * @returns {Promise<Object>}
+   */
+  async localizeSpecies(species, language = DEFAULT_LANGUAGE) {
+    if (language === DEFAULT_LANGUAGE || !species.scientificName || species.scientificName === 'Unknown') {
+      return species;
+    }
+
+    const cacheKey = `${species.scientificName}|${language}`;
+    if (!this.localizedNames.has(cacheKey)) {
+      const locale = getLocale(language);
+      let name = await this.fetchGBIFVernacularName(species.scientificName, locale.gbifLanguage);
+      if (!name) {
+        name = await this.inaturalist.getCommonName(species.scientificName, locale.inaturalistLocale);
+      }
+      // sanitizeDisplayName would strip accented letters, so only tidy spacing and parentheticals
+      const cleaned = name ? name.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim() : '';
+      this.localizedNames.set(cacheKey, this.isValidCommonName(cleaned)
+        ? cleaned.charAt(0).toUpperCase() + cleaned.slice(1)
+        : null);
+    }
+
+    const localizedName = this.localizedNames.get(cacheKey);
+    if (!localizedName) {
+      logger.debug('No localized common name, keeping English name', { species: species.name, language });
+      return species;
+    }
+
+    return {
+      ...species,
+      name: localizedName,
+      defaultName: species.name
+    };
+  }
+
+  /**
+   * Vernacular name from the GBIF species API in an ISO 639-2 language ('spa', 'fra', 'deu')
+   * @returns {Promise<string|null>}
+   */
+  async fetchGBIFVernacularName(scientificName, gbifLanguage) {
+    if (this.gbifCircuit.open && this.gbifCircuit.openUntil > Date.now()) {
+      return null;
+    }
+
+    try {
+      const headers = {
+        'Accept': 'application/json',
+        'User-Agent': 'Momentus-Meditation-App/1.0'
+      };
+
+      const matchResponse = await fetch(`https://api.gbif.org/v1/species/match?name=${encodeURIComponent(scientificName)}`, { headers });
+      if (!matchResponse.ok) return null;
+      const match = await matchResponse.json();
+      const key = match.speciesKey || match.usageKey;
+      if (!key) return null;
+
+      const namesResponse = await fetch(`https://api.gbif.org/v1/species/${key}/vernacularNames?limit=300`, { headers });
+      if (!namesResponse.ok) return null;
+      const names = await namesResponse.json();
+
+      const found = (names.results || []).find(n => n && n.language === gbifLanguage && n.vernacularName);
+      return found ? found.vernacularName : null;
+    } catch (error) {
+      logger.warn('GBIF vernacular name lookup failed', { scientificName, gbifLanguage, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Fallback species when all else fails
    */
@@ -506,107 +919,88 @@ class RobustSpeciesService {
   }
 
   /**
-   * Get Level II Ecoregion from coordinates for precise species selection
+   * Ecoregion for a point: { name, code, biome, realm } from the bundled polygon dataset
    */
   getEcoregionFromCoordinates(latitude, longitude) {
-    // Level II EPA Ecoregions for North America
-    // This provides much more precise biogeographic boundaries than state lines
-    
-    // WESTERN ECOREGIONS
-    // Marine West Coast Forest (1)
-    if (latitude >= 40.5 && latitude <= 49.5 && longitude >= -124.7 && longitude <= -121.5) {
-      return { name: 'Marine West Coast Forest', code: '1', state: 'Washington' };
-    }
-    
-    // Cascades (9) 
-    if (latitude >= 40 && latitude <= 49 && longitude >= -123 && longitude <= -120) {
-      return { name: 'Cascades', code: '9', state: 'Oregon' };
-    }
-    
-    // Sierra Nevada (5)
-    if (latitude >= 35.5 && latitude <= 40 && longitude >= -121 && longitude <= -118.5) {
-      return { name: 'Sierra Nevada', code: '5', state: 'California' };
-    }
-    
-    // Central California Foothills and Coastal Mountains (6)
-    if (latitude >= 34 && latitude <= 38.5 && longitude >= -123 && longitude <= -119) {
-      return { name: 'Central California Foothills', code: '6', state: 'California' };
-    }
-    
-    // Central California Valley (7)
-    if (latitude >= 35 && latitude <= 40 && longitude >= -122 && longitude <= -119) {
-      return { name: 'Central California Valley', code: '7', state: 'California' };
-    }
-    
-    // Southern California Mountains (8)
-    if (latitude >= 32.5 && latitude <= 35.5 && longitude >= -119 && longitude <= -116) {
-      return { name: 'Southern California Mountains', code: '8', state: 'California' };
-    }
-    
-    // Mojave Basin and Range (14)
-    if (latitude >= 33.5 && latitude <= 38 && longitude >= -118 && longitude <= -114) {
-      return { name: 'Mojave Basin and Range', code: '14', state: 'California' };
-    }
-    
-    // CENTRAL/GREAT PLAINS ECOREGIONS
-    // Great Plains (9.2 - using 92 for uniqueness)
-    if (latitude >= 36 && latitude <= 49 && longitude >= -104 && longitude <= -96) {
-      return { name: 'Great Plains', code: '92', state: 'Nebraska' };
-    }
-    
-    // Western Corn Belt Plains (9.3 - using 93)  
-    if (latitude >= 40 && latitude <= 43.5 && longitude >= -96 && longitude <= -90) {
-      return { name: 'Western Corn Belt Plains', code: '93', state: 'Iowa' };
-    }
-    
-    // Texas Blackland Prairies (9.4 - using 94)
-    if (latitude >= 28.5 && latitude <= 33.5 && longitude >= -97.5 && longitude <= -95.5) {
-      return { name: 'Texas Blackland Prairies', code: '94', state: 'Texas' };
-    }
-    
-    // South Central Plains (9.5 - using 95)
-    if (latitude >= 30 && latitude <= 35 && longitude >= -98 && longitude <= -92) {
-      return { name: 'South Central Plains', code: '95', state: 'Texas' };
-    }
-    
-    // EASTERN ECOREGIONS
-    // Southeastern Plains (9.6 - using 96)
-    if (latitude >= 30 && latitude <= 37 && longitude >= -92 && longitude <= -82) {
-      return { name: 'Southeastern Plains', code: '96', state: 'Virginia' };
-    }
-    
-    // Middle Atlantic Coastal Plain (9.7 - using 97)
-    if (latitude >= 35 && latitude <= 40.5 && longitude >= -80 && longitude <= -74) {
-      return { name: 'Middle Atlantic Coastal Plain', code: '97', state: 'Virginia' };
-    }
-    
-    // Northern Appalachian/Boreal Forest (9.8 - using 98) 
-    if (latitude >= 43.5 && latitude <= 47.5 && longitude >= -71 && longitude <= -67) {
-      return { name: 'Northern Appalachian/Boreal Forest', code: '98', state: 'Maine' };
-    }
-    
-    // Mixed Wood Plains (9.9 - using 99)
-    if (latitude >= 40 && latitude <= 45 && longitude >= -80 && longitude <= -73) {
-      return { name: 'Mixed Wood Plains', code: '99', state: 'New York' };
-    }
-    
-    // Default fallback with basic state detection
-    if (latitude >= 25.8 && latitude <= 36.5 && longitude >= -106.6 && longitude <= -93.5) {
-      return { name: 'Texas', code: 'TX', state: 'Texas' };
+    return this.ecoregions.lookup(latitude, longitude);
+  }
+
+  /**
+   * Check whether a location is far enough from the caller's last confirmed location to require a prompt
+   * @param {Object|null} previousLocation - { latitude, longitude } the caller last confirmed, null for a first visit
+   */
+  async checkLocationChange(latitude, longitude, previousLocation = null) {
+    if (!previousLocation) {
+      return {
+        requiresPrompt: false,
+        locationChanged: false,
+        isFirstLocation: true,
+        currentLocation: { latitude, longitude }
+      };
     }
-    if (latitude >= 32.5 && latitude <= 42 && longitude >= -124.5 && longitude <= -114) {
-      return { name: 'California', code: 'CA', state: 'California' };
+
+    const distance = this.calculateDistance(previousLocation.latitude, previousLocation.longitude, latitude, longitude);
+    const roundedDistance = Math.round(distance * 10) / 10;
+
+    if (distance < this.locationPromptDistanceKm) {
+      return {
+        requiresPrompt: false,
+        locationChanged: false,
+        distance: roundedDistance,
+        currentLocation: { latitude: previousLocation.latitude, longitude: previousLocation.longitude }
+      };
     }
-    
-    return { name: 'Unknown', code: '00', state: '' };
+
+    const previousEcoregion = this.getEcoregionFromCoordinates(previousLocation.latitude, previousLocation.longitude);
+    const newEcoregion = this.getEcoregionFromCoordinates(latitude, longitude);
+
+    logger.info('Significant location change detected', {
+      from: { latitude: previousLocation.latitude, longitude: previousLocation.longitude },
+      to: { latitude, longitude },
+      distance: roundedDistance
+    });
+
+    return {
+      requiresPrompt: true,
+      locationChanged: true,
+      distance: roundedDistance,
+      previousLocation: { latitude: previousLocation.latitude, longitude: previousLocation.longitude, ecoregion: previousEcoregion.name },
+      newLocation: { latitude, longitude, ecoregion: newEcoregion.name },
+      confirmationPrompt: {
+        title: 'New location detected',
+        message: `You appear to be about ${Math.round(distance)}km from your previous location. Would you like to load species for your new area?`,
+        details: `${previousEcoregion.name} → ${newEcoregion.name}`,
+        options: {
+          confirm: 'Update species',
+          cancel: 'Keep current species'
+        }
+      }
+    };
   }
-  
+
   /**
-   * Get state/province from coordinates for GBIF queries
+   * Accept a location change and seed species data for the new location
+   * @param {number} [perClass] - Species per class to return in results
+   * @param {Object|null} [previous] - { latitude, longitude } the caller is moving from
+   * @returns {Promise<Object>} Confirmation, with the per-class results from getSpeciesForMeditation
    */
-  getStateFromCoordinates(latitude, longitude) {
-    const ecoregion = this.getEcoregionFromCoordinates(latitude, longitude);
-    return ecoregion.state;
+  async confirmLocationChange(latitude, longitude, perClass = 5, previous = null) {
+    const previousLocation = previous ? { latitude: previous.latitude, longitude: previous.longitude } : null;
+
+    // Seed the cache for every class so the next session uses local species
+    const results = await this.getSpeciesForMeditation(latitude, longitude, null, perClass);
+    const speciesCount = Array.isArray(results) ? results.reduce((sum, r) => sum + (r.count || 0), 0) : 0;
+
+    logger.info('Location change confirmed', { previousLocation, latitude, longitude, speciesCount });
+
+    return {
+      success: true,
+      previousLocation,
+      currentLocation: { latitude, longitude },
+      ecoregion: this.getEcoregionFromCoordinates(latitude, longitude),
+      speciesCount,
+      results
+    };
   }
 
   /**
@@ -616,6 +1010,8 @@ class RobustSpeciesService {
     logger.info('Starting robust species selection', { latitude, longitude, animalType, count });
 
     try {
+      await this.cacheReady;
+
       // Determine which classes to fetch
       let classesToFetch = animalType ? 
         this.taxonomicClasses.filter(cls => cls.name === animalType) : 
@@ -624,6 +1020,7 @@ class RobustSpeciesService {
       const results = [];
 
       for (const taxonomicClass of classesToFetch) {
+        const cached = !!this.getCachedEntry(latitude, longitude, taxonomicClass);
         const species = await this.getSpeciesForClass(latitude, longitude, taxonomicClass, count);
         
         if (species.length === 0) {
@@ -638,7 +1035,8 @@ class RobustSpeciesService {
           type: taxonomicClass.name,
           species: species.slice(0, count),
           count: species.length,
-          source: species[0]?.source || 'fallback'
+          source: species[0]?.source || 'fallback',
+          cached
         });
       }
 
@@ -654,40 +1052,63 @@ class RobustSpeciesService {
    * Get species for a specific taxonomic class with cache-first approach and multiple fallback layers
    */
   async getSpeciesForClass(latitude, longitude, taxonomicClass, count) {
-    // Check cache first - if a cache entry exists for this clustered location, use it (do not re-seed)
+    // Check cache first - if a fresh cache entry exists for this clustered location, use it (do not re-seed)
     const cachedEntry = this.getCachedEntry(latitude, longitude, taxonomicClass);
     if (cachedEntry && Array.isArray(cachedEntry.species) && cachedEntry.species.length > 0) {
+      this.cacheStats.hits++;
       logger.debug(`Using cached species for ${taxonomicClass.name} at clustered location`);
       return cachedEntry.species.slice(0, count);
     }
+    this.cacheStats.misses++;
+
+    const stale = this.cache.get(this.generateLocationKey(latitude, longitude, taxonomicClass));
+    if (stale) this.cacheStats.expired++;
+
+    const species = await this.fetchSpeciesForClass(latitude, longitude, taxonomicClass, count);
+
+    // Sources failing (or rate limited) after a restart shouldn't replace real sightings with
+    // fallback lists: keep serving the expired pool and retry once the fallback TTL passes
+    if (stale && !this.hasObservations(species) && this.hasObservations(stale.species || [])) {
+      stale.expiresAt = Date.now() + this.cacheTtlMs([]);
+      this.cacheStats.staleServed++;
+      this.persistCache();
+      logger.warn(`No observations for ${taxonomicClass.name}, serving expired cached species`, {
+        cachedAt: new Date(stale.timestamp).toISOString(),
+        count: stale.species.length
+      });
+      return stale.species;
+    }
+
+    return this.cacheSpecies(latitude, longitude, taxonomicClass, species).species;
+  }
 
-    // Layer 1: GBIF API with your proven approach
-    let species = await this.fetchFromGBIF(latitude, longitude, taxonomicClass, 50); // 50km radius
+  /**
+   * Fetch a class's species pool, falling back layer by layer until there are enough
+   */
+  async fetchSpeciesForClass(latitude, longitude, taxonomicClass, count) {
+    // Layer 1: recent observations from GBIF, iNaturalist and eBird, merged
+    let species = await this.fetchObservations(latitude, longitude, taxonomicClass, 50); // 50km radius
     if (species.length >= count) {
-      logger.info(`GBIF success for ${taxonomicClass.name}`, { count: species.length });
-      // Cache the successful result
-      this.cacheSpecies(latitude, longitude, taxonomicClass, species);
+      logger.info(`Observation sources success for ${taxonomicClass.name}`, { count: species.length, provenance: this.countProvenance(species) });
       return species;
     }
 
-    // Layer 2: Expanded GBIF radius
-    logger.warn(`Low GBIF results for ${taxonomicClass.name}, expanding radius`, { currentCount: species.length });
-    species = await this.fetchFromGBIF(latitude, longitude, taxonomicClass, 200); // 200km radius
+    // Layer 2: Expanded GBIF radius, merged with what the other sources found nearby
+    logger.warn(`Low observation results for ${taxonomicClass.name}, expanding GBIF radius`, { currentCount: species.length });
+    const expanded = await this.querySource('GBIF', () => this.fetchFromGBIF(latitude, longitude, taxonomicClass, 200)); // 200km radius
+    species = this.mergeCandidates(species.concat(expanded));
     if (species.length >= count) {
       logger.info(`Expanded GBIF success for ${taxonomicClass.name}`, { count: species.length });
-      // Cache the successful result
-      this.cacheSpecies(latitude, longitude, taxonomicClass, species);
       return species;
     }
 
     // Layer 3: Regional fallbacks based on location
     logger.warn(`Still low results for ${taxonomicClass.name}, using regional fallbacks`, { currentCount: species.length });
+    // Fallbacks go through the same merge, so a listed species that was also observed appears once
     const regionalSpecies = this.getRegionalFallback(latitude, longitude, taxonomicClass.name);
     if (regionalSpecies.length > 0) {
-      species = species.concat(regionalSpecies);
+      species = this.mergeCandidates(species.concat(regionalSpecies));
       if (species.length >= count) {
-        // Cache the combined result
-        this.cacheSpecies(latitude, longitude, taxonomicClass, species);
         return species;
       }
     }
@@ -695,20 +1116,17 @@ class RobustSpeciesService {
     // Layer 4: Global fallbacks - ALWAYS returns species
     logger.warn(`Using global fallbacks for ${taxonomicClass.name}`, { finalCount: species.length });
     const globalSpecies = this.getGlobalFallback(taxonomicClass.name);
-    species = species.concat(globalSpecies);
-
-    // Cache the final result (including global fallbacks)
-    this.cacheSpecies(latitude, longitude, taxonomicClass, species);
-
-    return species; // Will never be empty due to global fallbacks
+    return this.mergeCandidates(species.concat(globalSpecies)); // Will never be empty due to global fallbacks
   }
 
   /**
    * Fetch from GBIF using species search API to get vernacular names
+   * @returns {Promise<Object>} { species, error } where error ({ status, message, raw, retryAfter })
+   *   is set when GBIF could not be queried
    */
   async fetchFromGBIF(latitude, longitude, taxonomicClass, radius = 50) {
     const maxRetries = 3;
-    this.lastGBIFError = null;
+    let lastError = null;
 
     // Helper to sleep ms
     const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -717,12 +1135,14 @@ class RobustSpeciesService {
     const now = Date.now();
     if (this.gbifCircuit.open && this.gbifCircuit.openUntil > now) {
       logger.warn('GBIF circuit open, short-circuiting request', { openUntil: new Date(this.gbifCircuit.openUntil).toISOString(), reason: this.gbifCircuit.lastOpenedReason });
-      this.lastGBIFError = {
-        status: 429,
-        message: 'GBIF circuit open - previously rate limited',
-        raw: ''
+      return {
+        species: [],
+        error: {
+          status: 429,
+          message: 'GBIF circuit open - previously rate limited',
+          raw: ''
+        }
       };
-      return [];
     } else if (this.gbifCircuit.open && this.gbifCircuit.openUntil <= now) {
       // Reset circuit after timeout
       this.gbifCircuit.open = false;
@@ -733,14 +1153,13 @@ class RobustSpeciesService {
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        // Use Level II Ecoregion for precise biogeographic species selection
         const ecoregion = this.getEcoregionFromCoordinates(latitude, longitude);
-        const stateProvince = ecoregion.state;
 
         logger.info(`Using ecoregion for species search`, {
           ecoregion: ecoregion.name,
           code: ecoregion.code,
-          state: stateProvince,
+          biome: ecoregion.biome,
+          realm: ecoregion.realm,
           coordinates: { latitude, longitude }
         });
 
@@ -774,7 +1193,7 @@ class RobustSpeciesService {
         if (response.status === 429) {
           const retryAfter = response.headers.get('retry-after');
           const retryAfterMs = retryAfter ? parseInt(retryAfter, 10) * 1000 : (1000 * 60); // default 60s
-          this.lastGBIFError = {
+          const error = {
             status: 429,
             message: 'GBIF rate limited',
             raw: responseText.slice(0, 512),
@@ -790,22 +1209,24 @@ class RobustSpeciesService {
           this.gbifCircuit.consecutiveFailures += 1;
 
           // Immediately short-circuit this and future attempts
-          return [];
+          return { species: [], error };
         }
 
         // Detect HTML or non-JSON pages
         if (responseText.trim().startsWith('<') || !contentType.includes('application/json')) {
-          this.lastGBIFError = {
-            status: response.status,
-            message: `Unexpected content from GBIF: ${contentType}`,
-            raw: responseText.slice(0, 512)
-          };
           logger.warn('GBIF returned non-JSON response', { status: response.status, contentType, bodySnippet: responseText.slice(0, 512) });
-          return [];
+          return {
+            species: [],
+            error: {
+              status: response.status,
+              message: `Unexpected content from GBIF: ${contentType}`,
+              raw: responseText.slice(0, 512)
+            }
+          };
         }
 
         if (!response.ok) {
-          this.lastGBIFError = {
+          lastError = {
             status: response.status,
             message: `GBIF API returned ${response.status}: ${response.statusText}`,
             raw: responseText.slice(0, 512)
@@ -829,20 +1250,22 @@ class RobustSpeciesService {
             logger.warn('Opening GBIF circuit due to repeated 5xx errors', { openUntil: new Date(this.gbifCircuit.openUntil).toISOString() });
           }
 
-          return [];
+          return { species: [], error: lastError };
         }
 
         let data;
         try {
           data = JSON.parse(responseText);
         } catch (parseError) {
-          this.lastGBIFError = {
-            status: response.status,
-            message: `Invalid JSON from GBIF: ${parseError.message}`,
-            raw: responseText.slice(0, 512)
-          };
           logger.error('Failed to parse GBIF JSON', { err: parseError.message, bodySnippet: responseText.slice(0, 512) });
-          return [];
+          return {
+            species: [],
+            error: {
+              status: response.status,
+              message: `Invalid JSON from GBIF: ${parseError.message}`,
+              raw: responseText.slice(0, 512)
+            }
+          };
         }
 
         const seen = new Map();
@@ -890,8 +1313,12 @@ class RobustSpeciesService {
                 scientificName: scientific,
                 type: this.singularize(taxonomicClass.name),
                 habitat: this.inferHabitat(cleanedDisplay, taxonomicClass.name),
-                source: `GBIF-${radius}km`
+                source: `GBIF-${radius}km`,
+                distance: dist
               });
+            } else if (dist < seen.get(key).distance) {
+              // Keep the nearest occurrence distance for each species
+              seen.get(key).distance = dist;
             }
           }
         }
@@ -914,12 +1341,12 @@ class RobustSpeciesService {
             scientificName: binomial || '',
             type: this.singularize(s.type || taxonomicClass.name),
             habitat: s.habitat || this.inferHabitat(finalDisplay, taxonomicClass.name),
-            source: s.source || `GBIF-${radius}km`
+            source: s.source || `GBIF-${radius}km`,
+            distance: Math.round(s.distance * 10) / 10
           };
         }).filter(s => !!s.name && s.name.toLowerCase() !== 'unknown species');
 
-        // Success: clear last error and return species
-        this.lastGBIFError = null;
+        // Success: earlier failed attempts don't count
         logger.debug(`GBIF fetch for ${taxonomicClass.name}`, {
           radius,
           rawResults: data.results?.length || 0,
@@ -927,35 +1354,319 @@ class RobustSpeciesService {
           finalSpecies: species.length
         });
 
-        return species;
+        return { species, error: null };
 
       } catch (err) {
         logger.error(`GBIF fetch failed for ${taxonomicClass.name} (attempt ${attempt}/${maxRetries})`, { error: err.message, radius, attempt });
-        this.lastGBIFError = { message: err.message };
+        lastError = { message: err.message };
         if (attempt < maxRetries) {
           await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
         }
       }
     }
 
-    logger.error(`GBIF fetch completely failed for ${taxonomicClass.name} after ${maxRetries} attempts`, { error: this.lastGBIFError?.message, radius });
-    return [];
+    logger.error(`GBIF fetch completely failed for ${taxonomicClass.name} after ${maxRetries} attempts`, { error: lastError?.message, radius });
+    return { species: [], error: lastError };
+  }
+
+  /**
+   * Recent observations of a class from every source, merged into one candidate pool
+   * Sources are queried in parallel; one with an open circuit is skipped and the
+   * others still contribute.
+   */
+  async fetchObservations(latitude, longitude, taxonomicClass, radius = 50) {
+    const requests = [
+      this.querySource('GBIF', () => this.fetchFromGBIF(latitude, longitude, taxonomicClass, radius)),
+      this.querySource('iNaturalist', () => this.fetchFromINaturalist(latitude, longitude, taxonomicClass))
+    ];
+    // eBird only covers birds, and needs an API key
+    if (taxonomicClass.name === 'birds' && this.ebird.apiKey) {
+      requests.push(this.querySource('eBird', () => this.fetchFromEBird(latitude, longitude, taxonomicClass, radius)));
+    }
+
+    const results = await Promise.all(requests);
+    return this.mergeCandidates(results.flat());
+  }
+
+  /**
+   * Run one source's fetch behind its circuit breaker and record the outcome
+   * @param {string} source - 'GBIF', 'iNaturalist' or 'eBird'
+   * @param {Function} fetchSpecies - Resolves to { species, error }, error being null on success
+   * @returns {Promise<Array>} The species, empty when the circuit is open
+   */
+  async querySource(source, fetchSpecies) {
+    const stats = this.sourceStats[source];
+    if (this.isCircuitOpen(source)) {
+      stats.skipped++;
+      logger.debug(`${source} circuit open, skipping source`, { openUntil: new Date(this.circuits[source].openUntil).toISOString() });
+      return [];
+    }
+
+    stats.requests++;
+    const { species, error } = await fetchSpecies();
+    if (error) {
+      stats.failures++;
+      stats.lastError = {
+        status: error.status || null,
+        message: error.message,
+        raw: error.raw || null,
+        at: new Date().toISOString()
+      };
+      // fetchFromGBIF opens its own circuit, honouring Retry-After
+      if (source !== 'GBIF') this.recordSourceFailure(source, error);
+      return species;
+    }
+
+    stats.speciesReturned += species.length;
+    stats.lastSuccessAt = new Date().toISOString();
+    this.circuits[source].consecutiveFailures = 0;
+    return species;
+  }
+
+  isCircuitOpen(source) {
+    const circuit = this.circuits[source];
+    if (!circuit.open) return false;
+    if (circuit.openUntil > Date.now()) return true;
+
+    // Reset circuit after timeout
+    circuit.open = false;
+    circuit.consecutiveFailures = 0;
+    circuit.lastOpenedReason = null;
+    logger.info(`${source} circuit closed, resuming requests`);
+    return false;
+  }
+
+  /**
+   * Count a failure against a source's circuit; rate limits open it straight away
+   */
+  recordSourceFailure(source, error) {
+    const circuit = this.circuits[source];
+    circuit.consecutiveFailures += 1;
+
+    if (error.status === 429 || circuit.consecutiveFailures >= this.sourceFailureThreshold) {
+      circuit.open = true;
+      circuit.openUntil = Date.now() + this.sourceCircuitOpenMs;
+      circuit.lastOpenedReason = error.status === 429
+        ? '429 rate limit'
+        : `${circuit.consecutiveFailures} consecutive failures: ${error.message}`;
+      logger.warn(`Opening ${source} circuit`, {
+        openUntil: new Date(circuit.openUntil).toISOString(),
+        reason: circuit.lastOpenedReason
+      });
+    }
+  }
+
+  /**
+   * Research-grade iNaturalist observations of a class, nearest radius first
+   * @returns {Promise<Object>} { species, error } like fetchFromGBIF
+   */
+  async fetchFromINaturalist(latitude, longitude, taxonomicClass) {
+    try {
+      const observations = await this.inaturalist.cascadingRadiusSearch(latitude, longitude, {
+        iconicTaxa: taxonomicClass.iconicTaxon,
+        throwOnError: true
+      });
+      const species = observations
+        .map(observation => this.observationToCandidate(observation, taxonomicClass, 'iNaturalist', latitude, longitude))
+        .filter(Boolean);
+      return { species, error: null };
+    } catch (error) {
+      return { species: [], error: { status: error.response?.status, message: error.message } };
+    }
+  }
+
+  /**
+   * Recent eBird checklist sightings (birds only)
+   * @returns {Promise<Object>} { species, error } like fetchFromGBIF
+   */
+  async fetchFromEBird(latitude, longitude, taxonomicClass, radius = 50) {
+    try {
+      // eBird caps the search distance at 50km
+      const observations = await this.ebird.getRecentObservations(latitude, longitude, {
+        radius: Math.min(radius, 50),
+        throwOnError: true
+      });
+      const species = observations
+        // Skip spuhs, slashes and hybrids ('duck sp.', 'Greater/Lesser Scaup')
+        .filter(observation => !observation.category || observation.category === 'species')
+        .map(observation => this.observationToCandidate(observation, taxonomicClass, 'eBird', latitude, longitude))
+        .filter(Boolean);
+      return { species, error: null };
+    } catch (error) {
+      return { species: [], error: { status: error.response?.status, message: error.message } };
+    }
+  }
+
+  /**
+   * Candidate from an iNaturalist or eBird observation, keeping when, where and by whom
+   * it was seen so the prompt can describe the actual sighting
+   */
+  observationToCandidate(observation, taxonomicClass, source, latitude, longitude) {
+    const scientificName = this.extractBinomial(observation.scientificName || '');
+    if (!scientificName) return null;
+
+    let common = this.sanitizeDisplayName(observation.commonName || '');
+    if (!this.isValidCommonName(common)) common = this.scientificToCommon[scientificName] || '';
+    const name = this.formatDisplayForUI(common, scientificName);
+
+    const location = observation.location || {};
+    const hasCoordinates = Number.isFinite(location.latitude) && Number.isFinite(location.longitude);
+    const distance = hasCoordinates
+      ? Math.round(this.calculateDistance(latitude, longitude, location.latitude, location.longitude) * 10) / 10
+      : null;
+
+    return {
+      name,
+      scientificName,
+      type: this.singularize(taxonomicClass.name),
+      habitat: this.inferHabitat(name, taxonomicClass.name),
+      source,
+      distance,
+      observedAt: observation.observedAt || null,
+      observedBy: observation.observedBy || null,
+      location: {
+        latitude: hasCoordinates ? location.latitude : null,
+        longitude: hasCoordinates ? location.longitude : null,
+        // eBird private locations are often someone's garden; don't name them
+        place: observation.locationPrivate ? null : (location.place || location.name || null)
+      },
+      description: observation.description || null
+    };
+  }
+
+  /**
+   * De-duplicate candidates by scientific name, keeping every reporting source, the
+   * nearest distance and the most recent sighting. Fallback lists hold common names
+   * (their scientificName is often the common name again), so fallback entries match
+   * an earlier candidate by common name first.
+   */
+  mergeCandidates(candidates) {
+    const merged = new Map();
+    const byName = new Map(); // lowercased common name -> key in merged
+
+    for (const candidate of candidates) {
+      const name = String(candidate.name || '').toLowerCase();
+      const sources = candidate.sources || [this.sourceKey(candidate.source)];
+      const fallback = sources.every(source => source === 'fallback');
+      const key = (fallback && byName.get(name)) || String(candidate.scientificName || '').toLowerCase() || byName.get(name) || name;
+      if (!key) continue;
+
+      const existing = merged.get(key);
+      if (name && !byName.has(name)) byName.set(name, key);
+      if (!existing) {
+        merged.set(key, { ...candidate, sources: [...sources] });
+        continue;
+      }
+
+      for (const source of sources) {
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+      }
+      // GBIF often only has the binomial; take a real common name from another source
+      if (existing.name.toLowerCase() === String(existing.scientificName).toLowerCase() && candidate.name.toLowerCase() !== existing.name.toLowerCase()) {
+        existing.name = candidate.name;
+      }
+      if (Number.isFinite(candidate.distance) && (!Number.isFinite(existing.distance) || candidate.distance < existing.distance)) {
+        existing.distance = candidate.distance;
+      }
+      if (candidate.observedAt && (!existing.observedAt || new Date(candidate.observedAt) > new Date(existing.observedAt))) {
+        existing.observedAt = candidate.observedAt;
+        existing.observedBy = candidate.observedBy;
+        existing.location = candidate.location;
+        existing.description = candidate.description;
+        existing.source = candidate.source;
+      }
+    }
+
+    return Array.from(merged.values()).map(species => ({ ...species, weight: this.candidateWeight(species) }));
+  }
+
+  /**
+   * Source name for weighting: 'GBIF-50km' -> 'GBIF', fallback lists -> 'fallback'
+   */
+  sourceKey(source) {
+    const name = String(source || '');
+    if (name.startsWith('GBIF')) return 'GBIF';
+    return this.sources.includes(name) ? name : 'fallback';
+  }
+
+  candidateWeight(species) {
+    const sources = species.sources || [this.sourceKey(species.source)];
+    return sources.reduce((sum, source) => sum + (this.sourceWeights[source] ?? this.sourceWeights.fallback), 0);
+  }
+
+  /**
+   * Random pick biased by candidate weight
+   * @param {Array} [weights] - Overrides the candidates' own weights (e.g. seasonal ones)
+   */
+  weightedPick(candidates, weights = null) {
+    weights = weights || candidates.map(species => species.weight ?? this.candidateWeight(species));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) return candidates[Math.floor(Math.random() * candidates.length)];
+
+    let random = Math.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      random -= weights[i];
+      if (random <= 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * Candidates weighted by how likely they are to be around this week: the source
+   * weight times the seasonal presence from PhenologyService (never below
+   * minPresence, so an out-of-season species stays possible, just rare). Missing
+   * histograms are requested unless GBIF's circuit is open, but only waited for
+   * briefly (PHENOLOGY_WAIT_MS); those that arrive later weight later selections.
+   * @returns {Promise<Array>} [{ species, baseWeight, presence, basis, weight, ... }] in candidate order
+   */
+  async seasonalWeights(latitude, longitude, candidates, date = new Date()) {
+    const observed = candidates.filter(species => !this.isFallbackCandidate(species));
+    if (observed.length > 0 && !this.isCircuitOpen('GBIF')) {
+      const preparing = this.phenology.prepare(latitude, longitude, observed, date).catch(error => {
+        logger.warn('Phenology lookups failed, weighting by source only', { error: error.message });
+      });
+      await this.phenology.waitFor(preparing);
+    }
+
+    return candidates.map(species => {
+      const baseWeight = species.weight ?? this.candidateWeight(species);
+      const seasonal = this.isFallbackCandidate(species)
+        ? { presence: this.phenology.defaultPresence, basis: 'fallback-list' }
+        : this.phenology.assess(latitude, longitude, species, date);
+      return {
+        species,
+        baseWeight,
+        ...seasonal,
+        weight: baseWeight * Math.max(this.minPresence, seasonal.presence)
+      };
+    });
+  }
+
+  /**
+   * Regional and global fallback entries have no observations (or real scientific names) behind them
+   */
+  isFallbackCandidate(species) {
+    return (species.sources || [this.sourceKey(species.source)]).every(source => source === 'fallback');
+  }
+
+  /**
+   * How many candidates each source contributed (a species reported by two counts for both)
+   */
+  countProvenance(species) {
+    const counts = {};
+    for (const candidate of species) {
+      for (const source of candidate.sources || [this.sourceKey(candidate.source)]) {
+        counts[source] = (counts[source] || 0) + 1;
+      }
+    }
+    return counts;
   }
 
   /**
    * Get regional fallback species based on geographic location
    */
   getRegionalFallback(latitude, longitude, animalType) {
-    let region = 'default';
-    
-    // Simple region detection based on coordinates
-    if (latitude >= 32 && latitude <= 42 && longitude >= -125 && longitude <= -114) {
-      region = 'california';
-    } else if (latitude >= 42 && latitude <= 49 && longitude >= -125 && longitude <= -116) {
-      region = 'pacific_northwest';
-    } else if (latitude >= 25 && latitude <= 47 && longitude >= -100 && longitude <= -66) {
-      region = 'eastern_forests';
-    }
+    const region = this.getFallbackRegion(this.getEcoregionFromCoordinates(latitude, longitude), longitude);
 
     const regionalData = this.regionalFallbacks[region];
     if (regionalData && regionalData[animalType]) {
@@ -974,6 +1685,22 @@ class RobustSpeciesService {
     return [];
   }
 
+  /**
+   * regionalFallbacks key for an ecoregion: North American biome groups first, then the realm
+   */
+  getFallbackRegion(ecoregion, longitude) {
+    const { realm, biome } = ecoregion;
+    if (realm === 'Nearctic') {
+      if (biome === 'Mediterranean Forests, Woodlands & Scrub') return 'california';
+      // West of the Rockies; the south-eastern pine forests share the biome
+      if (biome === 'Temperate Conifer Forests' && longitude < -110) return 'pacific_northwest';
+      if (biome === 'Temperate Broadleaf & Mixed Forests') return 'eastern_forests';
+      return 'default';
+    }
+    const key = String(realm || '').toLowerCase();
+    return this.regionalFallbacks[key] ? key : 'default';
+  }
+
   /**
    * Global fallback - GUARANTEED to return species
    */
@@ -1068,12 +1795,12 @@ class RobustSpeciesService {
   getStats() {
     return {
       totalSpeciesRequests: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
+      cacheHits: this.cacheStats.hits,
+      cacheMisses: this.cacheStats.misses,
       apiCalls: {
-        iNaturalist: 0,
-        GBIF: 0,
-        eBird: 0
+        iNaturalist: this.sourceStats.iNaturalist.requests,
+        GBIF: this.sourceStats.GBIF.requests,
+        eBird: this.sourceStats.eBird.requests
       },
       fallbacksUsed: 0,
       robustSystem: true,
@@ -1085,20 +1812,48 @@ class RobustSpeciesService {
         consecutiveFailures: this.gbifCircuit.consecutiveFailures
       },
       noRepeatDays: this.noRepeatDays,
+      sources: this.getSourceStats(),
+      ecoregions: this.ecoregions.getStats(),
+      phenology: this.phenology.getStats(),
+      // Candidates per source across every cached pool
+      provenance: this.countProvenance(Array.from(this.cache.values()).flatMap(entry => entry.species || []))
     };
   }
 
+  /**
+   * Per-source weight, circuit state and request counts
+   */
+  getSourceStats() {
+    const sources = {};
+    for (const source of this.sources) {
+      const circuit = this.circuits[source];
+      sources[source] = {
+        ...this.sourceStats[source],
+        configured: source !== 'eBird' || !!this.ebird.apiKey,
+        weight: this.sourceWeights[source],
+        circuit: {
+          open: circuit.open && circuit.openUntil > Date.now(),
+          openUntil: circuit.openUntil,
+          lastOpenedReason: circuit.lastOpenedReason,
+          consecutiveFailures: circuit.consecutiveFailures
+        }
+      };
+    }
+    return sources;
+  }
+
   /**
    * Extended stats including cache diagnostics per clustered location
    */
   getCacheStats() {
-    const entries = [];
-    for (const [key, value] of this.cache.entries()) {
-      entries.push({ key, count: value.species?.length || 0, seededByGBIF: !!value.seededByGBIF, timestamp: value.timestamp });
-    }
+    const entries = this.listCacheEntries();
 
     return {
       totalEntries: entries.length,
+      expiredEntries: entries.filter(entry => entry.expired).length,
+      counters: { ...this.cacheStats },
+      ttlHours: this.cacheTtlHours,
+      store: this.cacheStore.getStats(),
       details: entries.slice(0, 200)
     };
   }
@@ -0,0 +1,139 @@
+// services/SSMLRenderer.js
+const logger = require('../utils/logger');
+
+/**
+ * SSMLRenderer - Renders script segments as SSML for engines that support it
+ *
+ * Each segment becomes a <p> followed by a <break>. Segments from structured
+ * output use the pause the model asked for; segments inferred from plain-text
+ * paragraphs use the configured pause for their type. Ellipses inside a
+ * segment become short breaks, breath cues are slowed and closings softened
+ * with <prosody>. Break lengths (ms) can be overridden with SSML_BREAKS, e.g.
+ * {"paragraph": 1500, "ellipsis": 800, "breath_cue": 4000}.
+ *
+ * With marks enabled, <mark name="wN"/> precedes the Nth word of the script
+ * (counting words() across all segments) so engines that report timepoints
+ * give word-level timings for captions.
+ */
+class SSMLRenderer {
+  constructor() {
+    this.breaks = {
+      paragraph: 1500,
+      ellipsis: 800,
+      settling: 3000,
+      observation: 2000,
+      breath_cue: 4000,
+      ...this.parseBreaks(process.env.SSML_BREAKS)
+    };
+
+    // Prosody per segment type; types without an entry are spoken as-is
+    this.prosody = {
+      breath_cue: { rate: process.env.SSML_BREATH_RATE || '85%' },
+      closing: { rate: process.env.SSML_CLOSING_RATE || '90%', pitch: '-1st', volume: 'soft' }
+    };
+
+    // Google rejects longer breaks
+    this.maxBreakMs = 10000;
+  }
+
+  parseBreaks(value) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      const breaks = {};
+      for (const [key, ms] of Object.entries(parsed)) {
+        if (Number.isFinite(ms) && ms >= 0) breaks[key] = ms;
+      }
+      return breaks;
+    } catch (error) {
+      logger.error('Invalid SSML_BREAKS, using default break lengths', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Render segments as an SSML document
+   * @param {Array<Object>} segments - { type, text, pauseAfterSeconds, inferred }
+   * @param {Object} options - { marks: add a <mark> before every word }
+   * @returns {string} <speak>...</speak>, or '' when there is nothing to say
+   */
+  render(segments, { marks = false } = {}) {
+    if (!Array.isArray(segments) || segments.length === 0) return '';
+
+    let wordIndex = 0;
+    const body = segments.map((segment, i) => {
+      let spoken = this.renderText(segment.text, marks ? () => `<mark name="w${wordIndex++}"/>` : null);
+      const prosody = this.prosody[segment.type];
+      if (prosody) {
+        const attributes = Object.entries(prosody).map(([name, value]) => `${name}="${value}"`).join(' ');
+        spoken = `<prosody ${attributes}>${spoken}</prosody>`;
+      }
+
+      const isLast = i === segments.length - 1;
+      const pause = isLast ? 0 : this.breakAfter(segment);
+      return `<p>${spoken}</p>${pause > 0 ? this.breakTag(pause) : ''}`;
+    });
+
+    return `<speak>${body.join('')}</speak>`;
+  }
+
+  breakAfter(segment) {
+    if (!segment.inferred && Number.isFinite(segment.pauseAfterSeconds)) {
+      return segment.pauseAfterSeconds * 1000;
+    }
+    const typeBreak = this.breaks[segment.type];
+    return Number.isFinite(typeBreak) ? typeBreak : this.breaks.paragraph;
+  }
+
+  breakTag(ms) {
+    return `<break time="${Math.min(Math.round(ms), this.maxBreakMs)}ms"/>`;
+  }
+
+  /**
+   * Spoken words of a text, in order; punctuation stays attached and tokens
+   * without letters or digits (a lone "...") are not words
+   */
+  words(text) {
+    return (text || '').trim().split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token));
+  }
+
+  // Escape the text, then turn ellipses and line breaks into short pauses
+  renderText(text, nextMark = null) {
+    const shortBreak = this.breakTag(this.breaks.ellipsis);
+    let marked = text.trim();
+    if (nextMark) {
+      // Placeholders survive escaping; \u0000 can't appear in model output that reached here
+      marked = marked.replace(/\S+/g, token => (/[\p{L}\p{N}]/u.test(token) ? `\u0000${token}` : token));
+    }
+
+    let rendered = this.escape(marked)
+      .replace(/\s*(?:\.\.\.|…)\s*(?=\S)/g, `${shortBreak} `)
+      .replace(/\s*(?:\.\.\.|…)\s*$/g, '.')
+      .replace(/\s*\n+\s*/g, ` ${shortBreak} `);
+    if (nextMark) {
+      rendered = rendered.replace(/\u0000/g, () => nextMark());
+    }
+    return rendered;
+  }
+
+  escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new SSMLRenderer();
+    }
+    return instance;
+  },
+  SSMLRenderer
+};
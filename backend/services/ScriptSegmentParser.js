@@ -0,0 +1,234 @@
+// services/ScriptSegmentParser.js
+
+/**
+ * ScriptSegmentParser - Parses and schema-checks structured meditation output
+ *
+ * The model is asked for {"segments": [{ type, text, pauseAfterSeconds }]}.
+ * Output that doesn't match the schema falls back to plain text: whatever
+ * segment text can be recovered (or the raw output) split into paragraphs.
+ */
+class ScriptSegmentParser {
+  constructor() {
+    this.segmentTypes = ['settling', 'observation', 'breath_cue', 'closing'];
+    this.maxPauseSeconds = 30;
+    this.defaultPauseSeconds = 3;
+    this.wordsPerSecond = 150 / 60; // Same speech rate as duration estimates
+  }
+
+  /**
+   * Parse model output
+   * @param {string} raw - Model output, expected to be segment JSON
+   * @returns {Object} { format: 'segments'|'text', text, segments, errors }
+   */
+  parse(raw) {
+    const output = (raw || '').trim();
+    const json = this.extractJson(output);
+
+    let data = null;
+    let errors = [];
+    if (json === null) {
+      errors.push('Output is not JSON');
+    } else {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        errors.push(`Invalid JSON: ${error.message}`);
+      }
+    }
+
+    if (data !== null) {
+      errors = this.validateSchema(data);
+      if (errors.length === 0) {
+        const segments = this.withTimings(data.segments.map(segment => ({
+          type: this.normalizeType(segment.type),
+          text: segment.text.trim(),
+          pauseAfterSeconds: segment.pauseAfterSeconds
+        })));
+        return {
+          format: 'segments',
+          text: segments.map(s => s.text).join('\n\n'),
+          segments,
+          errors
+        };
+      }
+    }
+
+    // Plain-text fallback; rescue segment text from truncated or malformed JSON
+    const recovered = json !== null ? this.extractSegmentText(output) : '';
+    const text = recovered || output;
+    return {
+      format: 'text',
+      text,
+      segments: this.segmentsFromParagraphs(text),
+      errors
+    };
+  }
+
+  /**
+   * Schema errors for parsed output (empty when valid)
+   */
+  validateSchema(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.segments)) {
+      return ['Expected an object with a "segments" array'];
+    }
+    if (data.segments.length === 0) {
+      return ['"segments" is empty'];
+    }
+
+    const errors = [];
+    data.segments.forEach((segment, i) => {
+      if (!segment || typeof segment !== 'object') {
+        errors.push(`segments[${i}] is not an object`);
+        return;
+      }
+      if (!this.normalizeType(segment.type)) {
+        errors.push(`segments[${i}].type must be one of ${this.segmentTypes.join(', ')}`);
+      }
+      if (typeof segment.text !== 'string' || !segment.text.trim()) {
+        errors.push(`segments[${i}].text must be a non-empty string`);
+      }
+      const pause = segment.pauseAfterSeconds;
+      if (typeof pause !== 'number' || !Number.isFinite(pause) || pause < 0 || pause > this.maxPauseSeconds) {
+        errors.push(`segments[${i}].pauseAfterSeconds must be a number from 0 to ${this.maxPauseSeconds}`);
+      }
+    });
+    return errors;
+  }
+
+  // Accept "breath cue" / "breath-cue" / "Breath_Cue" for breath_cue
+  normalizeType(type) {
+    if (typeof type !== 'string') return null;
+    const normalized = type.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return this.segmentTypes.includes(normalized) ? normalized : null;
+  }
+
+  // JSON body of the output, tolerating markdown fences and leading chatter
+  extractJson(output) {
+    const fenced = output.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    const body = fenced ? fenced[1].trim() : output;
+    const start = body.search(/[{[]/);
+    if (start === -1) return null;
+    // Prose that merely contains a brace somewhere isn't JSON
+    if (body.slice(0, start).trim().length > 80) return null;
+    return body.slice(start);
+  }
+
+  /**
+   * Paragraph segments for plain-text scripts: first settles, last closes
+   */
+  segmentsFromParagraphs(text) {
+    const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(p => p.length > 0);
+    return this.withTimings(paragraphs.map((paragraph, i) => ({
+      type: i === 0 ? 'settling' : i === paragraphs.length - 1 && paragraphs.length > 2 ? 'closing' : 'observation',
+      text: paragraph,
+      pauseAfterSeconds: this.defaultPauseSeconds,
+      inferred: true // Not from structured output; pause is a default
+    })));
+  }
+
+  // Estimated start offset and spoken duration (seconds) for each segment
+  withTimings(segments) {
+    let offset = 0;
+    return segments.map(segment => {
+      const words = segment.text.split(/\s+/).filter(Boolean).length;
+      const spokenSeconds = Math.ceil(words / this.wordsPerSecond);
+      const timed = { ...segment, wordCount: words, estimatedStart: offset, estimatedDuration: spokenSeconds };
+      offset += spokenSeconds + segment.pauseAfterSeconds;
+      return timed;
+    });
+  }
+
+  /**
+   * Text of every "text" field in (possibly incomplete) segment JSON
+   */
+  extractSegmentText(output) {
+    let text = '';
+    const stream = this.createTextStream(chunk => { text += chunk; });
+    stream(output);
+    return text.trim();
+  }
+
+  /**
+   * Incremental extractor for streamed segment JSON
+   * Feeds the spoken text to onText as it arrives, separating segments with
+   * blank lines, so listeners see the script rather than raw JSON.
+   * @param {Function} onText - Receives decoded text chunks
+   * @returns {Function} Call with each raw chunk from the model
+   */
+  createTextStream(onText) {
+    let recent = '';        // Tail of the JSON outside strings, to spot the "text" key
+    let inString = false;   // Inside any JSON string
+    let inText = false;     // Inside a "text" value
+    let escape = null;      // Pending escape sequence (after a backslash)
+    let key = '';           // Characters of the current string (keys only)
+    let segmentsEmitted = 0;
+
+    const decodeEscape = seq => {
+      const simple = { n: '\n', t: '\t', r: '', '"': '"', '\\': '\\', '/': '/', b: '', f: '' };
+      if (seq[0] === 'u') return String.fromCharCode(parseInt(seq.slice(1), 16));
+      return simple[seq] !== undefined ? simple[seq] : seq;
+    };
+
+    return chunk => {
+      let out = '';
+
+      for (const char of chunk) {
+        if (escape !== null) {
+          escape += char;
+          // \uXXXX needs five characters; everything else one
+          if (escape[0] === 'u' && escape.length < 5) continue;
+          if (inText) out += decodeEscape(escape);
+          else key += decodeEscape(escape);
+          escape = null;
+          continue;
+        }
+
+        if (inString) {
+          if (char === '\\') {
+            escape = '';
+          } else if (char === '"') {
+            inString = false;
+            if (inText) {
+              inText = false;
+            } else {
+              recent = (recent + `"${key}"`).slice(-40);
+            }
+            key = '';
+          } else if (inText) {
+            out += char;
+          } else {
+            key += char;
+          }
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+          // A string right after "text": is a segment's spoken text
+          if (/"text"\s*:\s*$/.test(recent)) {
+            inText = true;
+            if (segmentsEmitted > 0) out += '\n\n';
+            segmentsEmitted++;
+          }
+          continue;
+        }
+
+        recent = (recent + char).slice(-40);
+      }
+
+      if (out) onText(out);
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new ScriptSegmentParser();
+    }
+    return instance;
+  },
+  ScriptSegmentParser
+};
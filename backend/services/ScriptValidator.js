@@ -0,0 +1,150 @@
+// services/ScriptValidator.js
+const { getLocale, DEFAULT_LANGUAGE } = require('../locales');
+
+/**
+ * ScriptValidator - Checks generated meditation scripts against the rules
+ * the prompt templates ask for (length band, forbidden phrases, no lunar day
+ * numbers, no literal pause tokens) and builds corrective feedback for
+ * regeneration. Phrase and word lists come from the script's locale.
+ */
+class ScriptValidator {
+  constructor() {
+    // Score deducted per violation; a script is valid only with no violations
+    this.penalties = {
+      wordCount: 30,
+      forbiddenPhrase: 20,
+      lunarDayReference: 25,
+      pauseToken: 15,
+      segmentSchema: 20
+    };
+  }
+
+  /**
+   * Validate a script
+   * @param {string} text - Raw model output
+   * @param {Object} constraints - { minWords, maxWords, schemaErrors, language }; schemaErrors come
+   *   from ScriptSegmentParser when structured output didn't match the segment schema
+   * @returns {Object} { valid, score, wordCount, violations: [{ rule, message }] }
+   */
+  validate(text, { minWords, maxWords, schemaErrors = [], language = DEFAULT_LANGUAGE } = {}) {
+    const script = text || '';
+    const { forbiddenPhrases, pauseWords, dayWords } = getLocale(language).validation;
+    const violations = [];
+    const wordCount = script.trim() ? script.trim().split(/\s+/).length : 0;
+
+    if ((minWords && wordCount < minWords) || (maxWords && wordCount > maxWords)) {
+      violations.push({
+        rule: 'wordCount',
+        message: `Script is ${wordCount} words; it must be between ${minWords} and ${maxWords} words`
+      });
+    }
+
+    for (const phrase of forbiddenPhrases) {
+      if (script.toLowerCase().includes(phrase.toLowerCase())) {
+        violations.push({
+          rule: 'forbiddenPhrase',
+          message: `Script uses the forbidden phrase "${phrase}"`
+        });
+      }
+    }
+
+    // Letter lookarounds instead of \b so accented words (e.g. "día") match
+    const lunarDay = script.match(new RegExp(`(?<!\\p{L})(?:lunar\\s+)?(?:${dayWords.join('|')})\\s+(?:[1-9]|[12]\\d|30)(?!\\d)`, 'iu'));
+    if (lunarDay) {
+      violations.push({
+        rule: 'lunarDayReference',
+        message: `Script references a lunar day number ("${lunarDay[0]}")`
+      });
+    }
+
+    // The templates forbid the literal word; ellipses carry the pauses instead
+    const pauses = script.match(new RegExp(`(?<!\\p{L})(?:${pauseWords.join('|')})(?!\\p{L})`, 'giu'));
+    if (pauses) {
+      violations.push({
+        rule: 'pauseToken',
+        message: `Script contains the literal word "${pauses[0]}" ${pauses.length} time(s); use ellipses instead`
+      });
+    }
+
+    if (schemaErrors.length > 0) {
+      violations.push({
+        rule: 'segmentSchema',
+        message: `Output was not valid segment JSON (${schemaErrors.slice(0, 3).join('; ')}); return only the JSON object described in OUTPUT FORMAT`
+      });
+    }
+
+    const score = Math.max(0, 100 - violations.reduce((sum, v) => sum + (this.penalties[v.rule] || 10), 0));
+
+    return {
+      valid: violations.length === 0,
+      score,
+      wordCount,
+      violations
+    };
+  }
+
+  /**
+   * Original prompt plus feedback listing what the previous draft got wrong
+   */
+  buildCorrectionPrompt(prompt, validation) {
+    return `${prompt}
+
+YOUR PREVIOUS DRAFT WAS REJECTED FOR THESE REASONS:
+${validation.violations.map(v => `- ${v.message}`).join('\n')}
+
+Write the complete meditation script again from the beginning, following every requirement above (including the output format) and fixing each of these problems.`;
+  }
+
+  /**
+   * Aggregate recorded validation history from sessions
+   * @param {Array<Object>} sessions - Sessions with content.validation
+   * @returns {Object} Totals plus per-provider and per-model rule failure counts
+   */
+  summarize(sessions) {
+    const summary = {
+      scripts: 0,
+      regenerated: 0,
+      finalInvalid: 0,
+      byProvider: {},
+      byModel: {}
+    };
+
+    const bucket = (group, key) => {
+      if (!group[key]) group[key] = { attempts: 0, failedAttempts: 0, rules: {} };
+      return group[key];
+    };
+
+    for (const session of sessions) {
+      const validation = session.content && session.content.validation;
+      if (!validation || !Array.isArray(validation.history)) continue;
+
+      summary.scripts++;
+      if (validation.history.length > 1) summary.regenerated++;
+      if (!validation.valid) summary.finalInvalid++;
+
+      for (const attempt of validation.history) {
+        for (const stats of [bucket(summary.byProvider, attempt.provider), bucket(summary.byModel, attempt.model)]) {
+          stats.attempts++;
+          if (attempt.violations.length > 0) stats.failedAttempts++;
+          for (const rule of attempt.violations) {
+            stats.rules[rule] = (stats.rules[rule] || 0) + 1;
+          }
+        }
+      }
+    }
+
+    return summary;
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new ScriptValidator();
+    }
+    return instance;
+  },
+  ScriptValidator
+};
@@ -0,0 +1,221 @@
+// services/SessionJobService.js
+const crypto = require('crypto');
+const APIService = require('./APIService');
+const { getInstance: getSessionManager } = require('./SessionManager');
+const logger = require('../utils/logger');
+
+/**
+ * SessionJobService - Background session generation with polling and cancellation
+ * Jobs run through APIService's 'session-jobs' queue so they share its
+ * concurrency limit, request spacing and retry handling.
+ */
+class SessionJobService {
+  constructor() {
+    this.jobs = new Map();
+    this.jobRetention = 60 * 60 * 1000; // Keep finished jobs for 1 hour
+    this.jobTimeout = parseInt(process.env.SESSION_JOB_TIMEOUT_MS || '', 10) || 5 * 60 * 1000;
+
+    // Rough progress percentage reached when each pipeline stage completes
+    this.stageProgress = {
+      queued: 0,
+      started: 5,
+      lunar: 10,
+      weather: 25,
+      species: 40,
+      behavior: 50,
+      text: 60,
+      content: 75,
+      audio: 95,
+      complete: 100
+    };
+  }
+
+  /**
+   * Queue a new session generation job
+   * @param {Object} params - { latitude, longitude, preferences, userId }
+   * @returns {Object} Public job view, plus the cancelToken that cancels an anonymous job
+   */
+  createJob({ latitude, longitude, preferences = {}, userId = null }) {
+    const cancelToken = crypto.randomBytes(16).toString('hex');
+    const job = {
+      id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      userId,
+      cancelTokenHash: this.hashToken(cancelToken),
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      sessionId: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      controller: new AbortController()
+    };
+    this.jobs.set(job.id, job);
+
+    const { signal } = job.controller;
+
+    APIService.queueRequest('session-jobs', async () => {
+      signal.throwIfAborted();
+      this.updateJob(job, { status: 'running' });
+
+      // Each attempt gets its own deadline so a timed-out attempt stops before a retry starts
+      const attempt = new AbortController();
+      const abortAttempt = () => attempt.abort(signal.reason);
+      signal.addEventListener('abort', abortAttempt, { once: true });
+      const timer = setTimeout(() => {
+        const error = new Error(`Session job timed out after ${this.jobTimeout}ms`);
+        error.name = 'TimeoutError';
+        attempt.abort(error);
+      }, this.jobTimeout);
+
+      try {
+        return await getSessionManager().createSession({
+          latitude,
+          longitude,
+          preferences,
+          userId,
+          signal: attempt.signal,
+          onProgress: (stage, data) => this.handleProgress(job, stage, data)
+        });
+      } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', abortAttempt);
+      }
+    }, {
+      signal,
+      timeout: this.jobTimeout + 5000,
+      retryAttempts: 1
+    })
+      .then(session => {
+        this.updateJob(job, { status: 'completed', stage: 'complete', progress: 100, result: session });
+        logger.info(`Session job ${job.id} completed`, { sessionId: session.id });
+      })
+      .catch(error => {
+        if (signal.aborted) {
+          this.updateJob(job, { status: 'cancelled' });
+          logger.info(`Session job ${job.id} cancelled`, { stage: job.stage });
+        } else {
+          this.updateJob(job, { status: 'failed', error: error.message });
+          logger.error(`Session job ${job.id} failed`, { error: error.message });
+        }
+      })
+      .finally(() => this.scheduleJobCleanup(job.id));
+
+    logger.info(`Session job ${job.id} queued`, { latitude, longitude, userId });
+    return { ...this.toPublicJob(job), cancelToken };
+  }
+
+  handleProgress(job, stage, data) {
+    if (job.status !== 'running') return;
+
+    const update = { stage };
+    if (this.stageProgress[stage] !== undefined) {
+      update.progress = Math.max(job.progress, this.stageProgress[stage]);
+    }
+    if (stage === 'started') {
+      update.sessionId = data.sessionId;
+    }
+    this.updateJob(job, update);
+  }
+
+  /**
+   * Look up a job; jobs created by a signed-in user are only visible to that user
+   * @returns {Object|null} Public job view, or null if not found
+   */
+  getJob(jobId, userId = null) {
+    const job = this.findJob(jobId, userId);
+    return job ? this.toPublicJob(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job, aborting its in-flight AI/TTS calls
+   * A signed-in user's job can be cancelled by that user; an anonymous job needs
+   * the cancelToken returned by createJob.
+   * @returns {Object|null} Public job view, or null if not found
+   */
+  cancelJob(jobId, userId = null, cancelToken = null) {
+    const job = this.findJob(jobId, userId);
+    if (!job) return null;
+    if (!job.userId && !this.matchesCancelToken(job, cancelToken)) {
+      const error = new Error('A valid cancel token is required to cancel this job');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+      job.controller.abort();
+      this.updateJob(job, { status: 'cancelled' });
+      logger.info(`Session job ${jobId} cancellation requested`, { stage: job.stage });
+    }
+
+    return this.toPublicJob(job);
+  }
+
+  findJob(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    if (!job || (job.userId && job.userId !== userId)) return null;
+    return job;
+  }
+
+  matchesCancelToken(job, cancelToken) {
+    if (!cancelToken) return false;
+    return crypto.timingSafeEqual(Buffer.from(this.hashToken(cancelToken), 'hex'), Buffer.from(job.cancelTokenHash, 'hex'));
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  updateJob(job, changes) {
+    // Terminal states are final
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) return;
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  scheduleJobCleanup(jobId) {
+    const timer = setTimeout(() => {
+      this.jobs.delete(jobId);
+      logger.debug(`Session job ${jobId} removed from memory`);
+    }, this.jobRetention);
+    if (timer.unref) timer.unref();
+  }
+
+  toPublicJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      sessionId: job.sessionId,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+    return {
+      totalJobs: this.jobs.size,
+      byStatus,
+      queue: APIService.getQueueStats('session-jobs')
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new SessionJobService();
+    }
+    return instance;
+  },
+  SessionJobService
+};
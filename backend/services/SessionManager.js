@@ -5,6 +5,14 @@ const ContentGenerationService = require('./ContentGenerationService');
 const LunarService = require('./LunarService');
 const BehaviorDatabase = require('./BehaviorDatabase');
 const { getInstance: getTTSService } = require('./TTSService');
+const { getInstance: getLanguageService } = require('./LanguageService');
+const { getInstance: getSoundscapeService } = require('./SoundscapeService');
+const { getInstance: getCaptionService } = require('./CaptionService');
+const { getInstance: getBreathPacerService } = require('./BreathPacerService');
+const { getInstance: getTimezoneService } = require('./TimezoneService');
+const { getInstance: getUserService } = require('./UserService');
+const { DEFAULT_LANGUAGE } = require('../locales');
+const { createSessionStore } = require('./SessionStore');
 const logger = require('../utils/logger');
 const moment = require('moment-timezone');
 
@@ -16,16 +24,48 @@ class SessionManager {
     this.lunarService = new LunarService();
     this.behaviorDatabase = new BehaviorDatabase();
     this.ttsService = getTTSService();
-    this.activeSessions = new Map();
+    this.languageService = getLanguageService();
+    this.soundscapeService = getSoundscapeService();
+    this.captionService = getCaptionService();
+    this.breathPacerService = getBreathPacerService();
+    this.timezoneService = getTimezoneService();
+    this.userService = getUserService();
+    this.sessionStore = createSessionStore();
+    this.scheduleSessionPruning();
   }
 
-  async createSession({ latitude, longitude, preferences = {} }) {
+  /**
+   * Run the full generation pipeline for a new session
+   * @param {Object} params
+   * @param {Function} [params.onProgress] - Called as (stage, data) when each pipeline stage completes:
+   *   started, lunar, weather, species, behavior, text (streamed script chunks), content, audio, complete
+   * @param {AbortSignal} [params.signal] - Cancels generation; in-flight AI and TTS calls are aborted
+   * @param {string} [params.caller] - Usage ledger label for the AI calls ('meditation', 'admin-test')
+   * @returns {Promise<Object>} The stored session (or a fallback session)
+   */
+  async createSession({ latitude, longitude, preferences = {}, userId = null, onProgress = null, signal = null, caller = 'meditation' }) {
     const sessionId = this.generateSessionId();
+    const checkCancelled = () => {
+      if (signal) signal.throwIfAborted();
+    };
+    const emit = (stage, data = {}) => {
+      if (!onProgress) return;
+      try {
+        onProgress(stage, data);
+      } catch (err) {
+        logger.warn(`Progress listener failed for session ${sessionId}`, { stage, error: err.message });
+      }
+    };
+
+    const language = preferences.language || DEFAULT_LANGUAGE;
 
     try {
-      logger.info(`Creating session ${sessionId}`, { latitude, longitude, preferences });
+      emit('started', { sessionId, language });
+
+      logger.info(`Creating session ${sessionId}`, { latitude, longitude, preferences, userId });
 
       // Get timezone for the user's location
+      await this.timezoneService.ready;
       const timezone = this.getTimezoneFromCoordinates(latitude, longitude);
 
       // Get current datetime in user's local timezone (client can override via preferences.datetime)
@@ -34,15 +74,15 @@ class SessionManager {
         : moment.tz(timezone).toDate();
 
       logger.debug(`Using timezone ${timezone} for session ${sessionId}`, {
-        localTime: datetime.toISOString(),
-        hour: datetime.getHours()
+        localTime: moment.tz(datetime, timezone).format(),
+        hour: moment.tz(datetime, timezone).hour()
       });
 
       // Calculate lunar context
       const lunar = this.lunarService.calculateLunarDay(datetime);
 
       // Check for moonrise proximity (within 10 minutes)
-      const moonriseInfo = this.lunarService.isNearMoonrise(latitude, longitude, datetime);
+      const moonriseInfo = this.lunarService.isNearMoonrise(latitude, longitude, datetime, timezone);
 
       // Get special day guidance if applicable
       const specialDayGuidance = this.lunarService.getSpecialDayGuidance(lunar.day);
@@ -53,27 +93,53 @@ class SessionManager {
         nearMoonrise: moonriseInfo.near,
         specialDay: specialDayGuidance?.day || null
       });
+      emit('lunar', {
+        day: lunar.day,
+        phase: lunar.phase,
+        direction: lunar.direction,
+        illumination: lunar.percentIlluminated,
+        nearMoonrise: moonriseInfo.near
+      });
 
-      const weather = await this.weatherService.getWeather(latitude, longitude);
+      checkCancelled();
+      const weather = await this.weatherService.getWeather(latitude, longitude, language);
       logger.debug(`Weather data retrieved for session ${sessionId}`, { weather });
+      emit('weather', {
+        condition: weather.condition,
+        temperature: weather.temperature,
+        description: weather.description
+      });
 
-      const species = await this.speciesService.selectSpecies({
+      checkCancelled();
+
+      // Signed-in users get their own no-repeat history instead of the shared location cache
+      const usageHistory = userId ? await this.getUserSpeciesHistory(userId) : null;
+
+      const selectedSpecies = await this.speciesService.selectSpecies({
         latitude,
         longitude,
         weather,
-        preferences
+        preferences,
+        usageHistory
       });
+      checkCancelled();
+      const species = await this.speciesService.localizeSpecies(selectedSpecies, language);
+      const ecoregion = this.speciesService.getEcoregionFromCoordinates(latitude, longitude);
       logger.debug(`Species selected for session ${sessionId}`, { species });
+      emit('species', {
+        name: species.name,
+        scientificName: species.scientificName,
+        type: species.type
+      });
 
       // Determine time of day using weather API's sunrise/sunset data for accuracy
-      const timeOfDay = this.getTimeOfDayFromWeather(datetime, weather);
+      const timeOfDay = this.getTimeOfDayFromWeather(datetime, weather, timezone);
       
       logger.debug(`Time of day determined for session ${sessionId}`, {
-        localTime: datetime.toISOString(),
-        hour: datetime.getHours(),
+        localTime: moment.tz(datetime, timezone).format(),
         timeOfDay: timeOfDay,
-        sunrise: weather.sunrise ? new Date(weather.sunrise * 1000).toLocaleTimeString() : 'N/A',
-        sunset: weather.sunset ? new Date(weather.sunset * 1000).toLocaleTimeString() : 'N/A'
+        sunrise: weather.sunrise ? moment.tz(weather.sunrise * 1000, timezone).format('HH:mm') : 'N/A',
+        sunset: weather.sunset ? moment.tz(weather.sunset * 1000, timezone).format('HH:mm') : 'N/A'
       });
 
       // Select biologically accurate behavior based on context
@@ -88,7 +154,13 @@ class SessionManager {
           behavior: behavior.behavior
         });
       }
+      emit('behavior', behavior ? {
+        action: behavior.behavior,
+        description: behavior.description,
+        timeOfDay
+      } : { action: null, timeOfDay });
 
+      checkCancelled();
       const content = await this.contentService.generateContent({
         weather,
         species,
@@ -97,20 +169,64 @@ class SessionManager {
         lunar,
         behavior,
         datetime,
+        timezone,
         timeOfDay,
-        location: { latitude, longitude },
+        location: { latitude, longitude, ecoregion },
         moonriseInfo,
-        specialDayGuidance
+        specialDayGuidance,
+        onToken: (chunk, meta = {}) => emit('text', { chunk, replace: !!meta.replace }),
+        signal,
+        caller
       });
       logger.debug(`Content generated for session ${sessionId}`);
+      emit('content', {
+        text: content.text,
+        duration: content.estimatedDuration,
+        sections: content.sections,
+        segments: content.segments || [],
+        generation: content.generation || null
+      });
 
       // Generate audio with David Attenborough-style voice
-      const audio = await this.ttsService.generateAudio(content.text, sessionId);
+      checkCancelled();
+      const locale = this.languageService.get(language);
+      await this.soundscapeService.ready;
+      const soundscape = this.soundscapeService.select({
+        weather: weather.condition,
+        timeOfDay,
+        speciesType: species.type
+      });
+      const narration = await this.ttsService.generateAudio(content.text, {
+        sessionId,
+        signal,
+        voice: locale.voice,
+        languageCode: locale.ttsLanguageCode,
+        ssml: content.ssml || null,
+        // The bed is mixed on PCM, so ask for WAV narration
+        outputFormat: soundscape ? 'LINEAR16' : 'MP3'
+      });
+      // Word timings come from the voice-only narration, before the bed is mixed in
+      const timeline = await this.timeNarration(narration, content, sessionId);
+      const mixed = await this.addSoundscape(narration, soundscape, { sessionId, signal });
+      const captioned = await this.addCaptions(mixed, timeline, sessionId);
+      const audio = await this.addBreathPacer(captioned, preferences.breathPacer, { sessionId, signal });
+      emit('audio', audio ? {
+        url: audio.url || `/audio/${audio.filename}`,
+        duration: audio.duration,
+        isMock: !!audio.isMock,
+        soundscape: audio.soundscape || null,
+        captions: audio.captions || null,
+        breathPacer: audio.breathPacer || null
+      } : { url: null });
 
       const session = {
         id: sessionId,
+        userId,
+        createdAt: new Date().toISOString(),
         timestamp: datetime.toISOString(),
-        location: { latitude, longitude },
+        // IANA zone the session's local time, moon times and prompt date were computed in
+        timezone,
+        location: { latitude, longitude, ecoregion: ecoregion.name !== 'Unknown' ? ecoregion.name : null },
         weather: {
           condition: weather.condition,
           temperature: weather.temperature,
@@ -118,6 +234,8 @@ class SessionManager {
         },
         species: {
           name: species.name,
+          // English name, kept for no-repeat history when name is localized
+          defaultName: species.defaultName || species.name,
           scientificName: species.scientificName,
           habitat: species.habitat,
           type: species.type
@@ -136,102 +254,263 @@ class SessionManager {
         content: {
           text: content.text,
           duration: content.estimatedDuration,
-          sections: content.sections
+          sections: content.sections,
+          // Typed script segments with pause lengths and estimated timings
+          segments: content.segments || [],
+          generation: content.generation || null,
+          // Script rule violations and regeneration attempts (null for fallback text)
+          validation: content.validation || null
         },
+        // Prompt template that produced the script (null when fallback text was used)
+        promptTemplate: content.generation && content.generation.template ? content.generation.template : null,
         audio: audio || null,  // Include audio info if generated
+        language,
         preferences
       };
 
-      this.activeSessions.set(sessionId, session);
-      this.scheduleSessionCleanup(sessionId);
+      await this.saveSession(session);
 
       logger.info(`Session ${sessionId} created successfully`);
+      emit('complete', { session });
       return session;
 
     } catch (error) {
+      if (signal && signal.aborted) {
+        logger.info(`Session ${sessionId} cancelled`);
+        throw error;
+      }
+
       logger.error(`Failed to create session ${sessionId}`, { error: error.message, stack: error.stack });
       
-      return this.createFallbackSession(sessionId, { latitude, longitude, preferences });
+      const fallbackSession = this.createFallbackSession(sessionId, { latitude, longitude, preferences, userId });
+      await this.saveSession(fallbackSession);
+      emit('complete', { session: fallbackSession });
+      return fallbackSession;
+    }
+  }
+
+  /**
+   * Mix the ambient bed under the narration; voice-only audio is kept if mixing fails
+   */
+  async addSoundscape(narration, soundscape, { sessionId, signal }) {
+    if (!narration || !soundscape || !narration.filename.endsWith('.wav')) return narration;
+
+    try {
+      return await this.soundscapeService.mixUnderNarration(narration, soundscape, { signal, name: `${sessionId}_ambient` });
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      logger.warn(`Soundscape mixing failed for session ${sessionId}, using voice only`, {
+        soundscape: soundscape.id,
+        error: error.message
+      });
+      return narration;
+    }
+  }
+
+  async timeNarration(narration, content, sessionId) {
+    if (!narration || !this.captionService.enabled) return null;
+
+    try {
+      return await this.captionService.buildTimeline(content.segments || [], narration, { text: content.text });
+    } catch (error) {
+      logger.warn(`Caption timing failed for session ${sessionId}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Write captions next to the audio; the raw TTS timepoints aren't kept on the session
+   */
+  async addCaptions(audio, timeline, sessionId) {
+    if (!audio) return audio;
+    const { timepoints, ...audioInfo } = audio;
+    if (!timeline) return audioInfo;
+
+    try {
+      audioInfo.captions = await this.captionService.writeCaptions(audioInfo, timeline);
+    } catch (error) {
+      logger.warn(`Writing captions failed for session ${sessionId}`, { error: error.message });
+    }
+    return audioInfo;
+  }
+
+  /**
+   * Render the breath pacer track when the session asked for one; the session keeps going without it on failure
+   */
+  async addBreathPacer(audio, preference, { sessionId, signal }) {
+    const options = this.breathPacerService.resolveOptions(preference);
+    if (!audio || !options || !audio.duration) return audio;
+
+    try {
+      const breathPacer = await this.breathPacerService.createTrack(audio, options, { name: sessionId, signal });
+      return { ...audio, breathPacer };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      logger.warn(`Breath pacer failed for session ${sessionId}`, { error: error.message });
+      return audio;
+    }
+  }
+
+  /**
+   * A stored session; one that belongs to a user is only returned to that user
+   * @param {string} sessionId
+   * @param {string|null} [userId] - The caller's user id, null when anonymous
+   */
+  async getSession(sessionId, userId = null) {
+    try {
+      const session = await this.sessionStore.get(sessionId);
+      return session && this.isVisibleTo(session, userId) ? session : null;
+    } catch (error) {
+      logger.error(`Failed to load session ${sessionId}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Find stored sessions near a location and/or within a date range
+   * Other users' sessions are left out; anonymous sessions are visible to everyone.
+   * @param {Object} query - { latitude, longitude, radiusKm, from, to, limit, userId }
+   * @returns {Promise<Array>} Matching sessions, newest first
+   */
+  async findSessions({ latitude, longitude, radiusKm = 5, from, to, limit = 50, userId = null } = {}) {
+    const hasLocation = Number.isFinite(latitude) && Number.isFinite(longitude);
+    let sessions = hasLocation
+      ? await this.sessionStore.findByLocation(latitude, longitude, radiusKm, Number.MAX_SAFE_INTEGER)
+      : await this.sessionStore.findByDateRange(from, to, Number.MAX_SAFE_INTEGER);
+
+    if (hasLocation && (from || to)) {
+      const fromMs = from ? new Date(from).getTime() : 0;
+      const toMs = to ? new Date(to).getTime() : Date.now();
+      sessions = sessions.filter(s => {
+        const t = this.sessionStore.getTime(s);
+        return t >= fromMs && t <= toMs;
+      });
     }
+
+    return sessions.filter(s => this.isVisibleTo(s, userId)).slice(0, limit);
   }
 
-  getSession(sessionId) {
-    return this.activeSessions.get(sessionId) || null;
+  isVisibleTo(session, userId) {
+    return !session.userId || session.userId === userId;
   }
 
-  createFallbackSession(sessionId, { latitude, longitude, preferences }) {
+  /**
+   * How often generated scripts break each validation rule, per provider and model
+   * @param {Object} query - { from, to } date range, defaults to all stored sessions
+   * @returns {Promise<Object>}
+   */
+  async getScriptValidationStats({ from, to } = {}) {
+    const sessions = await this.sessionStore.findByDateRange(from, to, Number.MAX_SAFE_INTEGER);
+    return this.contentService.scriptValidator.summarize(sessions);
+  }
+
+  /**
+   * Sessions created by a user, newest first
+   * @param {string} userId
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async getUserSessions(userId, limit = 50) {
+    return this.sessionStore.findByUser(userId, limit);
+  }
+
+  /**
+   * Map of species name (lowercased) to the last time this user heard it,
+   * limited to the species service's no-repeat window
+   * @param {string} userId
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getUserSpeciesHistory(userId) {
+    const history = new Map();
+    try {
+      const windowMs = this.speciesService.noRepeatDays * 24 * 60 * 60 * 1000;
+      const sessions = await this.sessionStore.findByDateRange(new Date(Date.now() - windowMs), new Date(), Number.MAX_SAFE_INTEGER);
+
+      for (const session of sessions) {
+        if (session.userId !== userId || !session.species?.name || session.isFallback) continue;
+        const key = String(session.species.defaultName || session.species.name).toLowerCase();
+        const usedAt = this.sessionStore.getTime(session);
+        if (!history.has(key) || history.get(key) < usedAt) {
+          history.set(key, usedAt);
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to build user species history', { userId, error: error.message });
+    }
+    return history;
+  }
+
+  async saveSession(session) {
+    try {
+      await this.sessionStore.save(session);
+    } catch (error) {
+      // A storage failure should never cost the user their meditation
+      logger.error(`Failed to persist session ${session.id}`, { error: error.message });
+    }
+  }
+
+  createFallbackSession(sessionId, { latitude, longitude, preferences, userId = null }) {
     logger.info(`Creating fallback session ${sessionId}`);
+    const locale = this.languageService.get(preferences.language);
 
     return {
       id: sessionId,
+      userId,
+      createdAt: new Date().toISOString(),
       timestamp: new Date().toISOString(),
+      timezone: this.getTimezoneFromCoordinates(latitude, longitude),
       location: { latitude, longitude },
-      weather: { condition: 'unknown', description: 'Current conditions' },
+      weather: { condition: 'unknown', description: locale.fallbackSession.weatherDescription },
       species: { 
-        name: 'Natural Surroundings',
-        description: 'The living world around you'
+        name: locale.fallbackSession.speciesName,
+        description: locale.fallbackSession.speciesDescription
       },
       content: {
         text: this.getFallbackContent(preferences),
         duration: preferences.duration || 300,
-        sections: ['introduction', 'body', 'closing']
+        sections: ['settling', 'observation', 'closing']
       },
+      language: locale.code,
       preferences,
       isFallback: true
     };
   }
 
   getFallbackContent(preferences) {
-    const duration = preferences.duration || 300;
-    const timeDescription = duration < 300 ? 'brief' : duration < 600 ? 'gentle' : 'deep';
-
-    return `Welcome to this ${timeDescription} moment of stillness. 
-
-Find yourself a comfortable position, and allow your awareness to settle. Notice the rhythm of your breath—neither forcing nor controlling, simply observing.
-
-In the natural world, every creature finds its rhythm. The slow unfurling of leaves, the patient flow of water over stone, the steady beat of wings in flight. You too are part of this living tapestry.
-
-Let your thoughts drift like clouds across an open sky. Some dark, some light, all passing. Each breath connects you to the ancient patterns of life—the same air that has sustained countless generations.
-
-There is nowhere you need to be, nothing you need to do. Just this moment, just this breath, just this gentle awareness of being alive.
-
-As we come to a close, carry this sense of natural rhythm with you. You are not separate from nature—you are nature, observing itself with wonder.`;
+    return this.languageService.get(preferences.language).sessionFallbackScript({
+      duration: preferences.duration || 300
+    });
   }
 
   generateSessionId() {
     return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  scheduleSessionCleanup(sessionId) {
-    setTimeout(() => {
-      this.activeSessions.delete(sessionId);
-      logger.debug(`Session ${sessionId} cleaned up from memory`);
-    }, 3600000);
+  /**
+   * Periodically drop sessions older than the store's retention window
+   */
+  scheduleSessionPruning() {
+    const intervalMs = parseInt(process.env.SESSION_PRUNE_INTERVAL_MS || '', 10) || 6 * 60 * 60 * 1000;
+    const timer = setInterval(() => {
+      this.sessionStore.prune().catch(error => {
+        logger.error('Session pruning failed', { error: error.message });
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for pruning
+    if (timer.unref) timer.unref();
   }
 
   /**
    * Get timezone from latitude/longitude coordinates
-   * Uses moment-timezone's best guess based on coordinates
+   * Resolved offline against the bundled timezone boundaries (see TimezoneService)
    * @param {number} latitude - Latitude coordinate
    * @param {number} longitude - Longitude coordinate
    * @returns {string} Timezone name (e.g., 'America/Los_Angeles')
    */
   getTimezoneFromCoordinates(latitude, longitude) {
-    // Rough mapping of longitude to timezone
-    // This is a simplified approach - for production, use a proper geo-to-timezone library
-
-    // US timezones based on longitude
-    if (latitude > 24 && latitude < 50 && longitude < -60) {
-      if (longitude < -120) return 'America/Los_Angeles';
-      if (longitude < -104) return 'America/Denver';
-      if (longitude < -87) return 'America/Chicago';
-      return 'America/New_York';
-    }
-
-    // Use moment-timezone's guess method
-    const guessedTimezone = moment.tz.guess();
-    logger.debug('Guessed timezone', { latitude, longitude, timezone: guessedTimezone });
-    return guessedTimezone;
+    const { timezone, source, distanceKm } = this.timezoneService.lookup(latitude, longitude);
+    logger.debug('Resolved timezone', { latitude, longitude, timezone, source, distanceKm });
+    return timezone;
   }
 
   /**
@@ -239,9 +518,10 @@ As we come to a close, carry this sense of natural rhythm with you. You are not
    * This is more accurate than timezone-based hour calculations
    * @param {Date} date - Current date/time
    * @param {Object} weather - Weather data with sunrise/sunset timestamps
+   * @param {string} [timezone] - Location's IANA timezone, for the hour-based fallback
    * @returns {string} Time of day (dawn, morning, afternoon, evening, dusk, night)
    */
-  getTimeOfDayFromWeather(date, weather) {
+  getTimeOfDayFromWeather(date, weather, timezone = null) {
     const currentTime = date.getTime() / 1000; // Convert to Unix timestamp (seconds)
     
     // If we have sunrise/sunset data, use it for accurate determination
@@ -263,15 +543,17 @@ As we come to a close, carry this sense of natural rhythm with you. You are not
     }
     
     // Fallback to hour-based calculation if no sunrise/sunset data
-    return this.getTimeOfDayFromHour(date);
+    return this.getTimeOfDayFromHour(date, timezone);
   }
 
   /**
    * Fallback time of day calculation based on hour only
    * Less accurate than using actual sunrise/sunset
+   * @param {Date} date - Current date/time
+   * @param {string} [timezone] - Location's IANA timezone; the server's hour is used without it
    */
-  getTimeOfDayFromHour(date = new Date()) {
-    const hour = date.getHours();
+  getTimeOfDayFromHour(date = new Date(), timezone = null) {
+    const hour = timezone ? moment.tz(date, timezone).hour() : date.getHours();
     if (hour >= 5 && hour < 6) return 'dawn';
     if (hour >= 6 && hour < 12) return 'morning';
     if (hour >= 12 && hour < 17) return 'afternoon';
@@ -282,13 +564,22 @@ As we come to a close, carry this sense of natural rhythm with you. You are not
 
   /**
    * Check if location change requires user confirmation
+   * Signed-in users are compared with the last location they confirmed; anonymous
+   * clients send the previous location they loaded species for.
    * @param {number} latitude 
    * @param {number} longitude 
+   * @param {Object} [caller] - { userId, previousLocation }
    * @returns {Promise<Object>} Location change status
    */
-  async checkLocationChange(latitude, longitude) {
+  async checkLocationChange(latitude, longitude, { userId = null, previousLocation = null } = {}) {
     try {
-      return await this.speciesService.checkLocationChange(latitude, longitude);
+      const stored = userId ? await this.userService.getLastLocation(userId) : null;
+      const status = await this.speciesService.checkLocationChange(latitude, longitude, stored || previousLocation);
+      // A signed-in user's first location is remembered without a prompt
+      if (userId && !stored && !status.requiresPrompt) {
+        await this.userService.setLastLocation(userId, latitude, longitude);
+      }
+      return status;
     } catch (error) {
       logger.error('Location change check failed', { error: error.message });
       return { requiresPrompt: false };
@@ -299,21 +590,28 @@ As we come to a close, carry this sense of natural rhythm with you. You are not
    * Confirm location change and update species data
    * @param {number} latitude 
    * @param {number} longitude 
+   * @param {number} [perClass] - Species per class in the result's species lists
+   * @param {Object} [caller] - { userId, previousLocation }, as for checkLocationChange
    * @returns {Promise<Object>} Update result
    */
-  async confirmLocationChange(latitude, longitude) {
+  async confirmLocationChange(latitude, longitude, perClass = 5, { userId = null, previousLocation = null } = {}) {
     try {
-      return await this.speciesService.confirmLocationChange(latitude, longitude);
+      const stored = userId ? await this.userService.getLastLocation(userId) : null;
+      const result = await this.speciesService.confirmLocationChange(latitude, longitude, perClass, stored || previousLocation);
+      if (userId) await this.userService.setLastLocation(userId, latitude, longitude);
+      return result;
     } catch (error) {
       logger.error('Location change confirmation failed', { error: error.message });
       return { success: false, error: error.message };
     }
   }
 
-  getStats() {
+  async getStats() {
     return {
-      activeSessions: this.activeSessions.size,
+      activeSessions: await this.sessionStore.count(),
+      sessionStore: this.sessionStore.getStats(),
       lunarStats: this.lunarService.getStats(),
+      timezoneStats: this.timezoneService.getStats(),
       behaviorStats: this.behaviorDatabase.getStats(),
       speciesStats: this.speciesService.getStats(),
       timestamp: new Date().toISOString()
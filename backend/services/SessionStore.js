@@ -0,0 +1,274 @@
+// services/SessionStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * SessionStore - Pluggable persistence for generated meditation sessions
+ * Implementations: JsonlSessionStore (default, on-disk), MemorySessionStore
+ *
+ * Every store implements:
+ *   save(session), get(id), findByLocation(lat, lng, radiusKm),
+ *   findByDateRange(from, to), findByUser(userId), prune(), count()
+ */
+class SessionStore {
+  constructor(options = {}) {
+    const envDays = parseInt(process.env.SESSION_RETENTION_DAYS || '', 10);
+    this.retentionDays = options.retentionDays || (Number.isFinite(envDays) && envDays > 0 ? envDays : 30);
+  }
+
+  async save(session) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  async get(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async all() {
+    throw new Error(`${this.constructor.name} does not implement all()`);
+  }
+
+  async prune() {
+    throw new Error(`${this.constructor.name} does not implement prune()`);
+  }
+
+  async count() {
+    return (await this.all()).length;
+  }
+
+  /**
+   * Sessions within radiusKm of a point, newest first
+   */
+  async findByLocation(latitude, longitude, radiusKm = 5, limit = 50) {
+    const sessions = await this.all();
+    return sessions
+      .filter(s => s.location && this.calculateDistance(latitude, longitude, s.location.latitude, s.location.longitude) <= radiusKm)
+      .sort((a, b) => this.getTime(b) - this.getTime(a))
+      .slice(0, limit);
+  }
+
+  /**
+   * Sessions created between two dates (inclusive), newest first
+   */
+  async findByDateRange(from, to, limit = 50) {
+    const fromMs = from ? new Date(from).getTime() : 0;
+    const toMs = to ? new Date(to).getTime() : Date.now();
+    const sessions = await this.all();
+    return sessions
+      .filter(s => {
+        const t = this.getTime(s);
+        return t >= fromMs && t <= toMs;
+      })
+      .sort((a, b) => this.getTime(b) - this.getTime(a))
+      .slice(0, limit);
+  }
+
+  /**
+   * Sessions belonging to a user, newest first
+   */
+  async findByUser(userId, limit = 50) {
+    const sessions = await this.all();
+    return sessions
+      .filter(s => s.userId === userId)
+      .sort((a, b) => this.getTime(b) - this.getTime(a))
+      .slice(0, limit);
+  }
+
+  isExpired(session, now = Date.now()) {
+    if (!this.retentionDays) return false;
+    return now - this.getTime(session) > this.retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  getTime(session) {
+    return new Date(session.createdAt || session.timestamp).getTime() || 0;
+  }
+
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth's radius in km
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  getStats() {
+    return {
+      type: this.constructor.name,
+      retentionDays: this.retentionDays
+    };
+  }
+}
+
+/**
+ * In-memory store - sessions are lost on restart (useful for tests)
+ */
+class MemorySessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.sessions = new Map();
+  }
+
+  async save(session) {
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || this.isExpired(session)) return null;
+    return session;
+  }
+
+  async all() {
+    return Array.from(this.sessions.values()).filter(s => !this.isExpired(s));
+  }
+
+  async prune() {
+    let removed = 0;
+    for (const [id, session] of this.sessions.entries()) {
+      if (this.isExpired(session)) {
+        this.sessions.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Append-only JSON-lines store. Each save appends one line; the file is
+ * loaded into an in-memory index on startup and compacted by prune().
+ */
+class JsonlSessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = options.filePath || process.env.SESSION_STORE_PATH || path.join(__dirname, '../data/sessions.jsonl');
+    this.index = new Map();
+    this.fileLines = 0; // lines in the file, including superseded and unreadable ones
+    this.writeChain = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const data = await fs.readFile(this.filePath, 'utf8');
+      let skipped = 0;
+
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        this.fileLines++;
+        try {
+          const session = JSON.parse(line);
+          // Later lines win so updates can be appended rather than rewritten
+          if (session && session.id) this.index.set(session.id, session);
+        } catch (err) {
+          skipped++;
+        }
+      }
+
+      logger.info('Session store loaded', { filePath: this.filePath, sessions: this.index.size, skipped });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load session store', { filePath: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  async save(session) {
+    await this.ready;
+    this.index.set(session.id, session);
+    await this.enqueueWrite(async () => {
+      await fs.appendFile(this.filePath, JSON.stringify(session) + '\n', 'utf8');
+      this.fileLines++;
+    });
+    return session;
+  }
+
+  async get(sessionId) {
+    await this.ready;
+    const session = this.index.get(sessionId);
+    if (!session || this.isExpired(session)) return null;
+    return session;
+  }
+
+  async all() {
+    await this.ready;
+    return Array.from(this.index.values()).filter(s => !this.isExpired(s));
+  }
+
+  /**
+   * Drop expired sessions and rewrite the file without superseded lines.
+   * The file is left alone when there is nothing to drop.
+   */
+  async prune() {
+    await this.ready;
+    let removed = 0;
+    for (const [id, session] of this.index.entries()) {
+      if (this.isExpired(session)) {
+        this.index.delete(id);
+        removed++;
+      }
+    }
+
+    await this.enqueueWrite(async () => {
+      // Appends queued before this write are counted by now
+      if (removed === 0 && this.fileLines <= this.index.size) return;
+
+      const sessions = Array.from(this.index.values());
+      const lines = sessions.map(s => JSON.stringify(s)).join('\n');
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, lines ? lines + '\n' : '', 'utf8');
+      await fs.rename(tmpPath, this.filePath);
+      this.fileLines = sessions.length;
+    });
+
+    if (removed > 0) {
+      logger.info('Pruned expired sessions', { removed, remaining: this.index.size });
+    }
+    return removed;
+  }
+
+  // Serialize file writes so appends and compaction never interleave
+  enqueueWrite(writeFn) {
+    const next = this.writeChain.then(writeFn);
+    this.writeChain = next.catch(error => {
+      logger.error('Session store write failed', { filePath: this.filePath, error: error.message });
+    });
+    return next;
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      filePath: this.filePath,
+      sessions: this.index.size,
+      fileLines: this.fileLines
+    };
+  }
+}
+
+/**
+ * Create the store selected by SESSION_STORE (jsonl | memory)
+ */
+function createSessionStore(type = process.env.SESSION_STORE || 'jsonl', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore(options);
+    case 'jsonl':
+      return new JsonlSessionStore(options);
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
+
+module.exports = {
+  SessionStore,
+  MemorySessionStore,
+  JsonlSessionStore,
+  createSessionStore
+};
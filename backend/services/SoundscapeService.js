@@ -0,0 +1,315 @@
+// services/SoundscapeService.js
+const fs = require('fs').promises;
+const path = require('path');
+const { parseWav, createWavHeader, pcmSamples } = require('../utils/wav');
+const { encodeMp3 } = require('../utils/ffmpeg');
+const { getInstance: getAudioAssets } = require('./AudioAssetService');
+const logger = require('../utils/logger');
+
+/**
+ * SoundscapeService - Loops an ambient nature bed under the narration
+ *
+ * Beds come from a local library (SOUNDSCAPE_LIBRARY_PATH, default
+ * soundscapes/) described by manifest.json. Each entry matches on the
+ * session's weather condition, time of day and species type; the most
+ * specific, highest-priority match wins, and the default entry covers
+ * everything else. The bed fades in before the voice starts, is ducked while
+ * the voice speaks and swells in the pauses, then fades out after it.
+ *
+ * Mixing is done on 16-bit PCM WAV in process, so narration is requested as
+ * WAV when a bed will be mixed. SOUNDSCAPE_OUTPUT_FORMAT=mp3 encodes the mix
+ * with ffmpeg (FFMPEG_PATH); if that fails the WAV is kept.
+ */
+class SoundscapeService {
+  constructor() {
+    this.enabled = process.env.SOUNDSCAPE_ENABLED !== 'false';
+    this.libraryDir = process.env.SOUNDSCAPE_LIBRARY_PATH || path.join(__dirname, '../soundscapes');
+    this.audioDir = path.join(__dirname, '../audio');
+    this.audioAssets = getAudioAssets();
+    this.outputFormat = process.env.SOUNDSCAPE_OUTPUT_FORMAT === 'mp3' ? 'mp3' : 'wav';
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+
+    // Levels are linear gains; override any of them with SOUNDSCAPE_MIX, e.g. {"gain": 0.2, "tailSeconds": 12}
+    this.mix = {
+      gain: 0.3,            // Bed level in the pauses
+      duckGain: 0.35,       // Fraction of that level kept while the voice speaks
+      attackMs: 120,        // How quickly the bed ducks when speech starts
+      releaseMs: 900,       // How slowly it comes back in a pause
+      holdMs: 300,          // Gaps between words shorter than this don't count as pauses
+      fadeInSeconds: 4,
+      fadeOutSeconds: 6,
+      leadSeconds: 3,       // Bed alone before the voice starts
+      tailSeconds: 8,       // Bed alone after the voice ends
+      ...this.parseMixSettings(process.env.SOUNDSCAPE_MIX)
+    };
+    // Voice level (fraction of full scale, after a fast envelope) that counts as speech
+    this.speechThreshold = 0.01;
+    // Frames mixed between yields to the event loop (and cancellation checks)
+    this.blockFrames = 48000 * 5;
+
+    this.matchKeys = ['weather', 'timeOfDay', 'speciesType'];
+    this.soundscapes = [];
+    this.assets = new Map(); // id -> { buffer, wav, samples }, loaded on first use
+    this.ready = this.loadManifest();
+  }
+
+  parseMixSettings(value) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      const settings = {};
+      for (const [key, number] of Object.entries(parsed)) {
+        if (Number.isFinite(number) && number >= 0) settings[key] = number;
+      }
+      return settings;
+    } catch (error) {
+      logger.error('Invalid SOUNDSCAPE_MIX, using default mix settings', { error: error.message });
+      return {};
+    }
+  }
+
+  async loadManifest() {
+    const manifestPath = path.join(this.libraryDir, 'manifest.json');
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read soundscape manifest', { manifestPath, error: error.message });
+      }
+      this.soundscapes = [];
+      return;
+    }
+
+    const soundscapes = [];
+    for (const entry of manifest.soundscapes || []) {
+      if (!entry || !entry.id || !entry.file) {
+        logger.warn('Soundscape manifest entry needs an id and a file', { entry });
+        continue;
+      }
+      const unknownKeys = Object.keys(entry.match || {}).filter(key => !this.matchKeys.includes(key));
+      if (unknownKeys.length > 0) {
+        logger.warn('Soundscape manifest entry has unknown match keys', { id: entry.id, unknownKeys });
+      }
+
+      const filepath = path.resolve(this.libraryDir, entry.file);
+      const exists = await fs.access(filepath).then(() => true, () => false);
+      soundscapes.push({
+        id: entry.id,
+        file: entry.file,
+        filepath,
+        gain: Number.isFinite(entry.gain) ? entry.gain : 1,
+        priority: Number.isFinite(entry.priority) ? entry.priority : 0,
+        match: entry.match || {},
+        isDefault: !!entry.default,
+        available: exists
+      });
+    }
+
+    this.soundscapes = soundscapes;
+    this.assets.clear();
+
+    const missing = soundscapes.filter(s => !s.available).map(s => s.file);
+    logger.info('Soundscape library loaded', {
+      libraryDir: this.libraryDir,
+      available: soundscapes.filter(s => s.available).map(s => s.id),
+      missing
+    });
+  }
+
+  /**
+   * Pick the bed for a session
+   * @param {Object} context - { weather, timeOfDay, speciesType }
+   * @returns {Object|null} Manifest entry, or null when mixing is off or nothing is available
+   */
+  select(context = {}) {
+    if (!this.enabled) return null;
+
+    const matches = this.soundscapes
+      .filter(s => s.available && !s.isDefault && this.matches(s, context))
+      .sort((a, b) => (b.priority - a.priority) || (Object.keys(b.match).length - Object.keys(a.match).length));
+    if (matches.length > 0) return matches[0];
+
+    return this.soundscapes.find(s => s.available && s.isDefault) || null;
+  }
+
+  // Every match key on the entry must list the session's value
+  matches(soundscape, context) {
+    const keys = Object.keys(soundscape.match);
+    return keys.length > 0 && keys.every(key => {
+      const accepted = [].concat(soundscape.match[key]).map(v => String(v).toLowerCase());
+      return context[key] != null && accepted.includes(String(context[key]).toLowerCase());
+    });
+  }
+
+  async loadAsset(soundscape) {
+    if (!this.assets.has(soundscape.id)) {
+      const buffer = await fs.readFile(soundscape.filepath);
+      const wav = parseWav(buffer);
+      this.assets.set(soundscape.id, { buffer, wav, samples: pcmSamples(buffer, wav) });
+    }
+    return this.assets.get(soundscape.id);
+  }
+
+  /**
+   * Mix a bed under generated narration into a new file
+   * The voice-only narration is left in place; it can be reused for identical scripts.
+   * @param {Object} narration - TTSService.generateAudio result (must be WAV)
+   * @param {Object} soundscape - Entry from select()
+   * @param {Object} options - { signal, name (output file name without extension) }
+   * @returns {Promise<Object>} Audio file info for the mixed file
+   */
+  async mixUnderNarration(narration, soundscape, { signal = null, name = null } = {}) {
+    const startTime = Date.now();
+    const voiceBuffer = await fs.readFile(narration.filepath);
+    const bed = await this.loadAsset(soundscape);
+
+    const { buffer, duration } = await this.mixPcm(voiceBuffer, bed, soundscape.gain, signal);
+
+    const baseName = name || `${path.parse(narration.filename).name}_ambient`;
+    let filename = `${baseName}.wav`;
+    let filepath = path.join(this.audioDir, filename);
+    await fs.writeFile(filepath, buffer);
+
+    if (this.outputFormat === 'mp3') {
+      const mp3Filename = `${baseName}.mp3`;
+      const mp3Path = path.join(this.audioDir, mp3Filename);
+      try {
+        await encodeMp3(filepath, mp3Path, { ffmpegPath: this.ffmpegPath, signal });
+        filename = mp3Filename;
+        filepath = mp3Path;
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        logger.warn('MP3 encoding of soundscape mix failed, keeping WAV', { ffmpeg: this.ffmpegPath, error: error.message });
+      }
+    }
+
+    const { size } = await this.audioAssets.publish(filename, { type: 'session' });
+
+    logger.info('Soundscape mixed under narration', {
+      soundscape: soundscape.id,
+      filename,
+      duration,
+      elapsedMs: Date.now() - startTime
+    });
+
+    return {
+      ...narration,
+      filename,
+      filepath,
+      url: `/audio/${filename}`,
+      size,
+      duration,
+      soundscape: soundscape.id,
+      voiceOffset: this.mix.leadSeconds // Where the narration starts in the mix
+    };
+  }
+
+  /**
+   * Mix a looping bed under a voice WAV
+   * Output has the voice's sample rate and the wider of the two channel layouts.
+   * @returns {Promise<Object>} { buffer (WAV), duration (seconds) }
+   */
+  async mixPcm(voiceBuffer, bed, entryGain = 1, signal = null) {
+    const voiceWav = parseWav(voiceBuffer);
+    const voice = pcmSamples(voiceBuffer, voiceWav);
+    const rate = voiceWav.sampleRate;
+    const voiceChannels = voiceWav.channels;
+    const bedChannels = bed.wav.channels;
+    const channels = Math.min(Math.max(voiceChannels, bedChannels), 2);
+
+    const leadFrames = Math.round(this.mix.leadSeconds * rate);
+    const totalFrames = leadFrames + voiceWav.frames + Math.round(this.mix.tailSeconds * rate);
+    const fadeInFrames = Math.max(1, Math.round(this.mix.fadeInSeconds * rate));
+    const fadeOutFrames = Math.max(1, Math.round(this.mix.fadeOutSeconds * rate));
+    const smoothing = ms => 1 - Math.exp(-1 / Math.max(1, ms / 1000 * rate));
+    const detectAttack = smoothing(5);
+    const detectRelease = smoothing(50);
+    const attack = smoothing(this.mix.attackMs);
+    const release = smoothing(this.mix.releaseMs);
+    const holdFrames = Math.round(this.mix.holdMs / 1000 * rate);
+    const bedGain = this.mix.gain * entryGain;
+
+    const bedFrames = bed.wav.frames;
+    const bedStep = bed.wav.sampleRate / rate; // Resample the bed by linear interpolation
+    let bedPosition = 0;
+    let envelope = 0;     // Fast voice level, for speech detection
+    let holdRemaining = 0;
+    let ducking = 0;      // 0 = bed at full level, 1 = fully ducked
+
+    const dataLength = totalFrames * channels * 2;
+    const output = Buffer.alloc(44 + dataLength);
+    createWavHeader({ sampleRate: rate, channels, dataLength }).copy(output, 0);
+    const out = new Int16Array(output.buffer, output.byteOffset + 44, totalFrames * channels);
+
+    for (let blockStart = 0; blockStart < totalFrames; blockStart += this.blockFrames) {
+      if (signal && signal.aborted) throw signal.reason || new Error('Soundscape mixing cancelled');
+
+      const blockEnd = Math.min(blockStart + this.blockFrames, totalFrames);
+      for (let frame = blockStart; frame < blockEnd; frame++) {
+        const voiceFrame = frame - leadFrames;
+        const speaking = voiceFrame >= 0 && voiceFrame < voiceWav.frames;
+
+        // Speech (held across short gaps) ducks the bed; the duck itself moves at attack/release speed
+        let level = 0;
+        if (speaking) {
+          for (let c = 0; c < voiceChannels; c++) level += Math.abs(voice[voiceFrame * voiceChannels + c]);
+          level /= voiceChannels * 32768;
+        }
+        envelope += (level - envelope) * (level > envelope ? detectAttack : detectRelease);
+        if (envelope > this.speechThreshold) holdRemaining = holdFrames;
+        const gate = holdRemaining > 0 ? 1 : 0;
+        if (holdRemaining > 0) holdRemaining--;
+        ducking += (gate - ducking) * (gate > ducking ? attack : release);
+
+        const fade = Math.min(1, frame / fadeInFrames, (totalFrames - frame) / fadeOutFrames);
+        const gain = bedGain * fade * (1 - ducking * (1 - this.mix.duckGain));
+
+        const index = Math.floor(bedPosition);
+        const next = (index + 1) % bedFrames;
+        const fraction = bedPosition - index;
+
+        for (let c = 0; c < channels; c++) {
+          const bedChannel = Math.min(c, bedChannels - 1);
+          const a = bed.samples[index * bedChannels + bedChannel];
+          const b = bed.samples[next * bedChannels + bedChannel];
+          let sample = (a + (b - a) * fraction) * gain;
+          if (speaking) sample += voice[voiceFrame * voiceChannels + Math.min(c, voiceChannels - 1)];
+          out[frame * channels + c] = Math.max(-32768, Math.min(32767, Math.round(sample)));
+        }
+
+        bedPosition += bedStep;
+        if (bedPosition >= bedFrames) bedPosition -= bedFrames;
+      }
+
+      // Let other requests run between blocks of a long mix
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { buffer: output, duration: Math.round(totalFrames / rate) };
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      libraryDir: this.libraryDir,
+      outputFormat: this.outputFormat,
+      mix: this.mix,
+      soundscapes: this.soundscapes.map(({ id, file, match, priority, isDefault, available }) => ({
+        id, file, match, priority, isDefault, available
+      }))
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new SoundscapeService();
+    }
+    return instance;
+  },
+  SoundscapeService
+};
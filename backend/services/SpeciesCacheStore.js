@@ -0,0 +1,104 @@
+// services/SpeciesCacheStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * SpeciesCacheStore - Disk snapshots of RobustSpeciesService's species cache
+ *
+ * The whole cache (species pools with their lastUsed stamps) is written as one
+ * JSON snapshot (data/species-cache.json, SPECIES_CACHE_PATH). Writes are
+ * debounced, since every session touches a lastUsed stamp, and serialized
+ * through a temp file so a crash never leaves a half-written snapshot.
+ * SPECIES_CACHE_PERSIST=false keeps the cache in memory only.
+ * PhenologyService keeps its month histograms in a second store (label names
+ * it in the logs).
+ */
+class SpeciesCacheStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SPECIES_CACHE_PATH || path.join(__dirname, '../data/species-cache.json');
+    this.enabled = options.enabled ?? process.env.SPECIES_CACHE_PERSIST !== 'false';
+    this.debounceMs = options.debounceMs ?? 5000;
+    this.label = options.label || 'species cache';
+    this.writeChain = Promise.resolve();
+    this.timer = null;
+    this.pending = null;
+    this.lastSavedAt = null;
+  }
+
+  /**
+   * Entries from the last snapshot
+   * @returns {Promise<Array>} [{ key, species, timestamp, expiresAt, location, ... }]
+   */
+  async load() {
+    if (!this.enabled) return [];
+
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return Array.isArray(snapshot.entries) ? snapshot.entries.filter(entry => entry && entry.key) : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load ${this.label} snapshot`, { filePath: this.filePath, error: error.message });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write a snapshot after debounceMs; later calls within the window replace the pending one
+   * @param {Function} getEntries - Returns the entries to write, called when the write happens
+   */
+  schedule(getEntries) {
+    if (!this.enabled) return;
+    this.pending = getEntries;
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.debounceMs);
+    // Don't keep the process alive just for a snapshot
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Write any pending snapshot now
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const getEntries = this.pending;
+    this.pending = null;
+    return getEntries ? this.save(getEntries()) : this.writeChain;
+  }
+
+  // Rewrite the whole snapshot; writes are serialized so they never interleave
+  save(entries) {
+    if (!this.enabled) return Promise.resolve();
+
+    const next = this.writeChain.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ savedAt: Date.now(), entries }), 'utf8');
+      await fs.rename(tmpPath, this.filePath);
+      this.lastSavedAt = Date.now();
+    });
+    this.writeChain = next.catch(error => {
+      logger.error(`Snapshot write failed for ${this.label}`, { filePath: this.filePath, error: error.message });
+    });
+    return this.writeChain;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      filePath: this.filePath,
+      pendingWrite: !!this.pending,
+      lastSavedAt: this.lastSavedAt
+    };
+  }
+}
+
+module.exports = { SpeciesCacheStore };
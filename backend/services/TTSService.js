@@ -1,19 +1,37 @@
 // services/TTSService.js
-const textToSpeech = require('@google-cloud/text-to-speech');
 const fs = require('fs').promises;
 const path = require('path');
+const GoogleTTSEngine = require('./GoogleTTSEngine');
+const LocalTTSEngine = require('./LocalTTSEngine');
+const { getInstance: getAudioAssets } = require('./AudioAssetService');
+const { getLocale, DEFAULT_LANGUAGE } = require('../locales');
 const logger = require('../utils/logger');
 
 /**
  * TTSService - Text-to-Speech for meditation audio
- * Uses Google Cloud Text-to-Speech with natural British male voice
+ * Speaks through the selected engine (TTS_ENGINE, changeable from the admin
+ * dashboard): Google Cloud Text-to-Speech or a local eSpeak NG / Piper
+ * subprocess. When the selected engine is unavailable or fails, a silent
+ * placeholder WAV is written instead so sessions still complete.
+ *
+ * Narration is published to the audio asset store under a hash of the script
+ * and voice settings; an identical request reuses the stored file.
  */
 class TTSService {
   constructor() {
-    this.client = null;
     this.audioDir = path.join(__dirname, '../audio');
+    this.audioAssets = getAudioAssets();
     this.isEnabled = false;
-    this.initializeTTS();
+    // Send SSML (real breaks and prosody) when the caller provides it; TTS_SSML=false forces plain text
+    this.ssmlEnabled = process.env.TTS_SSML !== 'false';
+
+    this.engines = {
+      google: new GoogleTTSEngine(),
+      local: new LocalTTSEngine()
+    };
+    this.engineName = this.engines[process.env.TTS_ENGINE] ? process.env.TTS_ENGINE : 'google';
+
+    this.ready = this.initializeTTS();
   }
 
   async initializeTTS() {
@@ -28,21 +46,16 @@ class TTSService {
       // Create audio directory if it doesn't exist
       await fs.mkdir(this.audioDir, { recursive: true });
 
-      // Initialize Google Cloud TTS client
-      try {
-        this.client = new textToSpeech.TextToSpeechClient();
-        
-        // Test the client with a simple request to verify credentials
-        await this.client.listVoices({ languageCode: 'en-GB' });
-        
-        this.isEnabled = true;
-        logger.info('TTS Service initialized successfully with Google Cloud Text-to-Speech');
-      } catch (authError) {
-        logger.warn('Google Cloud TTS credentials not configured, using mock TTS for development', {
-          error: authError.message
+      await Promise.all(Object.values(this.engines).map(engine => engine.initialize()));
+
+      this.isEnabled = true; // Mock audio covers an unavailable engine
+      if (this.getEngine()) {
+        logger.info('TTS Service initialized', { engine: this.engineName });
+      } else {
+        logger.warn('Selected TTS engine not available, using mock TTS for development', {
+          engine: this.engineName,
+          error: this.engines[this.engineName].lastError
         });
-        this.client = null;
-        this.isEnabled = true; // Enable mock TTS
       }
     } catch (error) {
       logger.warn('TTS Service initialization failed, audio generation disabled', {
@@ -53,9 +66,50 @@ class TTSService {
   }
 
   /**
-   * Convert meditation text to speech audio using Azure TTS
+   * The selected engine, or null when it can't speak (mock audio is used instead)
+   */
+  getEngine() {
+    const engine = this.engines[this.engineName];
+    return engine && engine.isAvailable() ? engine : null;
+  }
+
+  /**
+   * Select the engine for new audio (called from admin dashboard)
+   */
+  setEngine(name) {
+    const engine = this.engines[name];
+    if (!engine) {
+      throw new Error(`Invalid TTS engine: ${name}`);
+    }
+    if (!engine.isAvailable()) {
+      throw new Error(`${engine.label} is not available${engine.lastError ? `: ${engine.lastError}` : ''}`);
+    }
+
+    this.engineName = name;
+    logger.info('TTS engine updated', { engine: name });
+    return this.getConfig();
+  }
+
+  getConfig() {
+    const engines = {};
+    for (const [name, engine] of Object.entries(this.engines)) {
+      engines[name] = engine.getInfo();
+    }
+    return {
+      engine: this.engineName,
+      enabled: this.isEnabled,
+      usingMock: this.isEnabled && !this.getEngine(),
+      ssml: this.ssmlEnabled,
+      engines
+    };
+  }
+
+  /**
+   * Convert meditation text to speech audio with the selected engine
    * @param {string} text - The meditation text to convert
-   * @param {string} sessionId - Session ID for file naming
+   * @param {Object|string} options - Voice options ({ sessionId, voice, languageCode, speed, pitch, outputFormat, ssml, signal, engine }) or a session ID;
+   *   ssml is an SSML rendering of the same script, used instead of text when the engine supports it;
+   *   engine overrides the selected engine for this call (admin tests)
    * @returns {Promise<Object>} Audio file info
    */
   async generateAudio(text, options = {}) {
@@ -63,65 +117,101 @@ class TTSService {
       throw new Error('TTS Service is not enabled');
     }
 
+    // Callers historically passed the session ID directly
+    if (typeof options === 'string') {
+      options = { sessionId: options };
+    }
+
     const {
+      sessionId = `${Date.now()}`,
       voice = 'en-GB-Standard-B', // Google Cloud male British voice
+      languageCode = 'en-GB',
       speed = 0.9,
       pitch = 0,
-      outputFormat = 'MP3'
+      outputFormat = 'MP3',
+      ssml = null,
+      signal = null
     } = options;
 
+    if (signal && signal.aborted) {
+      throw signal.reason || new Error('Audio generation cancelled');
+    }
+
+    const engine = options.engine ? this.engines[options.engine] : this.getEngine();
+    if (!engine || !engine.isAvailable()) {
+      logger.info('TTS engine not available, using mock audio generation', { engine: options.engine || this.engineName });
+      return await this.generateMockAudio(text, sessionId);
+    }
+
+    const useSSML = !!ssml && this.supportsSSML(engine);
+    const hash = this.audioAssets.hashScript({
+      engine: engine.name,
+      input: useSSML ? ssml : text,
+      voice,
+      languageCode,
+      speed,
+      pitch,
+      outputFormat
+    });
+    const cached = await this.findCachedAudio(hash);
+    if (cached) return cached;
+
     try {
-      logger.debug('Generating audio with Google Cloud TTS', {
+      logger.debug('Generating audio', {
+        engine: engine.name,
         voice,
         speed,
         pitch,
-        textLength: text.length
+        textLength: text.length,
+        ssml: useSSML
       });
 
-      // Use Google Cloud TTS if client is available
-      if (this.client) {
-        const request = {
-          input: { text },
-          voice: {
-            languageCode: 'en-GB',
-            name: voice,
-            ssmlGender: 'MALE'
-          },
-          audioConfig: {
-            audioEncoding: outputFormat,
-            speakingRate: speed,
-            pitch: pitch
-          }
-        };
-
-        const [response] = await this.client.synthesizeSpeech(request);
-        const audioData = response.audioContent;
-        
-        const filename = `meditation_${Date.now()}.mp3`;
-        const filepath = path.join(this.audioDir, filename);
-
-        await fs.writeFile(filepath, audioData, 'binary');
-
-        logger.info('Audio generated successfully with Google Cloud TTS', {
-          filename,
-          size: audioData.length,
-          voice
-        });
+      const result = await engine.synthesize({
+        text,
+        ssml: useSSML ? ssml : null,
+        voice,
+        languageCode,
+        speed,
+        pitch,
+        outputFormat,
+        signal
+      });
 
-        return {
-          filename,
-          filepath,
-          size: audioData.length,
-          duration: this.estimateDuration(text)
-        };
-      }
+      const filename = `meditation_${hash.slice(0, 16)}.${result.extension}`;
+      const filepath = path.join(this.audioDir, filename);
+      const duration = result.duration || this.estimateDuration(text);
+      // When each <mark> in the SSML was spoken (engines that report it)
+      const timepoints = result.timepoints && result.timepoints.length > 0 ? result.timepoints : null;
+
+      await fs.writeFile(filepath, result.audio);
+      await this.audioAssets.publish(filename, {
+        type: 'narration',
+        hash,
+        meta: { engine: engine.name, voice, duration, timepoints }
+      });
+
+      logger.info('Audio generated successfully', {
+        engine: engine.name,
+        filename,
+        size: result.audio.length,
+        voice
+      });
 
-      // Fallback to mock TTS if Google Cloud is not configured
-      logger.info('Google Cloud TTS not available, using mock audio generation');
-      return await this.generateMockAudio(text, voice);
+      return {
+        filename,
+        filepath,
+        size: result.audio.length,
+        duration,
+        engine: engine.name,
+        timepoints
+      };
 
     } catch (error) {
+      // Cancelled requests should not produce placeholder audio
+      if (signal && signal.aborted) throw error;
+
       logger.error('Audio generation failed', {
+        engine: engine.name,
         error: error.message,
         voice,
         textLength: text.length
@@ -129,26 +219,89 @@ class TTSService {
 
       // Fallback to mock audio on error
       logger.info('Falling back to mock audio generation');
-      return await this.generateMockAudio(text, voice);
+      return await this.generateMockAudio(text, sessionId);
     }
   }
 
   /**
-   * Prepare text for Azure TTS by converting pause markers to SSML breaks
-   * @param {string} text - Raw meditation text
-   * @returns {string} SSML formatted text (without outer speak tag)
+   * Speak a short sentence with an engine (called from admin dashboard)
+   * @param {string} name - Engine name
+   * @param {string} language - Locale code whose voice to use
    */
-  prepareTextForTTS(text) {
-    // Replace ellipsis pauses (...) with SSML break tags
-    let ssml = text.replace(/\.\.\./g, '<break time="2s"/>');
+  async testEngine(name, language = DEFAULT_LANGUAGE) {
+    const engine = this.engines[name];
+    if (!engine) {
+      throw new Error(`Invalid TTS engine: ${name}`);
+    }
+    if (!engine.isAvailable()) {
+      return {
+        success: false,
+        engine: name,
+        error: `${engine.label} is not available${engine.lastError ? `: ${engine.lastError}` : ''}`,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const locale = getLocale(language);
+    const startTime = Date.now();
+    try {
+      const text = locale.sampleSentence;
+      const result = await engine.synthesize({
+        text,
+        voice: locale.voice,
+        languageCode: locale.ttsLanguageCode,
+        speed: 0.9,
+        pitch: 0
+      });
 
-    // Add extra breaks for paragraph spacing (double line breaks)
-    ssml = ssml.replace(/\n\n/g, '<break time="1.5s"/>');
-    
-    // Replace single newlines with shorter breaks
-    ssml = ssml.replace(/\n/g, '<break time="800ms"/>');
+      const filename = `tts-test_${name}_${Date.now()}.${result.extension}`;
+      await fs.writeFile(path.join(this.audioDir, filename), result.audio);
+      await this.audioAssets.publish(filename, { type: 'test' });
 
-    return ssml;
+      return {
+        success: true,
+        engine: name,
+        language: locale.code,
+        url: `/audio/${filename}`,
+        size: result.audio.length,
+        duration: result.duration || this.estimateDuration(text),
+        elapsedMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        engine: name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Previously synthesized narration for the same script and voice settings
+   * @returns {Promise<Object|null>} generateAudio-style result, or null to synthesize
+   */
+  async findCachedAudio(hash) {
+    try {
+      const asset = await this.audioAssets.findByHash(hash);
+      if (!asset) return null;
+
+      const filepath = await this.audioAssets.checkout(asset);
+      logger.info('Reusing audio for identical script', { filename: asset.key, engine: asset.meta.engine });
+      return {
+        filename: asset.key,
+        filepath,
+        size: asset.size,
+        duration: asset.meta.duration,
+        engine: asset.meta.engine,
+        timepoints: asset.meta.timepoints || null,
+        cached: true
+      };
+    } catch (error) {
+      logger.warn('Cached audio unavailable, synthesizing again', { hash, error: error.message });
+      return null;
+    }
   }
 
   /**
@@ -173,59 +326,44 @@ class TTSService {
   }
 
   /**
-   * Get available voices for testing
-   * @returns {Promise<Array>} Available British male voices
+   * Whether an engine (default: the selected one) accepts SSML input; mock audio uses plain text
+   * @returns {boolean}
    */
-  async getAvailableVoices() {
-    if (!this.client) {
-      return [];
-    }
-
-    try {
-      const [result] = await this.client.listVoices({ languageCode: 'en-GB' });
-      const voices = result.voices
-        .filter(voice => voice.ssmlGender === 'MALE')
-        .map(voice => ({
-          name: voice.name,
-          languageCode: voice.languageCodes[0],
-          naturalSampleRateHertz: voice.naturalSampleRateHertz
-        }));
-
-      return voices;
-    } catch (error) {
-      logger.error('Failed to list voices', { error: error.message });
-      return [];
-    }
+  supportsSSML(engine = this.getEngine()) {
+    return this.ssmlEnabled && !!engine && engine.supportsSSML;
   }
 
   /**
-   * Clean up old audio files (older than 24 hours)
+   * Whether a voice can be used; mock TTS can stand in for any voice
+   * @param {string} voice - Voice name, e.g. 'es-ES-Standard-B'
+   * @returns {boolean}
    */
-  async cleanupOldAudio() {
-    try {
-      const files = await fs.readdir(this.audioDir);
-      const now = Date.now();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-
-      for (const file of files) {
-        if (!file.endsWith('.mp3')) continue;
+  hasVoice(voice) {
+    const engine = this.getEngine();
+    return engine ? engine.hasVoice(voice) : true;
+  }
 
-        const filepath = path.join(this.audioDir, file);
-        const stats = await fs.stat(filepath);
-        const age = now - stats.mtimeMs;
+  /**
+   * Get available voices for testing
+   * @param {string} languageCode - e.g. 'en-GB', 'es-ES'
+   * @returns {Promise<Array>} Voices the selected engine offers for the language
+   */
+  async getAvailableVoices(languageCode = 'en-GB') {
+    const engine = this.getEngine();
+    if (!engine) {
+      return [];
+    }
 
-        if (age > maxAge) {
-          await fs.unlink(filepath);
-          logger.debug('Deleted old audio file', { file, age: Math.round(age / 1000 / 60) });
-        }
-      }
+    try {
+      return await engine.listVoices(languageCode);
     } catch (error) {
-      logger.error('Audio cleanup failed', { error: error.message });
+      logger.error('Failed to list voices', { engine: engine.name, error: error.message });
+      return [];
     }
   }
 
   /**
-   * Generate mock audio file for development when Azure TTS is not configured
+   * Generate mock audio file for development when no TTS engine is available
    * @param {string} text - The meditation text
    * @param {string} sessionId - Session ID for file naming
    * @returns {Promise<Object>} Mock audio file info
@@ -253,19 +391,17 @@ Voice: en-GB-RyanNeural (British Documentary Style)
 
 AUDIO EXPERIENCE:
 The WAV file contains ${audioDuration} seconds of silence as a placeholder.
-In production with Azure TTS, this would be a full spoken meditation
-with natural British male voice, documentary-style pacing, and proper
-meditation pauses and breathing spaces.
+With a TTS engine available this would be a full spoken meditation
+with proper meditation pauses and breathing spaces.
 
 MEDITATION CONTENT THAT WOULD BE SPOKEN:
 ${text}
 
 [TO ENABLE REAL TTS AUDIO:
-1. Get Azure Cognitive Services TTS API key from Microsoft Azure
-2. Add AZURE_TTS_API_KEY=your_key to .env file
-3. Add AZURE_TTS_REGION=eastus to .env file  
-4. Restart server
-5. The same meditation will then generate with full voice narration]`;
+- Google Cloud: set GOOGLE_APPLICATION_CREDENTIALS and TTS_ENGINE=google
+- Offline: install espeak-ng (or Piper with TTS_LOCAL_ENGINE=piper and
+  TTS_PIPER_MODELS) and set TTS_ENGINE=local
+Then restart the server, or pick the engine in the admin dashboard.]`;
 
       await fs.writeFile(txtFilepath, mockContent, 'utf8');
 
@@ -298,6 +434,7 @@ ${text}
       buffer.fill(0, 44);
       
       await fs.writeFile(wavFilepath, buffer);
+      await this.audioAssets.publishAll([wavFilename, txtFilename], { type: 'mock' });
 
       logger.info('Mock audio files generated for development', {
         sessionId,
@@ -314,6 +451,7 @@ ${text}
         duration: this.estimateDuration(text),
         voice: 'mock-en-GB-RyanNeural',
         isMock: true,
+        engine: 'mock',
         scriptUrl: `/audio/${txtFilename}`
       };
 
@@ -324,11 +462,12 @@ ${text}
   }
 
   getStats() {
+    const engine = this.getEngine();
     return {
       enabled: this.isEnabled,
-      voice: this.apiKey ? 'en-GB-RyanNeural (Azure TTS)' : 'Mock TTS for Development',
-      audioDir: this.audioDir,
-      hasAzureKey: !!this.apiKey
+      engine: engine ? engine.name : 'mock',
+      voice: engine ? engine.label : 'Mock TTS for Development',
+      audioDir: this.audioDir
     };
   }
 }
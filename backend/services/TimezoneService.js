@@ -0,0 +1,164 @@
+// services/TimezoneService.js
+const path = require('path');
+const moment = require('moment-timezone');
+const { find: findTimezones } = require('geo-tz');
+const logger = require('../utils/logger');
+const { PolygonIndex, readGeoJSON } = require('../utils/polygonIndex');
+
+/**
+ * TimezoneService - Offline coordinate-to-timezone lookup
+ *
+ * Zones come from the timezone-boundary-builder polygons bundled with geo-tz
+ * (including the Etc/GMT zones at sea). A simplified dataset prepared with
+ * timezones/build-dataset.js can be installed to use other boundaries: it is
+ * loaded into a grid-indexed PolygonIndex and checked first, with points just
+ * off a simplified coastline snapped to the nearest zone within snapKm. A point
+ * neither knows gets the nautical Etc/GMT zone for its longitude; the server's
+ * own zone is never used.
+ */
+class TimezoneService {
+  constructor(options = {}) {
+    this.dataPath = options.dataPath || process.env.TIMEZONE_DATA_PATH ||
+      path.join(__dirname, '../timezones/timezones.geojson.gz');
+    const envSnapKm = parseFloat(process.env.TIMEZONE_SNAP_KM || '');
+    this.snapKm = Number.isFinite(envSnapKm) && envSnapKm >= 0 ? envSnapKm : 25;
+
+    this.zones = new PolygonIndex({ cellDegrees: 2 }); // values are IANA zone names
+    this.dataset = null;
+    this.lookups = { polygon: 0, snapped: 0, bundled: 0, nautical: 0 };
+    // load: false skips reading the dataset (used by the dataset build script)
+    this.ready = options.load === false ? Promise.resolve() : this.load();
+  }
+
+  async load() {
+    let collection;
+    try {
+      collection = await readGeoJSON(this.dataPath);
+      this.index(collection);
+    } catch (error) {
+      this.zones.clear();
+      if (error.code === 'ENOENT') {
+        logger.debug('No timezone dataset installed, using the geo-tz boundaries', { path: this.dataPath });
+      } else {
+        logger.error('Invalid timezone dataset, using the geo-tz boundaries', { path: this.dataPath, error: error.message });
+      }
+      return;
+    }
+
+    this.dataset = collection.dataset || path.basename(this.dataPath);
+    logger.info('Timezone dataset loaded', {
+      dataset: this.dataset,
+      polygons: this.zones.size,
+      cells: this.zones.grid.size
+    });
+  }
+
+  /**
+   * Index the zones of a GeoJSON FeatureCollection, skipping any that
+   * moment-timezone doesn't know (it couldn't convert times for them)
+   */
+  index(collection) {
+    const unknown = new Set();
+    for (const feature of collection.features || []) {
+      const timezone = this.normalizeZone(feature.properties || {});
+      if (!timezone) continue;
+      if (!moment.tz.zone(timezone)) {
+        unknown.add(timezone);
+        continue;
+      }
+      this.zones.add(feature.geometry, timezone);
+    }
+    if (unknown.size > 0) {
+      logger.warn('Timezone dataset has zones moment-timezone does not know', { zones: [...unknown] });
+    }
+  }
+
+  /**
+   * IANA zone name from timezone-boundary-builder (tzid) or normalized properties
+   */
+  normalizeZone(properties) {
+    return properties.tzid || properties.timezone || null;
+  }
+
+  /**
+   * Timezone for a point
+   * @returns {Object} { timezone, source } where source is 'polygon' or 'snapped'
+   * (plus distanceKm) from an installed dataset, 'geo-tz' or 'nautical'
+   */
+  lookup(latitude, longitude) {
+    if (this.zones.size > 0) {
+      const timezone = this.zones.find(latitude, longitude);
+      if (timezone) {
+        this.lookups.polygon++;
+        return { timezone, source: 'polygon' };
+      }
+
+      const nearest = this.zones.nearest(latitude, longitude, this.snapKm);
+      if (nearest) {
+        this.lookups.snapped++;
+        return { timezone: nearest.value, source: 'snapped', distanceKm: Math.round(nearest.distanceKm * 10) / 10 };
+      }
+    }
+
+    const timezone = this.findBundled(latitude, longitude);
+    if (timezone) {
+      this.lookups.bundled++;
+      return { timezone, source: 'geo-tz' };
+    }
+
+    this.lookups.nautical++;
+    return { timezone: this.nautical(longitude), source: 'nautical' };
+  }
+
+  /**
+   * IANA zone name for a point
+   */
+  getTimezone(latitude, longitude) {
+    return this.lookup(latitude, longitude).timezone;
+  }
+
+  /**
+   * Zone from geo-tz's bundled boundaries that moment-timezone can convert times for, or null
+   */
+  findBundled(latitude, longitude) {
+    try {
+      return findTimezones(latitude, longitude).find(zone => moment.tz.zone(zone)) || null;
+    } catch (error) {
+      logger.warn('geo-tz timezone lookup failed', { latitude, longitude, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Nautical time zone: 15° bands centred on multiples of 15°. Etc/GMT names
+   * use POSIX signs, so UTC-5 is Etc/GMT+5.
+   */
+  nautical(longitude) {
+    const offset = Math.max(-12, Math.min(12, Math.round(longitude / 15)));
+    if (offset === 0) return 'Etc/GMT';
+    return offset > 0 ? `Etc/GMT-${offset}` : `Etc/GMT+${-offset}`;
+  }
+
+  getStats() {
+    return {
+      dataset: this.dataset,
+      dataPath: this.dataPath,
+      polygons: this.zones.size,
+      indexCells: this.zones.grid.size,
+      snapKm: this.snapKm,
+      lookups: { ...this.lookups }
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new TimezoneService();
+    }
+    return instance;
+  },
+  TimezoneService
+};
@@ -0,0 +1,284 @@
+// services/UsageLedgerService.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * UsageLedgerService - Token usage and cost accounting for every AI call
+ * Each call is appended to a JSON-lines ledger; daily and monthly rollups
+ * (UTC) are kept in memory and rebuilt from the ledger on startup.
+ * Optional daily/monthly budgets either fail over to free providers or
+ * refuse generation once exceeded.
+ */
+class UsageLedgerService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.USAGE_LEDGER_PATH || path.join(__dirname, '../data/usage.jsonl');
+    this.dailyRollups = new Map();   // 'YYYY-MM-DD' -> totals
+    this.monthlyRollups = new Map(); // 'YYYY-MM' -> totals
+    this.recentEntries = [];
+    this.maxRecentEntries = 100;
+    this.writeChain = Promise.resolve();
+
+    // USD per 1M tokens; local/self-hosted models are free unless priced explicitly
+    this.priceTable = {
+      'gemini-2.0-flash-exp': { input: 0.10, output: 0.40 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+      'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+      'claude-3-opus-20240229': { input: 15.00, output: 75.00 },
+      'claude-3-sonnet-20240229': { input: 3.00, output: 15.00 },
+      'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+      ...this.parsePriceTable(process.env.AI_PRICE_TABLE)
+    };
+
+    this.budgets = {
+      dailyUsd: this.parseBudget(process.env.AI_BUDGET_DAILY_USD),
+      monthlyUsd: this.parseBudget(process.env.AI_BUDGET_MONTHLY_USD),
+      // failover: skip priced providers (e.g. fall back to local); refuse: fail generation
+      mode: process.env.AI_BUDGET_MODE === 'refuse' ? 'refuse' : 'failover'
+    };
+
+    this.ready = this.load();
+  }
+
+  parsePriceTable(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.error('Invalid AI_PRICE_TABLE, using default prices', { error: error.message });
+      return {};
+    }
+  }
+
+  parseBudget(value) {
+    const budget = parseFloat(value);
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+  }
+
+  async load() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const data = await fs.readFile(this.filePath, 'utf8');
+      let entries = 0;
+
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this.applyEntry(JSON.parse(line));
+          entries++;
+        } catch (err) {
+          // Skip partially written lines
+        }
+      }
+
+      logger.info('Usage ledger loaded', { filePath: this.filePath, entries });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load usage ledger', { filePath: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Record one AI call
+   * @param {Object} params - { provider, model, usage, sessionId, caller }
+   * @returns {Object} The ledger entry
+   */
+  record({ provider, model, usage = {}, sessionId = null, caller = 'unknown' }) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      provider,
+      model,
+      sessionId,
+      caller,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens || promptTokens + completionTokens,
+      cost: this.calculateCost(model, promptTokens, completionTokens)
+    };
+
+    this.applyEntry(entry);
+
+    this.ready
+      .then(() => this.enqueueWrite(() => fs.appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf8')))
+      .catch(error => {
+        logger.error('Failed to persist usage entry', { error: error.message });
+      });
+
+    logger.debug('AI usage recorded', entry);
+    return entry;
+  }
+
+  calculateCost(model, promptTokens, completionTokens) {
+    const price = this.priceTable[model];
+    if (!price) return 0;
+    const cost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  isPriced(model) {
+    const price = this.priceTable[model];
+    return !!price && ((price.input || 0) > 0 || (price.output || 0) > 0);
+  }
+
+  applyEntry(entry) {
+    const day = entry.timestamp.slice(0, 10);
+    const month = entry.timestamp.slice(0, 7);
+
+    this.addToRollup(this.dailyRollups, day, entry);
+    this.addToRollup(this.monthlyRollups, month, entry);
+
+    this.recentEntries.push(entry);
+    if (this.recentEntries.length > this.maxRecentEntries) {
+      this.recentEntries.shift();
+    }
+  }
+
+  addToRollup(rollups, key, entry) {
+    if (!rollups.has(key)) {
+      rollups.set(key, { period: key, ...this.emptyTotals(), byProvider: {}, byModel: {}, byCaller: {} });
+    }
+    const rollup = rollups.get(key);
+
+    this.addTotals(rollup, entry);
+    for (const [group, name] of [['byProvider', entry.provider], ['byModel', entry.model], ['byCaller', entry.caller]]) {
+      if (!rollup[group][name]) rollup[group][name] = this.emptyTotals();
+      this.addTotals(rollup[group][name], entry);
+    }
+  }
+
+  emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+  }
+
+  addTotals(totals, entry) {
+    totals.requests += 1;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.totalTokens += entry.totalTokens;
+    totals.cost = Math.round((totals.cost + entry.cost) * 1e6) / 1e6;
+  }
+
+  /**
+   * Budget state for the current day and month
+   */
+  getBudgetStatus(now = new Date()) {
+    const today = this.dailyRollups.get(now.toISOString().slice(0, 10));
+    const month = this.monthlyRollups.get(now.toISOString().slice(0, 7));
+    const dailySpent = today ? today.cost : 0;
+    const monthlySpent = month ? month.cost : 0;
+
+    let exceeded = null;
+    if (this.budgets.dailyUsd !== null && dailySpent >= this.budgets.dailyUsd) {
+      exceeded = `daily budget exceeded ($${dailySpent.toFixed(4)} of $${this.budgets.dailyUsd})`;
+    } else if (this.budgets.monthlyUsd !== null && monthlySpent >= this.budgets.monthlyUsd) {
+      exceeded = `monthly budget exceeded ($${monthlySpent.toFixed(4)} of $${this.budgets.monthlyUsd})`;
+    }
+
+    return {
+      ...this.budgets,
+      dailySpent,
+      monthlySpent,
+      exceeded
+    };
+  }
+
+  /**
+   * Reason a model may not be used under the current budget, or null
+   * Free (unpriced) models are always allowed.
+   */
+  checkBudget(model) {
+    if (!this.isPriced(model)) return null;
+    return this.getBudgetStatus().exceeded;
+  }
+
+  setBudgets({ dailyUsd, monthlyUsd, mode } = {}) {
+    if (dailyUsd !== undefined) this.budgets.dailyUsd = dailyUsd === null ? null : this.validateAmount(dailyUsd, 'dailyUsd');
+    if (monthlyUsd !== undefined) this.budgets.monthlyUsd = monthlyUsd === null ? null : this.validateAmount(monthlyUsd, 'monthlyUsd');
+    if (mode !== undefined) {
+      if (!['failover', 'refuse'].includes(mode)) {
+        throw new Error('Budget mode must be "failover" or "refuse"');
+      }
+      this.budgets.mode = mode;
+    }
+
+    logger.info('AI usage budgets updated', this.budgets);
+    return this.budgets;
+  }
+
+  /**
+   * Merge per-model prices (USD per 1M tokens)
+   * @param {Object} prices - { model: { input, output } }
+   */
+  setPrices(prices) {
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      throw new Error('Prices must be an object keyed by model');
+    }
+
+    for (const [model, price] of Object.entries(prices)) {
+      if (!price || typeof price !== 'object') {
+        throw new Error(`Invalid price for ${model}`);
+      }
+      this.priceTable[model] = {
+        input: this.validateAmount(price.input || 0, `${model}.input`),
+        output: this.validateAmount(price.output || 0, `${model}.output`)
+      };
+    }
+
+    logger.info('AI price table updated', { models: Object.keys(prices) });
+    return this.priceTable;
+  }
+
+  validateAmount(value, field) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+    return amount;
+  }
+
+  /**
+   * Usage summary for the admin dashboard
+   * @param {Object} options - { days, months } how many recent periods to include
+   */
+  async getUsage({ days = 30, months = 12 } = {}) {
+    await this.ready;
+
+    const now = new Date();
+    const recentPeriods = (rollups, count) => Array.from(rollups.values())
+      .sort((a, b) => b.period.localeCompare(a.period))
+      .slice(0, count);
+
+    return {
+      today: this.dailyRollups.get(now.toISOString().slice(0, 10)) || { period: now.toISOString().slice(0, 10), ...this.emptyTotals() },
+      thisMonth: this.monthlyRollups.get(now.toISOString().slice(0, 7)) || { period: now.toISOString().slice(0, 7), ...this.emptyTotals() },
+      daily: recentPeriods(this.dailyRollups, days),
+      monthly: recentPeriods(this.monthlyRollups, months),
+      budgets: this.getBudgetStatus(now),
+      priceTable: this.priceTable,
+      recent: this.recentEntries.slice(-20).reverse()
+    };
+  }
+
+  // Serialize file writes so appends never interleave
+  enqueueWrite(writeFn) {
+    const next = this.writeChain.then(writeFn);
+    this.writeChain = next.catch(() => {});
+    return next;
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new UsageLedgerService();
+    }
+    return instance;
+  },
+  UsageLedgerService
+};
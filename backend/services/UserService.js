@@ -0,0 +1,222 @@
+// services/UserService.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * UserService - Lightweight local user accounts
+ * Passwords are hashed with scrypt; sessions use opaque bearer tokens
+ * that are stored only as SHA-256 hashes.
+ */
+class UserService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.USER_STORE_PATH || path.join(__dirname, '../data/users.json');
+    const envDays = parseInt(process.env.USER_TOKEN_TTL_DAYS || '', 10);
+    this.tokenTtlMs = (Number.isFinite(envDays) && envDays > 0 ? envDays : 30) * 24 * 60 * 60 * 1000;
+    this.data = { users: [], tokens: [] };
+    this.writeChain = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(raw);
+      this.data = {
+        users: Array.isArray(parsed.users) ? parsed.users : [],
+        tokens: Array.isArray(parsed.tokens) ? parsed.tokens : []
+      };
+      logger.info('User store loaded', { users: this.data.users.length });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load user store', { filePath: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  // Writes are serialized so concurrent logins never race on the temp file
+  persist() {
+    const next = this.writeChain.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2), 'utf8');
+      await fs.rename(tmpPath, this.filePath);
+    });
+    this.writeChain = next.catch(error => {
+      logger.error('User store write failed', { filePath: this.filePath, error: error.message });
+    });
+    return next;
+  }
+
+  /**
+   * Create a new account and return it with a fresh token
+   */
+  async register(username, password) {
+    await this.ready;
+    const normalized = this.normalizeUsername(username);
+    this.assertUsernameAvailable(normalized);
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const passwordHash = await this.hashPassword(password, salt);
+    // Another registration may have taken the name while we were hashing
+    this.assertUsernameAvailable(normalized);
+
+    const user = {
+      id: `user_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      username: normalized,
+      passwordHash,
+      salt,
+      createdAt: new Date().toISOString()
+    };
+
+    this.data.users.push(user);
+    const token = this.issueToken(user.id);
+    await this.persist();
+
+    logger.info('User registered', { userId: user.id, username: user.username });
+    return { user: this.toPublicUser(user), ...token };
+  }
+
+  /**
+   * Verify credentials and return a fresh token
+   */
+  async login(username, password) {
+    await this.ready;
+    const user = this.data.users.find(u => u.username === this.normalizeUsername(username));
+
+    // Hash even when the user is unknown so timing doesn't reveal valid usernames
+    const salt = user ? user.salt : crypto.randomBytes(16).toString('hex');
+    const hash = await this.hashPassword(password, salt);
+
+    if (!user || !crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'))) {
+      logger.warn('Failed user login attempt', { username });
+      const error = new Error('Invalid username or password');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    this.pruneExpiredTokens();
+    const token = this.issueToken(user.id);
+    await this.persist();
+
+    logger.info('User logged in', { userId: user.id });
+    return { user: this.toPublicUser(user), ...token };
+  }
+
+  /**
+   * Resolve a bearer token to its user, or null if unknown/expired
+   */
+  async authenticate(token) {
+    await this.ready;
+    if (!token) return null;
+
+    const tokenHash = this.hashToken(token);
+    const record = this.data.tokens.find(t => t.tokenHash === tokenHash);
+    if (!record || record.expiresAt < Date.now()) return null;
+
+    const user = this.data.users.find(u => u.id === record.userId);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  async revokeToken(token) {
+    await this.ready;
+    const tokenHash = this.hashToken(token);
+    const before = this.data.tokens.length;
+    this.data.tokens = this.data.tokens.filter(t => t.tokenHash !== tokenHash);
+    if (this.data.tokens.length !== before) {
+      await this.persist();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Last location the user confirmed, for location-change prompts
+   * @returns {Promise<Object|null>} { latitude, longitude, confirmedAt }
+   */
+  async getLastLocation(userId) {
+    await this.ready;
+    const user = this.data.users.find(u => u.id === userId);
+    return (user && user.lastLocation) || null;
+  }
+
+  async setLastLocation(userId, latitude, longitude) {
+    await this.ready;
+    const user = this.data.users.find(u => u.id === userId);
+    if (!user) return false;
+
+    user.lastLocation = { latitude, longitude, confirmedAt: new Date().toISOString() };
+    await this.persist();
+    return true;
+  }
+
+  assertUsernameAvailable(normalized) {
+    if (this.data.users.some(u => u.username === normalized)) {
+      const error = new Error('Username already taken');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  issueToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.tokenTtlMs;
+    this.data.tokens.push({
+      tokenHash: this.hashToken(token),
+      userId,
+      createdAt: Date.now(),
+      expiresAt
+    });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  pruneExpiredTokens() {
+    const now = Date.now();
+    this.data.tokens = this.data.tokens.filter(t => t.expiresAt >= now);
+  }
+
+  hashPassword(password, salt) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(String(password), salt, 64, (err, derivedKey) => {
+        if (err) return reject(err);
+        resolve(derivedKey.toString('hex'));
+      });
+    });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      createdAt: user.createdAt
+    };
+  }
+
+  getStats() {
+    return {
+      users: this.data.users.length,
+      activeTokens: this.data.tokens.filter(t => t.expiresAt >= Date.now()).length
+    };
+  }
+}
+
+let instance = null;
+
+module.exports = {
+  getInstance: () => {
+    if (!instance) {
+      instance = new UserService();
+    }
+    return instance;
+  },
+  UserService
+};
@@ -1,6 +1,7 @@
 // services/WeatherService.js
 const axios = require('axios');
 const APIService = require('./APIService');
+const { getLocale, DEFAULT_LANGUAGE } = require('../locales');
 const logger = require('../utils/logger');
 
 class WeatherService {
@@ -11,8 +12,14 @@ class WeatherService {
     this.cacheDuration = 600000;
   }
 
-  async getWeather(latitude, longitude) {
-    const cacheKey = `${latitude.toFixed(2)}_${longitude.toFixed(2)}`;
+  /**
+   * Current weather with the description in the requested language
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {string} [language] - Locale code; OpenWeather's own descriptions are requested in it too
+   */
+  async getWeather(latitude, longitude, language = DEFAULT_LANGUAGE) {
+    const cacheKey = `${latitude.toFixed(2)}_${longitude.toFixed(2)}_${language}`;
     
     if (this.cache.has(cacheKey)) {
       const cached = this.cache.get(cacheKey);
@@ -35,7 +42,8 @@ class WeatherService {
               lat: latitude,
               lon: longitude,
               appid: this.apiKey,
-              units: 'metric'
+              units: 'metric',
+              lang: language
             },
             timeout: 10000
           });
@@ -44,7 +52,7 @@ class WeatherService {
         }
       );
 
-      const parsed = this.parseWeatherData(weatherData);
+      const parsed = this.parseWeatherData(weatherData, language);
       
       this.cache.set(cacheKey, {
         data: parsed,
@@ -65,11 +73,11 @@ class WeatherService {
         longitude 
       });
 
-      return this.getFallbackWeather();
+      return this.getFallbackWeather(language);
     }
   }
 
-  parseWeatherData(data) {
+  parseWeatherData(data, language = DEFAULT_LANGUAGE) {
     const condition = data.weather[0]?.main?.toLowerCase() || 'clear';
     const description = data.weather[0]?.description || 'pleasant conditions';
     const temperature = Math.round(data.main?.temp || 20);
@@ -79,7 +87,7 @@ class WeatherService {
 
     return {
       condition,
-      description: this.enrichDescription(condition, description),
+      description: this.enrichDescription(condition, description, language),
       temperature,
       humidity,
       windSpeed,
@@ -98,28 +106,17 @@ class WeatherService {
     };
   }
 
-  enrichDescription(condition, description) {
-    const enrichments = {
-      clear: 'The sky is clear and open, with unobstructed views above',
-      clouds: 'Clouds drift across the sky, ever-changing patterns of light and shadow',
-      rain: 'Rain falls steadily, each drop a small percussion in nature\'s rhythm',
-      drizzle: 'A gentle drizzle mists the air, soft and persistent',
-      thunderstorm: 'Thunder rolls in the distance, nature\'s grand percussion',
-      snow: 'Snow falls quietly, each flake a unique crystalline creation',
-      mist: 'Mist hangs in the air, softening the edges of the world',
-      fog: 'Fog blankets the landscape, creating an intimate, enclosed space',
-      wind: 'Wind moves through the air, invisible but powerfully present'
-    };
-
-    return enrichments[condition] || description;
+  enrichDescription(condition, description, language = DEFAULT_LANGUAGE) {
+    const enrichments = getLocale(language).weather;
+    return (condition !== 'unknown' && enrichments[condition]) || description;
   }
 
-  getFallbackWeather() {
+  getFallbackWeather(language = DEFAULT_LANGUAGE) {
     logger.info('Using fallback weather data');
     
     return {
       condition: 'unknown',
-      description: 'Current weather conditions',
+      description: getLocale(language).weather.unknown,
       temperature: 20,
       humidity: 50,
       windSpeed: 0,
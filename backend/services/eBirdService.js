@@ -38,7 +38,8 @@ class eBirdService {
       back = this.daysBack,
       maxResults = this.maxResults,
       includeProvisional = false,
-      hotspot = false
+      hotspot = false,
+      throwOnError = false // Reject when the request fails rather than return [] (for circuit breakers)
     } = options;
 
     const cacheKey = this.generateCacheKey(latitude, longitude, radius, back);
@@ -104,6 +105,7 @@ class eBirdService {
         latitude,
         longitude
       });
+      if (throwOnError) throw error;
       return [];
     }
   }
@@ -0,0 +1,35 @@
+// Test script for seasonal (phenology) weighting - queries GBIF
+const { PhenologyService } = require('./services/PhenologyService');
+
+const phenology = new PhenologyService({ persist: false });
+
+// A summer migrant, a year-round resident and a hibernating reptile
+const location = { name: 'New York, NY', lat: 40.7128, lng: -74.0060 };
+const species = ['Hirundo rustica', 'Cardinalis cardinalis', 'Chrysemys picta'];
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+(async () => {
+  console.log(`=== PHENOLOGY TEST: ${location.name} ===\n`);
+
+  await phenology.prepare(location.lat, location.lng, species.map(scientificName => ({ scientificName })));
+
+  for (const scientificName of species) {
+    const histogram = phenology.getHistogram(location.lat, location.lng, scientificName);
+    console.log(scientificName);
+    if (!histogram) {
+      console.log('  No histogram (lookup failed)\n');
+      continue;
+    }
+    console.log(`  Occurrences by month: ${histogram.months.map((count, i) => `${months[i]} ${count}`).join(', ')}`);
+    const presence = months.map((month, i) => {
+      const { presence: value } = phenology.assess(location.lat, location.lng, { scientificName }, new Date(Date.UTC(2025, i, 15)));
+      return `${month} ${Math.round(value * 100)}%`;
+    });
+    console.log(`  Presence mid-month: ${presence.join(', ')}`);
+    console.log(`  This week: ${JSON.stringify(phenology.assess(location.lat, location.lng, { scientificName }))}\n`);
+  }
+
+  const { store, ...stats } = phenology.getStats();
+  console.log(stats);
+  console.log('\n=== TEST COMPLETE ===');
+})();
@@ -0,0 +1,37 @@
+// Test script for coordinate-to-timezone resolution
+const moment = require('moment-timezone');
+const { getInstance: getTimezoneService } = require('./services/TimezoneService');
+const LunarService = require('./services/LunarService');
+
+const timezoneService = getTimezoneService();
+const lunarService = new LunarService();
+
+const places = [
+  { name: 'Austin, Texas', lat: 30.2672, lng: -97.7431 },
+  { name: 'Phoenix, Arizona', lat: 33.4484, lng: -112.0740 },
+  { name: 'Indianapolis, Indiana', lat: 39.7684, lng: -86.1581 },
+  { name: 'London, England', lat: 51.5074, lng: -0.1278 },
+  { name: 'Kathmandu, Nepal', lat: 27.7172, lng: 85.3240 },
+  { name: 'Canberra, Australia', lat: -35.2809, lng: 149.1300 },
+  { name: 'Mid-Pacific', lat: 0, lng: -150 }
+];
+
+timezoneService.ready.then(() => {
+  console.log('=== TIMEZONE RESOLUTION TEST ===\n');
+
+  const now = new Date();
+  places.forEach(place => {
+    const { timezone, source, distanceKm } = timezoneService.lookup(place.lat, place.lng);
+    const moonTimes = lunarService.getMoonTimes(place.lat, place.lng, now, timezone);
+    const local = time => (time ? moment.tz(time, timezone).format('HH:mm') : 'none');
+
+    console.log(`${place.name} (${place.lat}, ${place.lng}):`);
+    console.log(`  Timezone: ${timezone} (${source}${distanceKm !== undefined ? `, ${distanceKm} km` : ''})`);
+    console.log(`  Local time: ${moment.tz(now, timezone).format('YYYY-MM-DD HH:mm Z')}`);
+    console.log(`  Moonrise: ${local(moonTimes.rise)}, moonset: ${local(moonTimes.set)}`);
+    console.log('');
+  });
+
+  console.log(timezoneService.getStats());
+  console.log('\n=== TEST COMPLETE ===');
+});
@@ -0,0 +1,119 @@
+// tests/test-audio-storage.js
+// Manual test for the audio asset store: publishing, hash dedup, serving
+// /audio through the asset layer (which counts as use) and the retention sweeper.
+// Uses a temporary local directory by default. To run against an
+// S3-compatible store, start a MinIO stand-in and create a bucket:
+//   docker run -p 9000:9000 -e MINIO_ROOT_USER=minio -e MINIO_ROOT_PASSWORD=minio123 minio/minio server /data
+//   AUDIO_STORAGE=s3 AUDIO_S3_ENDPOINT=http://localhost:9000 AUDIO_S3_BUCKET=momentus-test \
+//   AUDIO_S3_ACCESS_KEY_ID=minio AUDIO_S3_SECRET_ACCESS_KEY=minio123 node tests/test-audio-storage.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { AudioAssetService } = require('../services/AudioAssetService');
+const { createAudioStorage } = require('../services/AudioStorage');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'momentus-audio-'));
+const workDir = path.join(tempDir, 'audio');
+const HOUR = 60 * 60 * 1000;
+
+async function testAudioStorage() {
+  const type = process.env.AUDIO_STORAGE || 'local';
+  console.log(`🗄️  Testing audio asset storage (${type})\n`);
+
+  fs.mkdirSync(workDir, { recursive: true });
+  const storage = createAudioStorage(type, { root: workDir, prefix: `test-${Date.now()}/` });
+  const assets = new AudioAssetService({ workDir, storage, indexPath: path.join(tempDir, 'audio-assets.json'), touchWriteDelayMs: 100 });
+  await assets.ready;
+
+  console.log('1. Publish and look up by content hash');
+  const hash = assets.hashScript({ engine: 'local', input: 'Breathe in', voice: 'en-GB-Standard-B' });
+  const narrationKey = `meditation_${hash.slice(0, 16)}.wav`;
+  fs.writeFileSync(path.join(workDir, narrationKey), Buffer.from('RIFF narration'));
+  await assets.publish(narrationKey, { type: 'narration', hash, meta: { duration: 2 } });
+  const found = await assets.findByHash(hash);
+  console.log('   Found:', found && { key: found.key, type: found.type, meta: found.meta });
+  if (!found || found.key !== narrationKey) throw new Error('Expected the published narration');
+  if (await assets.findByHash(assets.hashScript({ input: 'Something else' }))) throw new Error('Unexpected hash match');
+
+  console.log('\n2. Checkout restores a missing working copy');
+  if (!assets.storesInWorkDir()) {
+    fs.unlinkSync(path.join(workDir, narrationKey));
+  }
+  const checkedOut = await assets.checkout(found);
+  console.log('   Working copy:', path.basename(checkedOut), fs.readFileSync(checkedOut, 'utf8'));
+  if (fs.readFileSync(checkedOut, 'utf8') !== 'RIFF narration') throw new Error('Working copy has the wrong content');
+
+  console.log('\n3. /audio is served through the asset layer');
+  const app = express();
+  app.use('/audio', assets.middleware());
+  found.lastUsedAt -= 2 * HOUR;
+  const staleIndex = fs.readFileSync(assets.indexPath, 'utf8');
+  const served = await request(app).get(`/audio/${narrationKey}`);
+  await request(app).get(`/audio/${narrationKey}`);
+  console.log('   GET:', served.status, served.headers.location ? 'redirect' : served.headers['content-type']);
+  if (served.status !== 200) throw new Error(`Unexpected status ${served.status}`);
+  console.log('   Last used:', Math.round((Date.now() - found.lastUsedAt) / 1000), 's ago');
+  if (Date.now() - found.lastUsedAt > 60 * 1000) throw new Error('Serving should mark the asset as used');
+  if (fs.readFileSync(assets.indexPath, 'utf8') !== staleIndex) throw new Error('Expected the index write to be deferred');
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await assets.writeChain;
+  const indexed = JSON.parse(fs.readFileSync(assets.indexPath, 'utf8')).assets.find(asset => asset.key === narrationKey);
+  if (Date.now() - indexed.lastUsedAt > 60 * 1000) throw new Error('Expected the use to reach the index');
+  if (!assets.storesInWorkDir()) {
+    // Without a working copy, remote assets redirect to the storage
+    fs.unlinkSync(checkedOut);
+    const redirected = await request(app).get(`/audio/${narrationKey}`);
+    console.log('   GET without working copy:', redirected.status, redirected.headers.location.split('?')[0]);
+    if (redirected.status !== 302) throw new Error(`Expected a redirect, got ${redirected.status}`);
+  }
+  const traversal = await request(app).get('/audio/..%2Fsecret.txt');
+  const missing = await request(app).get('/audio/nothing-here.mp3');
+  console.log('   Traversal:', traversal.status, 'Missing:', missing.status);
+  if (traversal.status !== 404 || missing.status !== 404) throw new Error('Expected 404s');
+
+  console.log('\n4. Sweeper applies retention per asset type');
+  const testKey = 'tts-test_local_1.wav';
+  const captionKey = 'session_1_ambient.vtt';
+  fs.writeFileSync(path.join(workDir, testKey), 'test clip');
+  fs.writeFileSync(path.join(workDir, captionKey), 'WEBVTT');
+  await assets.publish(testKey, { type: 'test' });
+  await assets.publish(captionKey, { type: 'captions' });
+  // Age everything by two hours: past the test retention, well within the others
+  for (const asset of assets.assets.values()) asset.lastUsedAt -= 2 * HOUR;
+  // A stray mock script nobody indexed, from two days ago
+  const strayKey = 'meditation_old.txt';
+  fs.writeFileSync(path.join(workDir, strayKey), 'mock script');
+  if (assets.storesInWorkDir()) {
+    const twoDaysAgo = new Date(Date.now() - 48 * HOUR);
+    fs.utimesSync(path.join(workDir, strayKey), twoDaysAgo, twoDaysAgo);
+  }
+
+  const result = await assets.sweep();
+  const remaining = Array.from(assets.assets.keys()).sort();
+  console.log('   Sweep:', result, 'Remaining:', remaining);
+  if (assets.assets.has(testKey)) throw new Error('Expected the test clip to expire');
+  if (!assets.assets.has(captionKey) || !assets.assets.has(narrationKey)) throw new Error('Expected captions and narration to be kept');
+  if (assets.storesInWorkDir() && fs.existsSync(path.join(workDir, strayKey))) throw new Error('Expected the stray script to be swept');
+  if (await storage.stat(testKey)) throw new Error('Expected the test clip to be deleted from storage');
+
+  console.log('\n5. Index survives a restart');
+  await assets.persist();
+  const reloaded = new AudioAssetService({ workDir, storage, indexPath: assets.indexPath });
+  await reloaded.ready;
+  console.log('   Reloaded assets:', reloaded.assets.size);
+  if (reloaded.assets.size !== assets.assets.size) throw new Error('Index was not persisted');
+
+  // Leave nothing behind in a remote bucket
+  for (const key of assets.assets.keys()) await storage.delete(key);
+
+  console.log('\n✅ Audio storage tests passed');
+}
+
+testAudioStorage()
+  .catch(error => {
+    console.error('\n❌ Audio storage test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
@@ -0,0 +1,166 @@
+// tests/test-breath-pacer.js
+// Offline test for the paced-breathing track.
+// Checks preference validation and option defaults, the breath schedule with
+// and without a slowdown from a starting rate, then renders short tone and
+// chime tracks into a temp directory and measures where the sound falls.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseWav, pcmSamples } = require('../utils/wav');
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'momentus-pacer-'));
+const RATE = 8000;
+
+process.env.BREATH_PACER_SETTINGS = JSON.stringify({ sampleRate: RATE });
+process.env.AUDIO_ASSET_INDEX_PATH = path.join(outputDir, 'audio-assets.json');
+delete process.env.BREATH_PACER_ENABLED;
+
+// Peak level between two times
+function peak(samples, from, to) {
+  let max = 0;
+  for (let frame = Math.round(from * RATE); frame < Math.round(to * RATE); frame++) max = Math.max(max, Math.abs(samples[frame]));
+  return max;
+}
+
+function readTrack(filepath) {
+  const buffer = fs.readFileSync(filepath);
+  const wav = parseWav(buffer);
+  return { wav, samples: pcmSamples(buffer, wav) };
+}
+
+async function testBreathPacer() {
+  console.log('🫁 Testing breath pacer\n');
+
+  const { BreathPacerService } = require('../services/BreathPacerService');
+  const service = new BreathPacerService();
+
+  console.log('1. Validation');
+  const validations = [
+    [undefined, 0],
+    [true, 0],
+    [false, 0],
+    [{ targetBpm: 5.5, startBpm: 14, rampSeconds: 120, inhaleRatio: 0.35, style: 'chime' }, 0],
+    [{ startBpm: null }, 0],
+    [null, 1],
+    [[6], 1],
+    ['slow', 1],
+    [{ targetBpm: 2 }, 1],
+    [{ targetBpm: '6' }, 1],
+    [{ inhaleRatio: 0.9, rampSeconds: -1 }, 2],
+    [{ style: 'gong' }, 1]
+  ];
+  for (const [preference, count] of validations) {
+    const errors = service.validate(preference);
+    console.log(`   ${JSON.stringify(preference)}: ${errors.length ? errors.join('; ') : 'ok'}`);
+    if (errors.length !== count) throw new Error(`Expected ${count} problems with ${JSON.stringify(preference)}`);
+  }
+
+  console.log('\n2. Options');
+  if (service.resolveOptions(false) !== null || service.resolveOptions(undefined) !== null) {
+    throw new Error('No pacer unless asked for');
+  }
+  const steady = service.resolveOptions(true);
+  const ramped = service.resolveOptions({ startBpm: 12, rampSeconds: 60, style: 'chime' });
+  const noRamp = service.resolveOptions({ startBpm: 6, rampSeconds: 60 });
+  console.log('   true:', JSON.stringify(steady));
+  console.log('   from 12 bpm:', JSON.stringify(ramped));
+  if (steady.startBpm !== steady.targetBpm || steady.rampSeconds !== 0 || steady.style !== 'tones') {
+    throw new Error('Without a starting rate the pace should hold at the target');
+  }
+  if (ramped.startBpm !== 12 || ramped.targetBpm !== 6 || ramped.rampSeconds !== 60 || ramped.style !== 'chime') {
+    throw new Error('Preferences should override the defaults');
+  }
+  if (noRamp.rampSeconds !== 0) throw new Error('Starting at the target needs no ramp');
+  service.enabled = false;
+  if (service.resolveOptions(true) !== null) throw new Error('No pacer when disabled');
+  service.enabled = true;
+
+  console.log('\n3. Schedules');
+  const breaths = service.schedule(steady, 60);
+  console.log(`   6 bpm over 60 s: ${breaths.length} breaths at ${breaths.map(b => b.start).join(', ')}`);
+  if (breaths.length !== 6 || breaths.some((b, i) => b.start !== i * 10 || b.inhale !== 4 || b.exhale !== 6 || b.bpm !== 6)) {
+    throw new Error('Expected six 10 s breaths, 4 s in and 6 s out');
+  }
+  // The last breath may run up to half a second past the end, no more
+  if (service.schedule(steady, 69.6).length !== 7 || service.schedule(steady, 69.4).length !== 6) {
+    throw new Error('A breath cut off by the end of the audio should be dropped');
+  }
+
+  const slowing = service.schedule(ramped, 180);
+  const afterRamp = slowing.filter(b => b.start >= ramped.rampSeconds);
+  console.log(`   12 -> 6 bpm over 60 s: ${slowing.length} breaths, rates ${slowing.slice(0, 8).map(b => b.bpm).join(', ')}...`);
+  if (slowing[0].bpm !== 12 || slowing[0].inhale + slowing[0].exhale !== 5) throw new Error('Should start at the starting rate');
+  if (slowing.some((b, i) => i > 0 && b.bpm > slowing[i - 1].bpm)) throw new Error('The pace should only slow down');
+  if (afterRamp.length === 0 || afterRamp.some(b => b.bpm !== 6)) throw new Error('The pace should hold at the target after the ramp');
+  for (let i = 1; i < slowing.length; i++) {
+    const previous = slowing[i - 1];
+    if (Math.abs(previous.start + previous.inhale + previous.exhale - slowing[i].start) > 0.002) {
+      throw new Error('Each breath should start as the last one ends');
+    }
+  }
+
+  console.log('\n4. Tone track');
+  const tonePath = path.join(outputDir, 'tones.wav');
+  await service.renderTrack(tonePath, breaths, 'tones', 60, null);
+  const tones = readTrack(tonePath);
+  const ceiling = service.sound.gain * 32767;
+  const levels = {
+    breathStart: peak(tones.samples, 10, 10.05),
+    midInhale: peak(tones.samples, 11.9, 12.1),
+    turn: peak(tones.samples, 13.98, 14.02),
+    midExhale: peak(tones.samples, 16.9, 17.1)
+  };
+  console.log(`   ${tones.wav.frames / RATE} s mono; peaks ${JSON.stringify(levels)} (ceiling ${Math.round(ceiling)})`);
+  if (tones.wav.channels !== 1 || tones.wav.frames !== 60 * RATE) throw new Error('Track should be mono and as long as the session');
+  if (levels.midInhale < ceiling * 0.8 || levels.midInhale > ceiling) throw new Error('Inhale should swell to the track level');
+  if (levels.midExhale > levels.midInhale * 0.8 || levels.midExhale < ceiling * 0.5) throw new Error('Exhale should be softer than the inhale');
+  if (levels.breathStart > ceiling * 0.05 || levels.turn > ceiling * 0.05) throw new Error('Tone should fade out at each turn of the breath');
+
+  console.log('\n5. Chime track and timing file');
+  service.audioDir = outputDir;
+  const published = [];
+  service.audioAssets = { publishAll: async (files, options) => published.push({ files, options }) };
+  const chimeOptions = { ...steady, style: 'chime' };
+  const result = await service.createTrack({ duration: 30 }, chimeOptions, { name: 'session' });
+  console.log('   Result:', JSON.stringify(result));
+  if (result.track !== '/audio/session.pacer.wav' || result.timing !== '/audio/session.pacer.json' || result.breaths !== 3) {
+    throw new Error('Unexpected pacer track');
+  }
+  if (published.length !== 1 || published[0].files.length !== 2 || published[0].options.type !== 'pacer') {
+    throw new Error('Both pacer files should be published');
+  }
+  const timing = JSON.parse(fs.readFileSync(path.join(outputDir, 'session.pacer.json'), 'utf8'));
+  if (JSON.stringify(timing.breaths) !== JSON.stringify(service.schedule(chimeOptions, 30)) || timing.style !== 'chime') {
+    throw new Error('Timing file should hold the schedule');
+  }
+
+  const chimes = readTrack(path.join(outputDir, 'session.pacer.wav'));
+  const strikes = {
+    beforeInhale: peak(chimes.samples, 9.95, 9.999),
+    inhale: peak(chimes.samples, 10, 10.05),
+    beforeExhale: peak(chimes.samples, 13.95, 13.999),
+    exhale: peak(chimes.samples, 14, 14.05)
+  };
+  console.log('   Chime peaks:', JSON.stringify(strikes));
+  if (strikes.inhale < strikes.beforeInhale * 2 || strikes.exhale < strikes.beforeExhale * 2) {
+    throw new Error('A chime should strike at each inhale and exhale');
+  }
+
+  const controller = new AbortController();
+  controller.abort(new Error('cancelled'));
+  const cancelledPath = path.join(outputDir, 'cancelled.wav');
+  const error = await service.renderTrack(cancelledPath, breaths, 'tones', 60, controller.signal).then(() => null, e => e);
+  console.log('   Aborted render:', error && error.message);
+  if (!error || error.message !== 'cancelled' || fs.existsSync(cancelledPath)) {
+    throw new Error('Aborted renders should reject and leave no file');
+  }
+
+  console.log('\n✅ Breath pacer tests passed');
+}
+
+testBreathPacer().catch(error => {
+  console.error('\n❌ Breath pacer test failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => {
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
@@ -0,0 +1,82 @@
+// tests/test-ecoregions.js
+// Manual test for ecoregion lookups against the bundled dataset
+// (ecoregions/ecoregions.geojson.gz, or ECOREGION_DATA_PATH). Checks the realm
+// and biome of well-known places on every inhabited continent, so a missing or
+// truncated dataset (which falls back to the North American approximation and
+// "Unknown" everywhere else) fails here rather than in the prompts. The
+// approximation itself is checked first, since it is what runs without the dataset.
+// Build the dataset first: see ecoregions/README.md.
+const { EcoregionService } = require('../services/EcoregionService');
+
+// Realm and biome hold for both RESOLVE 2017 and WWF; biome null = not checked
+const places = [
+  { name: 'New York', latitude: 40.7128, longitude: -74.0060, realm: 'Nearctic', biome: 'Temperate Broadleaf & Mixed Forests' },
+  { name: 'Fresno', latitude: 36.7378, longitude: -119.7871, realm: 'Nearctic', biome: null },
+  { name: 'Manaus', latitude: -3.1190, longitude: -60.0217, realm: 'Neotropic', biome: 'Tropical & Subtropical Moist Broadleaf Forests' },
+  { name: 'Madrid', latitude: 40.4168, longitude: -3.7038, realm: 'Palearctic', biome: 'Mediterranean Forests, Woodlands & Scrub' },
+  { name: 'Moscow', latitude: 55.7558, longitude: 37.6173, realm: 'Palearctic', biome: 'Temperate Broadleaf & Mixed Forests' },
+  { name: 'Central Sahara', latitude: 27.2, longitude: 2.47, realm: 'Palearctic', biome: 'Deserts & Xeric Shrublands' },
+  { name: 'Nairobi', latitude: -1.2921, longitude: 36.8219, realm: 'Afrotropic', biome: null },
+  { name: 'Delhi', latitude: 28.6139, longitude: 77.2090, realm: 'Indomalayan', biome: null },
+  { name: 'Sydney', latitude: -33.8688, longitude: 151.2093, realm: 'Australasia', biome: 'Temperate Broadleaf & Mixed Forests' }
+];
+
+// The North American approximation, for places near its region boundaries
+const approximations = [
+  { name: 'Fresno', latitude: 36.7378, longitude: -119.7871, region: 'Central California Valley' },
+  { name: 'Sacramento', latitude: 38.5816, longitude: -121.4944, region: 'Central California Valley' },
+  { name: 'Bakersfield', latitude: 35.3733, longitude: -119.0187, region: 'Central California Valley' },
+  { name: 'Yosemite Valley', latitude: 37.7456, longitude: -119.5936, region: 'Sierra Nevada' },
+  { name: 'Lake Tahoe', latitude: 39.0968, longitude: -120.0324, region: 'Sierra Nevada' },
+  { name: 'Monterey', latitude: 36.6002, longitude: -121.8947, region: 'Central California Foothills' },
+  { name: 'Los Angeles', latitude: 34.0522, longitude: -118.2437, region: 'Southern California Mountains' },
+  { name: 'Dallas', latitude: 32.7767, longitude: -96.7970, region: 'Texas Blackland Prairies' },
+  { name: 'New York', latitude: 40.7128, longitude: -74.0060, region: 'Mixed Wood Plains' }
+];
+
+async function testEcoregions() {
+  console.log('🌍 Testing ecoregion lookups\n');
+
+  const ecoregions = new EcoregionService();
+  await ecoregions.ready;
+
+  console.log('Approximation without the dataset:');
+  const wrong = approximations.filter(place => {
+    const result = ecoregions.approximate(place.latitude, place.longitude);
+    console.log(`  ${place.name}: ${result.name}`);
+    return result.name !== place.region;
+  });
+  if (wrong.length > 0) {
+    throw new Error(`Approximation misplaced ${wrong.map(place => `${place.name} (expected ${place.region})`).join(', ')}`);
+  }
+  console.log('');
+
+  const stats = ecoregions.getStats();
+  console.log('Dataset:', stats.dataset, `(${stats.ecoregions} ecoregions from ${stats.dataPath})\n`);
+  if (stats.ecoregions === 0) {
+    throw new Error(`No ecoregion dataset at ${stats.dataPath}; build it as described in ecoregions/README.md`);
+  }
+
+  const failures = [];
+  for (const place of places) {
+    const result = ecoregions.lookup(place.latitude, place.longitude);
+    console.log(`${place.name}: ${result.name} (${result.biome}, ${result.realm})${result.distanceKm ? `, snapped ${result.distanceKm} km` : ''}`);
+    if (result.approximate || result.code === '00') {
+      failures.push(`${place.name} did not resolve to a polygon`);
+    } else if (result.realm !== place.realm || (place.biome && result.biome !== place.biome)) {
+      failures.push(`${place.name}: expected ${place.biome || 'any biome'}, ${place.realm}`);
+    }
+  }
+
+  const ocean = ecoregions.lookup(0, -140);
+  console.log(`Mid-Pacific: ${ocean.name}`);
+  if (ocean.code !== '00') failures.push('Mid-Pacific should not be in an ecoregion');
+
+  if (failures.length > 0) throw new Error(failures.join('; '));
+  console.log('\n✅ Ecoregion tests passed');
+}
+
+testEcoregions().catch(error => {
+  console.error('\n❌ Ecoregion test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,213 @@
+// tests/test-entrainment-tones.js
+// Offline test for binaural and isochronic tones under narration.
+// Checks the beat frequency programs keyframe by keyframe, then renders tones
+// under a synthetic voice WAV and measures the result: the beat heard between
+// the ears (or the pulse rate) follows the program, frequency ramps don't
+// click, and the voice starts exactly leadSeconds in.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWavHeader, parseWav, pcmSamples } = require('../utils/wav');
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'momentus-entrainment-'));
+const RATE = 8000;
+
+const SETTINGS = { leadSeconds: 3, tailSeconds: 1, fadeInSeconds: 0.25, fadeOutSeconds: 0.25 };
+process.env.ENTRAINMENT_TONE_SETTINGS = JSON.stringify(SETTINGS);
+process.env.AUDIO_ASSET_INDEX_PATH = path.join(outputDir, 'audio-assets.json');
+delete process.env.ENTRAINMENT_TONES_ENABLED;
+delete process.env.ENTRAINMENT_TONE_MODE;
+delete process.env.ENTRAINMENT_OUTPUT_FORMAT;
+
+const NEAR = 0.001;
+
+function check(label, actual, expected) {
+  console.log(`   ${label}: ${actual} (expected ${expected})`);
+  if (Math.abs(actual - expected) > NEAR) throw new Error(`${label} was ${actual}, expected ${expected}`);
+}
+
+// Two seconds of 8 kHz mono "voice": a steady level for half a second, then silence
+const VOICE_LEVEL = 8000;
+function voiceWav() {
+  const frames = RATE * 2;
+  const buffer = Buffer.alloc(44 + frames * 2);
+  createWavHeader({ sampleRate: RATE, channels: 1, dataLength: frames * 2 }).copy(buffer, 0);
+  for (let frame = 0; frame < RATE / 2; frame++) buffer.writeInt16LE(VOICE_LEVEL, 44 + frame * 2);
+  return buffer;
+}
+
+function readChannels(filepath) {
+  const buffer = fs.readFileSync(filepath);
+  const wav = parseWav(buffer);
+  const samples = pcmSamples(buffer, wav);
+  const channels = Array.from({ length: wav.channels }, (_, c) =>
+    Int16Array.from({ length: wav.frames }, (__, frame) => samples[frame * wav.channels + c]));
+  return { wav, channels };
+}
+
+// Upward zero crossings between two times, i.e. cycles of the carrier
+function cycles(samples, from, to) {
+  let count = 0;
+  for (let frame = Math.round(from * RATE) + 1; frame < Math.round(to * RATE); frame++) {
+    if (samples[frame - 1] < 0 && samples[frame] >= 0) count++;
+  }
+  return count;
+}
+
+// Gate openings between two times, from the peak level of each 5 ms slice
+function pulses(samples, from, to) {
+  const slice = RATE / 200;
+  const peak = Math.max(...samples.slice(Math.round(from * RATE), Math.round(to * RATE)).map(Math.abs));
+  let count = 0;
+  let open = false;
+  for (let start = Math.round(from * RATE); start + slice <= Math.round(to * RATE); start += slice) {
+    const level = Math.max(...samples.slice(start, start + slice).map(Math.abs));
+    if (!open && level > peak / 2) count++;
+    open = level > peak / 2;
+  }
+  return count;
+}
+
+const mean = (samples, from, to) => {
+  const window = samples.slice(Math.round(from * RATE), Math.round(to * RATE));
+  return window.reduce((sum, sample) => sum + sample, 0) / window.length;
+};
+
+async function testEntrainmentTones() {
+  console.log('🎧 Testing entrainment tones\n');
+
+  const { EntrainmentToneService } = require('../services/EntrainmentToneService');
+  const service = new EntrainmentToneService();
+
+  console.log('1. Modes');
+  const modes = [[undefined, 'binaural'], ['isochronic', 'isochronic'], ['none', null], ['bogus', 'binaural']];
+  for (const [mode, expected] of modes) {
+    if (service.resolveMode(mode) !== expected) throw new Error(`Mode ${mode} should resolve to ${expected}`);
+  }
+  service.enabled = false;
+  if (service.resolveMode('binaural') !== null) throw new Error('No tones when disabled');
+  service.enabled = true;
+  console.log('   unset -> binaural, none -> off, unknown -> binaural');
+
+  console.log('\n2. Beat frequency programs');
+  const { gentle, moderate, deep } = service.programs;
+  check('Moderate at the start', service.beatFrequencyAt(moderate, 0), 10);
+  check('Moderate still settling', service.beatFrequencyAt(moderate, 0.1), 10);
+  check('Moderate halfway down to theta', service.beatFrequencyAt(moderate, 0.275), 8);
+  check('Moderate in theta', service.beatFrequencyAt(moderate, 0.6), 6);
+  check('Moderate coming back up', service.beatFrequencyAt(moderate, 0.9), 8);
+  check('Gentle at its lowest', service.beatFrequencyAt(gentle, 0.5), 8.5);
+  check('Deep between theta and delta', service.beatFrequencyAt(deep, 0.4), 4.25);
+  check('Deep in delta', service.beatFrequencyAt(deep, 0.6), 2.5);
+  check('Deep at the end', service.beatFrequencyAt(deep, 1), 8.5);
+  check('Past the end', service.beatFrequencyAt(deep, 1.2), 8.5);
+  if (service.getProgram('extreme') !== moderate) throw new Error('Unknown intensities should use the moderate program');
+
+  const bandEdges = [[0.2, 'delta'], [3.99, 'delta'], [4, 'theta'], [8, 'alpha'], [13, 'alpha']];
+  for (const [hz, band] of bandEdges) {
+    if (service.bandFor(hz) !== band) throw new Error(`${hz} Hz should be ${band}`);
+  }
+
+  // Which bands each program passes through; all start and finish in alpha
+  const expectedBands = { gentle: ['alpha'], moderate: ['alpha', 'theta'], deep: ['alpha', 'delta', 'theta'] };
+  for (const [intensity, bands] of Object.entries(expectedBands)) {
+    const program = service.getProgram(intensity);
+    const visited = new Set();
+    for (let step = 0; step <= 100; step++) visited.add(service.bandFor(service.beatFrequencyAt(program, step / 100)));
+    console.log(`   ${intensity}: ${[...visited].join(' -> ')}`);
+    if ([...visited].sort().join() !== bands.join()) throw new Error(`${intensity} should pass through ${bands.join(', ')}`);
+    if (service.bandFor(program[0].hz) !== 'alpha' || service.bandFor(program[program.length - 1].hz) !== 'alpha') {
+      throw new Error(`${intensity} should start and finish in alpha`);
+    }
+  }
+  const described = service.describeProgram('deep', 600);
+  console.log('   Deep over 10 minutes:', described.map(({ at, hz, band }) => `${at}s ${hz}Hz ${band}`).join(', '));
+  if (described[2].at !== 180 || described[3].band !== 'delta' || described.length !== deep.length) {
+    throw new Error('describeProgram should lay the keyframes out in seconds');
+  }
+
+  const voice = voiceWav();
+  const leadFrames = SETTINGS.leadSeconds * RATE;
+  const voiceEnd = leadFrames + RATE * 2;
+
+  console.log('\n3. Binaural mix over a 20 second session');
+  const binauralPath = path.join(outputDir, 'binaural.wav');
+  const binaural = await service.renderMix(voice, binauralPath, { mode: 'binaural', intensity: 'moderate', durationSeconds: 20 });
+  const { wav, channels: [left, right] } = readChannels(binauralPath);
+  console.log(`   ${binaural.duration} s, ${wav.channels} channels`);
+  if (binaural.duration !== 20 || wav.frames !== 20 * RATE || wav.channels !== 2) {
+    throw new Error('Binaural mix should be stereo and last the session');
+  }
+
+  // Moderate holds 10 Hz for the first 3 s and 6 Hz from 8 s to 16 s
+  const beats = [[0.3, 2.9, 10], [8.5, 15.5, 6]];
+  for (const [from, to, beat] of beats) {
+    const heard = (cycles(right, from, to) - cycles(left, from, to)) / (to - from);
+    console.log(`   ${from}-${to} s: ${heard.toFixed(2)} Hz between the ears (program ${beat} Hz)`);
+    if (Math.abs(heard - beat) > 1) throw new Error(`Expected a ${beat} Hz beat`);
+  }
+
+  // A 205 Hz sine at this level moves at most ~630 per sample; a phase jump would be far more
+  let largestStep = 0;
+  for (const samples of [left, right]) {
+    for (let frame = 1; frame < samples.length; frame++) {
+      if (frame >= leadFrames && frame <= voiceEnd) continue;
+      largestStep = Math.max(largestStep, Math.abs(samples[frame] - samples[frame - 1]));
+    }
+  }
+  console.log('   Largest step outside the voice:', largestStep);
+  if (largestStep > 700) throw new Error('Tones should glide between frequencies without clicks');
+  if (left[0] !== 0 || Math.abs(left[left.length - 1]) > 50) throw new Error('Tones should fade in and out');
+
+  const voiceLevels = [mean(left, 2.5, 3), mean(left, 3, 3.5), mean(right, 3, 3.5), mean(left, 3.5, 4)].map(Math.round);
+  console.log('   Mean level before, during (L, R) and after the voice:', voiceLevels.join(', '));
+  if (Math.abs(voiceLevels[0]) > 50 || Math.abs(voiceLevels[3]) > 50 ||
+      Math.abs(voiceLevels[1] - VOICE_LEVEL) > 50 || Math.abs(voiceLevels[2] - VOICE_LEVEL) > 50) {
+    throw new Error('Voice should start leadSeconds in, in both ears');
+  }
+
+  console.log('\n4. Isochronic mix, shorter than the voice plus lead and tail');
+  const isochronicPath = path.join(outputDir, 'isochronic.wav');
+  const isochronic = await service.renderMix(voice, isochronicPath, { mode: 'isochronic', intensity: 'moderate', durationSeconds: 1 });
+  const { wav: isoWav, channels: [mono] } = readChannels(isochronicPath);
+  console.log(`   ${isochronic.duration} s, ${isoWav.channels} channel`);
+  if (isochronic.duration !== 6 || isoWav.channels !== 1) throw new Error('Mix should cover lead, voice and tail in the voice\'s layout');
+  const pulseRate = pulses(mono, 0.3, 0.9) / 0.6;
+  console.log(`   ${pulseRate.toFixed(1)} pulses per second (program 10)`);
+  if (Math.abs(pulseRate - 10) > 2) throw new Error('Expected pulses at the beat frequency');
+
+  console.log('\n5. Mixed file and cancellation');
+  const narrationPath = path.join(outputDir, 'narration.wav');
+  fs.writeFileSync(narrationPath, voice);
+  service.audioDir = outputDir;
+  service.audioAssets = { publish: async filename => ({ size: fs.statSync(path.join(outputDir, filename)).size }) };
+  const result = await service.mixUnderNarration(
+    { filepath: narrationPath, filename: 'narration.wav' },
+    { mode: 'isochronic', intensity: 'deep', durationSeconds: 0 }
+  );
+  console.log(`   ${result.url}, voice at ${result.voiceOffset} s, ${result.entrainment.program.length} keyframes`);
+  if (result.filename !== 'narration_isochronic.wav' || result.voiceOffset !== SETTINGS.leadSeconds) {
+    throw new Error('Unexpected mixed file');
+  }
+  if (result.entrainment.headphones || result.entrainment.program[result.entrainment.program.length - 1].at !== result.duration) {
+    throw new Error('Unexpected entrainment description');
+  }
+
+  const controller = new AbortController();
+  controller.abort(new Error('cancelled'));
+  const cancelledPath = path.join(outputDir, 'cancelled.wav');
+  const error = await service.renderMix(voice, cancelledPath, { mode: 'binaural', intensity: 'deep', durationSeconds: 0, signal: controller.signal })
+    .then(() => null, e => e);
+  console.log('   Aborted mix:', error && error.message);
+  if (!error || error.message !== 'cancelled') throw new Error('Aborted mixes should reject');
+  if (fs.existsSync(cancelledPath)) throw new Error('Aborted mixes should not leave a partial file');
+
+  console.log('\n✅ Entrainment tone tests passed');
+}
+
+testEntrainmentTones().catch(error => {
+  console.error('\n❌ Entrainment tone test failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => {
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
@@ -0,0 +1,151 @@
+// tests/test-google-tts-chunks.js
+// Manual test for long scripts through the Google TTS engine with captions on.
+// A five-minute script with a <mark> before every word is far over Google's
+// 5,000-byte input limit, so the engine has to send it in chunks. A stub client
+// stands in for Google: it rejects oversized input and "speaks" each word in
+// 0.3s and each break for its length, reporting mark timepoints like the API.
+// The joined audio must carry every mark at the time it would have had in one
+// request, and captions must come from the marks.
+const GoogleTTSEngine = require('../services/GoogleTTSEngine');
+const ContentGenerationService = require('../services/ContentGenerationService');
+const { getInstance: getCaptionService } = require('../services/CaptionService');
+const { createWavHeader, parseWav } = require('../utils/wav');
+const { parseMp3 } = require('../utils/mp3');
+
+const SAMPLE_RATE = 16000;
+const WORD_SECONDS = 0.3;
+
+const sentences = [
+  'Let your breath settle into its own slow rhythm.',
+  'Somewhere in the hedgerow a wren is calling, bright and quick...',
+  'Notice the cool air on your face and the weight of your hands.',
+  'There is nothing to do here but listen.',
+  'A blackbird answers from the far side of the garden, then falls quiet.',
+  'Breathe in for four... hold... and let it go slowly.'
+];
+const paragraph = (count, offset) =>
+  Array.from({ length: count }, (_, i) => sentences[(i + offset) % sentences.length]).join(' ');
+
+// About 750 words, one paragraph long enough to be cut mid-paragraph
+const script = [paragraph(4, 0), paragraph(8, 1), paragraph(20, 2), ...Array.from({ length: 10 }, (_, i) => paragraph(4, i))]
+  .join('\n\n');
+
+// Seconds each piece of SSML takes to say: words, and <break time="Nms"/> pauses
+function speak(ssml, onMark) {
+  let seconds = 0;
+  for (const token of ssml.match(/<mark name="[^"]+"\/>|<break time="\d+ms"\/>|<[^>]*>|[^\s<]+/g) || []) {
+    const mark = token.match(/^<mark name="([^"]+)"/);
+    const pause = token.match(/^<break time="(\d+)ms"/);
+    if (mark) onMark(mark[1], seconds);
+    else if (pause) seconds += parseInt(pause[1], 10) / 1000;
+    else if (!token.startsWith('<')) seconds += WORD_SECONDS;
+  }
+  return seconds;
+}
+
+function wavOf(seconds) {
+  const data = Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+  return Buffer.concat([createWavHeader({ sampleRate: SAMPLE_RATE, channels: 1, dataLength: data.length }), data]);
+}
+
+// MPEG-2 Layer III, 24 kHz mono at 32 kbps: 96-byte frames of 576 samples
+function mp3Of(seconds) {
+  const frame = Buffer.alloc(96);
+  frame.set([0xff, 0xf3, 0x44, 0xc4]);
+  return Buffer.concat(Array.from({ length: Math.round(seconds * 24000 / 576) }, () => frame));
+}
+
+function stubClient(requests) {
+  return {
+    synthesizeSpeech(request) {
+      const ssml = request.input.ssml;
+      requests.push(request);
+      if (Buffer.byteLength(ssml) > 5000) {
+        return Promise.reject(new Error(`3 INVALID_ARGUMENT: input is ${Buffer.byteLength(ssml)} bytes`));
+      }
+      const timepoints = [];
+      const seconds = speak(ssml, (markName, timeSeconds) => timepoints.push({ markName, timeSeconds }));
+      const encoding = request.audioConfig.audioEncoding;
+      return Promise.resolve([{ audioContent: encoding === 'LINEAR16' ? wavOf(seconds) : mp3Of(seconds), timepoints }]);
+    }
+  };
+}
+
+async function testLongScript() {
+  console.log('🗣️  Testing long scripts through Google TTS\n');
+
+  const content = new ContentGenerationService().parseGeneratedContent(script, { duration: 300 });
+  const bytes = Buffer.byteLength(content.ssml);
+  console.log('1. Script:', content.wordCount, 'words,', content.segments.length, 'segments,', bytes, 'bytes of SSML');
+  if (content.wordCount < 700 || bytes <= 5000) throw new Error('Expected a full-length script over the input limit');
+
+  // Where every mark falls when the whole document is spoken at once
+  const expected = new Map();
+  const expectedSeconds = speak(content.ssml, (name, seconds) => expected.set(name, seconds));
+
+  const engine = new GoogleTTSEngine();
+  const requests = [];
+  engine.client = stubClient(requests);
+
+  console.log('\n2. LINEAR16 narration is synthesized in chunks and joined');
+  const result = await engine.synthesize({
+    text: content.text,
+    ssml: content.ssml,
+    voice: 'en-GB-Standard-B',
+    languageCode: 'en-GB',
+    speed: 0.9,
+    pitch: 0,
+    outputFormat: 'LINEAR16'
+  });
+  console.log('   Requests:', requests.length, 'Largest:', Math.max(...requests.map(r => Buffer.byteLength(r.input.ssml))), 'bytes');
+  console.log('   Duration:', result.duration, 's (expected', Math.round(expectedSeconds), 's), timepoints:', result.timepoints.length);
+  if (requests.length < 2) throw new Error('Expected more than one request');
+  if (requests.some(r => !r.enableTimePointing || !/^<speak>[\s\S]*<\/speak>$/.test(r.input.ssml))) {
+    throw new Error('Every chunk should be a <speak> document with timepointing on');
+  }
+  if (result.extension !== 'wav' || result.duration !== Math.round(expectedSeconds)) throw new Error('Joined WAV has the wrong length');
+  if (Math.abs(parseWav(result.audio).dataLength / (SAMPLE_RATE * 2) - expectedSeconds) > 0.01) {
+    throw new Error('Joined WAV is missing audio');
+  }
+
+  if (result.timepoints.length !== expected.size) throw new Error('Marks were lost between chunks');
+  for (const point of result.timepoints) {
+    if (Math.abs(point.seconds - expected.get(point.name)) > 0.01) {
+      throw new Error(`Mark ${point.name} at ${point.seconds}s, expected ${expected.get(point.name)}s`);
+    }
+  }
+
+  console.log('\n3. MP3 narration joins frame by frame');
+  requests.length = 0;
+  const mp3 = await engine.synthesize({ text: content.text, ssml: content.ssml, outputFormat: 'MP3' });
+  const mp3Seconds = parseMp3(mp3.audio).duration;
+  const drift = Math.max(...mp3.timepoints.map(point => Math.abs(point.seconds - expected.get(point.name))));
+  console.log('   Requests:', requests.length, 'Length:', mp3Seconds.toFixed(2), 's, worst mark drift:', drift.toFixed(3), 's');
+  // Each chunk rounds to whole 24ms frames
+  if (mp3.timepoints.length !== expected.size || drift > 0.024 * requests.length) throw new Error('MP3 marks drifted');
+
+  console.log('\n4. Captions are timed from the marks');
+  const timeline = await getCaptionService().buildTimeline(content.segments, {
+    filename: 'narration.wav',
+    duration: result.duration,
+    timepoints: result.timepoints
+  });
+  const words = timeline.segments.flatMap(segment => segment.words);
+  console.log('   Source:', timeline.source, 'Words:', words.length, 'Last word at:', words[words.length - 1].start, 's');
+  if (timeline.source !== 'tts-marks') throw new Error('Expected captions from TTS marks');
+  if (words.some((word, i) => i > 0 && word.start < words[i - 1].start)) throw new Error('Word timings go backwards');
+
+  console.log('\n5. Short scripts are still one request');
+  requests.length = 0;
+  const short = new ContentGenerationService().parseGeneratedContent(paragraph(3, 0), { duration: 60 });
+  await engine.synthesize({ text: short.text, ssml: short.ssml, outputFormat: 'LINEAR16' });
+  console.log('   Requests:', requests.length);
+  if (requests.length !== 1 || requests[0].input.ssml !== short.ssml) throw new Error('Expected the SSML unchanged in one request');
+
+  console.log('\n✅ Long script tests passed');
+}
+
+testLongScript().catch(error => {
+  console.error('\n❌ Long script test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,95 @@
+// tests/test-local-llm.js
+// Manual end-to-end test for the local OpenAI-compatible provider.
+// Starts a stub /v1/chat/completions server, points AIProviderService at it,
+// and exercises plain, streamed and admin test-provider generation.
+// Usage is recorded to a temporary ledger, not data/usage.jsonl.
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-local-llm-'));
+process.env.USAGE_LEDGER_PATH = path.join(ledgerDir, 'usage.jsonl');
+const { AIProviderService } = require('../services/AIProviderService');
+
+const STUB_TEXT = 'A heron stands in the shallows... you breathe with the slow ripple of the water.';
+const STUB_KEY = 'stub-secret';
+
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: `No route for ${req.method} ${req.url}` } }));
+      }
+      if (req.headers.authorization !== `Bearer ${STUB_KEY}`) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: 'Invalid API key' } }));
+      }
+
+      const request = JSON.parse(body);
+      const usage = { prompt_tokens: 12, completion_tokens: 15, total_tokens: 27 };
+
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+          model: request.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: STUB_TEXT }, finish_reason: 'stop' }],
+          usage
+        }));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const word of STUB_TEXT.split(/(?<= )/)) {
+        res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: word } }] })}\n\n`);
+      }
+      res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testLocalProvider() {
+  console.log('🖥️  Testing local OpenAI-compatible provider\n');
+
+  const server = await startStubServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  console.log(`   Stub server: ${baseUrl}\n`);
+
+  const service = new AIProviderService();
+  service.configureLocalProvider({ baseUrl, apiKey: STUB_KEY, models: ['stub-model'] });
+  service.setConfig('local', 'stub-model');
+
+  try {
+    const result = await service.generateContent('Describe a heron.');
+    console.log(`   ✓ generateContent served by ${result.provider}/${result.model}`);
+    console.log(`     ${result.text.length} chars, usage: ${JSON.stringify(result.usage)}`);
+
+    let chunks = 0;
+    const streamed = await service.generateContentStreamed('Describe a heron.', { onToken: () => { chunks++; } });
+    console.log(`   ✓ streamed ${chunks} chunks, text matches: ${streamed.text === STUB_TEXT}`);
+    console.log(`     usage: ${JSON.stringify(streamed.usage)}`);
+
+    const test = await service.testProvider('local', 'stub-model');
+    console.log(`   ✓ testProvider success: ${test.success}`);
+
+    service.configureLocalProvider({ apiKey: 'wrong-key' });
+    const denied = await service.testProvider('local', 'stub-model');
+    console.log(`   ✓ bad key rejected: ${!denied.success} (${denied.error})`);
+
+    console.log('\n✅ Test complete!\n');
+  } finally {
+    server.close();
+    await service.usageLedger.writeChain;
+    fs.rmSync(ledgerDir, { recursive: true, force: true });
+  }
+}
+
+testLocalProvider().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
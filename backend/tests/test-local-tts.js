@@ -0,0 +1,127 @@
+// tests/test-local-tts.js
+// Manual end-to-end test for the local TTS engine.
+// Writes a stub eSpeak NG (a node script that lists voices and writes a short
+// WAV), points TTSService at it, and checks voice lookup, SSML and plain-text
+// synthesis, cancellation and engine selection.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'momentus-espeak-'));
+const stubPath = path.join(stubDir, 'espeak-ng');
+const callLog = path.join(stubDir, 'calls.jsonl');
+
+const STUB_SOURCE = `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args[0] === '--voices') {
+  console.log('Pty Language       Age/Gender VoiceName          File                 Other Languages');
+  console.log(' 5  en-gb           --/M      English_(Great_Britain) gmw/en');
+  console.log(' 5  es              --/M      Spanish_(Spain)    roa/es');
+  console.log(' 5  de              --/M      German             gmw/de');
+  process.exit(0);
+}
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+  fs.appendFileSync(${JSON.stringify(callLog)}, JSON.stringify({ args, input }) + '\\n');
+  if (input.includes('SLOW')) return setTimeout(() => {}, 60000);
+  // Two seconds of 16 kHz mono silence
+  const sampleRate = 16000, dataSize = sampleRate * 2 * 2;
+  const wav = Buffer.alloc(44 + dataSize);
+  wav.write('RIFF', 0); wav.writeUInt32LE(36 + dataSize, 4); wav.write('WAVE', 8);
+  wav.write('fmt ', 12); wav.writeUInt32LE(16, 16); wav.writeUInt16LE(1, 20); wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(sampleRate, 24); wav.writeUInt32LE(sampleRate * 2, 28); wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34); wav.write('data', 36); wav.writeUInt32LE(dataSize, 40);
+  fs.writeFileSync(args[args.indexOf('-w') + 1], wav);
+});
+`;
+
+function lastCall() {
+  const lines = fs.readFileSync(callLog, 'utf8').trim().split('\n');
+  return JSON.parse(lines[lines.length - 1]);
+}
+
+async function testLocalTTS() {
+  console.log('🔊 Testing local TTS engine\n');
+
+  fs.writeFileSync(stubPath, STUB_SOURCE, { mode: 0o755 });
+  process.env.TTS_ENGINE = 'local';
+  process.env.TTS_LOCAL_ENGINE = 'espeak';
+  process.env.TTS_LOCAL_COMMAND = stubPath;
+  delete process.env.DISABLE_TTS;
+  process.env.AUDIO_ASSET_INDEX_PATH = path.join(stubDir, 'audio-assets.json');
+
+  const { TTSService } = require('../services/TTSService');
+  const tts = new TTSService();
+  await tts.ready;
+
+  const config = tts.getConfig();
+  console.log('1. Engine config:', config.engine, config.engines.local);
+  if (!config.engines.local.available) throw new Error('Local engine should be available');
+
+  console.log('\n2. Voice lookup');
+  for (const voice of ['en-GB-Standard-B', 'es-ES-Standard-B', 'fr-FR-Standard-B']) {
+    console.log(`   ${voice}: ${tts.hasVoice(voice)}`);
+  }
+  if (!tts.hasVoice('es-ES-Standard-B') || tts.hasVoice('fr-FR-Standard-B')) {
+    throw new Error('Expected es (primary subtag) to resolve and fr to be missing');
+  }
+
+  console.log('\n3. SSML synthesis');
+  const ssml = '<speak><p>Breathe in</p><break time="3000ms"/><p>Breathe out</p></speak>';
+  const audio = await tts.generateAudio('Breathe in\n\nBreathe out', {
+    sessionId: 'local-tts-test',
+    languageCode: 'en-GB',
+    ssml
+  });
+  const call = lastCall();
+  console.log('   Result:', { filename: audio.filename, engine: audio.engine, duration: audio.duration });
+  console.log('   Args:', call.args.join(' '));
+  if (audio.engine !== 'local' || !audio.filename.endsWith('.wav')) throw new Error('Expected local WAV audio');
+  if (audio.duration !== 2) throw new Error(`Expected duration from WAV header (2s), got ${audio.duration}`);
+  if (!call.args.includes('-m') || call.input !== ssml) throw new Error('Expected SSML on stdin with -m');
+  fs.unlinkSync(audio.filepath);
+
+  console.log('\n4. Plain text when SSML is off, Spanish voice');
+  tts.ssmlEnabled = false;
+  const plain = await tts.generateAudio('Respira despacio.', { languageCode: 'es-ES', ssml });
+  const plainCall = lastCall();
+  console.log('   Args:', plainCall.args.join(' '));
+  if (plainCall.args.includes('-m') || plainCall.input !== 'Respira despacio.') throw new Error('Expected plain text');
+  if (plainCall.args[plainCall.args.indexOf('-v') + 1] !== 'es') throw new Error('Expected espeak voice es');
+  fs.unlinkSync(plain.filepath);
+
+  console.log('\n5. Cancellation kills the subprocess');
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('Session cancelled')), 300);
+  try {
+    await tts.generateAudio('SLOW', { signal: controller.signal });
+    throw new Error('Expected cancellation');
+  } catch (error) {
+    console.log('   Rejected with:', error.message);
+    if (error.message !== 'Session cancelled') throw error;
+  }
+
+  console.log('\n6. Engine selection and admin test');
+  try {
+    tts.setEngine('google');
+    console.log('   Google selected (credentials present)');
+    tts.setEngine('local');
+  } catch (error) {
+    console.log('   Google rejected:', error.message);
+  }
+  const test = await tts.testEngine('local', 'de');
+  console.log('   Test result:', { success: test.success, language: test.language, url: test.url });
+  if (!test.success) throw new Error(test.error);
+  fs.unlinkSync(path.join(tts.audioDir, path.basename(test.url)));
+
+  console.log('\n✅ Local TTS engine tests passed');
+}
+
+testLocalTTS()
+  .catch(error => {
+    console.error('\n❌ Local TTS test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(stubDir, { recursive: true, force: true }));
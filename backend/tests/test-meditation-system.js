@@ -171,7 +171,7 @@ async function testSessionCreation() {
     console.log('═══════════════════════════════════════════════════════════\n');
 
     // Stats
-    const sessionStats = sessionManager.getStats();
+    const sessionStats = await sessionManager.getStats();
     console.log('System Statistics:');
     console.log(JSON.stringify(sessionStats, null, 2));
 
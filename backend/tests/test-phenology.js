@@ -0,0 +1,95 @@
+// tests/test-phenology.js
+// Offline test for seasonal weighting: presence read off fixed month histograms,
+// and lookups that never hold a selection up for longer than waitMs. GBIF is
+// replaced by a stub that answers slowly and counts how many requests overlap.
+// (test-phenology.js in the backend root fetches live histograms instead.)
+const { PhenologyService } = require('../services/PhenologyService');
+
+// A summer visitor: nothing December to February, peak in June and July
+const SUMMER = [0, 0, 1, 10, 40, 60, 60, 50, 20, 2, 0, 0];
+const NEAR = 0.001;
+
+function check(label, actual, expected) {
+  console.log(`   ${label}: ${actual.toFixed(3)} (expected ${expected.toFixed(3)})`);
+  if (Math.abs(actual - expected) > NEAR) throw new Error(`${label} was ${actual}, expected ${expected}`);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testPhenology() {
+  console.log('🌱 Testing seasonal presence\n');
+
+  const phenology = new PhenologyService({ persist: false });
+  await phenology.ready;
+
+  // Smoothed 1-2-1, SUMMER peaks at 57.5 in July, June 55, April 15.25, March 3
+  console.log('1. Presence from a summer visitor\'s histogram');
+  check('Mid-July', phenology.seasonalPresence(SUMMER, new Date('2025-07-15T12:00:00Z')), (55 / 31 + 57.5 * 30 / 31) / 57.5);
+  check('Mid-January', phenology.seasonalPresence(SUMMER, new Date('2025-01-15T12:00:00Z')), 0);
+  check('Mid-April', phenology.seasonalPresence(SUMMER, new Date('2025-04-15T12:00:00Z')), (3 / 60 + 15.25 * 59 / 60) / 57.5);
+  const april = [1, 8, 15, 22, 29].map(day => phenology.seasonalPresence(SUMMER, new Date(Date.UTC(2025, 3, day))));
+  console.log('   April week by week:', april.map(value => value.toFixed(3)).join(', '));
+  if (april.some((value, i) => i > 0 && value <= april[i - 1])) throw new Error('Presence should rise through April');
+
+  console.log('\n2. Residents, empty histograms and year ends');
+  check('Resident in January', phenology.seasonalPresence(new Array(12).fill(30), new Date('2025-01-15T12:00:00Z')), 1);
+  check('No records', phenology.seasonalPresence(new Array(12).fill(0), new Date('2025-07-15T12:00:00Z')), 0);
+  // A winter visitor: 1 January sits between December and January's midpoints
+  const winter = [60, 40, 10, 0, 0, 0, 0, 0, 0, 5, 30, 60];
+  check('Winter visitor on 1 January', phenology.seasonalPresence(winter, new Date('2025-01-01T12:00:00Z')),
+    (52.5 * 15 / 31 + 55 * 16 / 31) / 55);
+
+  console.log('\n3. Assessments');
+  const cell = phenology.cellOf(51.5, -0.12);
+  phenology.histograms.set(phenology.histogramKey(cell, 'Apus apus'), { months: SUMMER, total: 243, fetchedAt: Date.now() });
+  phenology.histograms.set(phenology.histogramKey(cell, 'Rara avis'), { months: [0, 0, 0, 0, 0, 3, 2, 0, 0, 0, 0, 0], total: 5, fetchedAt: Date.now() });
+  const january = new Date('2025-01-15T12:00:00Z');
+  const assessments = {
+    histogram: phenology.assess(51.5, -0.12, { scientificName: 'Apus apus' }, january),
+    sighted: phenology.assess(51.5, -0.12, { scientificName: 'Apus apus', observedAt: '2025-01-10T08:00:00Z' }, january),
+    sparse: phenology.assess(51.5, -0.12, { scientificName: 'Rara avis' }, january),
+    unknown: phenology.assess(51.5, -0.12, { scientificName: 'Ignotus ignotus' }, january)
+  };
+  for (const [name, result] of Object.entries(assessments)) console.log(`   ${name}: ${result.presence} (${result.basis})`);
+  if (assessments.histogram.basis !== 'histogram' || assessments.histogram.presence !== 0) throw new Error('Swifts should be absent in January');
+  if (assessments.sighted.basis !== 'recent-sighting' || assessments.sighted.presence !== 1) throw new Error('A recent sighting should count as present');
+  if (assessments.sparse.basis !== 'too-few-records' || assessments.unknown.basis !== 'no-histogram' ||
+      assessments.sparse.presence !== phenology.defaultPresence || assessments.unknown.presence !== phenology.defaultPresence) {
+    throw new Error('Sparse and unknown species should get the default presence');
+  }
+
+  console.log('\n4. Slow lookups do not hold up a selection');
+  let active = 0;
+  let maxActive = 0;
+  phenology.fetchHistogram = async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await sleep(200);
+    active--;
+    return { months: new Array(12).fill(5), total: 60, fetchedAt: Date.now() };
+  };
+  const candidates = count => Array.from({ length: count }, (_, i) => ({ scientificName: `Species ${i}` }));
+  const started = Date.now();
+  // Two selections in different cells at once, 20 lookups between them
+  const first = phenology.prepare(51.5, -0.12, candidates(10), january);
+  const second = phenology.prepare(40.4, -3.7, candidates(10), january);
+  await phenology.waitFor(first, 50);
+  const waited = Date.now() - started;
+  console.log('   Waited', waited, 'ms,', phenology.getStats().queued, 'lookups still queued');
+  if (waited > 150) throw new Error('Selection waited for the lookups');
+  if (phenology.getHistogram(51.5, -0.12, 'Species 9')) throw new Error('Expected lookups still to be running');
+
+  await Promise.all([first, second]);
+  console.log('   Most GBIF requests at once:', maxActive, 'of', phenology.concurrency);
+  if (maxActive > phenology.concurrency) throw new Error('Lookups ran over the concurrency limit');
+  if (!phenology.getHistogram(51.5, -0.12, 'Species 9') || !phenology.getHistogram(40.4, -3.7, 'Species 9')) {
+    throw new Error('Lookups should finish in the background');
+  }
+
+  console.log('\n✅ Phenology tests passed');
+}
+
+testPhenology().catch(error => {
+  console.error('\n❌ Phenology test failed:', error.message);
+  process.exitCode = 1;
+});
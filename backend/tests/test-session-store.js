@@ -0,0 +1,70 @@
+// tests/test-session-store.js
+// Manual test for the JSON-lines session store: appends, reloading, later
+// lines superseding earlier ones, and pruning (which only rewrites the file
+// when there is something to drop).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonlSessionStore } = require('../services/SessionStore');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'momentus-sessions-'));
+const filePath = path.join(tempDir, 'sessions.jsonl');
+const DAY = 24 * 60 * 60 * 1000;
+
+const session = (id, ageDays, extra = {}) => ({
+  id,
+  createdAt: new Date(Date.now() - ageDays * DAY).toISOString(),
+  location: { latitude: 40.7, longitude: -74 },
+  ...extra
+});
+const lines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+
+async function testSessionStore() {
+  console.log('🗂️  Testing JSON-lines session store\n');
+
+  console.log('1. Saves append one line each');
+  const store = new JsonlSessionStore({ filePath, retentionDays: 30 });
+  await store.save(session('a', 1, { userId: 'user-1' }));
+  await store.save(session('b', 2));
+  await store.save(session('old', 40));
+  console.log('   Lines:', lines().length);
+  if (lines().length !== 3) throw new Error('Expected three lines');
+  if (!(await store.get('a')) || await store.get('old')) throw new Error('Expected a, and old to be past retention');
+
+  console.log('\n2. A later line supersedes an earlier one');
+  await store.save(session('a', 1, { userId: 'user-1', title: 'Updated' }));
+  console.log('   Lines:', lines().length, 'Title:', (await store.get('a')).title);
+  if (lines().length !== 4 || (await store.get('a')).title !== 'Updated') throw new Error('Expected the update to win');
+
+  console.log('\n3. Reloading rebuilds the index from the file');
+  fs.appendFileSync(filePath, '{not json\n');
+  const reloaded = new JsonlSessionStore({ filePath, retentionDays: 30 });
+  await reloaded.ready;
+  const sessions = await reloaded.all();
+  console.log('   Sessions:', sessions.map(s => s.id).sort(), 'By user:', (await reloaded.findByUser('user-1')).length);
+  if (sessions.length !== 2 || (await reloaded.get('a')).title !== 'Updated') throw new Error('Reload lost or duplicated sessions');
+
+  console.log('\n4. Prune drops expired sessions and superseded lines');
+  const removed = await reloaded.prune();
+  console.log('   Removed:', removed, 'Lines:', lines().length);
+  if (removed !== 1 || lines().length !== 2) throw new Error('Expected one expired session and a compacted file');
+
+  console.log('\n5. Prune leaves the file alone when nothing changed');
+  const before = fs.statSync(filePath);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const removedAgain = await reloaded.prune();
+  const after = fs.statSync(filePath);
+  console.log('   Removed:', removedAgain, 'Rewritten:', after.mtimeMs !== before.mtimeMs || after.ino !== before.ino);
+  if (removedAgain !== 0 || after.mtimeMs !== before.mtimeMs || after.ino !== before.ino) {
+    throw new Error('Expected no rewrite');
+  }
+
+  console.log('\n✅ Session store tests passed');
+}
+
+testSessionStore()
+  .catch(error => {
+    console.error('\n❌ Session store test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
@@ -0,0 +1,155 @@
+// tests/test-soundscape.js
+// Offline test for ambient beds under narration.
+// Builds a small soundscape library of synthetic WAVs in a temp directory and
+// checks which bed the manifest picks for a session, then mixes a bed under a
+// synthetic voice (tone, pause, tone) and measures the bed level around it:
+// faded in during the lead, ducked while the voice speaks, back up in the
+// pause, and faded out after the tail.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWavHeader, parseWav, pcmSamples } = require('../utils/wav');
+
+const libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'momentus-soundscapes-'));
+const BED_LEVEL = 10000;
+const VOICE_RATE = 8000;
+
+const MIX = { leadSeconds: 1, tailSeconds: 1, fadeInSeconds: 0.5, fadeOutSeconds: 0.5 };
+process.env.SOUNDSCAPE_LIBRARY_PATH = libraryDir;
+process.env.SOUNDSCAPE_MIX = JSON.stringify(MIX);
+process.env.AUDIO_ASSET_INDEX_PATH = path.join(libraryDir, 'audio-assets.json');
+delete process.env.SOUNDSCAPE_ENABLED;
+delete process.env.SOUNDSCAPE_OUTPUT_FORMAT;
+
+function wav(sampleRate, channels, frames, sampleAt) {
+  const buffer = Buffer.alloc(44 + frames * channels * 2);
+  createWavHeader({ sampleRate, channels, dataLength: frames * channels * 2 }).copy(buffer, 0);
+  for (let frame = 0; frame < frames; frame++) {
+    for (let c = 0; c < channels; c++) {
+      buffer.writeInt16LE(Math.round(sampleAt(frame / sampleRate)), 44 + (frame * channels + c) * 2);
+    }
+  }
+  return buffer;
+}
+
+// 0.75 s of tone, a 1.5 s pause, 0.75 s of tone
+const voiceAt = time => (time < 0.75 || time >= 2.25 ? 8000 * Math.sin(2 * Math.PI * 220 * time) : 0);
+
+const manifest = {
+  soundscapes: [
+    { id: 'meadow', file: 'bed.wav', default: true },
+    { id: 'rain', file: 'bed.wav', match: { weather: ['rain', 'drizzle'] } },
+    { id: 'night-rain', file: 'bed.wav', match: { weather: 'rain', timeOfDay: 'night' } },
+    { id: 'dawn-chorus', file: 'bed.wav', priority: 5, match: { timeOfDay: 'dawn', speciesType: 'bird' } },
+    { id: 'snow', file: 'missing.wav', match: { weather: 'snow' } },
+    { id: 'broken' }
+  ]
+};
+
+async function testSoundscape() {
+  console.log('🌧️ Testing soundscape selection and mixing\n');
+
+  // A steady stereo bed at 16 kHz, so the mix has to resample it to the voice's rate
+  fs.writeFileSync(path.join(libraryDir, 'bed.wav'), wav(16000, 2, 16000 * 2, () => BED_LEVEL));
+  fs.writeFileSync(path.join(libraryDir, 'manifest.json'), JSON.stringify(manifest));
+
+  const { SoundscapeService } = require('../services/SoundscapeService');
+  const service = new SoundscapeService();
+  await service.ready;
+
+  console.log('1. Library:', service.soundscapes.map(s => `${s.id}${s.available ? '' : ' (missing)'}`).join(', '));
+  if (service.soundscapes.length !== 5) throw new Error('Entries without a file should be skipped');
+  if (service.soundscapes.find(s => s.id === 'snow').available) throw new Error('Missing beds should be unavailable');
+
+  console.log('\n2. Selection');
+  const selections = [
+    [{ weather: 'Drizzle' }, 'rain'],
+    [{ weather: 'rain', timeOfDay: 'night' }, 'night-rain'],
+    [{ weather: 'rain', timeOfDay: 'dawn', speciesType: 'bird' }, 'dawn-chorus'],
+    [{ weather: 'rain', timeOfDay: 'dawn', speciesType: 'mammal' }, 'rain'],
+    [{ weather: 'snow' }, 'meadow'],
+    [{}, 'meadow']
+  ];
+  for (const [context, expected] of selections) {
+    const selected = service.select(context);
+    console.log(`   ${JSON.stringify(context)} -> ${selected && selected.id}`);
+    if (!selected || selected.id !== expected) throw new Error(`Expected ${expected} for ${JSON.stringify(context)}`);
+  }
+  if (service.matches({ match: {} }, { weather: 'rain' })) throw new Error('An entry with no match keys should not match');
+  service.enabled = false;
+  if (service.select({ weather: 'rain' }) !== null) throw new Error('Nothing should be selected when disabled');
+  service.enabled = true;
+
+  console.log('\n3. Mixing under a voice');
+  const voiceBuffer = wav(VOICE_RATE, 1, VOICE_RATE * 3, voiceAt);
+  const meadow = service.select({});
+  const bed = await service.loadAsset(meadow);
+  const { buffer, duration } = await service.mixPcm(voiceBuffer, bed, meadow.gain);
+  const mixed = parseWav(buffer);
+  const samples = pcmSamples(buffer, mixed);
+  console.log(`   ${duration} s, ${mixed.channels} channels at ${mixed.sampleRate} Hz`);
+  if (mixed.channels !== 2 || mixed.sampleRate !== VOICE_RATE) throw new Error('Expected the voice rate and the bed\'s stereo');
+  if (mixed.frames !== VOICE_RATE * (MIX.leadSeconds + 3 + MIX.tailSeconds) || duration !== 5) {
+    throw new Error('Mix should be the voice plus the lead and tail');
+  }
+
+  // What's left after taking the voice back out, at its place in the mix
+  const leadFrames = MIX.leadSeconds * VOICE_RATE;
+  const bedAt = (seconds, channel = 0) => {
+    const frame = Math.round(seconds * VOICE_RATE);
+    const voiceFrame = frame - leadFrames;
+    const voice = voiceFrame >= 0 && voiceFrame < VOICE_RATE * 3 ? Math.round(voiceAt(voiceFrame / VOICE_RATE)) : 0;
+    return samples[frame * 2 + channel] - voice;
+  };
+  const full = service.mix.gain * BED_LEVEL;
+  const ducked = full * service.mix.duckGain;
+  const levels = {
+    start: bedAt(0),
+    lead: bedAt(0.8),
+    speech: bedAt(1.6),
+    pause: bedAt(3.2),
+    end: bedAt(5 - 1 / VOICE_RATE)
+  };
+  console.log('   Bed level:', JSON.stringify(levels), `(full ${full}, ducked ${ducked})`);
+  if (levels.start !== 0 || Math.abs(levels.end) > 10) throw new Error('Bed should fade in and out');
+  if (Math.abs(levels.lead - full) > 2) throw new Error('Bed should be at full level before the voice');
+  if (Math.abs(levels.speech - ducked) > 30) throw new Error('Bed should be ducked under speech');
+  if (levels.pause < 2000) throw new Error('Bed should come back up in the pause');
+  if (bedAt(1.6, 1) !== levels.speech) throw new Error('Mono voice should be mixed into both channels');
+
+  // Off by even one frame, the tone would leave a ripple of hundreds in the bed
+  const speech = Array.from({ length: 800 }, (_, i) => bedAt(1.6 + i / VOICE_RATE));
+  const ripple = Math.max(...speech.slice(1).map((level, i) => Math.abs(level - speech[i])));
+  if (ripple > 3) throw new Error(`Voice is not aligned at the lead offset (ripple ${ripple})`);
+
+  console.log('\n4. Mixed file and cancellation');
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'momentus-soundscape-audio-'));
+  const voicePath = path.join(outputDir, 'narration.wav');
+  fs.writeFileSync(voicePath, voiceBuffer);
+  service.audioDir = outputDir;
+  service.audioAssets = { publish: async filename => ({ size: fs.statSync(path.join(outputDir, filename)).size }) };
+  try {
+    const result = await service.mixUnderNarration({ filepath: voicePath, filename: 'narration.wav' }, meadow);
+    console.log(`   ${result.url}, voice at ${result.voiceOffset} s, ${result.size} bytes`);
+    if (result.filename !== 'narration_ambient.wav' || result.soundscape !== 'meadow') throw new Error('Unexpected mixed file');
+    if (result.voiceOffset !== MIX.leadSeconds) throw new Error('voiceOffset should be the lead time');
+    if (result.size !== buffer.length) throw new Error('Mixed file should hold the whole mix');
+
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+    const error = await service.mixPcm(voiceBuffer, bed, 1, controller.signal).then(() => null, e => e);
+    console.log('   Aborted mix:', error && error.message);
+    if (!error || error.message !== 'cancelled') throw new Error('Aborted mixes should reject');
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ Soundscape tests passed');
+}
+
+testSoundscape().catch(error => {
+  console.error('\n❌ Soundscape test failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => {
+  fs.rmSync(libraryDir, { recursive: true, force: true });
+});
@@ -0,0 +1,105 @@
+// tests/test-species-merge.js
+// Offline test for building a class's species pool from several sources.
+// GBIF, iNaturalist and eBird are stubbed with overlapping sightings near New
+// York, too few to fill the pool, so every fallback layer runs. Each species
+// must appear once, carrying all the sources that reported it and the sum of
+// their weights, the nearest distance and the latest sighting.
+const RobustSpeciesService = require('../services/RobustSpeciesService');
+
+const NEW_YORK = { latitude: 40.7128, longitude: -74.0060 };
+
+function sighting(name, scientificName, source, distance, observedAt = null) {
+  return { name, scientificName, type: 'bird', habitat: 'urban', source, distance, observedAt, observedBy: observedAt ? 'stub' : null };
+}
+
+const stubs = {
+  GBIF: [
+    // GBIF often has only the binomial as a name
+    sighting('Passer domesticus', 'Passer domesticus', 'GBIF-50km', 8),
+    sighting('American Robin', 'Turdus migratorius', 'GBIF-50km', 12)
+  ],
+  iNaturalist: [
+    sighting('House Sparrow', 'Passer domesticus', 'iNaturalist', 3, '2025-05-01T07:00:00Z'),
+    sighting('Northern Cardinal', 'Cardinalis cardinalis', 'iNaturalist', 6, '2025-05-02T07:00:00Z')
+  ],
+  eBird: [
+    sighting('American Robin', 'Turdus migratorius', 'eBird', 5, '2025-05-03T07:00:00Z')
+  ]
+};
+
+async function testSpeciesMerge() {
+  console.log('🐦 Testing species pool merging\n');
+
+  const service = new RobustSpeciesService();
+  const calls = { GBIF: 0, iNaturalist: 0, eBird: 0 };
+  service.fetchFromGBIF = async () => {
+    calls.GBIF++;
+    return { species: stubs.GBIF, error: null };
+  };
+  service.fetchFromINaturalist = async () => {
+    calls.iNaturalist++;
+    return { species: stubs.iNaturalist, error: null };
+  };
+  service.fetchFromEBird = async () => {
+    calls.eBird++;
+    return { species: stubs.eBird, error: null };
+  };
+  service.ebird.apiKey = 'stub';
+
+  const birds = service.taxonomicClasses.find(cls => cls.name === 'birds');
+  const pool = await service.fetchSpeciesForClass(NEW_YORK.latitude, NEW_YORK.longitude, birds, 50);
+  console.log('1. Pool:', pool.length, 'species; source calls', JSON.stringify(calls));
+  for (const species of pool) {
+    console.log(`   ${species.name} (${species.scientificName || '-'}): ${species.sources.join('+')} weight ${species.weight}`);
+  }
+  if (calls.GBIF !== 2) throw new Error('Expected the GBIF radius to be expanded');
+
+  const names = pool.map(species => species.name.toLowerCase());
+  const scientific = pool.map(species => species.scientificName.toLowerCase()).filter(Boolean);
+  if (new Set(names).size !== names.length || new Set(scientific).size !== scientific.length) {
+    throw new Error('A species appears more than once in the pool');
+  }
+  if (pool.some(species => !Array.isArray(species.sources) || !Number.isFinite(species.weight))) {
+    throw new Error('Every candidate should carry its sources and weight');
+  }
+
+  console.log('\n2. Sources, weights and sightings are combined');
+  const { sourceWeights } = service;
+  const byName = name => pool.find(species => species.name === name);
+  const expected = [
+    // Also on the global fallback list
+    { name: 'House Sparrow', sources: ['GBIF', 'iNaturalist', 'fallback'], distance: 3, observedAt: '2025-05-01T07:00:00Z' },
+    { name: 'American Robin', sources: ['GBIF', 'eBird', 'fallback'], distance: 5, observedAt: '2025-05-03T07:00:00Z' },
+    { name: 'Northern Cardinal', sources: ['iNaturalist'], distance: 6, observedAt: '2025-05-02T07:00:00Z' },
+    { name: 'Rock Dove', sources: ['fallback'], distance: undefined, observedAt: undefined }
+  ];
+  for (const want of expected) {
+    const species = byName(want.name);
+    if (!species) throw new Error(`${want.name} is missing from the pool`);
+    const weight = want.sources.reduce((sum, source) => sum + sourceWeights[source], 0);
+    console.log(`   ${want.name}: weight ${species.weight} (expected ${weight}), ${species.distance ?? '-'} km`);
+    if ([...species.sources].sort().join() !== [...want.sources].sort().join()) {
+      throw new Error(`${want.name} has sources ${species.sources.join(', ')}`);
+    }
+    if (species.weight !== weight) throw new Error(`${want.name} should weigh ${weight}`);
+    if (species.distance !== want.distance || species.observedAt !== want.observedAt) {
+      throw new Error(`${want.name} should keep the nearest distance and latest sighting`);
+    }
+  }
+  if (!service.isFallbackCandidate(byName('Rock Dove')) || service.isFallbackCandidate(byName('House Sparrow'))) {
+    throw new Error('Only species that nothing observed count as fallbacks');
+  }
+
+  const provenance = service.countProvenance(pool);
+  console.log('\n3. Provenance:', JSON.stringify(provenance));
+  if (provenance.GBIF !== 2 || provenance.iNaturalist !== 2 || provenance.eBird !== 1) {
+    throw new Error('Provenance should count each source once per species');
+  }
+
+  console.log('\n✅ Species merge tests passed');
+}
+
+testSpeciesMerge().catch(error => {
+  console.error('\n❌ Species merge test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,47 @@
+// timezones/build-dataset.js
+// Prepare the bundled timezone dataset from timezone-boundary-builder GeoJSON:
+// keep only the IANA zone name, simplify the polygons (Douglas-Peucker), round
+// coordinates and gzip the result.
+//
+//   node timezones/build-dataset.js combined.json [tolerance-degrees]
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { TimezoneService } = require('../services/TimezoneService');
+const { simplifyGeometry, countPoints } = require('../utils/polygonIndex');
+
+const [input, toleranceArg] = process.argv.slice(2);
+const tolerance = parseFloat(toleranceArg) || 0.01; // ~1km; zone borders often run through towns
+const output = path.join(__dirname, 'timezones.geojson.gz');
+
+if (!input) {
+  console.error('Usage: node timezones/build-dataset.js <combined.json> [tolerance-degrees]');
+  process.exit(1);
+}
+
+function build() {
+  const timezones = new TimezoneService({ load: false });
+  const source = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const features = [];
+  const zones = new Set();
+  let points = 0;
+
+  for (const feature of source.features || []) {
+    const tzid = timezones.normalizeZone(feature.properties || {});
+    const geometry = tzid && simplifyGeometry(feature.geometry, tolerance);
+    if (!geometry) continue;
+
+    zones.add(tzid);
+    points += countPoints(geometry);
+    features.push({ type: 'Feature', properties: { tzid }, geometry });
+  }
+
+  const dataset = source.dataset || `timezone-boundary-builder (${path.basename(input)})`;
+  const json = JSON.stringify({ type: 'FeatureCollection', dataset, features });
+  fs.writeFileSync(output, zlib.gzipSync(json, { level: 9 }));
+
+  console.log(`✅ ${zones.size} timezones, ${features.length} features, ${points} points (tolerance ${tolerance}°)`);
+  console.log(`   ${path.relative(process.cwd(), output)}: ${(fs.statSync(output).size / 1024 / 1024).toFixed(1)} MB`);
+}
+
+build();
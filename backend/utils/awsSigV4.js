@@ -0,0 +1,143 @@
+// utils/awsSigV4.js
+const crypto = require('crypto');
+
+/**
+ * AWS Signature Version 4 for S3-compatible object stores (AWS S3, MinIO,
+ * R2, ...), so storage backends can talk to them with plain HTTP requests.
+ * https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv-create-signed-request.html
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding; encodeURIComponent leaves !'()* alone
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalPath(pathname) {
+  // URL objects percent-encode some characters already; normalise before re-encoding
+  return pathname.split('/').map(segment => uriEncode(decodeURIComponent(segment))).join('/');
+}
+
+function canonicalQuery(searchParams) {
+  return Array.from(searchParams.entries())
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+function timestamps(date) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+function signature({ secretAccessKey, dateStamp, region, service, stringToSign }) {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  const signingKey = hmac(serviceKey, 'aws4_request');
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+/**
+ * Sign a request with an Authorization header
+ * @param {Object} request - { method, url, headers, payloadHash (hex SHA-256, or UNSIGNED-PAYLOAD),
+ *   region, service, accessKeyId, secretAccessKey, date }
+ * @returns {Object} Headers to send, including host, x-amz-date, x-amz-content-sha256 and authorization
+ */
+function signRequest({
+  method,
+  url,
+  headers = {},
+  payloadHash = UNSIGNED_PAYLOAD,
+  region,
+  service = 's3',
+  accessKeyId,
+  secretAccessKey,
+  date = new Date()
+}) {
+  const target = new URL(url);
+  const { amzDate, dateStamp } = timestamps(date);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: target.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalPath(target.pathname),
+    canonicalQuery(target.searchParams),
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  return {
+    ...signed,
+    authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, ` +
+      `Signature=${signature({ secretAccessKey, dateStamp, region, service, stringToSign })}`
+  };
+}
+
+/**
+ * Presigned URL that grants the request to whoever holds it until it expires
+ * @param {Object} request - { method, url, expiresSeconds, region, service, accessKeyId, secretAccessKey, date }
+ * @returns {string}
+ */
+function presignUrl({
+  method = 'GET',
+  url,
+  expiresSeconds = 3600,
+  region,
+  service = 's3',
+  accessKeyId,
+  secretAccessKey,
+  date = new Date()
+}) {
+  const target = new URL(url);
+  const { amzDate, dateStamp } = timestamps(date);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+  target.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  target.searchParams.set('X-Amz-Credential', `${accessKeyId}/${scope}`);
+  target.searchParams.set('X-Amz-Date', amzDate);
+  target.searchParams.set('X-Amz-Expires', String(expiresSeconds));
+  target.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalPath(target.pathname),
+    canonicalQuery(target.searchParams),
+    `host:${target.host}\n`,
+    'host',
+    UNSIGNED_PAYLOAD
+  ].join('\n');
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  return `${target.origin}${target.pathname}?${canonicalQuery(target.searchParams)}` +
+    `&X-Amz-Signature=${signature({ secretAccessKey, dateStamp, region, service, stringToSign })}`;
+}
+
+module.exports = {
+  signRequest,
+  presignUrl,
+  sha256Hex,
+  UNSIGNED_PAYLOAD
+};
@@ -0,0 +1,29 @@
+// utils/ffmpeg.js
+const fs = require('fs').promises;
+const { runCommand } = require('./subprocess');
+
+/**
+ * Encode a WAV file as MP3 next to it and remove the WAV.
+ * On failure the WAV is left in place (unless the signal aborted) and the
+ * error is rethrown, so callers can decide whether to keep it.
+ * @param {string} wavPath
+ * @param {string} mp3Path
+ * @param {Object} options - { ffmpegPath (defaults to FFMPEG_PATH or ffmpeg), signal }
+ */
+async function encodeMp3(wavPath, mp3Path, { ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg', signal = null } = {}) {
+  try {
+    await runCommand(ffmpegPath, [
+      '-y', '-loglevel', 'error', '-i', wavPath, '-codec:a', 'libmp3lame', '-q:a', '4', mp3Path
+    ], { signal });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      await fs.unlink(wavPath).catch(() => {});
+    }
+    throw error;
+  }
+  await fs.unlink(wavPath);
+}
+
+module.exports = {
+  encodeMp3
+};
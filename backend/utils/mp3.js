@@ -0,0 +1,96 @@
+// utils/mp3.js
+
+// Layer III bitrates (kbps) by bitrate index
+const BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Sample rates by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1) and rate index
+const SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+/**
+ * Read the frames of an MPEG Layer III buffer, after any ID3v2 tag.
+ * Stops at the first thing that isn't a frame (an ID3v1 tag, trailing junk).
+ * Xing/Info/VBRI frames hold encoder metadata rather than audio; they are
+ * flagged so joins can drop them and left out of the duration.
+ * @returns {{ frames: Array<{ offset, length, info }>, duration }}
+ */
+function parseMp3(buffer) {
+  const frames = [];
+  let duration = 0;
+  let offset = id3Length(buffer);
+
+  while (offset + 4 <= buffer.length) {
+    const header = frameHeader(buffer, offset);
+    if (!header || offset + header.length > buffer.length) break;
+
+    const info = isInfoFrame(buffer, offset, header);
+    frames.push({ offset, length: header.length, info });
+    if (!info) duration += header.samples / header.sampleRate;
+    offset += header.length;
+  }
+
+  if (frames.length === 0) throw new Error('Not an MP3 file');
+  return { frames, duration };
+}
+
+// Size of a leading ID3v2 tag (syncsafe length, plus the footer when flagged)
+function id3Length(buffer) {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return 0;
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  return 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+}
+
+function frameHeader(buffer, offset) {
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = (buffer[offset + 1] >> 3) & 0x03;
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  // Reserved version, layers other than III, free-format and bad bitrates
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const mpeg1 = version === 3;
+  const bitrate = (mpeg1 ? BITRATES.mpeg1 : BITRATES.mpeg2)[bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][rateIndex];
+  const samples = mpeg1 ? 1152 : 576;
+  return {
+    mpeg1,
+    mono: (buffer[offset + 3] >> 6) === 3,
+    sampleRate,
+    samples,
+    length: Math.floor((samples / 8) * bitrate / sampleRate) + padding
+  };
+}
+
+function isInfoFrame(buffer, offset, header) {
+  const sideInfo = header.mpeg1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  const tag = buffer.toString('ascii', offset + 4 + sideInfo, offset + 8 + sideInfo);
+  return tag === 'Xing' || tag === 'Info' || buffer.toString('ascii', offset + 36, offset + 40) === 'VBRI';
+}
+
+/**
+ * One MP3 from several: their audio frames back to back, without tags or
+ * metadata frames (which would describe only the first part)
+ */
+function joinMp3(buffers) {
+  const frames = [];
+  for (const buffer of buffers) {
+    for (const frame of parseMp3(buffer).frames) {
+      if (!frame.info) frames.push(buffer.subarray(frame.offset, frame.offset + frame.length));
+    }
+  }
+  return Buffer.concat(frames);
+}
+
+module.exports = {
+  parseMp3,
+  joinMp3
+};
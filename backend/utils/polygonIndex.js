@@ -0,0 +1,245 @@
+// utils/polygonIndex.js
+const fs = require('fs');
+const zlib = require('zlib');
+
+/**
+ * Point-in-polygon lookup over GeoJSON Polygon/MultiPolygon geometries.
+ * Each entry's bounding box is indexed on a grid of cellDegrees cells, so a
+ * lookup only tests the handful of polygons whose box covers the point's cell.
+ * Rings are stored as flat Float64Arrays of [lon, lat, lon, lat, ...].
+ */
+class PolygonIndex {
+  constructor(options = {}) {
+    this.cellDegrees = options.cellDegrees || 2;
+    this.entries = [];      // { value, bbox, polygons: [[Float64Array ring, ...holes]] }
+    this.grid = new Map();  // 'x_y' cell -> entry indexes whose bounding box touches it
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  clear() {
+    this.entries = [];
+    this.grid.clear();
+  }
+
+  /**
+   * Index a geometry under value
+   * @returns {boolean} false for geometries that are not (Multi)Polygons
+   */
+  add(geometry, value) {
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+      : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+        : [];
+    const rings = polygons.map(polygon => polygon.map(ring => Float64Array.from(ring.flat())));
+    if (rings.length === 0) return false;
+
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const polygon of rings) {
+      const outer = polygon[0];
+      for (let i = 0; i < outer.length; i += 2) {
+        bbox[0] = Math.min(bbox[0], outer[i]);
+        bbox[1] = Math.min(bbox[1], outer[i + 1]);
+        bbox[2] = Math.max(bbox[2], outer[i]);
+        bbox[3] = Math.max(bbox[3], outer[i + 1]);
+      }
+    }
+
+    const entryIndex = this.entries.push({ value, bbox, polygons: rings }) - 1;
+    for (let x = this.cellOf(bbox[0]); x <= this.cellOf(bbox[2]); x++) {
+      for (let y = this.cellOf(bbox[1]); y <= this.cellOf(bbox[3]); y++) {
+        const key = `${x}_${y}`;
+        if (!this.grid.has(key)) this.grid.set(key, []);
+        this.grid.get(key).push(entryIndex);
+      }
+    }
+    return true;
+  }
+
+  cellOf(degrees) {
+    return Math.floor(degrees / this.cellDegrees);
+  }
+
+  /**
+   * Value of the first indexed polygon containing the point, or null
+   */
+  find(latitude, longitude) {
+    const candidates = this.grid.get(`${this.cellOf(longitude)}_${this.cellOf(latitude)}`) || [];
+    for (const entryIndex of candidates) {
+      const entry = this.entries[entryIndex];
+      const [minX, minY, maxX, maxY] = entry.bbox;
+      if (longitude < minX || longitude > maxX || latitude < minY || latitude > maxY) continue;
+      if (entry.polygons.some(polygon => inPolygon(longitude, latitude, polygon))) {
+        return entry.value;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Closest outer edge within maxKm, searching the point's cell and its neighbours
+   * @returns {{ value, distanceKm }|null}
+   */
+  nearest(latitude, longitude, maxKm) {
+    if (!(maxKm > 0)) return null;
+
+    const cellX = this.cellOf(longitude);
+    const cellY = this.cellOf(latitude);
+    const seen = new Set();
+    // Equirectangular projection around the point is accurate enough at these distances
+    const kmPerDegreeLat = 111.32;
+    const kmPerDegreeLon = kmPerDegreeLat * Math.cos(latitude * Math.PI / 180);
+    let best = null;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const entryIndex of this.grid.get(`${cellX + dx}_${cellY + dy}`) || []) {
+          if (seen.has(entryIndex)) continue;
+          seen.add(entryIndex);
+
+          const entry = this.entries[entryIndex];
+          for (const polygon of entry.polygons) {
+            const ring = polygon[0];
+            for (let i = 2; i < ring.length; i += 2) {
+              const distanceKm = segmentDistance(
+                (ring[i - 2] - longitude) * kmPerDegreeLon, (ring[i - 1] - latitude) * kmPerDegreeLat,
+                (ring[i] - longitude) * kmPerDegreeLon, (ring[i + 1] - latitude) * kmPerDegreeLat
+              );
+              if (distanceKm <= maxKm && (!best || distanceKm < best.distanceKm)) {
+                best = { value: entry.value, distanceKm };
+              }
+            }
+          }
+        }
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Even-odd ray casting: inside the outer ring and outside every hole
+ */
+function inPolygon(x, y, polygon) {
+  if (!inRing(x, y, polygon[0])) return false;
+  for (let i = 1; i < polygon.length; i++) {
+    if (inRing(x, y, polygon[i])) return false;
+  }
+  return true;
+}
+
+function inRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+    const xi = ring[i], yi = ring[i + 1];
+    const xj = ring[j], yj = ring[j + 1];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Distance from the origin to the segment (x1, y1)-(x2, y2)
+ */
+function segmentDistance(x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSquared)) : 0;
+  return Math.hypot(x1 + t * dx, y1 + t * dy);
+}
+
+/**
+ * Read a GeoJSON file, gunzipping it when the path ends in .gz
+ */
+async function readGeoJSON(filePath) {
+  const raw = await fs.promises.readFile(filePath);
+  const text = filePath.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8');
+  return JSON.parse(text);
+}
+
+// Perpendicular distance from p to the line a-b, in degrees
+function lineDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  return Math.abs(dy * p[0] - dx * p[1] + b[0] * a[1] - b[1] * a[0]) / length;
+}
+
+// Douglas-Peucker
+function simplifyLine(points, tolerance) {
+  if (points.length < 3) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = lineDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Rings are closed, so split at the far point to keep their shape; drop ones that collapse
+function simplifyRing(ring, tolerance) {
+  let far = 1;
+  for (let i = 1; i < ring.length; i++) {
+    if (Math.hypot(ring[i][0] - ring[0][0], ring[i][1] - ring[0][1]) >
+        Math.hypot(ring[far][0] - ring[0][0], ring[far][1] - ring[0][1])) far = i;
+  }
+  const simplified = simplifyLine(ring.slice(0, far + 1), tolerance)
+    .concat(simplifyLine(ring.slice(far), tolerance).slice(1));
+  const rounded = simplified.map(([x, y]) => [Math.round(x * 1000) / 1000, Math.round(y * 1000) / 1000]);
+  return rounded.length >= 4 ? rounded : null;
+}
+
+/**
+ * Simplify a GeoJSON Polygon or MultiPolygon (Douglas-Peucker, tolerance in
+ * degrees) and round coordinates to three decimals
+ * @returns {Object|null} the simplified geometry, or null if every part collapsed
+ */
+function simplifyGeometry(geometry, tolerance) {
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) return null;
+
+  const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+    .map(polygon => {
+      const [outer, ...holes] = polygon.map(ring => simplifyRing(ring, tolerance));
+      return outer ? [outer, ...holes.filter(Boolean)] : null;
+    })
+    .filter(Boolean);
+  if (polygons.length === 0) return null;
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Total vertex count of a (Multi)Polygon geometry
+ */
+function countPoints(geometry) {
+  return (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates).flat(2).length;
+}
+
+module.exports = {
+  PolygonIndex,
+  inPolygon,
+  readGeoJSON,
+  simplifyGeometry,
+  countPoints
+};
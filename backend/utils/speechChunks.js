@@ -0,0 +1,145 @@
+// utils/speechChunks.js
+const { parseWav, joinWav } = require('./wav');
+const { parseMp3, joinMp3 } = require('./mp3');
+
+/**
+ * Splitting scripts for TTS APIs that cap the size of one request, and joining
+ * the audio back up.
+ *
+ * SSML from SSMLRenderer is a run of <p>...</p> paragraphs, each followed by
+ * its <break/>. Chunks are whole paragraphs where possible; a paragraph too big
+ * for one request (a long one with word marks) is cut between words, preferring
+ * the end of a sentence or an existing break, and each piece keeps the
+ * paragraph's <prosody>. Plain text is split on blank lines the same way.
+ * Marks keep their script-wide names, so joining only has to shift each
+ * chunk's timepoints by the audio before it.
+ */
+
+const SPEAK_OPEN = '<speak>';
+const SPEAK_CLOSE = '</speak>';
+const byteLength = value => Buffer.byteLength(value, 'utf8');
+
+/**
+ * SSML documents of at most maxBytes each, in speaking order
+ * @param {string} ssml - <speak>...</speak>
+ * @param {number} maxBytes - Request limit, counting the <speak> element
+ * @returns {Array<string>}
+ */
+function splitSSML(ssml, maxBytes) {
+  if (byteLength(ssml) <= maxBytes) return [ssml];
+
+  const body = ssml.trim().replace(/^<speak>/, '').replace(/<\/speak>$/, '');
+  const budget = maxBytes - byteLength(SPEAK_OPEN + SPEAK_CLOSE);
+  let paragraphs = body.match(/<p>[\s\S]*?<\/p>(?:\s*<break[^>]*\/>)?/g) || [];
+  // Anything not made of paragraphs is split as one long paragraph
+  if (paragraphs.join('') !== body) paragraphs = [body];
+
+  const pieces = paragraphs.flatMap(paragraph =>
+    (byteLength(paragraph) <= budget ? [paragraph] : splitParagraph(paragraph, budget)));
+  return pack(pieces, budget).map(group => `${SPEAK_OPEN}${group.join('')}${SPEAK_CLOSE}`);
+}
+
+// Cut an oversized <p> between words, repeating its <prosody> in every piece
+function splitParagraph(paragraph, budget) {
+  const match = paragraph.match(/^<p>(<prosody[^>]*>)?([\s\S]*?)(<\/prosody>)?<\/p>(\s*<break[^>]*\/>)?$/);
+  const [, open = '', inner, close = '', trailing = ''] = match || [null, '', paragraph, '', ''];
+  const prefix = match ? `<p>${open}` : '';
+  const suffix = match ? `${close}</p>` : '';
+
+  // A word is its text plus any tags stuck to it (<mark/> before, <break/> after)
+  const words = inner.trim().match(/(?:<[^>]*>|[^\s<]+)+\s*/g) || [];
+  const groups = pack(words, budget - byteLength(prefix + suffix + trailing), isSentenceEnd);
+  return groups.map((group, i) =>
+    `${prefix}${group.join('').trim()}${suffix}${i === groups.length - 1 ? trailing : ''}`);
+}
+
+/**
+ * Plain-text chunks of at most maxBytes each, split on blank lines, then sentences
+ * @returns {Array<string>}
+ */
+function splitText(text, maxBytes) {
+  if (byteLength(text) <= maxBytes) return [text];
+
+  const paragraphs = text.trim().match(/[\s\S]+?(?:\n\s*\n|$)/g) || [];
+  const pieces = paragraphs.flatMap(paragraph =>
+    (byteLength(paragraph) <= maxBytes ? [paragraph] : pack(paragraph.match(/\S+\s*/g), maxBytes, isSentenceEnd).map(group => group.join(''))));
+  return pack(pieces, maxBytes).map(group => group.join('').trim());
+}
+
+function isSentenceEnd(word) {
+  return /(?:[.!?](?:&quot;|&apos;|["')\]])*|<break[^>]*\/>)\s*$/.test(word);
+}
+
+/**
+ * Group pieces in order into runs of at most budget bytes. When a run is full it
+ * ends after its last piece that passes preferCut, if any, and the rest carries over.
+ * A single piece over budget gets a run of its own.
+ */
+function pack(pieces, budget, preferCut = null) {
+  const groups = [];
+  let current = [];
+  let size = 0;
+
+  for (const piece of pieces) {
+    const bytes = byteLength(piece);
+    while (current.length > 0 && size + bytes > budget) {
+      let cut = current.length;
+      if (preferCut) {
+        for (let i = current.length - 1; i >= 0; i--) {
+          if (preferCut(current[i])) {
+            cut = i + 1;
+            break;
+          }
+        }
+      }
+      groups.push(current.slice(0, cut));
+      current = current.slice(cut);
+      size = current.reduce((sum, kept) => sum + byteLength(kept), 0);
+    }
+    current.push(piece);
+    size += bytes;
+  }
+
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Join synthesized chunks into one file
+ * @param {Array<Object>} parts - { audio: Buffer, timepoints: [{ name, seconds }] } in speaking order
+ * @param {string} outputFormat - 'LINEAR16' or 'MP3'
+ * @returns {Object} { audio, seconds, timepoints } with timepoints shifted by the audio before them
+ */
+function joinSpeech(parts, outputFormat) {
+  let lengthOf;
+  let join;
+  if (outputFormat === 'LINEAR16') {
+    lengthOf = audio => {
+      const wav = parseWav(audio);
+      return wav.dataLength / wav.byteRate;
+    };
+    join = joinWav;
+  } else if (outputFormat === 'MP3') {
+    lengthOf = audio => parseMp3(audio).duration;
+    join = joinMp3;
+  } else {
+    throw new Error(`Cannot join ${outputFormat} audio`);
+  }
+
+  const timepoints = [];
+  let offset = 0;
+  for (const part of parts) {
+    for (const point of part.timepoints || []) {
+      timepoints.push({ name: point.name, seconds: Math.round((point.seconds + offset) * 1000) / 1000 });
+    }
+    offset += lengthOf(part.audio);
+  }
+
+  return { audio: join(parts.map(part => part.audio)), seconds: offset, timepoints };
+}
+
+module.exports = {
+  splitSSML,
+  splitText,
+  joinSpeech
+};
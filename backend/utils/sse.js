@@ -0,0 +1,45 @@
+// utils/sse.js
+
+/**
+ * Switch a response into a Server-Sent Events stream.
+ * The returned signal aborts when the client disconnects so callers can stop
+ * in-flight AI/TTS work nobody is listening to.
+ * @returns {{ send: Function, end: Function, signal: AbortSignal, isClosed: Function }}
+ */
+function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const controller = new AbortController();
+  let closed = false;
+
+  // Keep proxies from closing the connection during long LLM/TTS stages
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, heartbeatMs);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    controller.abort();
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) res.end();
+    },
+    signal: controller.signal,
+    isClosed: () => closed
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,62 @@
+// utils/subprocess.js
+const { spawn } = require('child_process');
+
+/**
+ * Run a program to completion, killing it on abort or timeout.
+ * Rejects on a non-zero exit with the start of stderr in the message.
+ * @param {string} command - Program name or path
+ * @param {Array<string>} args
+ * @param {Object} options - { input (written to stdin), signal, timeoutMs }
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+function runCommand(command, args, { input = null, signal = null, timeoutMs = 120000 } = {}) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason || new Error('Cancelled'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const onAbort = () => {
+      child.kill('SIGKILL');
+      finish(signal.reason || new Error('Cancelled'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish(new Error(`${command} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => finish(error));
+    child.on('close', code => {
+      if (code === 0) {
+        finish(null, { stdout, stderr });
+      } else {
+        finish(new Error(`${command} exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+      }
+    });
+
+    // The program may exit before reading stdin (e.g. bad arguments)
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || '');
+  });
+}
+
+module.exports = {
+  runCommand
+};
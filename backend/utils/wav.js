@@ -0,0 +1,125 @@
+// utils/wav.js
+
+/**
+ * Read the format of a PCM WAV buffer.
+ * Walks the RIFF chunks rather than assuming a 44-byte header, since some
+ * encoders add LIST/fact chunks before the samples.
+ * @returns {{ sampleRate, channels, bitsPerSample, byteRate, dataOffset, dataLength, frames }}
+ */
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data chunk before fmt chunk');
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; take what's there
+      const available = buffer.length - body;
+      const dataLength = size > 0 && size <= available ? size : available;
+      const blockAlign = format.channels * (format.bitsPerSample / 8);
+      return {
+        ...format,
+        dataOffset: body,
+        dataLength,
+        frames: Math.floor(dataLength / blockAlign)
+      };
+    }
+
+    offset = body + size + (size % 2); // Chunks are word-aligned
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * 44-byte header for 16-bit PCM
+ */
+function createWavHeader({ sampleRate, channels, dataLength }) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM format chunk size
+  header.writeUInt16LE(1, 20);  // PCM format
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+/**
+ * 16-bit samples of a parsed WAV as an Int16Array (interleaved channels),
+ * copying only when the data isn't 2-byte aligned in memory
+ */
+function pcmSamples(buffer, wav) {
+  if (wav.bitsPerSample !== 16 || wav.audioFormat !== 1) {
+    throw new Error(`Only 16-bit PCM WAV is supported (got ${wav.bitsPerSample}-bit, format ${wav.audioFormat})`);
+  }
+  const length = wav.frames * wav.channels;
+  const start = buffer.byteOffset + wav.dataOffset;
+  if (start % 2 === 0) {
+    return new Int16Array(buffer.buffer, start, length);
+  }
+  const copy = Buffer.from(buffer.subarray(wav.dataOffset, wav.dataOffset + length * 2));
+  return new Int16Array(copy.buffer, copy.byteOffset, length);
+}
+
+/**
+ * Seconds of audio in a PCM WAV buffer, or null when it can't be read
+ */
+function wavDuration(buffer) {
+  try {
+    const wav = parseWav(buffer);
+    return wav.byteRate > 0 ? Math.round(wav.dataLength / wav.byteRate) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * One 16-bit PCM WAV from several in the same format, samples back to back
+ */
+function joinWav(buffers) {
+  const parts = buffers.map(buffer => ({ buffer, wav: parseWav(buffer) }));
+  const { sampleRate, channels } = parts[0].wav;
+  for (const { wav } of parts) {
+    if (wav.audioFormat !== 1 || wav.bitsPerSample !== 16) {
+      throw new Error(`Only 16-bit PCM WAV can be joined (got ${wav.bitsPerSample}-bit, format ${wav.audioFormat})`);
+    }
+    if (wav.sampleRate !== sampleRate || wav.channels !== channels) {
+      throw new Error('WAV files to join differ in sample rate or channels');
+    }
+  }
+
+  const data = parts.map(({ buffer, wav }) => buffer.subarray(wav.dataOffset, wav.dataOffset + wav.dataLength));
+  const dataLength = data.reduce((sum, chunk) => sum + chunk.length, 0);
+  return Buffer.concat([createWavHeader({ sampleRate, channels, dataLength }), ...data]);
+}
+
+module.exports = {
+  parseWav,
+  createWavHeader,
+  pcmSamples,
+  wavDuration,
+  joinWav
+};